@@ -1,4 +1,5 @@
 const functions = require('firebase-functions');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
 const express = require('express');
 const cors = require('cors');
 const { randomUUID } = require('crypto');
@@ -11,20 +12,24 @@ const activityFunctions = require('./src/api/activityFunctions');
 const employeeFunctions = require('./src/api/employeeFunctions');
 const employeeManagementFunctions = require('./src/api/employeeManagementFunctions');
 const attendanceFunctions = require('./src/api/attendanceFunctions');
+const holidayFunctions = require('./src/api/holidayFunctions');
 const fileFunctions = require('./src/api/fileFunctions');
 const firestoreFunctions = require('./src/api/firestoreFunctions');
 const auditFunctions = require('./src/api/auditFunctions');
 const payslipFunctions = require('./src/api/payslipFunctions');
 const traineePayrollFunctions = require('./src/api/traineePayrollFunctions');
+const adminFunctions = require('./src/api/adminFunctions');
+const notificationFunctions = require('./src/api/notificationFunctions');
 
 const pettyCashFunctions = require('./src/api/pettyCashFunctions');
 const taxService = require('./src/services/taxService');
 const payrollService = require('./src/services/payrollService');
 const commissionService = require('./src/services/commissionService');
 const thirteenthMonthService = require('./src/services/thirteenthMonthService');
-const { requirePayrollAccess } = require('./src/middleware/payrollAuth');
-const { requireAuditAccess } = require('./src/middleware/auditAuth');
-const { attachRequestContext, requireAuthenticatedUser } = require('./src/middleware/requestContext');
+const notificationService = require('./src/services/notificationService');
+const accessControlService = require('./src/services/accessControlService');
+const { authorize } = require('./src/middleware/accessControl');
+const { attachRequestContext } = require('./src/middleware/requestContext');
 const { recordActivity } = require('./src/services/activityLogService');
 
 const buildCallableActivityContext = (context = {}) => {
@@ -71,27 +76,36 @@ app.use(express.json({ limit: '100mb' }));
 app.use(express.urlencoded({ limit: '100mb', extended: true }));
 app.use(attachRequestContext);
 
-// Apply payroll authorization middleware to payroll routes
-app.use('/payroll', requirePayrollAccess, payrollFunctions);
-app.use('/trainee-payroll', requirePayrollAccess, traineePayrollFunctions);
-
-// Other routes remain unprotected
-app.use('/commissions', commissionFunctions);
-app.use('/reports', requireAuthenticatedUser, reportFunctions);
-app.use('/reports/v4', requireAuthenticatedUser, reportFunctionsPhase4);
-app.use('/activity', requireAuthenticatedUser, activityFunctions);
-app.use('/employee-mgmt', requireAuthenticatedUser, employeeManagementFunctions);
-app.use('/attendance', requireAuthenticatedUser, attendanceFunctions);
-app.use('/employees', employeeFunctions);
-app.use('/files', requireAuthenticatedUser, fileFunctions);
-app.use('/firestore', requireAuthenticatedUser, firestoreFunctions);
-app.use('/audit', requireAuditAccess, auditFunctions);
-
-app.use('/pettycash', requireAuthenticatedUser, pettyCashFunctions);
-app.use('/admin', adminFunctions);
+// Every router requires a signed-in user holding the permission its route needs
+// (see ROUTE_POLICIES in src/middleware/accessControl.js)
+app.use('/payroll', authorize('payroll'), payrollFunctions);
+app.use('/trainee-payroll', authorize('trainee-payroll'), traineePayrollFunctions);
+app.use('/commissions', authorize('commissions'), commissionFunctions);
+app.use('/reports', authorize('reports'), reportFunctions);
+app.use('/reports/v4', authorize('reports'), reportFunctionsPhase4);
+app.use('/activity', authorize('activity'), activityFunctions);
+app.use('/employee-mgmt', authorize('employee-mgmt'), employeeManagementFunctions);
+app.use('/attendance', authorize('attendance'), attendanceFunctions);
+app.use('/holidays', authorize('holidays'), holidayFunctions);
+app.use('/employees', authorize('employees'), employeeFunctions);
+app.use('/files', authorize('files'), fileFunctions);
+app.use('/firestore', authorize('firestore'), firestoreFunctions);
+app.use('/audit', authorize('audit'), auditFunctions);
+app.use('/pettycash', authorize('pettycash'), pettyCashFunctions);
+app.use('/payslips', authorize('payslips'), payslipFunctions);
+app.use('/admin', authorize('admin'), adminFunctions);
+app.use('/notifications', authorize('notifications'), notificationFunctions);
 
 exports.api = functions.https.onRequest(app);
 
+// Sends queued emails and retries failed ones; server.js runs the same pass on a timer
+exports.processNotificationOutbox = onSchedule('every 1 minutes', async () => {
+  const summary = await notificationService.processOutbox();
+  if (summary.processed) {
+    console.log('📧 Notification outbox processed:', summary);
+  }
+});
+
 const VALID_HTTPS_ERROR_CODES = new Set([
   'ok',
   'cancelled',
@@ -119,6 +133,19 @@ const mapServiceErrorCode = (code) => {
   return 'internal';
 };
 
+// Callables check the same permissions as the HTTP routes
+const assertCallablePermission = async (context, permission, companyId) => {
+  const access = await accessControlService.resolveUserAccess({
+    uid: context.auth.uid,
+    token: context.auth.token,
+  });
+  try {
+    accessControlService.assertPermission(access, permission, companyId);
+  } catch (error) {
+    throw new functions.https.HttpsError('permission-denied', error.message, error.details);
+  }
+};
+
 exports.calculateDeductions = functions.https.onCall(async (data, context) => {
   if (!context.auth) {
     throw new functions.https.HttpsError('unauthenticated', 'Authentication is required.');
@@ -131,6 +158,7 @@ exports.calculateDeductions = functions.https.onCall(async (data, context) => {
   if (!companyId) {
     throw new functions.https.HttpsError('invalid-argument', 'companyId is required.');
   }
+  await assertCallablePermission(context, 'payroll:view', companyId);
 
   const salaryCandidate = payload.monthlySalary ?? payload.basicSalary ?? payload.basicPay;
   const monthlySalary = Number(salaryCandidate);
@@ -160,6 +188,7 @@ exports.calculateDeductions = functions.https.onCall(async (data, context) => {
     includeTaxes,
     additionalEmployeeDeductions,
     taxConfigOverride,
+    payDate: payload.payDate,
   });
 
   return deductions;
@@ -170,18 +199,11 @@ exports.calculatePayroll = functions.https.onCall(async (data, context) => {
     throw new functions.https.HttpsError('unauthenticated', 'Authentication is required.');
   }
 
-  // Check if user has superadmin role for payroll access
-  const admin = require('firebase-admin');
-  const userDoc = await admin.firestore().collection('users').doc(context.auth.uid).get();
-  
-  if (!userDoc.exists || userDoc.data().specialrole !== 'superadmin') {
-    throw new functions.https.HttpsError('permission-denied', 'You do not have permission to access payroll data. Super Admin privileges required.');
-  }
-
   const payload = data || {};
   if (!payload.companyId && context.auth.token?.companyId) {
     payload.companyId = context.auth.token.companyId;
   }
+  await assertCallablePermission(context, 'payroll:run', payload.companyId);
 
   try {
     const result = await payrollService.calculatePayroll(payload, {
@@ -223,14 +245,6 @@ exports.bulkCalculatePayroll = functions.https.onCall(async (data, context) => {
     throw new functions.https.HttpsError('unauthenticated', 'Authentication is required.');
   }
 
-  // Check if user has superadmin role for payroll access
-  const admin = require('firebase-admin');
-  const userDoc = await admin.firestore().collection('users').doc(context.auth.uid).get();
-  
-  if (!userDoc.exists || userDoc.data().specialrole !== 'superadmin') {
-    throw new functions.https.HttpsError('permission-denied', 'You do not have permission to access payroll data. Super Admin privileges required.');
-  }
-
   const payload = data || {};
   if (!payload.companyId && context.auth.token?.companyId) {
     payload.companyId = context.auth.token.companyId;
@@ -240,6 +254,12 @@ exports.bulkCalculatePayroll = functions.https.onCall(async (data, context) => {
     throw new functions.https.HttpsError('invalid-argument', 'employees array is required.');
   }
 
+  // Entries may name their own company
+  const companyIds = new Set(payload.employees.map((entry) => entry?.companyId || payload.companyId));
+  for (const companyId of companyIds) {
+    await assertCallablePermission(context, 'payroll:run', companyId);
+  }
+
   try {
     const result = await payrollService.bulkCalculatePayroll(payload, {
       context,
@@ -282,6 +302,8 @@ exports.calculateCommissions = functions.https.onCall(async (data, context) => {
     payload.companyId = context.auth.token.companyId;
   }
 
+  await assertCallablePermission(context, 'commission:manage', payload.companyId);
+
   try {
     const hasMultiple = Array.isArray(payload.entries) || Array.isArray(payload.commissions);
     if (hasMultiple) {
@@ -303,6 +325,8 @@ exports.calculate13thMonthPay = functions.https.onCall(async (data, context) =>
     payload.companyId = context.auth.token.companyId;
   }
 
+  await assertCallablePermission(context, 'payroll:view', payload.companyId);
+
   try {
     const result = await thirteenthMonthService.computeThirteenthMonthPay(payload);
     return result;
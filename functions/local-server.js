@@ -1,7 +1,8 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const { attachRequestContext, requireAuthenticatedUser } = require('./src/middleware/requestContext');
+const { attachRequestContext } = require('./src/middleware/requestContext');
+const { authorize } = require('./src/middleware/accessControl');
 
 // Import all the route modules
 const authFunctions = require('./src/api/authFunctions');
@@ -18,6 +19,8 @@ const payslipFunctions = require('./src/api/payslipFunctions');
 const fileFunctions = require('./src/api/fileFunctions');
 const traineePayrollFunctions = require('./src/api/traineePayrollFunctions');
 const adminFunctions = require('./src/api/adminFunctions');
+const notificationFunctions = require('./src/api/notificationFunctions');
+const { startOutboxWorker } = require('./src/services/notificationService');
 
 console.log('Loading audit functions...');
 const auditFunctions = require('./src/api/auditFunctions');
@@ -76,29 +79,30 @@ app.use(attachRequestContext);
 
 // Routes (mount under emulator-compatible base path)
 app.use(`${BASE}/auth`, authFunctions);
-app.use(`${BASE}/firestore`, firestoreFunctions);
-app.use(`${BASE}/payroll`, requireAuthenticatedUser, payrollFunctions);
-app.use(`${BASE}/commissions`, requireAuthenticatedUser, commissionFunctions);
-app.use(`${BASE}/reports`, requireAuthenticatedUser, reportFunctions);
-app.use(`${BASE}/reports/v4`, requireAuthenticatedUser, reportFunctionsPhase4);
-app.use(`${BASE}/employee-mgmt`, requireAuthenticatedUser, employeeManagementFunctions);
-app.use(`${BASE}/attendance`, requireAuthenticatedUser, attendanceFunctions);
-app.use(`${BASE}/holidays`, requireAuthenticatedUser, holidayFunctions);
-app.use(`${BASE}/employees`, employeeFunctions);
-app.use(`${BASE}/files`, requireAuthenticatedUser, fileFunctions);
-app.use(`${BASE}/trainee-payroll`, requireAuthenticatedUser, traineePayrollFunctions);
-app.use(`${BASE}/admin`, requireAuthenticatedUser, adminFunctions);
-app.use(`${BASE}/payslips`, requireAuthenticatedUser, payslipFunctions);
+app.use(`${BASE}/firestore`, authorize('firestore'), firestoreFunctions);
+app.use(`${BASE}/payroll`, authorize('payroll'), payrollFunctions);
+app.use(`${BASE}/commissions`, authorize('commissions'), commissionFunctions);
+app.use(`${BASE}/reports`, authorize('reports'), reportFunctions);
+app.use(`${BASE}/reports/v4`, authorize('reports'), reportFunctionsPhase4);
+app.use(`${BASE}/employee-mgmt`, authorize('employee-mgmt'), employeeManagementFunctions);
+app.use(`${BASE}/attendance`, authorize('attendance'), attendanceFunctions);
+app.use(`${BASE}/holidays`, authorize('holidays'), holidayFunctions);
+app.use(`${BASE}/employees`, authorize('employees'), employeeFunctions);
+app.use(`${BASE}/files`, authorize('files'), fileFunctions);
+app.use(`${BASE}/trainee-payroll`, authorize('trainee-payroll'), traineePayrollFunctions);
+app.use(`${BASE}/admin`, authorize('admin'), adminFunctions);
+app.use(`${BASE}/notifications`, authorize('notifications'), notificationFunctions);
+app.use(`${BASE}/payslips`, authorize('payslips'), payslipFunctions);
 
 console.log('Mounting audit routes at:', `${BASE}/audit`);
-app.use(`${BASE}/audit`, (req, res, next) => {
+app.use(`${BASE}/audit`, authorize('audit'), (req, res, next) => {
   console.log('Audit route hit:', req.method, req.path, req.url);
   next();
 }, auditFunctions);
 console.log('Audit routes mounted successfully');
 
 console.log('Mounting activity routes at:', `${BASE}/activity`);
-app.use(`${BASE}/activity`, requireAuthenticatedUser, (req, res, next) => {
+app.use(`${BASE}/activity`, authorize('activity'), (req, res, next) => {
   console.log('Activity route hit:', req.method, req.path, req.url);
   next();
 }, activityFunctions);
@@ -171,9 +175,16 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log(`   - ${BASE}/attendance/*`);
   console.log(`   - ${BASE}/holidays/*`);
   console.log(`   - ${BASE}/employees/*`);
+  console.log(`   - ${BASE}/notifications/*`);
   console.log(`\n⚠️  Configure firewall to allow port ${PORT} if needed`);
 });
 
+// Retry queued emails in the background (0 disables the worker)
+const outboxIntervalMs = Number(process.env.NOTIFICATION_OUTBOX_INTERVAL_MS ?? 60 * 1000);
+if (outboxIntervalMs > 0) {
+  startOutboxWorker({ intervalMs: outboxIntervalMs });
+}
+
 // Handle graceful shutdown
 process.on('SIGINT', () => {
   console.log('\n🛑 Shutting down server...');
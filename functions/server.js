@@ -1,7 +1,8 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const { attachRequestContext, requireAuthenticatedUser } = require('./src/middleware/requestContext');
+const { attachRequestContext } = require('./src/middleware/requestContext');
+const { authorize } = require('./src/middleware/accessControl');
 
 // Import route modules
 const authFunctions = require('./src/api/authFunctions');
@@ -19,6 +20,8 @@ const payslipFunctions = require('./src/api/payslipFunctions');
 const fileFunctions = require('./src/api/fileFunctions');
 const traineePayrollFunctions = require('./src/api/traineePayrollFunctions');
 const adminFunctions = require('./src/api/adminFunctions');
+const notificationFunctions = require('./src/api/notificationFunctions');
+const { startOutboxWorker } = require('./src/services/notificationService');
 const auditFunctions = require('./src/api/auditFunctions');
 
 const pettyCashFunctions = require('./src/api/pettyCashFunctions');
@@ -61,23 +64,24 @@ app.use(attachRequestContext);
 
 // Mount routes
 app.use(`${BASE}/auth`, authFunctions);
-app.use(`${BASE}/firestore`, firestoreFunctions);
-app.use(`${BASE}/payroll`, payrollFunctions);
-app.use(`${BASE}/commissions`, commissionFunctions);
-app.use(`${BASE}/reports`, reportFunctions);
-app.use(`${BASE}/reports/v4`, reportFunctionsPhase4);
+app.use(`${BASE}/firestore`, authorize('firestore'), firestoreFunctions);
+app.use(`${BASE}/payroll`, authorize('payroll'), payrollFunctions);
+app.use(`${BASE}/commissions`, authorize('commissions'), commissionFunctions);
+app.use(`${BASE}/reports`, authorize('reports'), reportFunctions);
+app.use(`${BASE}/reports/v4`, authorize('reports'), reportFunctionsPhase4);
 // Protect activity routes and ensure req.user is available, matching Firebase/index and local-server
-app.use(`${BASE}/activity`, requireAuthenticatedUser, activityFunctions);
-app.use(`${BASE}/employee-mgmt`, employeeManagementFunctions);
-app.use(`${BASE}/attendance`, attendanceFunctions);
-app.use(`${BASE}/holidays`, holidayFunctions);
-app.use(`${BASE}/employees`, employeeFunctions);
-app.use(`${BASE}/files`, fileFunctions);
-app.use(`${BASE}/trainee-payroll`, traineePayrollFunctions);
-app.use(`${BASE}/admin`, adminFunctions);
-app.use(`${BASE}/pettycash`, requireAuthenticatedUser, pettyCashFunctions);
-app.use(`${BASE}/payslips`, payslipFunctions);
-app.use(`${BASE}/audit`, auditFunctions);
+app.use(`${BASE}/activity`, authorize('activity'), activityFunctions);
+app.use(`${BASE}/employee-mgmt`, authorize('employee-mgmt'), employeeManagementFunctions);
+app.use(`${BASE}/attendance`, authorize('attendance'), attendanceFunctions);
+app.use(`${BASE}/holidays`, authorize('holidays'), holidayFunctions);
+app.use(`${BASE}/employees`, authorize('employees'), employeeFunctions);
+app.use(`${BASE}/files`, authorize('files'), fileFunctions);
+app.use(`${BASE}/trainee-payroll`, authorize('trainee-payroll'), traineePayrollFunctions);
+app.use(`${BASE}/admin`, authorize('admin'), adminFunctions);
+app.use(`${BASE}/notifications`, authorize('notifications'), notificationFunctions);
+app.use(`${BASE}/pettycash`, authorize('pettycash'), pettyCashFunctions);
+app.use(`${BASE}/payslips`, authorize('payslips'), payslipFunctions);
+app.use(`${BASE}/audit`, authorize('audit'), auditFunctions);
 
 // Health check for Render
 app.get('/health', (req, res) => {
@@ -91,6 +95,12 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log(`API base: ${BASE}`);
 });
 
+// Retry queued emails in the background (0 disables the worker)
+const outboxIntervalMs = Number(process.env.NOTIFICATION_OUTBOX_INTERVAL_MS ?? 60 * 1000);
+if (outboxIntervalMs > 0) {
+  startOutboxWorker({ intervalMs: outboxIntervalMs });
+}
+
 // Graceful shutdown
 process.on('SIGINT', () => {
   console.log('Shutting down server...');
@@ -1,5 +1,6 @@
 const express = require('express');
 const admin = require('../utils/firebaseAdmin');
+const accessControlService = require('../services/accessControlService');
 
 const router = express.Router();
 
@@ -12,9 +13,6 @@ const firestore = () => {
   return admin.firestore();
 };
 
-// Allow managers to view activity timeline as well
-const ALLOWED_ROLES = new Set(['superadmin', 'admin', 'audit', 'payroll', 'hr', 'manager']);
-
 const toIsoString = (value) => {
   if (!value) {
     return null;
@@ -75,15 +73,12 @@ const normalizeActivityDoc = (doc) => {
   };
 };
 
-const ensureRoleAccess = (req) => {
+const ensureRoleAccess = async (req, companyId) => {
   if (!req.user) {
     return false;
   }
-  const role = (req.user.specialrole || '').toLowerCase();
-  if (ALLOWED_ROLES.has(role)) {
-    return true;
-  }
-  return false;
+  req.access = req.access || await accessControlService.resolveUserAccess(req.user);
+  return accessControlService.hasPermission(req.access, 'activity:view', companyId);
 };
 
 // Test endpoint to create a sample activity log
@@ -135,9 +130,10 @@ router.get('/', async (req, res) => {
   console.log('🔥 [ACTIVITY] req.user:', req.user);
   console.log('🔥 [ACTIVITY] Query params:', req.query);
   try {
-    if (!ensureRoleAccess(req)) {
-      console.log('❌ [ACTIVITY] Access denied - user role not allowed');
-      console.log('❌ [ACTIVITY] User specialrole:', req.user?.specialrole);
+    const companyId = req.query.companyId ? String(req.query.companyId).trim() : null;
+    if (!(await ensureRoleAccess(req, companyId))) {
+      console.log('❌ [ACTIVITY] Access denied - activity:view not granted');
+      console.log('❌ [ACTIVITY] User roles:', req.access?.roles);
       return res.status(403).json({
         success: false,
         error: 'forbidden',
@@ -146,10 +142,11 @@ router.get('/', async (req, res) => {
     }
     console.log('✅ [ACTIVITY] Access granted');
 
-    const userRole = (req.user?.specialrole || '').toLowerCase();
-    const companyId = req.query.companyId ? String(req.query.companyId).trim() : null;
-    console.log('🔍 [ACTIVITY] User role:', userRole);
-    console.log('🔍 [ACTIVITY] CompanyId:', companyId || 'ALL COMPANIES');
+    const roles = accessControlService.rolesFor(req.access, companyId);
+    // Without a company, only the companies the user may view are listed
+    const allowedCompanyIds = companyId ? null : accessControlService.allowedCompanyIds(req.access, 'activity:view');
+    console.log('🔍 [ACTIVITY] User roles:', roles);
+    console.log('🔍 [ACTIVITY] CompanyId:', companyId || (allowedCompanyIds ? allowedCompanyIds.join(', ') : 'ALL COMPANIES'));
 
     const limitParam = Number(req.query.limit);
     const limit = Number.isFinite(limitParam) ? Math.min(Math.max(limitParam, 1), 200) : 50;
@@ -159,7 +156,7 @@ router.get('/', async (req, res) => {
     const cursorId = req.query.cursor ? String(req.query.cursor).trim() : null;
 
     // Force audit users to only see audit module logs
-    if (userRole === 'audit' && !moduleFilter) {
+    if (!roles.some((role) => role !== 'audit' && role !== 'user') && !moduleFilter) {
       moduleFilter = 'audit';
       console.log('🔒 [ACTIVITY] Audit role detected - forcing module filter to "audit"');
     }
@@ -176,6 +173,12 @@ router.get('/', async (req, res) => {
     // Only filter by company if provided (don't require it)
     if (companyId) {
       query = query.where('companyId', '==', companyId);
+    } else if (allowedCompanyIds) {
+      if (allowedCompanyIds.length === 0) {
+        return res.json({ success: true, entries: [], nextCursor: null, hasMore: false, modules: [], actions: [] });
+      }
+      // Firestore "in" filters accept at most 30 values
+      query = query.where('companyId', 'in', allowedCompanyIds.slice(0, 30));
     }
 
     // Apply module filter (including forced audit filter)
@@ -1,5 +1,11 @@
 const express = require('express');
 const initializeFirebaseAdmin = require('../config/firebase');
+const { recordActivity } = require('../services/activityLogService');
+const contributionScheduleService = require('../services/contributionScheduleService');
+const taxService = require('../services/taxService');
+const accessControlService = require('../services/accessControlService');
+const authService = require('../services/authService');
+const notificationService = require('../services/notificationService');
 
 const router = express.Router();
 
@@ -15,11 +21,59 @@ const mapServiceErrorToStatus = (error) => {
       return 404;
     case 'permission-denied':
       return 403;
+    case 'already-exists':
+    case 'failed-precondition':
+      return 409;
+    case 'unavailable':
+      return 503;
     default:
       return 500;
   }
 };
 
+const logActivitySafe = async (payload = {}) => {
+  try {
+    await recordActivity(payload);
+  } catch (error) {
+    console.error('Failed to record admin activity log:', error);
+  }
+};
+
+const buildActivityContext = (req) => ({
+  user: req.user || null,
+  request: req.activityContext || {},
+});
+
+// The admin must manage users in every company the user belongs to, before and after the change
+const assertCanManageUser = (req, { companies = [], roles = [] } = {}) => {
+  const companyIds = accessControlService.listCompanyIds(companies);
+  if (companyIds.length === 0) {
+    accessControlService.assertPermission(req.access, 'user:manage', null);
+  }
+  companyIds.forEach((companyId) => {
+    accessControlService.assertPermission(req.access, 'user:manage', companyId);
+  });
+  accessControlService.assertCanGrantRoles(req.access, roles);
+};
+
+// Who am I and what may I do, overall or in one company
+router.get('/me/access', async (req, res) => {
+  try {
+    const companyId = req.query.companyId ? String(req.query.companyId) : null;
+    res.json({
+      success: true,
+      uid: req.access.uid,
+      roles: accessControlService.rolesFor(req.access, companyId),
+      permissions: accessControlService.listPermissions(req.access, companyId),
+      companies: req.access.companies,
+      allCompanies: req.access.allCompanies,
+    });
+  } catch (error) {
+    const status = mapServiceErrorToStatus(error);
+    res.status(status).json({ success: false, message: error.message || 'Failed to resolve access', code: error.code || 'internal' });
+  }
+});
+
 // Users
 router.get('/users', async (req, res) => {
   try {
@@ -33,8 +87,9 @@ router.get('/users', async (req, res) => {
     if (role) q = q.where('role', '==', role);
     const snap = await q.get();
     let users = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
-    if (companyId) {
-      users = users.filter((u) => Array.isArray(u.companies) && u.companies.includes(companyId));
+    const allowed = companyId ? [companyId] : accessControlService.allowedCompanyIds(req.access, 'user:manage');
+    if (allowed) {
+      users = users.filter((u) => accessControlService.listCompanyIds(u.companies).some((id) => allowed.includes(id)));
     }
     res.json({ success: true, users });
   } catch (error) {
@@ -49,12 +104,16 @@ router.post('/users/create', async (req, res) => {
     if (!email || !password || !name) {
       return res.status(400).json({ success: false, code: 'invalid-argument', message: 'email, password, name are required' });
     }
+    const normalizedCompanies = accessControlService.normalizeCompanyAssignments(Array.isArray(companies) ? companies : []);
+    assertCanManageUser(req, { companies: normalizedCompanies, roles: [role] });
+    authService.assertPasswordStrength(password);
     const created = await admin.auth().createUser({ email, password, displayName: name, photoURL });
+    await authService.setPassword(created.uid, password, { keepSessions: true });
     const userDoc = {
       name,
       email,
       role,
-      companies: Array.isArray(companies) ? companies : [],
+      companies: normalizedCompanies,
       photoURL: photoURL || null,
       createdAt: admin.firestore.FieldValue.serverTimestamp(),
       updatedAt: admin.firestore.FieldValue.serverTimestamp(),
@@ -71,6 +130,17 @@ router.post('/users/:uid/update', async (req, res) => {
   try {
     const { uid } = req.params;
     const { email, password, name, role, companies, photoURL, ...rest } = req.body || {};
+    const existing = await db.collection('users').doc(uid).get();
+    const normalizedCompanies = Array.isArray(companies)
+      ? accessControlService.normalizeCompanyAssignments(companies)
+      : undefined;
+    assertCanManageUser(req, {
+      companies: [...(existing.exists ? existing.data().companies || [] : []), ...(normalizedCompanies || [])],
+      roles: [role, rest.specialrole, ...(Array.isArray(rest.roles) ? rest.roles : [])],
+    });
+    if (password) {
+      authService.assertPasswordStrength(password);
+    }
     const authUpdate = {};
     if (email) authUpdate.email = email;
     if (password) authUpdate.password = password;
@@ -83,9 +153,15 @@ router.post('/users/:uid/update', async (req, res) => {
     if (email) docUpdate.email = email;
     if (name) docUpdate.name = name;
     if (role) docUpdate.role = role;
-    if (Array.isArray(companies)) docUpdate.companies = companies;
+    if (normalizedCompanies) docUpdate.companies = normalizedCompanies;
     if (photoURL !== undefined) docUpdate.photoURL = photoURL;
     await db.collection('users').doc(uid).set(docUpdate, { merge: true });
+    // A new password or a deactivated account ends the user's sessions
+    if (password) {
+      await authService.setPassword(uid, password);
+    } else if (rest.status === 'inactive') {
+      await authService.revokeAllSessions(uid, { reason: 'account-deactivated' });
+    }
     res.json({ success: true });
   } catch (error) {
     const status = mapServiceErrorToStatus(error);
@@ -93,11 +169,38 @@ router.post('/users/:uid/update', async (req, res) => {
   }
 });
 
+// Email an inactive user a fresh activation code; any earlier code stops working
+router.post('/users/:uid/send-activation', async (req, res) => {
+  try {
+    const { uid } = req.params;
+    const existing = await db.collection('users').doc(uid).get();
+    assertCanManageUser(req, { companies: existing.exists ? existing.data().companies || [] : [] });
+    const activation = await authService.issueActivationCode(uid);
+    const result = await notificationService.sendAccountActivation(activation);
+    await logActivitySafe({
+      module: 'admin',
+      action: 'USER_ACTIVATION_SENT',
+      entityType: 'user',
+      entityId: uid,
+      summary: `Sent activation code to ${activation.email}`,
+      metadata: { notificationId: result.id, status: result.status, expiresAt: activation.expiresAt },
+      context: buildActivityContext(req),
+    });
+    res.json({ success: true, notificationId: result.id, deliveryStatus: result.status, expiresAt: activation.expiresAt });
+  } catch (error) {
+    const status = mapServiceErrorToStatus(error);
+    res.status(status).json({ success: false, message: error.message || 'Failed to send activation code', code: error.code || 'internal' });
+  }
+});
+
 router.post('/users/:uid/delete', async (req, res) => {
   try {
     const { uid } = req.params;
+    const existing = await db.collection('users').doc(uid).get();
+    assertCanManageUser(req, { companies: existing.exists ? existing.data().companies || [] : [] });
     await admin.auth().deleteUser(uid);
     await db.collection('users').doc(uid).delete().catch(() => {});
+    await authService.revokeAllSessions(uid, { reason: 'user-deleted' });
     res.json({ success: true });
   } catch (error) {
     const status = mapServiceErrorToStatus(error);
@@ -109,7 +212,10 @@ router.post('/users/:uid/delete', async (req, res) => {
 router.get('/companies', async (req, res) => {
   try {
     const snap = await db.collection('companies').get();
-    const companies = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+    const allowed = accessControlService.allowedCompanyIds(req.access, 'company:view');
+    const companies = snap.docs
+      .filter((d) => !allowed || allowed.includes(d.id))
+      .map((d) => ({ id: d.id, ...d.data() }));
     res.json({ success: true, companies });
   } catch (error) {
     const status = mapServiceErrorToStatus(error);
@@ -135,6 +241,7 @@ router.post('/companies/create', async (req, res) => {
 router.post('/companies/:id/update', async (req, res) => {
   try {
     const { id } = req.params;
+    accessControlService.assertPermission(req.access, 'company:manage', id);
     const data = req.body || {};
     await db.collection('companies').doc(id).set({ ...data, updatedAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
     res.json({ success: true });
@@ -147,6 +254,7 @@ router.post('/companies/:id/update', async (req, res) => {
 router.post('/companies/:id/delete', async (req, res) => {
   try {
     const { id } = req.params;
+    accessControlService.assertPermission(req.access, 'company:manage', id);
     await db.collection('companies').doc(id).delete();
     res.json({ success: true });
   } catch (error) {
@@ -155,4 +263,78 @@ router.post('/companies/:id/delete', async (req, res) => {
   }
 });
 
+// Statutory contribution schedules (SSS, Pag-IBIG, PhilHealth)
+router.get('/contribution-schedules', async (req, res) => {
+  try {
+    const result = await contributionScheduleService.listContributionSchedules();
+    res.json(result);
+  } catch (error) {
+    const status = mapServiceErrorToStatus(error);
+    res.status(status).json({ success: false, message: error.message || 'Failed to list contribution schedules', code: error.code || 'internal' });
+  }
+});
+
+router.get('/contribution-schedules/effective', async (req, res) => {
+  try {
+    const schedule = await contributionScheduleService.getContributionSchedule(req.query.payDate);
+    res.json({ success: true, schedule });
+  } catch (error) {
+    const status = mapServiceErrorToStatus(error);
+    res.status(status).json({ success: false, message: error.message || 'Failed to resolve contribution schedule', code: error.code || 'internal' });
+  }
+});
+
+router.post('/contribution-schedules/publish', async (req, res) => {
+  try {
+    const user = req.user || {};
+    const result = await contributionScheduleService.publishContributionSchedule(req.body || {}, {
+      userId: user.uid || null,
+      email: user.email || null,
+    });
+
+    await logActivitySafe({
+      module: 'admin',
+      action: 'CONTRIBUTION_SCHEDULE_PUBLISHED',
+      entityType: 'contributionSchedule',
+      entityId: result.scheduleId,
+      summary: `Published contribution schedule effective ${result.schedule.effectiveDate}`,
+      metadata: {
+        effectiveDate: result.schedule.effectiveDate,
+        name: result.schedule.name || null,
+        circular: result.schedule.circular || null,
+      },
+      context: buildActivityContext(req),
+    });
+
+    res.status(201).json(result);
+  } catch (error) {
+    const status = mapServiceErrorToStatus(error);
+    res.status(status).json({ success: false, message: error.message || 'Failed to publish contribution schedule', code: error.code || 'internal', details: error.details || null });
+  }
+});
+
+router.post('/contribution-schedules/preview', async (req, res) => {
+  try {
+    const { companyId, payDate, cutoffStartDate, cutoffEndDate, schedule, scheduleId } = req.body || {};
+    if (!scheduleId && schedule) {
+      const errors = contributionScheduleService.validateContributionSchedule(schedule);
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, code: 'invalid-argument', message: errors.join('; ') });
+      }
+    }
+    const preview = await taxService.previewContributionScheduleImpact({
+      companyId,
+      payDate,
+      cutoffStartDate,
+      cutoffEndDate,
+      schedule,
+      scheduleId,
+    });
+    res.json({ success: true, preview });
+  } catch (error) {
+    const status = mapServiceErrorToStatus(error);
+    res.status(status).json({ success: false, message: error.message || 'Failed to preview contribution schedule', code: error.code || 'internal' });
+  }
+});
+
 module.exports = router;
@@ -1,8 +1,10 @@
 const express = require('express');
 const initializeFirebaseAdmin = require('../config/firebase');
 const multer = require('multer');
-const XLSX = require('xlsx');
 const { recordActivity } = require('../services/activityLogService');
+const attendanceService = require('../services/attendanceService');
+const biometricService = require('../services/biometricService');
+const attendanceImportService = require('../services/attendanceImportService');
 
 // Configure multer for file uploads
 const upload = multer({ storage: multer.memoryStorage() });
@@ -21,11 +23,31 @@ const logActivitySafe = async (payload = {}) => {
   }
 };
 
+const IMPORT_TRACE_FIELDS = ['source', 'importId', 'deviceUserId', 'punchCount', 'anomalies'];
+
 const buildActivityContext = (req) => ({
   user: req.user || null,
   request: req.activityContext || {},
 });
 
+const mapServiceErrorToStatus = (error) => {
+  switch (error && error.code) {
+    case 'invalid-argument':
+      return 400;
+    case 'not-found':
+      return 404;
+    case 'failed-precondition':
+      return 409;
+    default:
+      return 500;
+  }
+};
+
+const buildServiceOptions = (req) => ({
+  userId: req.user?.uid || null,
+  email: req.user?.email || null,
+});
+
 // ============================================================================
 // ATTENDANCE RECORDS CRUD ENDPOINTS
 // ============================================================================
@@ -56,8 +78,8 @@ router.post('/process', async (req, res) => {
     const employeeData = employeeDoc.data();
     const employeeName = `${employeeData.firstName} ${employeeData.lastName}`;
 
-    // Calculate time status
-    const timeStatus = calculateTimeStatus(timeIn, timeOut, employeeId);
+    // Calculate time status against the employee's schedule
+    const { fields: timeStatusFields } = await attendanceService.evaluateTimeRecord({ employeeId, date, timeIn, timeOut });
 
     // Create attendance record
     const attendanceRecord = {
@@ -69,12 +91,7 @@ router.post('/process', async (req, res) => {
       timeOut: timeOut || null,
       status,
       notes,
-      timeStatus: timeStatus.status,
-      timeStatusColor: timeStatus.color,
-      totalMinutesLate: timeStatus.totalMinutesLate || 0,
-      totalEarlyMinutes: timeStatus.totalEarlyMinutes || 0,
-      totalOvertimeMinutes: timeStatus.totalOvertimeMinutes || 0,
-      totalUndertimeMinutes: timeStatus.totalUndertimeMinutes || 0,
+      ...timeStatusFields,
       createdAt: admin.firestore.FieldValue.serverTimestamp(),
       updatedAt: admin.firestore.FieldValue.serverTimestamp()
     };
@@ -120,40 +137,6 @@ router.post('/process', async (req, res) => {
       context: buildActivityContext(req),
     });
 
-    await logActivitySafe({
-      module: 'hr',
-      action: 'ATTENDANCE_SUMMARY_GENERATED',
-      companyId,
-      entityType: 'company',
-      entityId: companyId,
-      summary: `Generated attendance summary for ${dateRange}`,
-      metadata: {
-        employeeId: employeeId || 'ALL',
-        department: department || null,
-        summaries: summaries.length,
-        records: records.length,
-        source: 'calculated',
-      },
-      context: buildActivityContext(req),
-    });
-
-    await logActivitySafe({
-      module: 'hr',
-      action: 'ATTENDANCE_SUMMARY_GENERATED',
-      companyId,
-      entityType: 'company',
-      entityId: companyId,
-      summary: `Generated attendance summary for ${dateRange}`,
-      metadata: {
-        employeeId: employeeId || 'ALL',
-        department: department || null,
-        summaries: summaries.length,
-        records: records.length,
-        source: 'calculated',
-      },
-      context: buildActivityContext(req),
-    });
-
     res.json({
       success: true,
       recordId,
@@ -200,7 +183,7 @@ async function processBulkAttendance(attendanceRecords) {
       const employeeData = employeeDoc.data();
       const employeeName = `${employeeData.firstName} ${employeeData.lastName}`;
 
-      const timeStatus = calculateTimeStatus(timeIn, timeOut, employeeId);
+      const { fields: timeStatusFields } = await attendanceService.evaluateTimeRecord({ employeeId, date, timeIn, timeOut });
 
       const attendanceRecord = {
         employeeId,
@@ -211,15 +194,17 @@ async function processBulkAttendance(attendanceRecords) {
         timeOut: timeOut || null,
         status,
         notes,
-        timeStatus: timeStatus.status,
-        timeStatusColor: timeStatus.color,
-        totalMinutesLate: timeStatus.totalMinutesLate || 0,
-        totalEarlyMinutes: timeStatus.totalEarlyMinutes || 0,
-        totalOvertimeMinutes: timeStatus.totalOvertimeMinutes || 0,
-        totalUndertimeMinutes: timeStatus.totalUndertimeMinutes || 0,
+        ...timeStatusFields,
         updatedAt: admin.firestore.FieldValue.serverTimestamp()
       };
 
+      // File imports keep where the record came from; punch logs also keep device details and anomaly flags
+      IMPORT_TRACE_FIELDS.forEach((field) => {
+        if (recordData[field] !== undefined) {
+          attendanceRecord[field] = recordData[field];
+        }
+      });
+
       const existingRecordQuery = db.collection('timeRecords')
         .where('employeeId', '==', employeeId)
         .where('date', '==', date)
@@ -469,15 +454,25 @@ router.post('/delete', async (req, res) => {
 // Calculate time status
 router.post('/calculate-time-status', async (req, res) => {
   try {
-    const { timeIn, timeOut, startTime, endTime, employeeId } = req.body;
+    const { timeIn, timeOut, startTime, endTime, employeeId, date } = req.body;
     
-    console.log('🔍 Calculating time status:', { timeIn, timeOut, startTime, endTime, employeeId });
+    console.log('🔍 Calculating time status:', { timeIn, timeOut, startTime, endTime, employeeId, date });
 
-    const timeStatus = calculateTimeStatus(timeIn, timeOut, employeeId, null, { startTime, endTime });
+    // An explicit start/end overrides the employee's stored schedule
+    const schedule = startTime && endTime ? { startTime, endTime } : undefined;
+    const { calculation, fields } = await attendanceService.evaluateTimeRecord(
+      { employeeId, date, timeIn, timeOut },
+      { schedule },
+    );
 
     res.json({
       success: true,
-      timeStatus
+      timeStatus: {
+        ...calculation,
+        ...fields,
+        status: fields.timeStatus,
+        color: fields.timeStatusColor,
+      }
     });
 
   } catch (error) {
@@ -489,6 +484,52 @@ router.post('/calculate-time-status', async (req, res) => {
   }
 });
 
+// Recompute stored time statuses and summaries for a date range
+router.post('/recompute', async (req, res) => {
+  try {
+    const { companyId, startDate, endDate, employeeId } = req.body;
+
+    console.log('🔍 Recomputing attendance:', { companyId, startDate, endDate, employeeId });
+
+    const result = await attendanceService.recomputeAttendance(
+      { companyId, startDate, endDate, employeeId },
+      buildServiceOptions(req),
+    );
+
+    await logActivitySafe({
+      module: 'hr',
+      action: 'ATTENDANCE_RECOMPUTED',
+      companyId,
+      entityType: employeeId ? 'employee' : 'company',
+      entityId: employeeId || companyId,
+      summary: `Recomputed ${result.recomputed} attendance records for ${startDate} to ${endDate}`,
+      metadata: {
+        startDate,
+        endDate,
+        employeeId: employeeId || 'ALL',
+        scanned: result.scanned,
+        recomputed: result.recomputed,
+        changed: result.changed,
+        skipped: result.skipped,
+        failures: result.errors.length,
+      },
+      context: buildActivityContext(req),
+    });
+
+    res.json({
+      ...result,
+      message: `Recomputed ${result.recomputed}/${result.scanned} attendance records`
+    });
+
+  } catch (error) {
+    console.error('❌ Error recomputing attendance:', error);
+    res.status(mapServiceErrorToStatus(error)).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // ============================================================================
 // SCHEDULE MANAGEMENT ENDPOINTS
 // ============================================================================
@@ -536,43 +577,39 @@ router.get('/schedules', async (req, res) => {
   }
 });
 
-// Save schedule
+// Save schedule (or a reusable shift template when isTemplate is set)
 router.post('/schedules', async (req, res) => {
   try {
-    const { employeeId, employeeName, companyId, startTime, endTime, effectiveDate } = req.body;
+    const { employeeId, employeeName, companyId, startTime, endTime, effectiveDate, isTemplate, templateId } = req.body;
     
-    console.log('🔍 Saving schedule:', { employeeId, employeeName, companyId, startTime, endTime, effectiveDate });
+    console.log('🔍 Saving schedule:', { employeeId, employeeName, companyId, startTime, endTime, effectiveDate, isTemplate, templateId });
 
-    if (!employeeId || !companyId || !startTime || !endTime || !effectiveDate) {
+    if (isTemplate) {
+      if (!companyId || !startTime || !endTime) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing required parameters: companyId, name, startTime, endTime'
+        });
+      }
+    } else if (!employeeId || !companyId || (!templateId && (!startTime || !endTime)) || !effectiveDate) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required parameters: employeeId, companyId, startTime, endTime, effectiveDate'
+        error: 'Missing required parameters: employeeId, companyId, startTime, endTime (or templateId), effectiveDate'
       });
     }
 
-    const scheduleData = {
-      employeeId,
-      employeeName,
-      companyId,
-      startTime,
-      endTime,
-      effectiveDate,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      updatedAt: admin.firestore.FieldValue.serverTimestamp()
-    };
-
-    const docRef = await db.collection('employeeSchedules').add(scheduleData);
-    console.log(`✅ Created schedule: ${docRef.id}`);
+    const result = await attendanceService.saveSchedule(req.body, buildServiceOptions(req));
+    console.log(`✅ Saved schedule: ${result.scheduleId}`);
 
     res.json({
       success: true,
-      scheduleId: docRef.id,
-      message: 'Schedule saved successfully'
+      scheduleId: result.scheduleId,
+      message: isTemplate ? 'Shift template saved successfully' : 'Schedule saved successfully'
     });
 
   } catch (error) {
     console.error('❌ Error saving schedule:', error);
-    res.status(500).json({
+    res.status(mapServiceErrorToStatus(error)).json({
       success: false,
       error: error.message
     });
@@ -634,112 +671,9 @@ router.post('/schedules/delete', async (req, res) => {
 });
 
 // ============================================================================
-// HELPER FUNCTIONS
+// ATTENDANCE REPORT ENDPOINTS
 // ============================================================================
 
-// Calculate time status for attendance records
-function calculateTimeStatus(timeIn, timeOut, employeeId, attendanceStatus = null, recordSchedule = null) {
-  // This is a simplified version - you can expand this based on your business logic
-  if (!timeIn) {
-    return {
-      status: 'No Time In',
-      color: 'red',
-      totalMinutesLate: 0,
-      totalEarlyMinutes: 0,
-      totalOvertimeMinutes: 0,
-      totalUndertimeMinutes: 0
-    };
-  }
-
-  if (!timeOut) {
-    return {
-      status: 'No Time Out',
-      color: 'orange',
-      totalMinutesLate: 0,
-      totalEarlyMinutes: 0,
-      totalOvertimeMinutes: 0,
-      totalUndertimeMinutes: 0
-    };
-  }
-
-  // Default schedule if not provided
-  const schedule = recordSchedule || { startTime: '09:00', endTime: '17:00' };
-  
-  const startTime = schedule.startTime || '09:00';
-  const endTime = schedule.endTime || '17:00';
-
-  // Convert times to minutes for easier calculation
-  const timeInMinutes = convertTimeToMinutes(timeIn);
-  const timeOutMinutes = convertTimeToMinutes(timeOut);
-  const startTimeMinutes = convertTimeToMinutes(startTime);
-  const endTimeMinutes = convertTimeToMinutes(endTime);
-
-  let status = 'Present';
-  let color = 'green';
-  let totalMinutesLate = 0;
-  let totalEarlyMinutes = 0;
-  let totalOvertimeMinutes = 0;
-  let totalUndertimeMinutes = 0;
-
-  // Check if late
-  if (timeInMinutes > startTimeMinutes) {
-    totalMinutesLate = timeInMinutes - startTimeMinutes;
-    status = 'Late';
-    color = 'orange';
-  }
-
-  // Check if early departure
-  if (timeOutMinutes < endTimeMinutes) {
-    totalEarlyMinutes = endTimeMinutes - timeOutMinutes;
-    if (status === 'Late') {
-      status = 'Late & Early';
-    } else {
-      status = 'Early';
-    }
-    color = 'orange';
-  }
-
-  // Check for overtime
-  if (timeOutMinutes > endTimeMinutes) {
-    totalOvertimeMinutes = timeOutMinutes - endTimeMinutes;
-    if (status === 'Late') {
-      status = 'Late & Overtime';
-    } else if (status === 'Early') {
-      status = 'Early & Overtime';
-    } else {
-      status = 'Overtime';
-    }
-    color = 'purple';
-  }
-
-  return {
-    status,
-    color,
-    totalMinutesLate,
-    totalEarlyMinutes,
-    totalOvertimeMinutes,
-    totalUndertimeMinutes
-  };
-}
-
-// Convert time string to minutes
-function convertTimeToMinutes(timeString) {
-  if (!timeString) return 0;
-  
-  // Handle ISO format (e.g., "2025-08-13T09:30:00")
-  if (timeString.includes('T')) {
-    const timePart = timeString.split('T')[1];
-    const [hours, minutes] = timePart.split(':').map(Number);
-    return hours * 60 + minutes;
-  }
-  
-  // Handle simple format (e.g., "09:30")
-  const [hours, minutes] = timeString.split(':').map(Number);
-  return hours * 60 + minutes;
-}
-
-// Generate attendance report/summary from raw timeRecords data
-
 // Generate attendance report/summary from raw timeRecords data
 router.post('/report', async (req, res) => {
   try {
@@ -1361,121 +1295,192 @@ router.delete('/deleteAttendanceSummaries', async (req, res) => {
 
 module.exports = router;
 
-// Helper function to parse Excel/CSV and extract attendance records
-async function parseAttendanceFile(fileBuffer, companyId) {
+// Import attendance data from CSV/XLSX file in one step; rows that fail validation are reported, not imported
+router.post('/import', upload.single('file'), async (req, res) => {
   try {
-    const workbook = XLSX.read(fileBuffer, { type: 'buffer', cellDates: true });
-    const sheetName = workbook.SheetNames[0];
-    const sheet = workbook.Sheets[sheetName];
-    
-    // Get headers and normalize them
-    const headers = XLSX.utils.sheet_to_json(sheet, { header: 1 })[0];
-    console.log('File headers found:', headers);
-
-    const normalizedHeaders = headers.reduce((acc, header) => {
-      const normalized = header.trim().toLowerCase();
-      acc[normalized] = header;
-      return acc;
-    }, {});
-
-    const headerMapping = {
-      employeeId: normalizedHeaders['employee id'],
-      employeeName: normalizedHeaders['employee name'],
-      department: normalizedHeaders['department'],
-      position: normalizedHeaders['position'],
-      date: normalizedHeaders['date'],
-      status: normalizedHeaders['status'],
-      timeIn: normalizedHeaders['time in'],
-      timeOut: normalizedHeaders['time out'],
-      notes: normalizedHeaders['notes'],
-    };
+    const { companyId } = req.body;
+    const file = req.file;
 
-    if (!headerMapping.employeeId || !headerMapping.date) {
-      throw new Error('Missing required columns. Ensure "Employee ID" and "Date" columns exist.');
+    if (!file) {
+      return res.status(400).json({ success: false, error: 'No file uploaded.' });
+    }
+    if (!companyId) {
+      return res.status(400).json({ success: false, error: 'Missing companyId.' });
     }
 
-    const jsonData = XLSX.utils.sheet_to_json(sheet);
-
-    const records = jsonData.map((row, index) => {
-      const employeeId = row[headerMapping.employeeId];
-      if (!employeeId) {
-        console.warn(`Skipping row ${index + 2} due to missing Employee ID.`);
-        return null;
-      }
+    const parsed = await attendanceImportService.parseImportFile(file.buffer, req.body);
+    if (parsed.mappingErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Could not map the file columns: ${parsed.mappingErrors.join(', ')}`,
+        headers: parsed.headers,
+        suggestedMapping: parsed.suggestedMapping,
+      });
+    }
 
-      let date = row[headerMapping.date];
-      try {
-        if (date instanceof Date) {
-          // Format date to YYYY-MM-DD
-          date = date.toISOString().slice(0, 10);
-        } else {
-          // Handle numeric Excel dates
-          const excelDate = Number(date);
-          if (!isNaN(excelDate)) {
-            date = new Date(Math.round((excelDate - 25569) * 86400 * 1000)).toISOString().slice(0, 10);
-          } else if (typeof date === 'string' && /\d{4}-\d{2}-\d{2}/.test(date)) {
-            // Date is already in the correct format
-          } else {
-            throw new Error(`Invalid date format in row ${index + 2}. Expected YYYY-MM-DD or Excel date format.`);
-          }
-        }
-      } catch (e) {
-        console.error(`Error parsing date in row ${index + 2}:`, e);
-        throw new Error(`Error parsing date in row ${index + 2}. Please use YYYY-MM-DD format.`);
-      }
+    const records = parsed.records.map(({ line, ...record }) => ({ ...record, companyId, source: 'import' }));
+    const { successCount, errors } = records.length > 0
+      ? await processBulkAttendance(records)
+      : { successCount: 0, errors: [] };
 
-      return {
-        employeeId: String(employeeId),
-        employeeName: row[headerMapping.employeeName] || '',
-        department: row[headerMapping.department] || '',
-        position: row[headerMapping.position] || '',
-        date: date,
-        status: row[headerMapping.status] || 'Present',
-        timeIn: row[headerMapping.timeIn] || '',
-        timeOut: row[headerMapping.timeOut] || '',
-        notes: row[headerMapping.notes] || '',
-        companyId: companyId,
-      };
-    }).filter(record => record !== null);
+    res.json({
+      success: true,
+      message: `Successfully imported ${successCount} attendance records.`,
+      importedCount: successCount,
+      rejected: parsed.rejected.map(({ cells, ...rest }) => rest),
+      errors: errors,
+    });
 
-    return records;
   } catch (error) {
-    console.error('Error parsing attendance file:', error);
-    throw new Error('Failed to parse the uploaded file. Please check the file format and column headers.');
+    console.error('❌ Error importing attendance data:', error);
+    res.status(mapServiceErrorToStatus(error)).json({ success: false, error: error.message });
   }
-}
+});
 
-// Import attendance data from CSV/XLSX file
-router.post('/import', upload.single('file'), async (req, res) => {
+// Step 1: upload a file and get detected columns, the suggested mapping, row errors and duplicates
+router.post('/import/preview', upload.single('file'), async (req, res) => {
   try {
-    const { companyId } = req.body;
     const file = req.file;
-
     if (!file) {
       return res.status(400).json({ success: false, error: 'No file uploaded.' });
     }
-    if (!companyId) {
-      return res.status(400).json({ success: false, error: 'Missing companyId.' });
-    }
 
-    const records = await parseAttendanceFile(file.buffer, companyId);
+    const preview = await attendanceImportService.previewImport(
+      file.buffer,
+      { ...req.body, fileName: file.originalname },
+      buildServiceOptions(req),
+    );
+
+    await logActivitySafe({
+      module: 'hr',
+      action: 'ATTENDANCE_IMPORT_PREVIEWED',
+      companyId: req.body.companyId,
+      entityType: 'attendanceImport',
+      entityId: preview.importId,
+      summary: `Previewed attendance import ${file.originalname || preview.importId}`,
+      metadata: { fileName: file.originalname || null, ...preview.totals },
+      context: buildActivityContext(req),
+    });
+
+    res.json(preview);
+  } catch (error) {
+    console.error('❌ Error previewing attendance import:', error);
+    res.status(mapServiceErrorToStatus(error)).json({ success: false, error: error.message, details: error.details });
+  }
+});
 
-    const { successCount, errors } = await processBulkAttendance(records);
+// Step 2: commit a previewed import with its saved (or an adjusted) mapping
+router.post('/import/:importId/commit', async (req, res) => {
+  let claimed = false;
+  try {
+    const { companyId, presetName } = req.body;
+    const prepared = await attendanceImportService.prepareImportCommit(
+      { ...req.body, importId: req.params.importId },
+      buildServiceOptions(req),
+    );
+    claimed = true;
+
+    const { successCount, errors } = prepared.records.length > 0
+      ? await processBulkAttendance(prepared.records)
+      : { successCount: 0, errors: [] };
+
+    const { preset } = await attendanceImportService.completeImportCommit({
+      importData: prepared.importData,
+      rejected: prepared.rejected,
+      skipped: prepared.skipped,
+      successCount,
+      writeErrors: errors,
+      presetName,
+    }, buildServiceOptions(req));
+    claimed = false;
+
+    await logActivitySafe({
+      module: 'hr',
+      action: 'ATTENDANCE_IMPORT_COMMITTED',
+      companyId,
+      entityType: 'attendanceImport',
+      entityId: req.params.importId,
+      summary: `Imported ${successCount} attendance records from ${prepared.importData.fileName || req.params.importId}`,
+      metadata: {
+        imported: successCount,
+        rejected: prepared.rejected.length + errors.length,
+        skipped: prepared.skipped.length,
+        onDuplicate: prepared.onDuplicate,
+        presetId: preset ? preset.presetId : null,
+      },
+      context: buildActivityContext(req),
+    });
 
     res.json({
       success: true,
+      importId: req.params.importId,
       message: `Successfully imported ${successCount} attendance records.`,
       importedCount: successCount,
-      errors: errors,
+      rejected: prepared.rejected,
+      skipped: prepared.skipped,
+      errors,
+      presetId: preset ? preset.presetId : null,
     });
+  } catch (error) {
+    console.error('❌ Error committing attendance import:', error);
+    if (claimed) {
+      await attendanceImportService.releaseImportCommit(req.params.importId)
+        .catch((releaseError) => console.error('Failed to release attendance import commit:', releaseError));
+    }
+    res.status(mapServiceErrorToStatus(error)).json({ success: false, error: error.message, details: error.details });
+  }
+});
 
+// Download the rejected rows of an import as CSV
+router.get('/import/:importId/errors.csv', async (req, res) => {
+  try {
+    const report = await attendanceImportService.buildErrorReport({
+      companyId: req.query.companyId,
+      importId: req.params.importId,
+    });
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${report.fileName.replace(/"/g, '')}"`);
+    res.send(report.csv);
   } catch (error) {
-    console.error('❌ Error importing attendance data:', error);
-    res.status(500).json({ success: false, error: error.message });
+    console.error('❌ Error building attendance import error report:', error);
+    res.status(mapServiceErrorToStatus(error)).json({ success: false, error: error.message });
   }
 });
 
-// Upload biometric data from Excel file
+// List column mapping presets for a company
+router.get('/import-presets', async (req, res) => {
+  try {
+    const result = await attendanceImportService.listPresets({ companyId: req.query.companyId });
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Error listing attendance import presets:', error);
+    res.status(mapServiceErrorToStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+// Save a column mapping preset ({ companyId, name, mapping, dateFormat? })
+router.post('/import-presets', async (req, res) => {
+  try {
+    const result = await attendanceImportService.savePreset(req.body, buildServiceOptions(req));
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Error saving attendance import preset:', error);
+    res.status(mapServiceErrorToStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+// Delete a column mapping preset
+router.post('/import-presets/delete', async (req, res) => {
+  try {
+    const result = await attendanceImportService.deletePreset(req.body);
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Error deleting attendance import preset:', error);
+    res.status(mapServiceErrorToStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+// Upload a biometric export: raw punch logs (ZKTeco attlog/CSV) or a tidy attendance sheet
 router.post('/biometric-upload', upload.single('file'), async (req, res) => {
   try {
     const { companyId } = req.body;
@@ -1488,25 +1493,117 @@ router.post('/biometric-upload', upload.single('file'), async (req, res) => {
       return res.status(400).json({ success: false, error: 'Missing companyId.' });
     }
 
-    // Assuming biometric data has a similar structure for now, or can be adapted
-    const records = await parseAttendanceFile(file.buffer, companyId); // Re-using for now
+    if (biometricService.detectFormat(file.buffer) === 'attendance-sheet') {
+      const parsed = await attendanceImportService.parseImportFile(file.buffer, { companyId });
+      const records = parsed.records.map(({ line, ...record }) => ({ ...record, companyId, source: 'biometric' }));
+      const { successCount, errors } = records.length > 0
+        ? await processBulkAttendance(records)
+        : { successCount: 0, errors: [] };
+      return res.json({
+        success: true,
+        format: 'attendance-sheet',
+        message: `Successfully uploaded ${successCount} biometric records.`,
+        uploadedCount: successCount,
+        rejected: parsed.rejected.map(({ cells, ...rest }) => rest),
+        errors: errors,
+      });
+    }
 
-    const { successCount, errors } = await processBulkAttendance(records);
+    const punchLog = await biometricService.buildAttendanceFromPunchLog(file.buffer, { companyId });
+    const { successCount, errors } = punchLog.records.length > 0
+      ? await processBulkAttendance(punchLog.records)
+      : { successCount: 0, errors: [] };
+
+    await logActivitySafe({
+      module: 'hr',
+      action: 'ATTENDANCE_BIOMETRIC_UPLOADED',
+      companyId,
+      entityType: 'company',
+      entityId: companyId,
+      summary: `Imported ${successCount} attendance records from biometric punch log ${file.originalname || ''}`.trim(),
+      metadata: {
+        format: punchLog.format,
+        fileName: file.originalname || null,
+        sessions: punchLog.sessions.length,
+        uploaded: successCount,
+        anomalies: punchLog.anomalyCount,
+        unmappedUsers: punchLog.unmapped.length,
+        parseErrors: punchLog.errors.length,
+      },
+      context: buildActivityContext(req),
+    });
 
     res.json({
       success: true,
+      format: punchLog.format,
       message: `Successfully uploaded ${successCount} biometric records.`,
       uploadedCount: successCount,
+      anomalyCount: punchLog.anomalyCount,
+      sessions: punchLog.sessions,
+      unmapped: punchLog.unmapped,
+      parseErrors: punchLog.errors,
       errors: errors,
     });
 
   } catch (error) {
     console.error('❌ Error uploading biometric data:', error);
-    res.status(500).json({ success: false, error: error.message });
+    res.status(mapServiceErrorToStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+// List device user number -> employee mappings
+router.get('/device-users', async (req, res) => {
+  try {
+    const result = await biometricService.listDeviceUsers({ companyId: req.query.companyId });
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Error listing biometric device users:', error);
+    res.status(mapServiceErrorToStatus(error)).json({ success: false, error: error.message });
   }
 });
 
+// Save device user mappings ({ companyId, mappings: [{ deviceUserId, employeeId, deviceId? }] })
+router.post('/device-users', async (req, res) => {
+  try {
+    const result = await biometricService.saveDeviceUsers(req.body, buildServiceOptions(req));
+
+    await logActivitySafe({
+      module: 'hr',
+      action: 'BIOMETRIC_DEVICE_USERS_SAVED',
+      companyId: req.body.companyId,
+      entityType: 'company',
+      entityId: req.body.companyId,
+      summary: `Saved ${result.saved.length} biometric device user mappings`,
+      metadata: { mappings: result.saved },
+      context: buildActivityContext(req),
+    });
 
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Error saving biometric device users:', error);
+    res.status(mapServiceErrorToStatus(error)).json({ success: false, error: error.message, details: error.details });
+  }
+});
 
+// Delete a device user mapping
+router.post('/device-users/delete', async (req, res) => {
+  try {
+    const result = await biometricService.deleteDeviceUser(req.body);
 
+    await logActivitySafe({
+      module: 'hr',
+      action: 'BIOMETRIC_DEVICE_USER_DELETED',
+      companyId: req.body.companyId,
+      entityType: 'company',
+      entityId: req.body.companyId,
+      summary: `Removed biometric device user ${req.body.deviceUserId} mapping`,
+      metadata: { deviceUserId: req.body.deviceUserId, deviceId: req.body.deviceId || null },
+      context: buildActivityContext(req),
+    });
 
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Error deleting biometric device user:', error);
+    res.status(mapServiceErrorToStatus(error)).json({ success: false, error: error.message });
+  }
+});
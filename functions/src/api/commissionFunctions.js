@@ -1,9 +1,285 @@
 const express = require('express');
+const { recordActivity } = require('../services/activityLogService');
+const commissionService = require('../services/commissionService');
+const commissionPlanService = require('../services/commissionPlanService');
+
 const router = express.Router();
 
-// Basic commission functions - placeholder implementation
+const mapServiceErrorToStatus = (error) => {
+  switch (error?.code) {
+    case 'invalid-argument':
+      return 400;
+    case 'not-found':
+      return 404;
+    case 'permission-denied':
+      return 403;
+    case 'failed-precondition':
+      return 409;
+    default:
+      return 500;
+  }
+};
+
+const buildServiceOptions = (req) => ({
+  userId: req.user?.uid || null,
+  email: req.user?.email || null,
+  context: req.user?.token
+    ? { auth: { uid: req.user.uid, token: req.user.token } }
+    : undefined,
+});
+
+const logActivitySafe = async (payload = {}) => {
+  try {
+    await recordActivity(payload);
+  } catch (error) {
+    console.error('Failed to record commission activity log:', error);
+  }
+};
+
+const buildActivityContext = (req) => ({
+  user: req.user || null,
+  request: req.activityContext || {},
+});
+
+const sendError = (res, error, fallbackMessage) => {
+  console.error(`❌ ${fallbackMessage}:`, error);
+  res.status(mapServiceErrorToStatus(error)).json({
+    success: false,
+    error: error.message || fallbackMessage,
+    code: error.code || null,
+    details: error.details,
+  });
+};
+
+const logTransition = (req, action, verb, result) => logActivitySafe({
+  module: 'finance',
+  action,
+  companyId: req.body.companyId,
+  entityType: 'commission',
+  entityId: result.count === 1 ? result.commissions[0].id : null,
+  summary: `${verb} ${result.count} commission${result.count === 1 ? '' : 's'} totalling ${result.totalAmount}`,
+  metadata: {
+    commissionIds: result.commissions.map((commission) => commission.id),
+    totalAmount: result.totalAmount,
+    reason: req.body.reason || null,
+    payout: result.commissions[0]?.payout || null,
+  },
+  context: buildActivityContext(req),
+});
+
 router.get('/health', (req, res) => {
   res.json({ status: 'OK', message: 'Commission functions module loaded' });
 });
 
+// List commissions with filters (personType, personId, type, status, commissionKind, startDate, endDate) and pagination
+router.get('/', async (req, res) => {
+  try {
+    const result = await commissionService.listCommissions(req.query);
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to list commissions');
+  }
+});
+
+// Calculate commissions without saving them
+router.post('/preview', async (req, res) => {
+  try {
+    const result = await commissionService.calculateCommissions(
+      { ...req.body, preview: true },
+      buildServiceOptions(req),
+    );
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'Failed to preview commissions');
+  }
+});
+
+// Calculate and save commissions; saved commissions start pending approval
+router.post('/', async (req, res) => {
+  try {
+    const result = await commissionService.calculateCommissions(
+      { ...req.body, preview: false, save: true },
+      buildServiceOptions(req),
+    );
+
+    await logActivitySafe({
+      module: 'finance',
+      action: 'COMMISSIONS_CALCULATED',
+      companyId: result.companyId,
+      entityType: 'commission',
+      entityId: result.count === 1 ? result.records[0].id : null,
+      summary: `Saved ${result.count} commission${result.count === 1 ? '' : 's'} totalling ${result.totalAmount}`,
+      metadata: {
+        commissionIds: result.records.map((record) => record.id),
+        totalAmount: result.totalAmount,
+        removedOverrideIds: result.removedOverrideIds,
+      },
+      context: buildActivityContext(req),
+    });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'Failed to save commissions');
+  }
+});
+
+// Approve pending commissions
+router.post('/approve', async (req, res) => {
+  try {
+    const result = await commissionService.reviewCommissions(
+      { ...req.body, decision: 'approve' },
+      buildServiceOptions(req),
+    );
+    await logTransition(req, 'COMMISSIONS_APPROVED', 'Approved', result);
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to approve commissions');
+  }
+});
+
+// Reject pending commissions (reason required)
+router.post('/reject', async (req, res) => {
+  try {
+    const result = await commissionService.reviewCommissions(
+      { ...req.body, decision: 'reject' },
+      buildServiceOptions(req),
+    );
+    await logTransition(req, 'COMMISSIONS_REJECTED', 'Rejected', result);
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to reject commissions');
+  }
+});
+
+// Void commissions that have not been paid (reason required)
+router.post('/void', async (req, res) => {
+  try {
+    const result = await commissionService.voidCommissions(req.body, buildServiceOptions(req));
+    await logTransition(req, 'COMMISSIONS_VOIDED', 'Voided', result);
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to void commissions');
+  }
+});
+
+// Mark approved commissions as paid by a payroll ({ companyId, commissionIds, payrollRunId | payrollId, reference? })
+router.post('/payout', async (req, res) => {
+  try {
+    const result = await commissionService.payoutCommissions(req.body, buildServiceOptions(req));
+    await logTransition(req, 'COMMISSIONS_PAID', 'Paid out', result);
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to record commission payout');
+  }
+});
+
+// List commission plans for a company
+router.get('/plans', async (req, res) => {
+  try {
+    const result = await commissionPlanService.listPlans(req.query);
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to list commission plans');
+  }
+});
+
+// Create or update a tiered commission plan
+router.post('/plans', async (req, res) => {
+  try {
+    const result = await commissionPlanService.savePlan(req.body, buildServiceOptions(req));
+    await logActivitySafe({
+      module: 'finance',
+      action: 'COMMISSION_PLAN_SAVED',
+      companyId: req.body.companyId,
+      entityType: 'commissionPlan',
+      entityId: result.planId,
+      summary: `Saved commission plan ${result.plan.name} with ${result.plan.tiers.length} tier${result.plan.tiers.length === 1 ? '' : 's'}`,
+      metadata: { plan: result.plan },
+      context: buildActivityContext(req),
+    });
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to save commission plan');
+  }
+});
+
+router.post('/plans/delete', async (req, res) => {
+  try {
+    const result = await commissionPlanService.deletePlan(req.body);
+    await logActivitySafe({
+      module: 'finance',
+      action: 'COMMISSION_PLAN_DELETED',
+      companyId: req.body.companyId,
+      entityType: 'commissionPlan',
+      entityId: req.body.planId,
+      summary: `Deleted commission plan ${req.body.planId}`,
+      context: buildActivityContext(req),
+    });
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to delete commission plan');
+  }
+});
+
+// Assign a plan, monthly target and supervisor to an employee or agent
+router.post('/plans/assign', async (req, res) => {
+  try {
+    const result = await commissionPlanService.assignPlan(req.body, buildServiceOptions(req));
+    await logActivitySafe({
+      module: 'finance',
+      action: 'COMMISSION_PLAN_ASSIGNED',
+      companyId: req.body.companyId,
+      entityType: result.personType,
+      entityId: result.personId,
+      summary: result.planId
+        ? `Assigned commission plan ${result.planId} to ${result.personType} ${result.personId}`
+        : `Cleared commission plan for ${result.personType} ${result.personId}`,
+      metadata: {
+        planId: result.planId,
+        monthlyTarget: req.body.monthlyTarget ?? null,
+        supervisorId: req.body.supervisorId ?? null,
+      },
+      context: buildActivityContext(req),
+    });
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to assign commission plan');
+  }
+});
+
+// Claw back commission on a refunded sale ({ companyId, commissionId, refundDate, refundAmount?, reason })
+router.post('/clawback', async (req, res) => {
+  try {
+    const result = await commissionService.clawbackCommission(req.body, buildServiceOptions(req));
+    await logActivitySafe({
+      module: 'finance',
+      action: 'COMMISSIONS_CLAWED_BACK',
+      companyId: req.body.companyId,
+      entityType: 'commission',
+      entityId: result.commissionId,
+      summary: `Clawed back ${result.totalAmount} on commission ${result.commissionId}`,
+      metadata: {
+        clawbackIds: result.clawbacks.map((entry) => entry.id),
+        refundAmount: req.body.refundAmount ?? null,
+        refundedAmount: result.refundedAmount,
+        reason: req.body.reason || null,
+      },
+      context: buildActivityContext(req),
+    });
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to claw back commission');
+  }
+});
+
+// Get a single commission
+router.get('/:commissionId', async (req, res) => {
+  try {
+    const commission = await commissionService.getCommission(req.query.companyId, req.params.commissionId);
+    res.json({ success: true, commission });
+  } catch (error) {
+    sendError(res, error, 'Failed to load commission');
+  }
+});
+
 module.exports = router;
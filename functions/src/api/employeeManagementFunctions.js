@@ -1,9 +1,557 @@
 const express = require('express');
+const multer = require('multer');
+const { recordActivity } = require('../services/activityLogService');
+const employeeManagementService = require('../services/employeeManagementService');
+const compensationService = require('../services/compensationService');
+const employeeImportService = require('../services/employeeImportService');
+const separationService = require('../services/separationService');
+
+// Configure multer for file uploads
+const MAX_IMPORT_FILE_MB = 10;
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_FILE_MB * 1024 * 1024 },
+});
+
+// Answer an oversized upload with 413 instead of the generic error page
+const receiveFile = (req, res, next) => upload.single('file')(req, res, (error) => {
+  if (error?.code === 'LIMIT_FILE_SIZE') {
+    return res.status(413).json({
+      success: false,
+      error: `The file is larger than ${MAX_IMPORT_FILE_MB} MB.`,
+      code: 'invalid-argument',
+    });
+  }
+  return next(error);
+});
+
 const router = express.Router();
 
-// Basic employee management functions - placeholder implementation
+const mapServiceErrorToStatus = (error) => {
+  switch (error?.code) {
+    case 'invalid-argument':
+      return 400;
+    case 'not-found':
+      return 404;
+    case 'permission-denied':
+      return 403;
+    case 'failed-precondition':
+      return 409;
+    default:
+      return 500;
+  }
+};
+
+const logActivitySafe = async (payload = {}) => {
+  try {
+    await recordActivity(payload);
+  } catch (error) {
+    console.error('Failed to record employee activity log:', error);
+  }
+};
+
+const buildActivityContext = (req) => ({
+  user: req.user || null,
+  request: req.activityContext || {},
+});
+
+const sendError = (res, error, fallbackMessage) => {
+  console.error(`❌ ${fallbackMessage}:`, error);
+  res.status(mapServiceErrorToStatus(error)).json({
+    success: false,
+    error: error.message || fallbackMessage,
+    code: error.code || null,
+    details: error.details,
+  });
+};
+
+// Every route is scoped to one company, taken from the query string or the body
+const resolveCompanyId = (req) => {
+  const companyId = String(req.query.companyId || req.body?.companyId || '').trim();
+  if (!companyId) {
+    const error = new Error('companyId is required.');
+    error.code = 'invalid-argument';
+    throw error;
+  }
+  return companyId;
+};
+
+const buildServiceOptions = (req, companyId) => ({
+  userId: req.user?.uid || null,
+  email: req.user?.email || null,
+  companyId,
+});
+
+const buildListOptions = (query = {}) => ({
+  pageSize: query.pageSize || query.limit,
+  pageNumber: query.page || query.pageNumber,
+  status: query.status || undefined,
+  department: query.department || undefined,
+  searchTerm: query.search || query.q || undefined,
+});
+
 router.get('/health', (req, res) => {
   res.json({ status: 'OK', message: 'Employee management functions module loaded' });
 });
 
+// List employees (?companyId, page, pageSize, status, department, search by name, ID number or department)
+router.get('/', async (req, res) => {
+  try {
+    const companyId = resolveCompanyId(req);
+    const result = await employeeManagementService.listEmployees(companyId, buildListOptions(req.query));
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to list employees');
+  }
+});
+
+// Create an employee
+router.post('/', async (req, res) => {
+  try {
+    const companyId = resolveCompanyId(req);
+    const result = await employeeManagementService.createEmployee(
+      { ...req.body, companyId },
+      buildServiceOptions(req, companyId),
+    );
+
+    await logActivitySafe({
+      module: 'hr',
+      action: 'EMPLOYEE_CREATED',
+      companyId,
+      entityType: 'employee',
+      entityId: result.employeeId,
+      summary: `Created employee ${result.employee.employeeName}`,
+      metadata: {
+        department: result.employee.department || null,
+        position: result.employee.position || null,
+      },
+      context: buildActivityContext(req),
+    });
+
+    res.status(201).json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to create employee');
+  }
+});
+
+// List soft-deleted employees in the recycle bin
+router.get('/recycle-bin', async (req, res) => {
+  try {
+    const companyId = resolveCompanyId(req);
+    const result = await employeeManagementService.listDeletedEmployees(companyId, buildListOptions(req.query));
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to list deleted employees');
+  }
+});
+
+// Restore an employee from the recycle bin
+router.post('/recycle-bin/:employeeId/restore', async (req, res) => {
+  try {
+    const companyId = resolveCompanyId(req);
+    const result = await employeeManagementService.restoreEmployee(
+      req.params.employeeId,
+      buildServiceOptions(req, companyId),
+    );
+
+    await logActivitySafe({
+      module: 'hr',
+      action: 'EMPLOYEE_RESTORED',
+      companyId,
+      entityType: 'employee',
+      entityId: result.employeeId,
+      summary: `Restored employee ${result.employee.employeeName} from the recycle bin`,
+      context: buildActivityContext(req),
+    });
+
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to restore employee');
+  }
+});
+
+// Delete several employees ({ companyId, employeeIds, reason?, hardDelete? })
+router.post('/bulk-delete', async (req, res) => {
+  try {
+    const companyId = resolveCompanyId(req);
+    const result = await employeeManagementService.bulkDeleteEmployees(
+      req.body.employeeIds,
+      { reason: req.body.reason, hardDelete: req.body.hardDelete === true },
+      buildServiceOptions(req, companyId),
+    );
+
+    if (result.successful > 0) {
+      await logActivitySafe({
+        module: 'hr',
+        action: req.body.hardDelete === true ? 'EMPLOYEES_PURGED' : 'EMPLOYEES_DELETED',
+        companyId,
+        entityType: 'employee',
+        summary: `${req.body.hardDelete === true ? 'Permanently deleted' : 'Moved to recycle bin'} ${result.successful} employee${result.successful === 1 ? '' : 's'}`,
+        metadata: {
+          employeeIds: result.results.map((entry) => entry.employeeId),
+          failed: result.failed,
+          reason: req.body.reason || null,
+        },
+        context: buildActivityContext(req),
+      });
+    }
+
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to bulk delete employees');
+  }
+});
+
+// Step 1 of onboarding from a masterlist: map columns and validate every row without creating anyone
+router.post('/import/preview', receiveFile, async (req, res) => {
+  try {
+    const companyId = resolveCompanyId(req);
+    const file = req.file;
+    if (!file) {
+      return res.status(400).json({ success: false, error: 'No file uploaded.' });
+    }
+
+    const preview = await employeeImportService.previewImport(
+      file.buffer,
+      { ...req.body, companyId, fileName: file.originalname },
+      buildServiceOptions(req, companyId),
+    );
+
+    await logActivitySafe({
+      module: 'hr',
+      action: 'EMPLOYEE_IMPORT_PREVIEWED',
+      companyId,
+      entityType: 'employeeImport',
+      entityId: preview.importId,
+      summary: `Previewed employee import ${file.originalname || preview.importId}`,
+      metadata: { fileName: file.originalname || null, ...preview.totals },
+      context: buildActivityContext(req),
+    });
+
+    res.json(preview);
+  } catch (error) {
+    sendError(res, error, 'Failed to preview employee import');
+  }
+});
+
+// Step 2: create the valid rows of a previewed import ({ companyId, mapping?, dateFormat? })
+router.post('/import/:importId/commit', async (req, res) => {
+  try {
+    const companyId = resolveCompanyId(req);
+    const result = await employeeImportService.commitImport(
+      { ...req.body, companyId, importId: req.params.importId },
+      buildServiceOptions(req, companyId),
+    );
+
+    await logActivitySafe({
+      module: 'hr',
+      action: 'EMPLOYEE_IMPORT_COMMITTED',
+      companyId,
+      entityType: 'employeeImport',
+      entityId: result.importId,
+      summary: `Onboarded ${result.totals.created} employee${result.totals.created === 1 ? '' : 's'} from ${result.fileName || result.importId}`,
+      metadata: result.totals,
+      context: buildActivityContext(req),
+    });
+
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to commit employee import');
+  }
+});
+
+// Download the per-row result of an import as CSV
+router.get('/import/:importId/results.csv', async (req, res) => {
+  try {
+    const companyId = resolveCompanyId(req);
+    const report = await employeeImportService.buildResultReport({ companyId, importId: req.params.importId });
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${report.fileName.replace(/"/g, '')}"`);
+    res.send(report.csv);
+  } catch (error) {
+    sendError(res, error, 'Failed to build employee import report');
+  }
+});
+
+// List separations of a company (?companyId, status)
+router.get('/separations', async (req, res) => {
+  try {
+    const companyId = resolveCompanyId(req);
+    const result = await separationService.listSeparations(companyId, { status: req.query.status });
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to list separations');
+  }
+});
+
+// Effective-dated compensation and job history of an employee
+router.get('/:employeeId/compensation', async (req, res) => {
+  try {
+    const companyId = resolveCompanyId(req);
+    const result = await compensationService.listCompensationHistory(companyId, req.params.employeeId);
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to load compensation history');
+  }
+});
+
+// Record a raise, promotion or transfer ({ companyId, effectiveDate, reason, approvedBy?, basicPay?, position?, ... })
+router.post('/:employeeId/compensation', async (req, res) => {
+  try {
+    const companyId = resolveCompanyId(req);
+    const result = await compensationService.recordCompensationChange(
+      { ...req.body, companyId, employeeId: req.params.employeeId },
+      buildServiceOptions(req, companyId),
+    );
+
+    await logActivitySafe({
+      module: 'hr',
+      action: 'EMPLOYEE_COMPENSATION_CHANGED',
+      companyId,
+      entityType: 'employee',
+      entityId: result.employeeId,
+      summary: `Recorded ${Object.keys(result.entry.changes).join(', ')} change effective ${result.entry.effectiveDate}: ${result.entry.reason}`,
+      metadata: {
+        historyEntryId: result.entry.id,
+        effectiveDate: result.entry.effectiveDate,
+        changes: result.entry.changes,
+        previous: result.entry.previous,
+        approvedBy: result.entry.approvedBy,
+      },
+      context: buildActivityContext(req),
+    });
+
+    res.status(201).json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to record compensation change');
+  }
+});
+
+// Current separation of an employee with its clearance checklist
+router.get('/:employeeId/separation', async (req, res) => {
+  try {
+    const companyId = resolveCompanyId(req);
+    const separation = await separationService.getSeparation(companyId, req.params.employeeId);
+    res.json({ success: true, separation });
+  } catch (error) {
+    sendError(res, error, 'Failed to load separation');
+  }
+});
+
+// Start a separation ({ companyId, separationType, effectiveDate, reason, noticeDate?, clearanceItems? })
+router.post('/:employeeId/separation', async (req, res) => {
+  try {
+    const companyId = resolveCompanyId(req);
+    const result = await separationService.initiateSeparation(
+      { ...req.body, companyId, employeeId: req.params.employeeId },
+      buildServiceOptions(req, companyId),
+    );
+
+    await logActivitySafe({
+      module: 'hr',
+      action: 'EMPLOYEE_SEPARATION_INITIATED',
+      companyId,
+      entityType: 'employee',
+      entityId: req.params.employeeId,
+      summary: `Started ${result.separation.separationType} of ${result.separation.employeeName} effective ${result.separation.effectiveDate}`,
+      metadata: {
+        separationId: result.separationId,
+        separationType: result.separation.separationType,
+        effectiveDate: result.separation.effectiveDate,
+        reason: result.separation.reason,
+      },
+      context: buildActivityContext(req),
+    });
+
+    res.status(201).json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to start separation');
+  }
+});
+
+// Clear, waive or add a clearance item ({ companyId, status?, label?, category?, amount?, settledAmount?, notes? })
+router.post('/:employeeId/separation/clearance/:itemKey', async (req, res) => {
+  try {
+    const companyId = resolveCompanyId(req);
+    const result = await separationService.updateClearanceItem(
+      { ...req.body, companyId, employeeId: req.params.employeeId, itemKey: req.params.itemKey },
+      buildServiceOptions(req, companyId),
+    );
+
+    await logActivitySafe({
+      module: 'hr',
+      action: 'EMPLOYEE_CLEARANCE_UPDATED',
+      companyId,
+      entityType: 'employee',
+      entityId: req.params.employeeId,
+      summary: `Marked clearance item ${result.item.label} as ${result.item.status}`,
+      metadata: { separationId: result.separationId, item: result.item },
+      context: buildActivityContext(req),
+    });
+
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to update clearance item');
+  }
+});
+
+// Preview final pay (?companyId, leaveCredits, lastPaidDate)
+router.get('/:employeeId/separation/final-pay', async (req, res) => {
+  try {
+    const companyId = resolveCompanyId(req);
+    const result = await separationService.computeFinalPay({
+      companyId,
+      employeeId: req.params.employeeId,
+      leaveCredits: req.query.leaveCredits,
+      lastPaidDate: req.query.lastPaidDate,
+    });
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to compute final pay');
+  }
+});
+
+// Complete the separation once clearance is done ({ companyId, leaveCredits?, lastPaidDate?, remarks? })
+router.post('/:employeeId/separation/complete', async (req, res) => {
+  try {
+    const companyId = resolveCompanyId(req);
+    const result = await separationService.completeSeparation(
+      { ...req.body, companyId, employeeId: req.params.employeeId },
+      buildServiceOptions(req, companyId),
+    );
+
+    await logActivitySafe({
+      module: 'hr',
+      action: 'EMPLOYEE_SEPARATED',
+      companyId,
+      entityType: 'employee',
+      entityId: req.params.employeeId,
+      summary: `Completed ${result.separation.separationType} of ${result.separation.employeeName} with final pay ${result.separation.finalPay.netFinalPay}`,
+      metadata: {
+        separationId: result.separationId,
+        effectiveDate: result.separation.effectiveDate,
+        grossFinalPay: result.separation.finalPay.grossFinalPay,
+        totalDeductions: result.separation.finalPay.totalDeductions,
+        netFinalPay: result.separation.finalPay.netFinalPay,
+      },
+      context: buildActivityContext(req),
+    });
+
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to complete separation');
+  }
+});
+
+// Withdraw a separation still in clearance ({ companyId, reason })
+router.post('/:employeeId/separation/cancel', async (req, res) => {
+  try {
+    const companyId = resolveCompanyId(req);
+    const result = await separationService.cancelSeparation(
+      { ...req.body, companyId, employeeId: req.params.employeeId },
+      buildServiceOptions(req, companyId),
+    );
+
+    await logActivitySafe({
+      module: 'hr',
+      action: 'EMPLOYEE_SEPARATION_CANCELLED',
+      companyId,
+      entityType: 'employee',
+      entityId: req.params.employeeId,
+      summary: `Cancelled separation ${result.separationId}: ${req.body.reason}`,
+      metadata: { separationId: result.separationId, reason: req.body.reason },
+      context: buildActivityContext(req),
+    });
+
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to cancel separation');
+  }
+});
+
+// Certificate of Employment data (?companyId, purpose, includeCompensation)
+router.get('/:employeeId/certificate-of-employment', async (req, res) => {
+  try {
+    const companyId = resolveCompanyId(req);
+    const result = await separationService.buildCertificateOfEmployment({
+      companyId,
+      employeeId: req.params.employeeId,
+      purpose: req.query.purpose,
+      includeCompensation: req.query.includeCompensation,
+    });
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to build certificate of employment');
+  }
+});
+
+// Get a single employee
+router.get('/:employeeId', async (req, res) => {
+  try {
+    const companyId = resolveCompanyId(req);
+    const result = await employeeManagementService.getEmployee(req.params.employeeId, { companyId });
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to load employee');
+  }
+});
+
+// Update an employee; only the fields sent are changed
+router.put('/:employeeId', async (req, res) => {
+  try {
+    const companyId = resolveCompanyId(req);
+    const updates = { ...req.body };
+    delete updates.companyId;
+    const result = await employeeManagementService.updateEmployee(
+      req.params.employeeId,
+      updates,
+      buildServiceOptions(req, companyId),
+    );
+
+    await logActivitySafe({
+      module: 'hr',
+      action: 'EMPLOYEE_UPDATED',
+      companyId,
+      entityType: 'employee',
+      entityId: result.employeeId,
+      summary: `Updated employee ${result.employee.employeeName}`,
+      metadata: { fields: Object.keys(updates) },
+      context: buildActivityContext(req),
+    });
+
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to update employee');
+  }
+});
+
+// Move an employee to the recycle bin, or remove it for good with hardDelete
+router.delete('/:employeeId', async (req, res) => {
+  try {
+    const companyId = resolveCompanyId(req);
+    const hardDelete = req.body?.hardDelete === true || req.query.hardDelete === 'true';
+    const reason = req.body?.reason || req.query.reason || '';
+    const result = await employeeManagementService.deleteEmployee(
+      req.params.employeeId,
+      { reason, hardDelete },
+      buildServiceOptions(req, companyId),
+    );
+
+    await logActivitySafe({
+      module: 'hr',
+      action: hardDelete ? 'EMPLOYEE_PURGED' : 'EMPLOYEE_DELETED',
+      companyId,
+      entityType: 'employee',
+      entityId: result.employeeId,
+      summary: result.message,
+      metadata: { reason: reason || null },
+      context: buildActivityContext(req),
+    });
+
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to delete employee');
+  }
+});
+
 module.exports = router;
@@ -1,413 +1,254 @@
 const express = require('express');
 const initializeFirebaseAdmin = require('../config/firebase');
 const { recordActivity } = require('../services/activityLogService');
+const accessControlService = require('../services/accessControlService');
+const dataAccessService = require('../services/dataAccessService');
 
 // Initialize Firebase Admin
-const admin = initializeFirebaseAdmin();
-const db = admin.firestore();
+initializeFirebaseAdmin();
 const router = express.Router();
 
-// ============================================================================
-// FIRESTORE API ENDPOINTS (for frontend compatibility)
-// ============================================================================
-
-// Query collection with filters and ordering
-router.post('/query', async (req, res) => {
-  console.log('🔥 [FIRESTORE] /query endpoint hit!');
-  console.log('🔥 [FIRESTORE] Request body:', JSON.stringify(req.body, null, 2));
-  try {
-    const { collection, filters = [], orderBy = [], limit, limitToLast, startAt, startAfter, endAt, endBefore } = req.body;
-    
-    console.log('🔍 Firestore query:', { collection, filters, orderBy });
-
-    if (!collection) {
-      console.log('❌ [FIRESTORE] No collection provided');
-      return res.status(400).json({
-        success: false,
-        error: 'Collection path is required'
-      });
-    }
-
-    let query = db.collection(collection);
-
-    // Apply filters
-    for (const filter of filters) {
-      const { field, op, value } = filter;
-      query = query.where(field, op, value);
-    }
-
-    // Apply ordering
-    for (const order of orderBy) {
-      const { field, direction = 'asc' } = order;
-      query = query.orderBy(field, direction);
-    }
-
-    // Apply limits
-    if (limit) {
-      query = query.limit(limit);
-    } else if (limitToLast) {
-      query = query.limitToLast(limitToLast);
-    }
-
-    // Apply cursors
-    if (startAt) {
-      query = query.startAt(startAt);
-    }
-    if (startAfter) {
-      query = query.startAfter(startAfter);
-    }
-    if (endAt) {
-      query = query.endAt(endAt);
-    }
-    if (endBefore) {
-      query = query.endBefore(endBefore);
-    }
-
-    console.log('🔍 [FIRESTORE] Executing query...');
-    const snapshot = await query.get();
-    console.log('🔍 [FIRESTORE] Query executed, snapshot size:', snapshot.size);
-    
-    const docs = snapshot.docs.map(doc => ({
-      id: doc.id,
-      data: doc.data()
-    }));
-
-    console.log(`📊 Query returned ${docs.length} documents`);
-    console.log(`📊 First doc sample:`, docs[0] ? JSON.stringify(docs[0], null, 2) : 'No docs');
-
-    res.json({
-      success: true,
-      docs,
-      size: docs.length
-    });
-
-  } catch (error) {
-    console.error('❌ Firestore query error:', error);
-    console.error('❌ Error stack:', error.stack);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+const mapServiceErrorToStatus = (error) => {
+  switch (error?.code) {
+    case 'invalid-argument':
+      return 400;
+    case 'not-found':
+      return 404;
+    case 'permission-denied':
+      return 403;
+    default:
+      return 500;
   }
-});
+};
 
-// Get single document
-router.post('/get', async (req, res) => {
-  console.log('🔥 [FIRESTORE] /get endpoint hit!');
-  console.log('🔥 [FIRESTORE] Request body:', JSON.stringify(req.body, null, 2));
+const logActivitySafe = async (payload = {}) => {
   try {
-    const { collection, id } = req.body;
-    
-    console.log('🔍 Firestore getDoc:', { collection, id });
-
-    if (!collection || !id) {
-      console.log('❌ [FIRESTORE] Missing collection or id');
-      return res.status(400).json({
-        success: false,
-        error: 'Collection and id are required'
-      });
-    }
-
-    const docRef = db.collection(collection).doc(id);
-    const doc = await docRef.get();
-
-    if (!doc.exists) {
-      return res.json({
-        success: true,
-        doc: null
-      });
-    }
-
-    res.json({
-      success: true,
-      doc: {
-        id: doc.id,
-        data: doc.data()
-      }
-    });
-
+    await recordActivity(payload);
   } catch (error) {
-    console.error('❌ Firestore getDoc error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    console.error('⚠️ Failed to log activity:', error);
   }
+};
+
+const buildActivityContext = (req) => ({
+  user: req.user || null,
+  request: {
+    requestId: req.requestId,
+    ipAddress: req.ipAddress,
+    forwardedFor: req.forwardedFor || [],
+    userAgent: req.headers['user-agent'] || null,
+  },
 });
 
-// Add document
-router.post('/add', async (req, res) => {
-  try {
-    const { collection, data } = req.body;
-    
-    console.log('🔍 Firestore addDoc:', { collection });
-
-    if (!collection || !data) {
-      return res.status(400).json({
-        success: false,
-        error: 'Collection and data are required'
-      });
-    }
-
-    const docRef = await db.collection(collection).add(data);
-    console.log(`✅ Document added with ID: ${docRef.id}`);
-
-    res.json({
-      success: true,
-      id: docRef.id
-    });
-
-  } catch (error) {
-    console.error('❌ Firestore addDoc error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+const ACTION_SUFFIXES = {
+  add: 'CREATED',
+  set: 'UPDATED',
+  update: 'UPDATED',
+  delete: 'DELETED',
+};
+
+// Field-level diff of every write, whichever collection it touched
+const logWrite = async (req, audit) => {
+  if (!audit) {
+    return;
   }
-});
-
-// Set document (create or replace)
-router.post('/set', async (req, res) => {
+  const changedFields = Object.keys(audit.changes);
+  if (audit.operation !== 'delete' && changedFields.length === 0) {
+    console.log('ℹ️ No actual changes detected, skipping activity log');
+    return;
+  }
+  const verb = { add: 'Created', delete: 'Deleted' }[audit.operation] || 'Updated';
+  await logActivitySafe({
+    module: audit.module,
+    action: `${audit.actionPrefix}_${ACTION_SUFFIXES[audit.operation]}`,
+    companyId: audit.companyId,
+    entityType: audit.entityType,
+    entityId: audit.id,
+    summary: audit.operation === 'delete'
+      ? `${verb} ${audit.entityType} record${audit.label ? ` for ${audit.label}` : ''}`
+      : `${verb} ${audit.entityType} record: ${changedFields.join(', ')}`,
+    metadata: {
+      collection: audit.collection,
+      documentId: audit.id,
+      companyId: audit.companyId,
+      updatedFields: changedFields,
+      changes: audit.changes,
+      ...(audit.label ? { recordLabel: audit.label } : {}),
+      ...(audit.entityType === 'employee' ? { employeeName: audit.label || 'Unknown Employee' } : {}),
+    },
+    context: buildActivityContext(req),
+  });
+};
+
+// Denied requests are logged so probing for other companies' data leaves a trail
+const logViolation = async (req, operation, error) => {
+  const details = error.details || {};
+  console.warn(`⛔ [FIRESTORE] ${req.user?.uid} denied ${operation}: ${error.message}`);
+  await logActivitySafe({
+    module: 'admin',
+    action: 'DATA_ACCESS_DENIED',
+    companyId: details.companyId || null,
+    entityType: 'collection',
+    entityId: details.collection || req.body?.collection || null,
+    summary: `Denied ${operation} on ${details.collection || req.body?.collection || 'unknown collection'}`,
+    metadata: {
+      operation,
+      reason: details.reason || 'policy-violation',
+      permission: details.permission || null,
+      fields: details.fields || [],
+      message: error.message,
+    },
+    context: buildActivityContext(req),
+  });
+};
+
+/**
+ * Wrap a data endpoint: resolve the caller's access, run the handler and map
+ * policy and validation errors to HTTP statuses.
+ */
+const handleDataRequest = (operation, handler) => async (req, res) => {
   try {
-    const { collection, id, data, options = {} } = req.body;
-    
-    console.log('🔍 Firestore setDoc:', { collection, id });
-
-    if (!collection || !id || !data) {
-      return res.status(400).json({
-        success: false,
-        error: 'Collection, id, and data are required'
-      });
-    }
-
-    const docRef = db.collection(collection).doc(id);
-    
-    if (options.merge) {
-      await docRef.set(data, { merge: true });
-    } else {
-      await docRef.set(data);
-    }
-
-    console.log(`✅ Document set with ID: ${id}`);
-
-    res.json({
-      success: true,
-      id
-    });
-
+    req.access = req.access || await accessControlService.resolveUserAccess(req.user);
+    return await handler(req, res);
   } catch (error) {
-    console.error('❌ Firestore setDoc error:', error);
-    res.status(500).json({
+    const status = mapServiceErrorToStatus(error);
+    if (status === 403) {
+      await logViolation(req, operation, error);
+    } else if (status === 500) {
+      console.error(`❌ Firestore ${operation} error:`, error);
+    }
+    return res.status(status).json({
       success: false,
-      error: error.message
+      error: error.message,
+      code: error.code || 'internal',
+      ...(Array.isArray(error.details) ? { details: error.details } : {}),
     });
   }
-});
+};
+
+const requireFields = (body, fields) => {
+  const missing = fields.filter((field) => !body?.[field]);
+  if (missing.length) {
+    const error = new Error(`${missing.join(', ')} ${missing.length > 1 ? 'are' : 'is'} required`);
+    error.code = 'invalid-argument';
+    throw error;
+  }
+};
 
-// Update document
-router.post('/update', async (req, res) => {
-  console.log('🔥🔥🔥 [FIRESTORE] /update endpoint HIT!');
-  console.log('🔥🔥🔥 [FIRESTORE] Request body:', JSON.stringify(req.body, null, 2));
-  console.log('🔥🔥🔥 [FIRESTORE] User:', req.user);
-  try {
-    const { collection, id, data } = req.body;
+// ============================================================================
+// FIRESTORE API ENDPOINTS (for frontend compatibility)
+// ============================================================================
 
-    console.log('🔍 Firestore updateDoc:', { collection, id, data });
-    console.log('🔍 Request user:', req.user);
+// Collections reachable through these endpoints and what each allows
+router.get('/policies', handleDataRequest('policies', async (req, res) => {
+  res.json({ success: true, policies: dataAccessService.listPolicies() });
+}));
 
-    if (!collection || !id || !data) {
-      return res.status(400).json({
-        success: false,
-        error: 'Collection, id, and data are required'
-      });
-    }
+// Query collection with filters and ordering
+router.post('/query', handleDataRequest('query', async (req, res) => {
+  requireFields(req.body, ['collection']);
+  console.log('🔍 Firestore query:', { collection: req.body.collection, filters: req.body.filters, orderBy: req.body.orderBy });
 
-    // Convert date strings to Firestore Timestamps
-    const processedData = { ...data };
-    for (const [key, value] of Object.entries(processedData)) {
-      if (value && typeof value === 'string') {
-        // Check if it's an ISO date string
-        const dateRegex = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
-        if (dateRegex.test(value)) {
-          processedData[key] = admin.firestore.Timestamp.fromDate(new Date(value));
-        }
-      } else if (value instanceof Date) {
-        processedData[key] = admin.firestore.Timestamp.fromDate(value);
-      }
-    }
+  const docs = await dataAccessService.queryDocuments(req.access, req.body);
+  console.log(`📊 Query returned ${docs.length} documents`);
 
-    const docRef = db.collection(collection).doc(id);
-
-    const existingSnapshot = await docRef.get();
-    const existingData = existingSnapshot.exists ? existingSnapshot.data() : {};
-
-    await docRef.update(processedData);
-
-    console.log(`✅ Document updated with ID: ${id}`, processedData);
-
-    // Record activity for employee updates
-    if (collection.includes('employees') && req.user) {
-      try {
-        const updatedFields = Object.keys(data).filter(key => key !== 'updatedAt');
-        const companyIdForActivity = data.companyId ?? existingData?.companyId ?? null;
-
-        // Track what actually changed (old value → new value)
-        const changes = {};
-        updatedFields.forEach(field => {
-          const oldValue = existingData[field];
-          const newValue = data[field];
-
-          // Only log if value actually changed
-          if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
-            changes[field] = {
-              from: oldValue !== undefined ? oldValue : null,
-              to: newValue !== undefined ? newValue : null
-            };
-          }
-        });
-
-        const changedFieldNames = Object.keys(changes);
-
-        // Only log if there are actual changes
-        if (changedFieldNames.length > 0) {
-          await recordActivity({
-            module: 'hr',
-            action: 'EMPLOYEE_RECORD_UPDATED',
-            companyId: companyIdForActivity,
-            entityType: 'employee',
-            entityId: id,
-            summary: `Updated employee record: ${changedFieldNames.join(', ')}`,
-            metadata: {
-              collection,
-              updatedFields: changedFieldNames,
-              changes: changes,
-              documentId: id,
-              companyId: companyIdForActivity,
-              employeeName: existingData?.firstName && existingData?.lastName
-                ? `${existingData.firstName} ${existingData.lastName}`
-                : 'Unknown Employee'
-            },
-            context: {
-              user: req.user,
-              request: {
-                requestId: req.requestId,
-                ipAddress: req.ipAddress,
-                forwardedFor: req.forwardedFor || [],
-                userAgent: req.headers['user-agent'] || null
-              }
-            },
-          });
-          console.log('✅ Activity logged for employee update with changes:', changedFieldNames);
-        } else {
-          console.log('ℹ️ No actual changes detected, skipping activity log');
-        }
-      } catch (activityError) {
-        console.error('⚠️ Failed to log activity:', activityError);
-        // Don't fail the request if activity logging fails
-      }
-    }
+  res.json({
+    success: true,
+    docs,
+    size: docs.length,
+  });
+}));
 
-    res.json({
-      success: true,
-      id
-    });
+// Get single document
+router.post('/get', handleDataRequest('get', async (req, res) => {
+  requireFields(req.body, ['collection', 'id']);
+  console.log('🔍 Firestore getDoc:', { collection: req.body.collection, id: req.body.id });
 
-  } catch (error) {
-    console.error('❌ Firestore updateDoc error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
+  const doc = await dataAccessService.getDocument(req.access, req.body);
+  res.json({
+    success: true,
+    doc,
+  });
+}));
 
-// Delete document
-router.post('/delete', async (req, res) => {
-  try {
-    const { collection, id } = req.body;
-    
-    console.log('🔍 Firestore deleteDoc:', { collection, id });
-
-    if (!collection || !id) {
-      return res.status(400).json({
-        success: false,
-        error: 'Collection and id are required'
-      });
-    }
+// Add document
+router.post('/add', handleDataRequest('add', async (req, res) => {
+  requireFields(req.body, ['collection', 'data']);
+  const { collection, data } = req.body;
+  console.log('🔍 Firestore addDoc:', { collection });
 
-    const docRef = db.collection(collection).doc(id);
-    await docRef.delete();
+  const { id, audit } = await dataAccessService.writeDocument(req.access, { type: 'add', collection, data });
+  console.log(`✅ Document added with ID: ${id}`);
+  await logWrite(req, audit);
 
-    console.log(`✅ Document deleted with ID: ${id}`);
+  res.json({
+    success: true,
+    id,
+  });
+}));
 
-    res.json({
-      success: true,
-      id
-    });
+// Set document (create or replace)
+router.post('/set', handleDataRequest('set', async (req, res) => {
+  requireFields(req.body, ['collection', 'id', 'data']);
+  const { collection, id, data, options = {} } = req.body;
+  console.log('🔍 Firestore setDoc:', { collection, id });
 
-  } catch (error) {
-    console.error('❌ Firestore deleteDoc error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
+  const result = await dataAccessService.writeDocument(req.access, { type: 'set', collection, id, data, options });
+  console.log(`✅ Document set with ID: ${id}`);
+  await logWrite(req, result.audit);
 
-// Batch operations
-router.post('/batch', async (req, res) => {
-  try {
-    const { operations } = req.body;
-    
-    console.log('🔍 Firestore batch:', { operationCount: operations.length });
-
-    if (!operations || !Array.isArray(operations)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Operations array is required'
-      });
-    }
+  res.json({
+    success: true,
+    id,
+  });
+}));
 
-    const batch = db.batch();
-
-    for (const operation of operations) {
-      const { type, collection, id, data, options = {} } = operation;
-      const docRef = db.collection(collection).doc(id);
-
-      switch (type) {
-        case 'set':
-          if (options.merge) {
-            batch.set(docRef, data, { merge: true });
-          } else {
-            batch.set(docRef, data);
-          }
-          break;
-        case 'update':
-          batch.update(docRef, data);
-          break;
-        case 'delete':
-          batch.delete(docRef);
-          break;
-        default:
-          throw new Error(`Unknown batch operation type: ${type}`);
-      }
-    }
+// Update document
+router.post('/update', handleDataRequest('update', async (req, res) => {
+  requireFields(req.body, ['collection', 'id', 'data']);
+  const { collection, id, data } = req.body;
+  console.log('🔍 Firestore updateDoc:', { collection, id });
 
-    await batch.commit();
-    console.log(`✅ Batch completed: ${operations.length} operations`);
+  const result = await dataAccessService.writeDocument(req.access, { type: 'update', collection, id, data });
+  console.log(`✅ Document updated with ID: ${id}`);
+  await logWrite(req, result.audit);
 
-    res.json({
-      success: true,
-      operationCount: operations.length
-    });
+  res.json({
+    success: true,
+    id,
+  });
+}));
 
-  } catch (error) {
-    console.error('❌ Firestore batch error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+// Delete document
+router.post('/delete', handleDataRequest('delete', async (req, res) => {
+  requireFields(req.body, ['collection', 'id']);
+  const { collection, id } = req.body;
+  console.log('🔍 Firestore deleteDoc:', { collection, id });
+
+  const result = await dataAccessService.writeDocument(req.access, { type: 'delete', collection, id });
+  console.log(`✅ Document deleted with ID: ${id}`);
+  await logWrite(req, result.audit);
+
+  res.json({
+    success: true,
+    id,
+  });
+}));
+
+// Batch operations; every operation is checked before any is written
+router.post('/batch', handleDataRequest('batch', async (req, res) => {
+  const { operations } = req.body || {};
+  console.log('🔍 Firestore batch:', { operationCount: Array.isArray(operations) ? operations.length : 0 });
+
+  const { operationCount, audits } = await dataAccessService.runBatch(req.access, operations);
+  console.log(`✅ Batch completed: ${operationCount} operations`);
+  for (const audit of audits) {
+    await logWrite(req, audit);
   }
-});
 
-module.exports = router;
\ No newline at end of file
+  res.json({
+    success: true,
+    operationCount,
+  });
+}));
+
+module.exports = router;
@@ -17,10 +17,13 @@ const logActivitySafe = async (payload = {}) => {
   }
 };
 
+const HOLIDAY_TYPES = ['regular', 'special'];
+
 // Validation helper
 function validateHolidayInput(body) {
   const errors = [];
-  const { companyId, date, name } = body;
+  const { companyId, date, name, type } = body;
+  if (type !== undefined && !HOLIDAY_TYPES.includes(type)) errors.push(`type must be one of: ${HOLIDAY_TYPES.join(', ')}`);
   if (!companyId) errors.push('companyId is required');
   if (!date) errors.push('date is required');
   if (!name) errors.push('name is required');
@@ -60,8 +63,8 @@ router.get('/', async (req, res) => {
 // Create holiday
 router.post('/', async (req, res) => {
   try {
-    const { companyId, date, name, payable = false, notes = '' } = req.body;
-    const errors = validateHolidayInput({ companyId, date, name });
+    const { companyId, date, name, payable = false, notes = '', type } = req.body;
+    const errors = validateHolidayInput({ companyId, date, name, type });
     if (errors.length) return res.status(400).json({ success: false, error: errors.join('; ') });
 
     const holiday = {
@@ -69,6 +72,8 @@ router.post('/', async (req, res) => {
       date,
       name,
       payable: !!payable,
+      // Regular holidays are paid even when unworked; special non-working days are not
+      type: type || (payable ? 'regular' : 'special'),
       notes,
       createdAt: admin.firestore.FieldValue.serverTimestamp(),
       updatedAt: admin.firestore.FieldValue.serverTimestamp(),
@@ -83,7 +88,7 @@ router.post('/', async (req, res) => {
       entityType: 'holiday',
       entityId: docRef.id,
       summary: `Holiday created: ${date} — ${name} (${payable ? 'payable' : 'not payable'})`,
-      metadata: { date, name, payable },
+      metadata: { date, name, payable, type: holiday.type },
     });
 
     // Best-effort: mark overlapping attendance summaries to recompute
@@ -100,8 +105,14 @@ router.post('/', async (req, res) => {
 router.put('/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const { companyId, date, name, payable, notes } = req.body;
+    const { companyId, date, name, payable, notes, type } = req.body;
     if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+    if (type !== undefined && !HOLIDAY_TYPES.includes(type)) {
+      return res.status(400).json({ success: false, error: `type must be one of: ${HOLIDAY_TYPES.join(', ')}` });
+    }
+
+    const existing = await db.collection('companyHolidays').doc(id).get();
+    if (!existing.exists) return res.status(404).json({ success: false, error: 'Holiday not found' });
 
     const update = { updatedAt: admin.firestore.FieldValue.serverTimestamp() };
     if (companyId) update.companyId = companyId;
@@ -109,6 +120,7 @@ router.put('/:id', async (req, res) => {
     if (name) update.name = name;
     if (typeof payable === 'boolean') update.payable = payable;
     if (typeof notes === 'string') update.notes = notes;
+    if (type) update.type = type;
 
     await db.collection('companyHolidays').doc(id).set(update, { merge: true });
 
@@ -0,0 +1,134 @@
+const express = require('express');
+const initializeFirebaseAdmin = require('../config/firebase');
+const { recordActivity } = require('../services/activityLogService');
+const accessControlService = require('../services/accessControlService');
+const notificationService = require('../services/notificationService');
+
+// Initialize Firebase Admin
+initializeFirebaseAdmin();
+const router = express.Router();
+
+const mapServiceErrorToStatus = (error) => {
+  switch (error?.code) {
+    case 'invalid-argument':
+      return 400;
+    case 'permission-denied':
+      return 403;
+    case 'not-found':
+      return 404;
+    case 'failed-precondition':
+      return 409;
+    default:
+      return 500;
+  }
+};
+
+const logActivitySafe = async (payload = {}) => {
+  try {
+    await recordActivity(payload);
+  } catch (error) {
+    console.error('Failed to record notification activity log:', error);
+  }
+};
+
+const buildActivityContext = (req) => ({
+  user: req.user || null,
+  request: req.activityContext || {},
+});
+
+const sendError = (res, error, fallbackMessage) => {
+  const status = mapServiceErrorToStatus(error);
+  if (status === 500) {
+    console.error(fallbackMessage, error);
+  }
+  return res.status(status).json({
+    success: false,
+    error: status === 500 ? fallbackMessage : error.message,
+    code: error.code || 'internal',
+    ...(Array.isArray(error.details) ? { details: error.details } : {}),
+  });
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+// Email categories the signed-in user receives
+router.get('/preferences', async (req, res) => {
+  try {
+    res.json({ success: true, ...(await notificationService.getPreferences(req.user.email)) });
+  } catch (error) {
+    return sendError(res, error, 'Failed to load notification preferences');
+  }
+});
+
+// Body: { categories: { payslips: false, ... } }
+router.put('/preferences', async (req, res) => {
+  try {
+    const preferences = await notificationService.updatePreferences(req.user.email, req.body?.categories || {});
+    res.json({ success: true, ...preferences });
+  } catch (error) {
+    return sendError(res, error, 'Failed to update notification preferences');
+  }
+});
+
+// Target of the link in every optional email; opened from a mail client, so it answers with a page
+router.get('/unsubscribe', async (req, res) => {
+  try {
+    const result = await notificationService.unsubscribeWithToken(req.query.token);
+    res.type('html').send(`<p>${escapeHtml(result.email)} is unsubscribed from ${escapeHtml(result.label.toLowerCase())}.</p>`);
+  } catch (error) {
+    const status = mapServiceErrorToStatus(error);
+    if (status === 500) {
+      console.error('Unsubscribe failed:', error);
+    }
+    res.status(status).type('html').send(`<p>${escapeHtml(status === 500 ? 'Something went wrong. Please try again later.' : error.message)}</p>`);
+  }
+});
+
+// Outbox entries (without bodies) for the companies the caller manages
+router.get('/outbox', async (req, res) => {
+  try {
+    const { companyId, status, limit } = req.query;
+    const companyIds = companyId
+      ? [String(companyId)]
+      : accessControlService.allowedCompanyIds(req.access, 'notification:manage');
+    const entries = await notificationService.listOutbox({ companyIds, status, limit });
+    res.json({ success: true, entries });
+  } catch (error) {
+    return sendError(res, error, 'Failed to list notifications');
+  }
+});
+
+// Send whatever is due now instead of waiting for the worker
+router.post('/outbox/process', async (req, res) => {
+  try {
+    const summary = await notificationService.processOutbox({ limit: req.body?.limit });
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    return sendError(res, error, 'Failed to process notifications');
+  }
+});
+
+router.post('/outbox/:id/retry', async (req, res) => {
+  try {
+    const result = await notificationService.retryNotification(req.params.id, {
+      companyIds: accessControlService.allowedCompanyIds(req.access, 'notification:manage'),
+    });
+    await logActivitySafe({
+      module: 'admin',
+      action: 'NOTIFICATION_RETRIED',
+      entityType: 'notification',
+      entityId: req.params.id,
+      summary: `Retried notification ${req.params.id}: ${result.status}`,
+      metadata: result,
+      context: buildActivityContext(req),
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    return sendError(res, error, 'Failed to retry notification');
+  }
+});
+
+module.exports = router;
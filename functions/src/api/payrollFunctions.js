@@ -1,6 +1,12 @@
 const express = require('express');
 const initializeFirebaseAdmin = require('../config/firebase');
 const { recordActivity } = require('../services/activityLogService');
+const payrollService = require('../services/payrollService');
+const payrollRunService = require('../services/payrollRunService');
+const notificationService = require('../services/notificationService');
+const withholdingTaxService = require('../services/withholdingTaxService');
+const thirteenthMonthService = require('../services/thirteenthMonthService');
+const earningsService = require('../services/earningsService');
 
 // Initialize Firebase Admin
 const admin = initializeFirebaseAdmin();
@@ -13,6 +19,8 @@ const NUMERIC_FIELDS = [
   'allowance',
   'transpoAllowance',
   'otPay',
+  'commissionPay',
+  'thirteenthMonthPay',
   'grossPay',
   'mins',
   'absent',
@@ -38,6 +46,7 @@ const NUMERIC_FIELDS = [
   'philhealthEmployee',
   'philhealthEmployer',
   'birTax',
+  'taxRefund',
   'totalTaxDeductions',
   'totalEmployerContributions',
   'netPay',
@@ -91,6 +100,30 @@ const sanitizePayrollRecord = (payload = {}) => {
   return sanitized;
 };
 
+const mapServiceErrorToStatus = (error) => {
+  switch (error?.code) {
+    case 'invalid-argument':
+      return 400;
+    case 'not-found':
+      return 404;
+    case 'permission-denied':
+      return 403;
+    case 'failed-precondition':
+      return 409;
+    default:
+      return 500;
+  }
+};
+
+const buildServiceOptions = (req) => ({
+  userId: req.user?.uid || null,
+  email: req.user?.email || null,
+  token: req.user?.token || null,
+  context: req.user?.token
+    ? { auth: { uid: req.user.uid, token: req.user.token } }
+    : undefined,
+});
+
 const logActivitySafe = async (payload = {}) => {
   try {
     await recordActivity(payload);
@@ -99,26 +132,19 @@ const logActivitySafe = async (payload = {}) => {
   }
 };
 
+const sendServiceError = (res, error, label) => {
+  console.error(`❌ Error ${label}:`, error);
+  res.status(mapServiceErrorToStatus(error)).json({
+    success: false,
+    error: error.message,
+    code: error.code || 'internal',
+  });
+};
+
 // Calculate payroll for a single employee
 router.post('/calculate', async (req, res) => {
   try {
-    const {
-      companyId,
-      employeeId,
-      payrollPeriod,
-      basicPay,
-      allowance,
-      transpoAllowance,
-      refreshment,
-      mins,
-      absent,
-      halfDay,
-      otMinutes,
-      undertimeMinutes,
-      includeTaxes,
-      cashAdvance,
-      memo
-    } = req.body;
+    const { companyId, employeeId, payrollPeriod } = req.body || {};
 
     console.log('🔍 Calculating payroll for employee:', employeeId);
 
@@ -130,121 +156,26 @@ router.post('/calculate', async (req, res) => {
       });
     }
 
-    const { cutoffStartDate, cutoffEndDate, payDate, workingDays } = payrollPeriod;
-
-    // Get employee data
-    const employeeDoc = await db.collection('employees').doc(employeeId).get();
-    if (!employeeDoc.exists) {
-      return res.status(404).json({
-        success: false,
-        error: 'Employee not found'
-      });
-    }
-
-    const employeeData = employeeDoc.data();
-    const employeeName = `${employeeData.firstName} ${employeeData.lastName}`;
-
-    // Calculate payroll
-    const dailyRate = basicPay / workingDays;
-    const perHour = dailyRate / 8;
-    const perMinute = Math.round((dailyRate / 480) * 100) / 100;
-
-    const totalLate = Math.round((mins * perMinute) * 100) / 100;
-    const totalUndertime = Math.round((undertimeMinutes * perMinute) * 100) / 100;
-    const absentValue = Math.round((absent * dailyRate) * 100) / 100;
-    const halfDayValue = Math.round((halfDay * perMinute) * 100) / 100;
-    const totalAbsent = Math.round((absentValue + halfDayValue) * 100) / 100;
-    const otPay = otMinutes * (128.85 / 60);
-
-    // Tax deductions (if included)
-    const sssEmployee = includeTaxes ? (employeeData.sssEmployee || 0) : 0;
-    const sssEmployer = includeTaxes ? (employeeData.sssEmployer || 0) : 0;
-    const pagibigEmployee = includeTaxes ? (employeeData.pagibigEmployee || 0) : 0;
-    const pagibigEmployer = includeTaxes ? (employeeData.pagibigEmployer || 0) : 0;
-    const philhealthEmployee = includeTaxes ? (employeeData.philhealthEmployee || 0) : 0;
-    const philhealthEmployer = includeTaxes ? (employeeData.philhealthEmployer || 0) : 0;
-    const birTax = includeTaxes ? (employeeData.birTax || 0) : 0;
-
-    const totalTaxDeductions = includeTaxes ?
-      (sssEmployee + pagibigEmployee + philhealthEmployee + birTax) : 0;
-
-    const totalEmployerContributions = includeTaxes ?
-      (sssEmployer + pagibigEmployer + philhealthEmployer) : 0;
-
-    const totalDeductions = refreshment + totalLate + totalUndertime + totalAbsent + totalTaxDeductions + (cashAdvance || 0);
+    const result = await payrollService.calculatePayroll(req.body, buildServiceOptions(req));
+    const payrollData = result.payroll;
 
-    const netPay = basicPay + (allowance || 0) + (transpoAllowance || 0) + otPay - totalDeductions;
-
-    const payrollData = {
-      employeeId,
-      employeeName,
-      companyId,
-      companyName: employeeData.companyName || '',
-      month: new Date(cutoffStartDate).toISOString().slice(0, 7),
-      cutoffStartDate,
-      cutoffEndDate,
-      payDate,
-      payrollKey: `${employeeId}_${cutoffStartDate}_${cutoffEndDate}_${payDate}`,
-      workingDays,
-      basicPay,
-      allowance: allowance || 0,
-      transpoAllowance: transpoAllowance || 0,
-      refreshment: refreshment || 0,
-      mins: mins || 0,
-      absent: absent || 0,
-      halfDay: halfDay || 0,
-      otMinutes: otMinutes || 0,
-      undertimeMinutes: undertimeMinutes || 0,
-      dailyRate,
-      perHour,
-      perMinute,
-      totalLate,
-      totalUndertime,
-      absentValue,
-      halfDayValue,
-      totalAbsent,
-      otPay,
-      includeTaxes: includeTaxes || false,
-      sssEmployee,
-      sssEmployer,
-      pagibigEmployee,
-      pagibigEmployer,
-      philhealthEmployee,
-      philhealthEmployer,
-      birTax,
-      totalTaxDeductions,
-      totalEmployerContributions,
-      netPay,
-      cashAdvance: cashAdvance || 0,
-      memo: memo || 0,
-      department: employeeData.department || 'N/A',
-      position: employeeData.position || 'N/A',
-      bankAccount: employeeData.bankAccount || 'N/A',
-      idNumber: employeeData.idNumber || employeeData.employeeId || 'N/A',
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      updatedAt: admin.firestore.FieldValue.serverTimestamp()
-    };
-
-    // Save payroll to Firestore
-    const payrollRef = db.collection('payrolls').doc(payrollData.payrollKey);
-    await payrollRef.set(payrollData);
-
-    console.log('? Payroll calculated and saved for employee:', employeeId);
+    console.log('✅ Payroll calculated and saved for employee:', employeeId);
 
     await logActivitySafe({
       module: 'hr',
-      action: 'PAYROLL_GENERATED',
+      action: result.created ? 'PAYROLL_GENERATED' : 'PAYROLL_RECORD_UPDATED',
       companyId,
       entityType: 'employee',
       entityId: employeeId,
-      summary: 'Payroll generated for employee ' + employeeId,
+      summary: `${result.created ? 'Generated' : 'Updated'} payroll for employee ${employeeId}`,
       metadata: {
-        payrollKey: payrollData.payrollKey,
-        payDate,
-        cutoffStartDate,
-        cutoffEndDate,
+        payrollId: result.payrollId,
+        payrollKey: result.payrollKey,
+        payDate: payrollData.payDate,
+        cutoffStartDate: payrollData.cutoffStartDate,
+        cutoffEndDate: payrollData.cutoffEndDate,
         netPay: Number(payrollData.netPay) || 0,
-        includeTaxes: Boolean(includeTaxes),
+        includeTaxes: Boolean(payrollData.includeTaxes),
       },
       context: {
         user: req.user,
@@ -260,9 +191,10 @@ router.post('/calculate', async (req, res) => {
 
   } catch (error) {
     console.error('❌ Error calculating payroll:', error);
-    res.status(500).json({
+    res.status(mapServiceErrorToStatus(error)).json({
       success: false,
-      error: error.message
+      error: error.message,
+      code: error.code || 'internal',
     });
   }
 });
@@ -270,9 +202,7 @@ router.post('/calculate', async (req, res) => {
 // Bulk calculate payroll for multiple employees
 router.post('/bulk', async (req, res) => {
   try {
-    const { employees, companyId: bodyCompanyId } = req.body;
-
-    console.log(`🔍 Bulk calculating payroll for ${employees.length} employees`);
+    const { employees, companyId: bodyCompanyId } = req.body || {};
 
     if (!employees || !Array.isArray(employees)) {
       return res.status(400).json({
@@ -281,37 +211,18 @@ router.post('/bulk', async (req, res) => {
       });
     }
 
-    const results = [];
-    const batch = db.batch();
-
-    for (const employeePayroll of employees) {
-      try {
-        // Use the same calculation logic as single employee
-        const result = await calculateSinglePayroll(employeePayroll);
-        results.push({
-          employeeId: employeePayroll.employeeId,
-          success: true,
-          payroll: result
-        });
-
-        // Add to batch
-        const payrollRef = db.collection('payrolls').doc(result.payrollKey);
-        batch.set(payrollRef, result);
-
-      } catch (error) {
-        results.push({
-          employeeId: employeePayroll.employeeId,
-          success: false,
-          error: error.message
-        });
-      }
-    }
+    console.log(`🔍 Bulk calculating payroll for ${employees.length} employees`);
 
-    // Commit batch
-    await batch.commit();
+    const result = await payrollService.bulkCalculatePayroll(req.body, {
+      ...buildServiceOptions(req),
+      companyId: bodyCompanyId,
+    });
 
-    const successCount = results.filter(r => r.success).length;
-    const failureCount = results.filter(r => !r.success).length;
+    const results = result.results.map((entry) => (entry.failed
+      ? { employeeId: entry.employeeId, success: false, error: entry.message, code: entry.code }
+      : { employeeId: entry.employeeId, success: true, payroll: entry.payroll }));
+    const successCount = result.processed;
+    const failureCount = result.failed;
 
     console.log(`✅ Bulk payroll completed: ${successCount} success, ${failureCount} failures`);
 
@@ -326,6 +237,8 @@ router.post('/bulk', async (req, res) => {
         total: employees.length,
         success: successCount,
         failures: failureCount,
+        created: result.created,
+        updated: result.updated,
       },
       context: {
         user: req.user,
@@ -346,9 +259,178 @@ router.post('/bulk', async (req, res) => {
 
   } catch (error) {
     console.error('❌ Error bulk calculating payroll:', error);
-    res.status(500).json({
+    res.status(mapServiceErrorToStatus(error)).json({
       success: false,
-      error: error.message
+      error: error.message,
+      code: error.code || 'internal',
+    });
+  }
+});
+
+// Generate payroll for a cutoff straight from attendance summaries
+router.post('/generate-from-attendance', async (req, res) => {
+  try {
+    const { companyId, cutoffStartDate, cutoffEndDate, payDate } = req.body || {};
+
+    if (!companyId || !cutoffStartDate || !cutoffEndDate || !payDate) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameters: companyId, cutoffStartDate, cutoffEndDate, payDate'
+      });
+    }
+
+    console.log(`🔍 Generating payroll from attendance for ${companyId} (${cutoffStartDate} to ${cutoffEndDate})`);
+
+    const result = await payrollService.generatePayrollFromAttendance(req.body, {
+      ...buildServiceOptions(req),
+      companyId,
+    });
+
+    const results = result.results.map((entry) => (entry.failed
+      ? { employeeId: entry.employeeId, success: false, error: entry.message, code: entry.code, reconciliation: entry.reconciliation }
+      : { employeeId: entry.employeeId, success: true, payroll: entry.payroll, reconciliation: entry.reconciliation }));
+    const total = results.length;
+
+    console.log(`✅ Attendance payroll completed: ${result.processed} success, ${result.failed} failures`);
+
+    await logActivitySafe({
+      module: 'hr',
+      action: 'PAYROLL_GENERATED_FROM_ATTENDANCE',
+      companyId,
+      entityType: 'batch',
+      entityId: null,
+      summary: `Generated payroll from attendance for ${total} employees (${cutoffStartDate} to ${cutoffEndDate})`,
+      metadata: {
+        payDate,
+        cutoffStartDate,
+        cutoffEndDate,
+        total,
+        success: result.processed,
+        failures: result.failed,
+        created: result.created,
+        updated: result.updated,
+      },
+      context: {
+        user: req.user,
+        request: req.activityContext,
+      },
+    });
+
+    res.json({
+      success: true,
+      results,
+      summary: {
+        total,
+        success: result.processed,
+        failures: result.failed
+      },
+      message: `Processed ${result.processed}/${total} payrolls from attendance`
+    });
+
+  } catch (error) {
+    console.error('❌ Error generating payroll from attendance:', error);
+    res.status(mapServiceErrorToStatus(error)).json({
+      success: false,
+      error: error.message,
+      code: error.code || 'internal',
+    });
+  }
+});
+
+// Year-to-date compensation and tax withheld for an employee
+router.get('/ytd', async (req, res) => {
+  try {
+    const { companyId, employeeId, year } = req.query || {};
+
+    if (!companyId || !employeeId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameters: companyId, employeeId'
+      });
+    }
+
+    const ytd = await withholdingTaxService.loadYearToDate({ companyId, employeeId, year });
+    res.json({ success: true, ...ytd });
+  } catch (error) {
+    console.error('❌ Error loading year-to-date payroll:', error);
+    res.status(mapServiceErrorToStatus(error)).json({
+      success: false,
+      error: error.message,
+      code: error.code || 'internal',
+    });
+  }
+});
+
+// Preview the annualized year-end tax adjustment without saving a payroll
+router.post('/year-end-adjustment/preview', async (req, res) => {
+  try {
+    const { companyId, employeeId, year, thirteenthMonthPay, otherBenefits } = req.body || {};
+
+    if (!companyId || !employeeId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameters: companyId, employeeId'
+      });
+    }
+
+    const adjustment = await withholdingTaxService.computeYearEndAdjustment({
+      companyId,
+      employeeId,
+      payDate: `${year || new Date().getFullYear()}-12-31`,
+      thirteenthMonthPay,
+      otherBenefits,
+    });
+
+    res.json({ success: true, ...adjustment });
+  } catch (error) {
+    console.error('❌ Error previewing year-end adjustment:', error);
+    res.status(mapServiceErrorToStatus(error)).json({
+      success: false,
+      error: error.message,
+      code: error.code || 'internal',
+    });
+  }
+});
+
+// BIR Form 2316 certificate data for an employee and year
+router.get('/bir-2316', async (req, res) => {
+  try {
+    const { companyId, employeeId, year } = req.query || {};
+
+    if (!companyId || !employeeId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameters: companyId, employeeId'
+      });
+    }
+
+    const certificate = await withholdingTaxService.buildBir2316({ companyId, employeeId, year });
+
+    await logActivitySafe({
+      module: 'hr',
+      action: 'BIR_2316_GENERATED',
+      companyId,
+      entityType: 'employee',
+      entityId: employeeId,
+      summary: `Generated BIR 2316 data for employee ${employeeId} (${certificate.year})`,
+      metadata: {
+        year: certificate.year,
+        taxDue: certificate.summary.taxDue,
+        taxWithheld: certificate.summary.taxWithheld,
+      },
+      context: {
+        user: req.user,
+        request: req.activityContext,
+      },
+    });
+
+    res.json({ success: true, certificate });
+  } catch (error) {
+    console.error('❌ Error generating BIR 2316 data:', error);
+    res.status(mapServiceErrorToStatus(error)).json({
+      success: false,
+      error: error.message,
+      code: error.code || 'internal',
     });
   }
 });
@@ -377,6 +459,9 @@ router.post('/save-record', async (req, res) => {
       });
     }
 
+    // Saving changed figures sends a reviewed or approved run back to draft
+    await payrollRunService.ensurePayrollRun(sanitized, buildServiceOptions(req));
+
     const docRef = db.collection('payrolls').doc(String(sanitized.payrollKey));
 
     let existingCreatedAt = null;
@@ -438,9 +523,10 @@ router.post('/save-record', async (req, res) => {
     });
   } catch (error) {
     console.error('Error saving payroll record:', error);
-    res.status(500).json({
+    res.status(mapServiceErrorToStatus(error)).json({
       success: false,
       error: error?.message || 'Failed to save payroll record',
+      code: error?.code || 'internal',
     });
   }
 });
@@ -459,35 +545,19 @@ router.post('/delete-period', async (req, res) => {
       });
     }
 
-    let query = db.collection('payrolls')
-      .where('companyId', '==', companyId)
-      .where('payDate', '==', payDate);
-
-    if (cutoffStartDate) {
-      query = query.where('cutoffStartDate', '==', cutoffStartDate);
-    }
-    if (cutoffEndDate) {
-      query = query.where('cutoffEndDate', '==', cutoffEndDate);
-    }
-
-    const snapshot = await query.get();
+    const result = await payrollService.deletePayrollByPeriod(
+      { companyId, payDate, cutoffStartDate, cutoffEndDate },
+      buildServiceOptions(req),
+    );
 
-    if (snapshot.docs.length === 0) {
+    if (result.deleted === 0) {
       return res.json({
-        success: true,
-        deleted: 0,
+        ...result,
         message: 'No payroll records found for the specified period'
       });
     }
 
-    const batch = db.batch();
-    snapshot.docs.forEach(doc => {
-      batch.delete(doc.ref);
-    });
-
-    await batch.commit();
-
-    console.log(`✅ Deleted ${snapshot.docs.length} payroll records`);
+    console.log(`✅ Deleted ${result.deleted} payroll records`);
 
     await logActivitySafe({
       module: 'hr',
@@ -495,12 +565,15 @@ router.post('/delete-period', async (req, res) => {
       companyId,
       entityType: 'company',
       entityId: companyId,
-      summary: 'Deleted ' + snapshot.docs.length + ' payroll records for ' + payDate,
+      summary: 'Deleted ' + result.deleted + ' payroll records for ' + payDate,
       metadata: {
         payDate,
         cutoffStartDate: cutoffStartDate || null,
         cutoffEndDate: cutoffEndDate || null,
-        deletedCount: snapshot.docs.length,
+        deletedCount: result.deleted,
+        runsDeleted: result.runsDeleted,
+        commissionsReleased: result.commissionsReleased,
+        thirteenthMonthInstallmentsReleased: result.thirteenthMonthInstallmentsReleased,
       },
       context: {
         user: req.user,
@@ -509,16 +582,16 @@ router.post('/delete-period', async (req, res) => {
     });
 
     res.json({
-      success: true,
-      deleted: snapshot.docs.length,
-      message: `Deleted ${snapshot.docs.length} payroll records for the period`
+      ...result,
+      message: `Deleted ${result.deleted} payroll records for the period`
     });
 
   } catch (error) {
     console.error('❌ Error deleting payroll period:', error);
-    res.status(500).json({
+    res.status(mapServiceErrorToStatus(error)).json({
       success: false,
-      error: error.message
+      error: error.message,
+      code: error.code || 'internal',
     });
   }
 });
@@ -537,35 +610,19 @@ router.post('/delete-employee', async (req, res) => {
       });
     }
 
-    let query = db.collection('payrolls')
-      .where('companyId', '==', companyId)
-      .where('payDate', '==', payDate)
-      .where('employeeId', '==', employeeId);
-
-    if (cutoffStartDate) {
-      query = query.where('cutoffStartDate', '==', cutoffStartDate);
-    }
-    if (cutoffEndDate) {
-      query = query.where('cutoffEndDate', '==', cutoffEndDate);
-    }
-
-    const snapshot = await query.get();
+    const result = await payrollService.deletePayrollByEmployee(
+      { companyId, payDate, employeeId, cutoffStartDate, cutoffEndDate },
+      buildServiceOptions(req),
+    );
 
-    if (snapshot.docs.length === 0) {
+    if (result.deleted === 0) {
       return res.json({
-        success: true,
+        ...result,
         message: 'No payroll records found for the employee'
       });
     }
 
-    const batch = db.batch();
-    snapshot.docs.forEach(doc => {
-      batch.delete(doc.ref);
-    });
-
-    await batch.commit();
-
-    console.log(`✅ Deleted ${snapshot.docs.length} payroll record(s) for employee ${employeeId}`);
+    console.log(`✅ Deleted ${result.deleted} payroll record(s) for employee ${employeeId}`);
 
     await logActivitySafe({
       module: 'hr',
@@ -573,13 +630,16 @@ router.post('/delete-employee', async (req, res) => {
       companyId,
       entityType: 'employee',
       entityId: employeeId,
-      summary: 'Deleted ' + snapshot.docs.length + ' payroll record(s) for employee ' + employeeId,
+      summary: 'Deleted ' + result.deleted + ' payroll record(s) for employee ' + employeeId,
       metadata: {
         payDate,
         employeeId,
         cutoffStartDate: cutoffStartDate || null,
         cutoffEndDate: cutoffEndDate || null,
-        deletedCount: snapshot.docs.length,
+        deletedCount: result.deleted,
+        runsDeleted: result.runsDeleted,
+        commissionsReleased: result.commissionsReleased,
+        thirteenthMonthInstallmentsReleased: result.thirteenthMonthInstallmentsReleased,
       },
       context: {
         user: req.user,
@@ -588,25 +648,317 @@ router.post('/delete-employee', async (req, res) => {
     });
 
     res.json({
-      success: true,
-      message: `Deleted ${snapshot.docs.length} payroll record(s) for employee`
+      ...result,
+      message: `Deleted ${result.deleted} payroll record(s) for employee`
     });
 
   } catch (error) {
     console.error('❌ Error deleting employee payroll:', error);
-    res.status(500).json({
+    res.status(mapServiceErrorToStatus(error)).json({
       success: false,
-      error: error.message
+      error: error.message,
+      code: error.code || 'internal',
     });
   }
 });
 
-module.exports = router;
+// List payroll runs for a company
+router.get('/runs', async (req, res) => {
+  try {
+    const { companyId, status } = req.query || {};
+
+    if (!companyId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameter: companyId'
+      });
+    }
 
+    const result = await payrollRunService.listPayrollRuns(companyId, { status });
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Error listing payroll runs:', error);
+    res.status(mapServiceErrorToStatus(error)).json({
+      success: false,
+      error: error.message,
+      code: error.code || 'internal',
+    });
+  }
+});
 
+// Get a single payroll run with its transition history
+router.get('/runs/:runId', async (req, res) => {
+  try {
+    const run = await payrollRunService.getPayrollRunById(req.params.runId);
+    res.json({ success: true, run });
+  } catch (error) {
+    console.error('❌ Error loading payroll run:', error);
+    res.status(mapServiceErrorToStatus(error)).json({
+      success: false,
+      error: error.message,
+      code: error.code || 'internal',
+    });
+  }
+});
 
+// Move a payroll run through draft -> for-review -> approved -> locked -> paid (or reopened)
+router.post('/runs/:runId/transition', async (req, res) => {
+  try {
+    const { status, reason } = req.body || {};
 
+    if (!status) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameter: status'
+      });
+    }
 
+    const result = await payrollRunService.transitionPayrollRun(
+      { runId: req.params.runId, status, reason },
+      buildServiceOptions(req),
+    );
 
+    await logActivitySafe({
+      module: 'hr',
+      action: `PAYROLL_RUN_${result.to.replace(/-/g, '_').toUpperCase()}`,
+      companyId: result.run.companyId || null,
+      entityType: 'payrollRun',
+      entityId: result.run.id,
+      summary: `Payroll run ${result.run.id} moved from ${result.from} to ${result.to}`,
+      metadata: {
+        from: result.from,
+        to: result.to,
+        reason: reason || null,
+        payDate: result.run.payDate || null,
+        cutoffStartDate: result.run.cutoffStartDate || null,
+        cutoffEndDate: result.run.cutoffEndDate || null,
+      },
+      context: {
+        user: req.user,
+        request: req.activityContext,
+      },
+    });
 
+    // The transition already happened, so a mail problem is only logged
+    try {
+      if (result.to === payrollRunService.RUN_STATUSES.FOR_REVIEW) {
+        await notificationService.notifyPayrollApprovers(result.run, { submittedBy: req.user });
+      } else if (result.to === payrollRunService.RUN_STATUSES.PAID) {
+        await notificationService.notifyPayslipsReady(result.run);
+      }
+    } catch (notifyError) {
+      console.error('⚠️ Failed to queue payroll run notifications:', notifyError);
+    }
 
+    res.json({
+      success: true,
+      run: result.run,
+      message: `Payroll run moved to ${result.to}`
+    });
+  } catch (error) {
+    console.error('❌ Error transitioning payroll run:', error);
+    res.status(mapServiceErrorToStatus(error)).json({
+      success: false,
+      error: error.message,
+      code: error.code || 'internal',
+    });
+  }
+});
+
+// 13th month computation basis and payout schedule of a company
+router.get('/thirteenth-month/settings', async (req, res) => {
+  try {
+    const settings = await thirteenthMonthService.getThirteenthMonthSettings(req.query?.companyId);
+    res.json({ success: true, settings });
+  } catch (error) {
+    sendServiceError(res, error, 'loading 13th month settings');
+  }
+});
+
+router.put('/thirteenth-month/settings', async (req, res) => {
+  try {
+    const { companyId, basis, schedule } = req.body || {};
+    const settings = await thirteenthMonthService.setThirteenthMonthSettings(
+      companyId,
+      { basis, schedule },
+      buildServiceOptions(req),
+    );
+
+    await logActivitySafe({
+      module: 'hr',
+      action: 'THIRTEENTH_MONTH_SETTINGS_UPDATED',
+      companyId,
+      entityType: 'company',
+      entityId: companyId,
+      summary: `Updated 13th month settings: ${settings.basis} basis, ${settings.schedule.length} installment(s)`,
+      metadata: settings,
+      context: {
+        user: req.user,
+        request: req.activityContext,
+      },
+    });
+
+    res.json({ success: true, settings });
+  } catch (error) {
+    sendServiceError(res, error, 'updating 13th month settings');
+  }
+});
+
+// Overtime, rest day, holiday and night differential multipliers of a company
+router.get('/premium-multipliers', async (req, res) => {
+  try {
+    const result = await earningsService.getPremiumMultipliers(req.query?.companyId);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendServiceError(res, error, 'loading premium multipliers');
+  }
+});
+
+router.put('/premium-multipliers', async (req, res) => {
+  try {
+    const { companyId, premiumMultipliers } = req.body || {};
+    const result = await earningsService.setPremiumMultipliers(
+      companyId,
+      premiumMultipliers,
+      buildServiceOptions(req),
+    );
+
+    await logActivitySafe({
+      module: 'hr',
+      action: 'PREMIUM_MULTIPLIERS_UPDATED',
+      companyId,
+      entityType: 'company',
+      entityId: companyId,
+      summary: `Updated premium multipliers: ${Object.keys(result.overrides).length} override(s)`,
+      metadata: result.overrides,
+      context: {
+        user: req.user,
+        request: req.activityContext,
+      },
+    });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendServiceError(res, error, 'updating premium multipliers');
+  }
+});
+
+// Saved 13th month records of a company for a year
+router.get('/thirteenth-month', async (req, res) => {
+  try {
+    const { companyId, year, status } = req.query || {};
+    const result = await thirteenthMonthService.listThirteenthMonth({ companyId, year, status });
+    res.json(result);
+  } catch (error) {
+    sendServiceError(res, error, 'listing 13th month records');
+  }
+});
+
+// Compute without saving
+router.post('/thirteenth-month/preview', async (req, res) => {
+  try {
+    const result = await thirteenthMonthService.computeThirteenthMonthPay(req.body || {});
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendServiceError(res, error, 'previewing 13th month pay');
+  }
+});
+
+// Compute and store; approved or paid installments are kept as they are
+router.post('/thirteenth-month/save', async (req, res) => {
+  try {
+    const result = await thirteenthMonthService.saveThirteenthMonth(req.body || {}, buildServiceOptions(req));
+
+    await logActivitySafe({
+      module: 'hr',
+      action: 'THIRTEENTH_MONTH_SAVED',
+      companyId: result.companyId,
+      entityType: 'thirteenthMonthPay',
+      entityId: String(result.year),
+      summary: `Saved ${result.year} 13th month pay for ${result.records.length} employee(s)`,
+      metadata: {
+        year: result.year,
+        basis: result.basis,
+        employeeIds: result.records.map((record) => record.employeeId),
+        totalProjectedThirteenthMonthPay: result.totals.totalProjectedThirteenthMonthPay,
+      },
+      context: {
+        user: req.user,
+        request: req.activityContext,
+      },
+    });
+
+    res.json(result);
+  } catch (error) {
+    sendServiceError(res, error, 'saving 13th month pay');
+  }
+});
+
+// Approve an installment so the next payroll on or after its pay month pays it
+router.post('/thirteenth-month/approve', async (req, res) => {
+  try {
+    const { companyId, year, installmentKey, employeeIds } = req.body || {};
+    const result = await thirteenthMonthService.approveThirteenthMonth(
+      { companyId, year, installmentKey, employeeIds },
+      buildServiceOptions(req),
+    );
+
+    await logActivitySafe({
+      module: 'hr',
+      action: 'THIRTEENTH_MONTH_APPROVED',
+      companyId,
+      entityType: 'thirteenthMonthPay',
+      entityId: `${result.year}:${installmentKey}`,
+      summary: `Approved ${result.year} 13th month ${installmentKey} installment for ${result.count} employee(s)`,
+      metadata: {
+        year: result.year,
+        installmentKey,
+        totalAmount: result.totalAmount,
+        employeeIds: result.updated.map((entry) => entry.employeeId),
+        skipped: result.skipped.length,
+      },
+      context: {
+        user: req.user,
+        request: req.activityContext,
+      },
+    });
+
+    res.json(result);
+  } catch (error) {
+    sendServiceError(res, error, 'approving 13th month pay');
+  }
+});
+
+router.post('/thirteenth-month/revoke', async (req, res) => {
+  try {
+    const { companyId, year, installmentKey, employeeIds } = req.body || {};
+    const result = await thirteenthMonthService.revokeThirteenthMonthApproval(
+      { companyId, year, installmentKey, employeeIds },
+      buildServiceOptions(req),
+    );
+
+    await logActivitySafe({
+      module: 'hr',
+      action: 'THIRTEENTH_MONTH_APPROVAL_REVOKED',
+      companyId,
+      entityType: 'thirteenthMonthPay',
+      entityId: `${result.year}:${installmentKey}`,
+      summary: `Revoked approval of ${result.year} 13th month ${installmentKey} installment for ${result.count} employee(s)`,
+      metadata: {
+        year: result.year,
+        installmentKey,
+        employeeIds: result.updated.map((entry) => entry.employeeId),
+      },
+      context: {
+        user: req.user,
+        request: req.activityContext,
+      },
+    });
+
+    res.json(result);
+  } catch (error) {
+    sendServiceError(res, error, 'revoking 13th month approval');
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const initializeFirebaseAdmin = require('../config/firebase');
-const { ensureTransport, getMailConfigStatus, getFromAddress } = require('../services/mailService');
+const { recordActivity } = require('../services/activityLogService');
+const payslipService = require('../services/payslipService');
 
 const router = express.Router();
 
@@ -9,6 +10,44 @@ const admin = initializeFirebaseAdmin();
 const db = admin.firestore();
 const FieldValue = admin.firestore.FieldValue;
 
+const mapServiceErrorToStatus = (error) => {
+  switch (error?.code) {
+    case 'invalid-argument':
+      return 400;
+    case 'not-found':
+      return 404;
+    case 'permission-denied':
+      return 403;
+    case 'failed-precondition':
+      return 409;
+    default:
+      return 500;
+  }
+};
+
+const logActivitySafe = async (payload = {}) => {
+  try {
+    await recordActivity(payload);
+  } catch (error) {
+    console.error('Failed to record payslip activity log:', error);
+  }
+};
+
+const buildActivityContext = (req) => ({
+  user: req.user || null,
+  request: req.activityContext || {},
+});
+
+const sendError = (res, error, fallbackMessage) => {
+  console.error(`❌ ${fallbackMessage}:`, error);
+  return res.status(mapServiceErrorToStatus(error)).json({
+    success: false,
+    error: error.message || fallbackMessage,
+    code: error.code || null,
+    details: error.details,
+  });
+};
+
 // POST /history
 // Body: { personType: 'trainee'|'employee', payload: {...} }
 router.post('/history', async (req, res, next) => {
@@ -50,70 +89,79 @@ router.get('/history', async (req, res, next) => {
 module.exports = router;
 
 // POST /send
-// Body: { messages: [{ to, subject, html }], options?: { saveHistory?: boolean, personType?: 'employee'|'trainee' } }
-// Sends emails via server-side SMTP using Nodemailer
-router.post('/send', async (req, res, next) => {
+// Body: { companyId, payrollIds: string[], subject? }
+// Renders each stored payroll on the server and emails it as a password-protected PDF
+router.post('/send', async (req, res) => {
   try {
-    const { messages = [], options = {} } = req.body || {};
-    if (!Array.isArray(messages) || messages.length === 0) {
-      return res.status(400).json({ success: false, message: 'messages[] is required' });
-    }
-
-    const transporter = await ensureTransport();
-    const from = getFromAddress();
-    if (!transporter) {
-      const status = getMailConfigStatus();
-      return res.status(500).json({ success: false, message: 'Mail transport not configured on server', status });
+    const body = req.body || {};
+    if (Array.isArray(body.messages)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Client-rendered payslips are no longer accepted; send { companyId, payrollIds } instead',
+      });
     }
 
-    const results = await Promise.allSettled(
-      messages.map((m, idx) => {
-        const to = (m && m.to) || m?.recipient || m?.email;
-        const subject = (m && m.subject) || '(no subject)';
-        const html = (m && m.html) || '<p>(empty)</p>';
-        if (!to) {
-          return Promise.reject(new Error(`Message ${idx} missing to`));
-        }
-        return transporter.sendMail({ from, to, subject, html });
-      })
-    );
+    const result = await payslipService.sendPayslips(body, { userId: req.user?.uid || null });
 
-    const failures = [];
-    let sent = 0;
-    results.forEach((r, i) => {
-      if (r.status === 'fulfilled') {
-        sent += 1;
-      } else {
-        failures.push({ index: i, to: messages[i]?.to || null, reason: r.reason?.message || String(r.reason) });
-      }
+    await logActivitySafe({
+      module: 'finance',
+      action: 'PAYSLIPS_SENT',
+      companyId: body.companyId || null,
+      entityType: 'payslip',
+      entityId: result.total === 1 ? body.payrollIds[0] : null,
+      summary: `Emailed ${result.sent} of ${result.total} payslip${result.total === 1 ? '' : 's'}`,
+      metadata: { payrollIds: body.payrollIds, failures: result.failures },
+      context: buildActivityContext(req),
     });
 
-    // Optionally write to history collection if requested
-    const saveHistory = Boolean(options.saveHistory);
-    if (saveHistory) {
-      try {
-        const collectionName = options.personType === 'employee' ? 'payslip_history' : 'trainee_payslip_history';
-        await db.collection(collectionName).add({
-          type: 'server_email_send',
-          createdAt: FieldValue.serverTimestamp(),
-          updatedAt: FieldValue.serverTimestamp(),
-          counts: { total: messages.length, sent, failed: failures.length },
-          failures,
-          context: {
-            route: 'payslips/send',
-            from,
-          },
-        });
-      } catch (e) {
-        // non-fatal
-        console.warn('payslips/send: failed to record history:', e?.message || e);
-      }
-    }
+    return res.json(result);
+  } catch (error) {
+    return sendError(res, error, 'Failed to send payslips');
+  }
+});
 
-    const info = getMailConfigStatus();
-    return res.json({ success: true, total: messages.length, sent, failed: failures.length, failures, transport: info });
-  } catch (err) {
-    next(err);
+// GET /payroll/:payrollId/html?companyId=...
+// Preview of the payslip rendered from the stored payroll and the company template
+router.get('/payroll/:payrollId/html', async (req, res) => {
+  try {
+    const { html } = await payslipService.generatePayslip(
+      { companyId: req.query.companyId, payrollId: req.params.payrollId },
+      { userId: req.user?.uid || null },
+    );
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    return res.send(html);
+  } catch (error) {
+    return sendError(res, error, 'Failed to render payslip');
   }
 });
 
+// GET /payroll/:payrollId/pdf?companyId=...&regenerate=true
+// Reprint of the encrypted PDF kept when the payslip was issued
+router.get('/payroll/:payrollId/pdf', async (req, res) => {
+  try {
+    const result = await payslipService.getPayslipPdf(
+      {
+        companyId: req.query.companyId,
+        payrollId: req.params.payrollId,
+        regenerate: req.query.regenerate === 'true',
+      },
+      { userId: req.user?.uid || null },
+    );
+
+    await logActivitySafe({
+      module: 'finance',
+      action: result.reprint ? 'PAYSLIP_REPRINTED' : 'PAYSLIP_GENERATED',
+      companyId: req.query.companyId || null,
+      entityType: 'payslip',
+      entityId: req.params.payrollId,
+      summary: `${result.reprint ? 'Reprinted' : 'Generated'} payslip for payroll ${req.params.payrollId}`,
+      context: buildActivityContext(req),
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="payslip-${req.params.payrollId}.pdf"`);
+    return res.send(result.pdf);
+  } catch (error) {
+    return sendError(res, error, 'Failed to load payslip PDF');
+  }
+});
@@ -8,6 +8,27 @@ initializeFirebaseAdmin();
 
 const router = express.Router();
 
+const mapServiceErrorToStatus = (error) => {
+  switch (error?.code) {
+    case 'invalid-argument':
+      return 400;
+    case 'not-found':
+      return 404;
+    case 'permission-denied':
+      return 403;
+    case 'failed-precondition':
+      return 409;
+    default:
+      return 500;
+  }
+};
+
+const buildServiceOptions = (req) => ({
+  userId: req.user?.uid || null,
+  email: req.user?.email || null,
+  role: req.user?.specialrole || null,
+});
+
 const logActivitySafe = async (payload = {}) => {
   try {
     await recordActivity(payload);
@@ -22,32 +43,212 @@ const buildActivityContext = (req) => ({
 });
 
 // ---------------------------------------------------------------------------
-// List petty cash records
+// List petty cash records of a company (?companyId, fundId, type, status, from, to, limit)
 router.get('/', async (req, res) => {
   try {
-    const { companyId, type, from, to, limit } = req.query;
-    const result = await pettyCashService.listPettyCash({ companyId, type, from, to, limit });
+    const { companyId, fundId, type, status, from, to, limit } = req.query;
+    const result = await pettyCashService.listPettyCash({ companyId, fundId, type, status, from, to, limit });
     return res.json(result);
   } catch (error) {
     console.error('Error listing petty cash:', error);
-    return res.status(500).json({ success: false, error: error.message });
+    return res.status(mapServiceErrorToStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Funds
+
+// List funds of a company (?companyId, active)
+router.get('/funds', async (req, res) => {
+  try {
+    const result = await pettyCashService.listFunds(req.query);
+    return res.json(result);
+  } catch (error) {
+    console.error('Error listing petty cash funds:', error);
+    return res.status(mapServiceErrorToStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+// Open a fund ({ companyId, name, custodianId | custodianName, imprestAmount })
+router.post('/funds', async (req, res) => {
+  try {
+    const result = await pettyCashService.createFund(req.body || {}, buildServiceOptions(req));
+
+    await logActivitySafe({
+      module: 'finance',
+      action: 'PETTY_CASH_FUND_CREATED',
+      companyId: result.fund.companyId,
+      entityType: 'pettyCashFund',
+      entityId: result.id,
+      summary: `fund ${result.fund.name} opened with imprest ${result.fund.imprestAmount}, custodian ${result.fund.custodianName || result.fund.custodianId}`,
+      metadata: result.fund,
+      context: buildActivityContext(req),
+    });
+
+    return res.json(result);
+  } catch (error) {
+    console.error('Error creating petty cash fund:', error);
+    return res.status(mapServiceErrorToStatus(error)).json({ success: false, error: error.message });
   }
 });
 
-// Get single record
+// Rename a fund, hand it to another custodian or close it ({ companyId, name?, custodianId?, custodianName?, active? })
+router.put('/funds/:fundId', async (req, res) => {
+  try {
+    const payload = req.body || {};
+    const result = await pettyCashService.updateFund(payload.companyId, req.params.fundId, payload, buildServiceOptions(req));
+
+    await logActivitySafe({
+      module: 'finance',
+      action: 'PETTY_CASH_FUND_UPDATED',
+      companyId: payload.companyId || null,
+      entityType: 'pettyCashFund',
+      entityId: req.params.fundId,
+      summary: `fund ${req.params.fundId} updated: ${Object.keys(payload).filter((k) => k !== 'companyId').join(', ')}`,
+      metadata: { id: req.params.fundId, ...payload },
+      context: buildActivityContext(req),
+    });
+
+    return res.json(result);
+  } catch (error) {
+    console.error('Error updating petty cash fund:', error);
+    return res.status(mapServiceErrorToStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+// Ledger of a fund in posting order with the running balance (?companyId, from, to)
+router.get('/funds/:fundId/ledger', async (req, res) => {
+  try {
+    const result = await pettyCashService.getFundLedger(req.query.companyId, req.params.fundId, req.query);
+    return res.json(result);
+  } catch (error) {
+    console.error('Error loading petty cash ledger:', error);
+    return res.status(mapServiceErrorToStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+// List replenishment requests of a fund (?companyId, status)
+router.get('/funds/:fundId/replenishments', async (req, res) => {
+  try {
+    const result = await pettyCashService.listReplenishments(req.query.companyId, req.params.fundId, req.query);
+    return res.json(result);
+  } catch (error) {
+    console.error('Error listing petty cash replenishments:', error);
+    return res.status(mapServiceErrorToStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+// Request replenishment of all unreplenished expenses ({ companyId, notes? })
+router.post('/funds/:fundId/replenishments', async (req, res) => {
+  try {
+    const payload = req.body || {};
+    const result = await pettyCashService.requestReplenishment(
+      { ...payload, fundId: req.params.fundId },
+      buildServiceOptions(req),
+    );
+
+    await logActivitySafe({
+      module: 'finance',
+      action: 'PETTY_CASH_REPLENISHMENT_REQUESTED',
+      companyId: result.replenishment.companyId,
+      entityType: 'pettyCashReplenishment',
+      entityId: result.id,
+      summary: `replenishment of ${result.replenishment.totalAmount} requested for ${result.replenishment.fundName} (${result.replenishment.expenseIds.length} expenses)`,
+      metadata: { fundId: req.params.fundId, categories: result.replenishment.categories, totalAmount: result.replenishment.totalAmount },
+      context: buildActivityContext(req),
+    });
+
+    return res.json(result);
+  } catch (error) {
+    console.error('Error requesting petty cash replenishment:', error);
+    return res.status(mapServiceErrorToStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+const reviewReplenishmentRoute = (decision, action) => async (req, res) => {
+  try {
+    const payload = req.body || {};
+    const result = await pettyCashService.reviewReplenishment(
+      { ...payload, decision, replenishmentId: req.params.replenishmentId },
+      buildServiceOptions(req),
+    );
+
+    await logActivitySafe({
+      module: 'finance',
+      action,
+      companyId: payload.companyId || null,
+      entityType: 'pettyCashReplenishment',
+      entityId: req.params.replenishmentId,
+      summary: `replenishment ${req.params.replenishmentId} ${result.status}${payload.reason ? `: ${payload.reason}` : ''}`,
+      metadata: { ...result, reason: payload.reason || null },
+      context: buildActivityContext(req),
+    });
+
+    return res.json(result);
+  } catch (error) {
+    console.error(`Error on petty cash replenishment ${decision}:`, error);
+    return res.status(mapServiceErrorToStatus(error)).json({ success: false, error: error.message });
+  }
+};
+
+// Approve a replenishment and post it to the fund ({ companyId, date?, reference? })
+router.post('/replenishments/:replenishmentId/approve', reviewReplenishmentRoute('approve', 'PETTY_CASH_REPLENISHMENT_APPROVED'));
+
+// Reject a replenishment; its expenses go back to the next request ({ companyId, reason })
+router.post('/replenishments/:replenishmentId/reject', reviewReplenishmentRoute('reject', 'PETTY_CASH_REPLENISHMENT_REJECTED'));
+
+// ---------------------------------------------------------------------------
+// Approval limits
+
+// Largest expense each role may approve (?companyId)
+router.get('/approval-limits', async (req, res) => {
+  try {
+    const result = await pettyCashService.getApprovalLimits(req.query.companyId);
+    return res.json(result);
+  } catch (error) {
+    console.error('Error loading petty cash approval limits:', error);
+    return res.status(mapServiceErrorToStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+// Override approval limits ({ companyId, limits: { role: amount | null } })
+router.put('/approval-limits', async (req, res) => {
+  try {
+    const payload = req.body || {};
+    const result = await pettyCashService.setApprovalLimits(payload.companyId, payload.limits, buildServiceOptions(req));
+
+    await logActivitySafe({
+      module: 'finance',
+      action: 'PETTY_CASH_APPROVAL_LIMITS_UPDATED',
+      companyId: payload.companyId || null,
+      entityType: 'company',
+      entityId: payload.companyId || null,
+      summary: `approval limits updated: ${Object.entries(payload.limits || {}).map(([role, limit]) => `${role} ${limit ?? 'unlimited'}`).join(', ')}`,
+      metadata: { limits: result.limits },
+      context: buildActivityContext(req),
+    });
+
+    return res.json(result);
+  } catch (error) {
+    console.error('Error updating petty cash approval limits:', error);
+    return res.status(mapServiceErrorToStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Get single record (?companyId)
 router.get('/:id', async (req, res) => {
   try {
-    const { id } = req.params;
-    const record = await pettyCashService.getPettyCashById(id);
-    if (!record) return res.status(404).json({ success: false, error: 'Not found' });
+    const record = await pettyCashService.getPettyCashById(req.query.companyId, req.params.id);
     return res.json({ success: true, record });
   } catch (error) {
-    console.error('Error getting petty cash record:', error);
-    return res.status(500).json({ success: false, error: error.message });
+    const status = mapServiceErrorToStatus(error);
+    if (status === 500) console.error('Error getting petty cash record:', error);
+    return res.status(status).json({ success: false, error: error.message });
   }
 });
 
-// Create record
+// Submit an expense for approval or post a top-up to a fund
 router.post('/', async (req, res) => {
   try {
     const payload = req.body || {};
@@ -63,34 +264,127 @@ router.post('/', async (req, res) => {
       companyId: payload.companyId || null,
       entityType: 'pettyCash',
       entityId: result.id,
-      summary: `${payload.type || 'record'} created on ${payload.date} amount ${payload.amount}`,
+      summary: `${payload.type || 'record'} ${result.status === 'submitted' ? 'submitted' : 'created'} on ${payload.date} amount ${payload.amount}`,
       metadata: { ...payload, id: result.id },
       context: buildActivityContext(req),
     });
 
-    return res.json({ success: true, id: result.id });
+    return res.json({ success: true, id: result.id, status: result.status, balance: result.balance });
   } catch (error) {
-    const status = error.code === 'invalid-argument' ? 400 : 500;
+    const status = mapServiceErrorToStatus(error);
     console.error('Error creating petty cash record:', error);
     return res.status(status).json({ success: false, error: error.message });
   }
 });
 
-// Update record
+const reviewExpenseRoute = (decision, action) => async (req, res) => {
+  try {
+    const payload = req.body || {};
+    const result = await pettyCashService.reviewPettyCash(
+      { ...payload, decision, id: req.params.id },
+      buildServiceOptions(req),
+    );
+
+    await logActivitySafe({
+      module: 'finance',
+      action,
+      companyId: result.record.companyId,
+      entityType: 'pettyCash',
+      entityId: req.params.id,
+      summary: `expense ${result.status}: ${result.record.reference} amount ${result.record.amount}${payload.reason ? ` (${payload.reason})` : ''}`,
+      metadata: {
+        id: req.params.id,
+        fundId: result.record.fundId,
+        amount: result.record.amount,
+        balance: result.balance ?? null,
+        reason: payload.reason || null,
+      },
+      context: buildActivityContext(req),
+    });
+
+    return res.json({ success: true, id: result.id, status: result.status, balance: result.balance });
+  } catch (error) {
+    console.error(`Error on petty cash expense ${decision}:`, error);
+    return res.status(mapServiceErrorToStatus(error)).json({ success: false, error: error.message });
+  }
+};
+
+// Approve a submitted expense within the approver's role limit ({ companyId })
+router.post('/:id/approve', reviewExpenseRoute('approve', 'PETTY_CASH_APPROVED'));
+
+// Reject a submitted expense ({ companyId, reason })
+router.post('/:id/reject', reviewExpenseRoute('reject', 'PETTY_CASH_REJECTED'));
+
+// Attach receipts uploaded through /files/upload to a submitted expense ({ companyId, receipts: [{ path, fileName?, contentType?, size? }] })
+router.post('/:id/receipts', async (req, res) => {
+  try {
+    const payload = req.body || {};
+    const result = await pettyCashService.attachReceipts(payload.companyId, req.params.id, payload, buildServiceOptions(req));
+
+    await logActivitySafe({
+      module: 'finance',
+      action: 'PETTY_CASH_RECEIPTS_ATTACHED',
+      companyId: result.companyId,
+      entityType: 'pettyCash',
+      entityId: req.params.id,
+      summary: `${result.receipts.length} receipt(s) on record ${req.params.id}`,
+      metadata: { id: req.params.id, receipts: result.receipts.map((r) => r.path) },
+      context: buildActivityContext(req),
+    });
+
+    return res.json(result);
+  } catch (error) {
+    console.error('Error attaching petty cash receipts:', error);
+    return res.status(mapServiceErrorToStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+// Correct an approved entry by posting its reversal ({ companyId, reason, date? })
+router.post('/:id/reverse', async (req, res) => {
+  try {
+    const payload = req.body || {};
+    const result = await pettyCashService.reversePettyCash(payload.companyId, req.params.id, payload, buildServiceOptions(req));
+
+    await logActivitySafe({
+      module: 'finance',
+      action: 'PETTY_CASH_REVERSED',
+      companyId: result.reversal.companyId,
+      entityType: 'pettyCash',
+      entityId: req.params.id,
+      summary: `${result.original.type} ${result.original.reference} amount ${result.original.amount} reversed: ${payload.reason}`,
+      metadata: {
+        id: req.params.id,
+        reversalId: result.id,
+        fundId: result.reversal.fundId,
+        amount: result.reversal.amount,
+        balance: result.balance,
+        reason: payload.reason,
+      },
+      context: buildActivityContext(req),
+    });
+
+    return res.json({ success: true, id: result.id, balance: result.balance });
+  } catch (error) {
+    console.error('Error reversing petty cash record:', error);
+    return res.status(mapServiceErrorToStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+// Update a submitted expense ({ companyId, date?, amount?, description?, ... })
 router.put('/:id', async (req, res) => {
   try {
     const { id } = req.params;
     const payload = req.body || {};
     const user = req.user || {};
 
-    const result = await pettyCashService.updatePettyCash(id, payload, {
+    const result = await pettyCashService.updatePettyCash(payload.companyId, id, payload, {
       userId: user.uid || null,
       email: user.email || null,
     });
 
     // Load record to capture companyId/type/date/amount for activity context
     try {
-      const updated = await pettyCashService.getPettyCashById(id);
+      const updated = await pettyCashService.getPettyCashById(payload.companyId, id);
       await logActivitySafe({
         module: 'finance',
         action: 'PETTY_CASH_UPDATED',
@@ -107,21 +401,22 @@ router.put('/:id', async (req, res) => {
 
     return res.json(result);
   } catch (error) {
-    const status = error.code === 'invalid-argument' ? 400 : error.code === 'not-found' ? 404 : 500;
+    const status = mapServiceErrorToStatus(error);
     console.error('Error updating petty cash record:', error);
     return res.status(status).json({ success: false, error: error.message });
   }
 });
 
-// Delete record
+// Delete a submitted or rejected expense (?companyId)
 router.delete('/:id', async (req, res) => {
   try {
     const { id } = req.params;
+    const { companyId } = req.query;
     // Fetch before delete for context
     let existing = null;
-    try { existing = await pettyCashService.getPettyCashById(id); } catch (_) {}
+    try { existing = await pettyCashService.getPettyCashById(companyId, id); } catch (_) {}
 
-    const result = await pettyCashService.deletePettyCash(id);
+    const result = await pettyCashService.deletePettyCash(companyId, id);
 
     await logActivitySafe({
       module: 'finance',
@@ -136,7 +431,7 @@ router.delete('/:id', async (req, res) => {
 
     return res.json(result);
   } catch (error) {
-    const status = error.code === 'not-found' ? 404 : 500;
+    const status = mapServiceErrorToStatus(error);
     console.error('Error deleting petty cash record:', error);
     return res.status(status).json({ success: false, error: error.message });
   }
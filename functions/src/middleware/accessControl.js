@@ -0,0 +1,249 @@
+const { requireAuthenticatedUser } = require('./requestContext');
+const accessControlService = require('../services/accessControlService');
+
+// Payroll run transitions that sign off a run rather than prepare it
+const PAYROLL_APPROVAL_STATUSES = new Set(['approved', 'locked', 'paid', 'reopened']);
+
+const SALARY_FIELDS = [
+  'basicSalary',
+  'basicPay',
+  'monthlySalary',
+  'dailyRate',
+  'rateType',
+  'allowance',
+  'transpoAllowance',
+];
+
+const touchesSalary = (req) => {
+  const body = req.body || {};
+  const records = Array.isArray(body.employees) ? body.employees : [body, body.employee, body.updates];
+  return records.some((record) => record && typeof record === 'object'
+    && SALARY_FIELDS.some((field) => record[field] !== undefined));
+};
+
+/**
+ * Permission needed for each request, per router. The first rule whose method,
+ * path (relative to the router's mount point) and condition match wins; every
+ * list ends with a catch-all so an unlisted route is never left open.
+ */
+const ROUTE_POLICIES = {
+  payroll: [
+    {
+      method: 'POST',
+      path: /^\/runs\/[^/]+\/transition$/,
+      permission: (req) => (PAYROLL_APPROVAL_STATUSES.has(String(req.body?.status || '').toLowerCase())
+        ? 'payroll:approve'
+        : 'payroll:run'),
+    },
+    { method: 'POST', path: /^\/thirteenth-month\/(approve|revoke)$/, permission: 'payroll:approve' },
+    { method: 'PUT', path: /^\/(thirteenth-month\/settings|premium-multipliers)$/, permission: 'payroll:configure' },
+    { method: 'GET', permission: 'payroll:view' },
+    { method: 'POST', path: /^\/(year-end-adjustment|thirteenth-month)\/preview$/, permission: 'payroll:view' },
+    { permission: 'payroll:run' },
+  ],
+  'trainee-payroll': [
+    { method: 'GET', permission: 'payroll:view' },
+    { permission: 'payroll:run' },
+  ],
+  payslips: [
+    { method: 'GET', permission: 'payslip:view' },
+    { permission: 'payslip:send' },
+  ],
+  commissions: [
+    { method: 'GET', permission: 'commission:view' },
+    { method: 'POST', path: /^\/preview$/, permission: 'commission:view' },
+    { method: 'POST', path: /^\/(approve|reject|void|payout|clawback)$/, permission: 'commission:approve' },
+    { permission: 'commission:manage' },
+  ],
+  employees: [
+    { method: 'GET', permission: 'employee:view' },
+    { permission: 'employee:edit' },
+  ],
+  'employee-mgmt': [
+    { method: 'GET', permission: 'employee:view' },
+    { method: 'POST', path: /^\/[^/]+\/compensation$/, permission: 'employee:edit-salary' },
+    { method: 'POST', path: /^\/import\/[^/]+\/commit$/, permission: 'employee:edit-salary' },
+    { method: 'POST', path: /^\/bulk-delete$/, permission: 'employee:delete' },
+    { method: 'DELETE', permission: 'employee:delete' },
+    { when: touchesSalary, permission: 'employee:edit-salary' },
+    { permission: 'employee:edit' },
+  ],
+  attendance: [
+    { method: 'GET', permission: 'attendance:view' },
+    { method: 'POST', path: /^\/(report|generateAttendanceReport|calculate-time-status|import\/preview)$/, permission: 'attendance:view' },
+    { permission: 'attendance:edit' },
+  ],
+  holidays: [
+    { method: 'GET', permission: 'attendance:view' },
+    { permission: 'holiday:manage' },
+  ],
+  pettycash: [
+    { method: 'GET', permission: 'pettycash:view' },
+    { method: 'POST', path: /^\/funds\/[^/]+\/replenishments$/, permission: 'pettycash:submit' },
+    { method: 'POST', path: /^\/replenishments\/[^/]+\/(approve|reject)$/, permission: 'pettycash:approve' },
+    { method: 'POST', path: /^\/[^/]+\/(approve|reject|reverse)$/, permission: 'pettycash:approve' },
+    { path: /^\/(funds|approval-limits)(\/|$)/, permission: 'pettycash:manage' },
+    { permission: 'pettycash:submit' },
+  ],
+  reports: [
+    { permission: 'report:view' },
+  ],
+  activity: [
+    { permission: 'activity:view' },
+  ],
+  audit: [
+    { method: 'GET', permission: 'audit:view' },
+    { permission: 'audit:edit' },
+  ],
+  files: [
+    { method: 'GET', permission: 'file:view' },
+    { permission: 'file:upload' },
+  ],
+  // Collection-level rules live in dataAccessService
+  firestore: [
+    { method: 'GET', permission: 'data:read' },
+    { method: 'POST', path: /^\/(query|get)$/, permission: 'data:read' },
+    { permission: 'data:write' },
+  ],
+  // Unsubscribe links are opened from mail clients, so the signed token is the only credential
+  notifications: [
+    { method: 'GET', path: /^\/unsubscribe$/, public: true },
+    { path: /^\/preferences$/, permission: 'company:view' },
+    { permission: 'notification:manage' },
+  ],
+  admin: [
+    { method: 'GET', path: /^\/(companies|me\/access)$/, permission: 'company:view' },
+    { method: 'GET', path: /^\/contribution-schedules/, permission: 'payroll:view' },
+    { path: /^\/contribution-schedules/, permission: 'payroll:configure' },
+    { path: /^\/companies/, permission: 'company:manage' },
+    { permission: 'user:manage' },
+  ],
+};
+
+/**
+ * Routes that name a company-owned document in their path. The permission is
+ * also checked against the company stored on that document, so a companyId
+ * the caller is allowed in cannot be used to reach another company's data.
+ */
+const RESOURCE_OWNERS = {
+  payroll: [
+    { path: /^\/runs\/([^/]+)(\/transition)?$/, collection: 'payrollRuns' },
+  ],
+  payslips: [
+    { path: /^\/payroll\/([^/]+)\/(html|pdf)$/, collection: 'payrolls' },
+  ],
+  audit: [
+    { path: /^\/employees\/([^/]+)\//, collection: 'employees' },
+    { path: /^\/trainees\/([^/]+)\//, collection: 'trainingRecords' },
+  ],
+  holidays: [
+    { path: /^\/([^/]+)$/, collection: 'companyHolidays' },
+  ],
+};
+
+const matchesRule = (rule, req) => (!rule.method || rule.method === req.method)
+  && (!rule.path || rule.path.test(req.path))
+  && (!rule.when || rule.when(req));
+
+const resolvePermission = (rules, req) => {
+  const rule = rules.find((candidate) => matchesRule(candidate, req));
+  return typeof rule.permission === 'function' ? rule.permission(req) : rule.permission;
+};
+
+// Bulk bodies may name a company per entry; each one has to be allowed
+const resolveRequestCompanyIds = (req) => {
+  const body = req.body || {};
+  const candidates = [
+    req.query?.companyId,
+    body.companyId,
+    body.payroll?.companyId,
+    req.headers['x-company-id'],
+    ...(Array.isArray(body.employees) ? body.employees.map((entry) => entry?.companyId) : []),
+  ];
+  return Array.from(new Set(candidates
+    .filter((value) => typeof value === 'string' || typeof value === 'number')
+    .map((value) => String(value).trim())
+    .filter(Boolean)));
+};
+
+// Company of the document the path names: undefined when the route names none,
+// '' when the document is missing or has no company
+const resolveResourceCompanyId = async (area, req) => {
+  const owner = (RESOURCE_OWNERS[area] || []).find((candidate) => candidate.path.test(req.path));
+  if (!owner) {
+    return undefined;
+  }
+  const id = decodeURIComponent(req.path.match(owner.path)[1]);
+  return (await accessControlService.loadResourceCompanyId(owner.collection, id)) || '';
+};
+
+/**
+ * Authenticate the caller and check the permission the route needs, scoped to
+ * every companyId in the query, body or X-Company-Id header and to the company
+ * of the document the path names (see RESOURCE_OWNERS). Routes matched by
+ * a public rule skip both checks and must validate the request themselves.
+ * Sets req.access for handlers that narrow results further.
+ * @param {string} area - Key of ROUTE_POLICIES, normally the router's mount path
+ */
+const authorize = (area) => {
+  const rules = ROUTE_POLICIES[area];
+  if (!rules) {
+    throw new Error(`No access policy is defined for ${area}`);
+  }
+
+  return (req, res, next) => {
+    if (rules.find((candidate) => matchesRule(candidate, req))?.public) {
+      return next();
+    }
+    return requireAuthenticatedUser(req, res, async () => {
+      try {
+        const permission = resolvePermission(rules, req);
+        const companyIds = resolveRequestCompanyIds(req);
+        req.access = req.access || await accessControlService.resolveUserAccess(req.user);
+
+        const resourceCompanyId = await resolveResourceCompanyId(area, req);
+        if (resourceCompanyId && !companyIds.includes(resourceCompanyId)) {
+          companyIds.push(resourceCompanyId);
+        }
+
+        const companyId = companyIds
+          .find((candidate) => !accessControlService.hasPermission(req.access, permission, candidate));
+        // A document without a company is only reachable by roles that span every company
+        const allowed = resourceCompanyId === ''
+          ? accessControlService.allowedCompanyIds(req.access, permission) === null
+          : companyIds.length
+            ? !companyId
+            : accessControlService.hasPermission(req.access, permission, null);
+        if (!allowed) {
+          console.warn(`⛔ ${req.user.uid} denied ${permission}${companyId ? ` for company ${companyId}` : ''}: ${req.method} ${req.originalUrl}`);
+          return res.status(403).json({
+            success: false,
+            error: 'forbidden',
+            code: 'permission-denied',
+            message: companyId
+              ? `You do not have the ${permission} permission for this company.`
+              : `You do not have the ${permission} permission.`,
+            permission,
+          });
+        }
+
+        req.permission = permission;
+        return next();
+      } catch (error) {
+        console.error('❌ Access control error:', error);
+        return res.status(500).json({
+          success: false,
+          error: 'internal',
+          message: 'Failed to verify access.',
+        });
+      }
+    });
+  };
+};
+
+module.exports = {
+  ROUTE_POLICIES,
+  RESOURCE_OWNERS,
+  authorize,
+  resolveRequestCompanyIds,
+};
@@ -1,8 +1,6 @@
 const { randomUUID } = require('crypto');
 const admin = require('../utils/firebaseAdmin');
-const jwt = require('jsonwebtoken');
-
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+const authService = require('../services/authService');
 
 const parseAuthorization = (req) => {
   const header = req.headers.authorization || req.headers.Authorization;
@@ -21,17 +19,10 @@ const hydrateUserFromToken = async (req, token) => {
   }
 
   try {
-    // Try JWT verification first (for tokens from our login endpoint)
-    let decoded;
-    try {
-      decoded = jwt.verify(token, JWT_SECRET);
-      console.log('✅ [Auth] JWT token verified:', decoded.uid);
-    } catch (jwtError) {
-      // If JWT fails, try Firebase ID token
-      console.log('⚠️ [Auth] JWT verification failed, trying Firebase ID token');
-      decoded = await admin.auth().verifyIdToken(token);
-      console.log('✅ [Auth] Firebase ID token verified:', decoded.uid);
-    }
+    // Only our own access tokens (from /auth/login and /auth/refresh) are
+    // accepted, and only while their session is active; Firebase ID tokens would
+    // bypass the session, lockout and two-factor checks
+    const decoded = await authService.verifyAccessToken(token);
 
     let specialRole = decoded.specialrole || decoded.role || null;
     let displayName = decoded.name || null;
@@ -4,6 +4,7 @@
  */
 
 const admin = require('firebase-admin');
+const authService = require('../services/authService');
 const db = admin.firestore();
 
 // Rate limiting store (in production, use Redis)
@@ -26,7 +27,8 @@ exports.authenticateUser = async (req, res, next) => {
     }
 
     try {
-      const decodedToken = await admin.auth().verifyIdToken(token);
+      // Same access tokens as requestContext; Firebase ID tokens are not accepted
+      const decodedToken = await authService.verifyAccessToken(token);
       req.user = {
         uid: decodedToken.uid,
         email: decodedToken.email,
@@ -53,72 +55,6 @@ exports.authenticateUser = async (req, res, next) => {
   }
 };
 
-/**
- * Company access control middleware
- * Ensures user has access to the requested company
- */
-exports.validateCompanyAccess = async (req, res, next) => {
-  try {
-    const companyId = req.body?.companyId || req.query?.companyId;
-
-    if (!companyId) {
-      return res.status(400).json({
-        success: false,
-        code: 'invalid-argument',
-        message: 'Company ID is required',
-        status: 400
-      });
-    }
-
-    // Get user's company assignments
-    const userDoc = await db.collection('users').doc(req.user.uid).get();
-    const userData = userDoc.data();
-
-    if (!userData) {
-      return res.status(403).json({
-        success: false,
-        code: 'permission-denied',
-        message: 'User profile not found',
-        status: 403
-      });
-    }
-
-    // Check if user has access to this company
-    const userCompanies = userData.companies || [];
-    const userRole = userData.role || 'viewer';
-
-    if (userRole === 'admin') {
-      // Admins can access all companies
-      req.userCompanies = userCompanies;
-      req.userRole = userRole;
-      return next();
-    }
-
-    if (!userCompanies.includes(companyId)) {
-      console.warn(`Access denied: User ${req.user.uid} attempted to access company ${companyId}`);
-      return res.status(403).json({
-        success: false,
-        code: 'permission-denied',
-        message: 'You do not have permission to access this company',
-        status: 403
-      });
-    }
-
-    req.userCompanies = userCompanies;
-    req.userRole = userRole;
-    req.companyId = companyId;
-    next();
-  } catch (error) {
-    console.error('Company access validation error:', error);
-    return res.status(500).json({
-      success: false,
-      code: 'internal',
-      message: 'Error validating company access',
-      status: 500
-    });
-  }
-};
-
 /**
  * Rate limiting middleware
  * Prevents abuse by limiting requests per user/IP
@@ -388,21 +324,4 @@ exports.setCorsHeaders = (req, res, next) => {
   next();
 };
 
-/**
- * Check if user has specific role/permission
- */
-exports.requireRole = (...allowedRoles) => {
-  return (req, res, next) => {
-    if (!allowedRoles.includes(req.userRole)) {
-      return res.status(403).json({
-        success: false,
-        code: 'permission-denied',
-        message: `This action requires one of the following roles: ${allowedRoles.join(', ')}`,
-        status: 403
-      });
-    }
-    next();
-  };
-};
-
 exports.rateLimitStore = rateLimitStore;
@@ -0,0 +1,340 @@
+const admin = require('../utils/firebaseAdmin');
+
+const firestore = () => {
+  if (typeof admin.firestore !== 'function') {
+    throw new Error('Firestore is not initialized');
+  }
+  return admin.firestore();
+};
+
+const USERS_COLLECTION = 'users';
+
+const PERMISSIONS = Object.freeze([
+  'payroll:view',
+  'payroll:run',
+  'payroll:approve',
+  'payroll:configure',
+  'payslip:view',
+  'payslip:send',
+  'employee:view',
+  'employee:edit',
+  'employee:edit-salary',
+  'employee:delete',
+  'attendance:view',
+  'attendance:edit',
+  'holiday:manage',
+  'commission:view',
+  'commission:manage',
+  'commission:approve',
+  'pettycash:view',
+  'pettycash:submit',
+  'pettycash:approve',
+  'pettycash:manage',
+  'report:view',
+  'activity:view',
+  'audit:view',
+  'audit:edit',
+  'file:view',
+  'file:upload',
+  'data:read',
+  'data:write',
+  'company:view',
+  'company:manage',
+  'user:manage',
+  'notification:manage',
+]);
+
+// Every signed-in role can see its companies and use the generic data and file endpoints
+const BASE_PERMISSIONS = ['company:view', 'data:read', 'data:write', 'file:view', 'file:upload'];
+
+// "area:*" grants every permission of the area; "*" grants everything.
+const ROLE_PERMISSIONS = Object.freeze({
+  superadmin: ['*'],
+  admin: [
+    ...BASE_PERMISSIONS,
+    'employee:*',
+    'attendance:*',
+    'holiday:manage',
+    'commission:*',
+    'pettycash:*',
+    'payroll:view',
+    'payslip:view',
+    'report:view',
+    'activity:view',
+    'company:manage',
+    'user:manage',
+    'notification:manage',
+  ],
+  hr: [
+    ...BASE_PERMISSIONS,
+    'employee:*',
+    'attendance:*',
+    'holiday:manage',
+    'audit:*',
+    'report:view',
+    'activity:view',
+  ],
+  payroll: [
+    ...BASE_PERMISSIONS,
+    'payroll:view',
+    'payroll:run',
+    'payslip:*',
+    'employee:view',
+    'attendance:view',
+    'commission:view',
+    'report:view',
+    'activity:view',
+  ],
+  finance: [
+    ...BASE_PERMISSIONS,
+    'payroll:view',
+    'payroll:approve',
+    'payslip:view',
+    'commission:*',
+    'pettycash:*',
+    'report:view',
+    'activity:view',
+  ],
+  manager: [
+    ...BASE_PERMISSIONS,
+    'employee:view',
+    'attendance:*',
+    'commission:view',
+    'pettycash:view',
+    'pettycash:submit',
+    'pettycash:approve',
+    'report:view',
+    'activity:view',
+  ],
+  audit: [
+    ...BASE_PERMISSIONS,
+    'audit:*',
+    'activity:view',
+    'report:view',
+    'employee:view',
+    'attendance:view',
+    'payroll:view',
+    'payslip:view',
+    'commission:view',
+    'pettycash:view',
+  ],
+  user: [
+    ...BASE_PERMISSIONS,
+    'pettycash:view',
+    'pettycash:submit',
+  ],
+});
+
+// Held as a user-level role, these apply to every company instead of only the assigned ones
+const CROSS_COMPANY_ROLES = new Set(['superadmin', 'audit']);
+
+const createServiceError = (code, message, details) => {
+  const error = new Error(message);
+  error.code = code;
+  if (details !== undefined) {
+    error.details = details;
+  }
+  return error;
+};
+
+const safeString = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return String(value).trim();
+};
+
+const normalizeRoles = (value) => {
+  const list = Array.isArray(value) ? value : [value];
+  return Array.from(new Set(list
+    .map((role) => safeString(role).toLowerCase())
+    .filter((role) => ROLE_PERMISSIONS[role])));
+};
+
+/**
+ * users.companies holds one entry per company the user belongs to: either the
+ * company id alone, in which case the user's own role applies there, or
+ * { companyId, roles } to give the user different roles per company.
+ * @returns {object} companyId -> roles (null when the user-level roles apply)
+ */
+const parseCompanyAssignments = (companies) => {
+  const assignments = {};
+  (Array.isArray(companies) ? companies : []).forEach((entry) => {
+    if (typeof entry === 'string') {
+      if (safeString(entry)) {
+        assignments[safeString(entry)] = null;
+      }
+      return;
+    }
+    const companyId = safeString(entry?.companyId || entry?.id);
+    if (companyId) {
+      assignments[companyId] = entry.roles !== undefined || entry.role !== undefined
+        ? normalizeRoles(entry.roles ?? entry.role)
+        : null;
+    }
+  });
+  return assignments;
+};
+
+/**
+ * Validate a users.companies value before it is stored.
+ * @returns {Array} entries as company ids or { companyId, roles }
+ */
+const normalizeCompanyAssignments = (companies) => {
+  if (!Array.isArray(companies)) {
+    throw createServiceError('invalid-argument', 'companies must be an array.');
+  }
+  const errors = [];
+  const normalized = companies.map((entry, index) => {
+    if (typeof entry === 'string') {
+      return safeString(entry);
+    }
+    const companyId = safeString(entry?.companyId || entry?.id);
+    if (!companyId) {
+      errors.push(`companies[${index}]: companyId is required`);
+      return null;
+    }
+    if (entry.roles === undefined && entry.role === undefined) {
+      return companyId;
+    }
+    const requested = Array.isArray(entry.roles) ? entry.roles : [entry.roles ?? entry.role];
+    const unknown = requested.filter((role) => !ROLE_PERMISSIONS[safeString(role).toLowerCase()]);
+    if (unknown.length) {
+      errors.push(`companies[${index}]: unknown role(s) ${unknown.join(', ')}`);
+    }
+    return { companyId, roles: normalizeRoles(requested) };
+  }).filter(Boolean);
+  if (errors.length) {
+    throw createServiceError('invalid-argument', errors.join('; '), errors);
+  }
+  return normalized;
+};
+
+const listCompanyIds = (companies) => Object.keys(parseCompanyAssignments(companies));
+
+/**
+ * Access of a user from their user document (or the token claims when there is
+ * no document). User-level roles come from specialrole, role and roles;
+ * company roles come from users.companies.
+ * @returns {object} { uid, roles, allCompanies, companies }
+ */
+const buildAccess = (uid, data, user = {}) => {
+  const roles = data
+    ? normalizeRoles([data.specialrole, data.role, ...(Array.isArray(data.roles) ? data.roles : [])])
+    : normalizeRoles([user.specialrole, user.token?.specialrole, user.token?.role]);
+
+  return {
+    uid,
+    roles,
+    allCompanies: roles.some((role) => CROSS_COMPANY_ROLES.has(role)),
+    companies: parseCompanyAssignments(data?.companies),
+  };
+};
+
+/**
+ * Load what a signed-in user may do.
+ * @param {object} user - req.user ({ uid, specialrole, token })
+ * @returns {object} { uid, roles, allCompanies, companies }
+ */
+const resolveUserAccess = async (user = {}) => {
+  const uid = safeString(user.uid);
+  if (!uid) {
+    throw createServiceError('unauthenticated', 'Authentication is required.');
+  }
+  const snapshot = await firestore().collection(USERS_COLLECTION).doc(uid).get();
+  return buildAccess(uid, snapshot.exists ? snapshot.data() || {} : null, user);
+};
+
+/**
+ * Roles that apply in a company. Without a company, every role the user holds
+ * anywhere counts, and handlers are expected to narrow results to
+ * allowedCompanyIds.
+ */
+const rolesFor = (access, companyId) => {
+  if (!access) {
+    return [];
+  }
+  const crossCompany = access.roles.filter((role) => CROSS_COMPANY_ROLES.has(role));
+  if (!companyId) {
+    return Array.from(new Set([...access.roles, ...Object.values(access.companies).flatMap((roles) => roles || [])]));
+  }
+  if (!Object.prototype.hasOwnProperty.call(access.companies, companyId)) {
+    return crossCompany;
+  }
+  const assigned = access.companies[companyId];
+  return Array.from(new Set([...crossCompany, ...(assigned === null ? access.roles : assigned)]));
+};
+
+const roleGrants = (role, permission) => {
+  const granted = ROLE_PERMISSIONS[role] || [];
+  const [area] = permission.split(':');
+  return granted.includes('*') || granted.includes(permission) || granted.includes(`${area}:*`);
+};
+
+const hasPermission = (access, permission, companyId) => rolesFor(access, safeString(companyId) || null)
+  .some((role) => roleGrants(role, permission));
+
+const assertPermission = (access, permission, companyId) => {
+  if (!hasPermission(access, permission, companyId)) {
+    throw createServiceError(
+      'permission-denied',
+      companyId
+        ? `You do not have the ${permission} permission for company ${companyId}.`
+        : `You do not have the ${permission} permission.`,
+      { permission, companyId: safeString(companyId) || null },
+    );
+  }
+};
+
+// User-level superadmin and audit reach every company, so only a superadmin may hand them out
+const assertCanGrantRoles = (access, roles) => {
+  const crossCompany = normalizeRoles(roles).filter((role) => CROSS_COMPANY_ROLES.has(role));
+  if (crossCompany.length && !access.roles.includes('superadmin')) {
+    throw createServiceError(
+      'permission-denied',
+      `Only a superadmin can grant the ${crossCompany.join(', ')} role.`,
+      { roles: crossCompany },
+    );
+  }
+};
+
+/**
+ * Companies where the user holds a permission.
+ * @returns {Array|null} company ids, or null when every company is allowed
+ */
+const allowedCompanyIds = (access, permission) => {
+  if (access.allCompanies && access.roles.some((role) => CROSS_COMPANY_ROLES.has(role) && roleGrants(role, permission))) {
+    return null;
+  }
+  return Object.keys(access.companies).filter((companyId) => hasPermission(access, permission, companyId));
+};
+
+// companyId stored on a document, '' when the document has none, or null when it does not exist
+const loadResourceCompanyId = async (collection, id) => {
+  const snapshot = await firestore().collection(collection).doc(safeString(id)).get();
+  if (!snapshot.exists) {
+    return null;
+  }
+  return safeString(snapshot.data()?.companyId);
+};
+
+const listPermissions = (access, companyId) => {
+  const roles = rolesFor(access, safeString(companyId) || null);
+  return PERMISSIONS.filter((permission) => roles.some((role) => roleGrants(role, permission)));
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  normalizeCompanyAssignments,
+  listCompanyIds,
+  buildAccess,
+  resolveUserAccess,
+  rolesFor,
+  hasPermission,
+  assertPermission,
+  assertCanGrantRoles,
+  allowedCompanyIds,
+  loadResourceCompanyId,
+  listPermissions,
+};
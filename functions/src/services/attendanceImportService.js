@@ -0,0 +1,757 @@
+const XLSX = require('xlsx');
+const admin = require('../utils/firebaseAdmin');
+const { MS_PER_DAY, formatDateKey, parseDateKey } = require('../utils/dateUtils');
+
+const firestore = () => {
+  if (typeof admin.firestore !== 'function') {
+    throw new Error('Firestore is not initialized');
+  }
+  return admin.firestore();
+};
+
+const FieldValue = admin.firestore.FieldValue;
+const IMPORTS_COLLECTION = 'attendanceImports';
+const IMPORT_CHUNKS_SUBCOLLECTION = 'chunks';
+const REJECTED_CHUNKS_SUBCOLLECTION = 'rejectedChunks';
+const PRESETS_COLLECTION = 'attendanceImportPresets';
+const TIME_RECORDS_COLLECTION = 'timeRecords';
+const EMPLOYEES_COLLECTION = 'employees';
+
+// Staged and rejected rows are stored as JSON strings in chunk documents to stay under the 1 MiB document limit
+const ROWS_PER_CHUNK = 500;
+// A commit that has not finished after this long is assumed to have died and can be retried
+const COMMIT_CLAIM_TIMEOUT_MS = 10 * 60 * 1000;
+const PREVIEW_SAMPLE_SIZE = 20;
+const EXCEL_EPOCH_OFFSET_DAYS = 25569;
+
+const IMPORT_STATUSES = Object.freeze({
+  PREVIEWED: 'previewed',
+  COMMITTING: 'committing',
+  COMMITTED: 'committed',
+});
+
+const IMPORT_FIELDS = ['employeeId', 'date', 'timeIn', 'timeOut', 'status', 'notes', 'employeeName'];
+const REQUIRED_FIELDS = ['employeeId', 'date'];
+const DATE_FORMATS = ['MDY', 'DMY'];
+const DUPLICATE_STRATEGIES = ['update', 'skip'];
+
+// Header aliases, compared after lowercasing and dropping everything but letters and digits
+const FIELD_ALIASES = Object.freeze({
+  employeeId: ['employeeid', 'empid', 'employeeno', 'employeenumber', 'empno', 'idno', 'idnumber', 'id'],
+  date: ['date', 'workdate', 'attendancedate', 'day'],
+  timeIn: ['timein', 'in', 'clockin', 'checkin', 'login', 'amin'],
+  timeOut: ['timeout', 'out', 'clockout', 'checkout', 'logout', 'pmout'],
+  status: ['status', 'attendancestatus', 'remarksstatus'],
+  notes: ['notes', 'note', 'remarks', 'comment', 'comments'],
+  employeeName: ['employeename', 'name', 'fullname'],
+});
+
+const createServiceError = (code, message, details) => {
+  const error = new Error(message);
+  error.code = code;
+  if (details !== undefined) {
+    error.details = details;
+  }
+  return error;
+};
+
+const safeString = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'string') {
+    return value.trim();
+  }
+  return String(value).trim();
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const normalizeHeader = (value) => safeString(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Read the first sheet of an XLSX, XLS or CSV upload into a header row and data rows.
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {object} { headers, rows: [{ line, cells }] }
+ */
+const readImportFile = (buffer) => {
+  if (!buffer || buffer.length === 0) {
+    throw createServiceError('invalid-argument', 'The uploaded file is empty.');
+  }
+  let table;
+  try {
+    const workbook = XLSX.read(buffer, { type: 'buffer' });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    table = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: '' });
+  } catch (error) {
+    throw createServiceError('invalid-argument', `Could not read the uploaded file: ${error.message}`);
+  }
+  if (!table.length) {
+    throw createServiceError('invalid-argument', 'The uploaded file has no rows.');
+  }
+
+  const headers = table[0].map((cell) => safeString(cell));
+  const rows = table.slice(1)
+    .map((cells, index) => ({ line: index + 2, cells: headers.map((_, column) => cells[column] ?? '') }))
+    .filter((row) => row.cells.some((cell) => safeString(cell)));
+  return { headers, rows };
+};
+
+/**
+ * Suggest which column feeds each import field. A preset mapping wins for
+ * every header it names that is present in the file.
+ */
+const suggestMapping = (headers = [], presetMapping = {}) => {
+  const mapping = {};
+  const used = new Set();
+  IMPORT_FIELDS.forEach((field) => {
+    const preset = safeString(presetMapping[field]);
+    if (preset && headers.includes(preset)) {
+      mapping[field] = preset;
+      used.add(preset);
+    }
+  });
+  IMPORT_FIELDS.forEach((field) => {
+    if (mapping[field]) {
+      return;
+    }
+    const match = headers.find((header) => !used.has(header) && FIELD_ALIASES[field].includes(normalizeHeader(header)));
+    if (match) {
+      mapping[field] = match;
+      used.add(match);
+    }
+  });
+  return mapping;
+};
+
+const validateMapping = (headers, mapping = {}) => {
+  const errors = [];
+  REQUIRED_FIELDS.forEach((field) => {
+    if (!safeString(mapping[field])) {
+      errors.push(`No column is mapped to ${field}`);
+    }
+  });
+  Object.keys(mapping).forEach((field) => {
+    if (!IMPORT_FIELDS.includes(field)) {
+      errors.push(`Unknown import field ${field}`);
+    } else if (safeString(mapping[field]) && !headers.includes(safeString(mapping[field]))) {
+      errors.push(`Column "${mapping[field]}" mapped to ${field} is not in the file`);
+    }
+  });
+  return errors;
+};
+
+const buildDateKey = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return formatDateKey(date);
+};
+
+/**
+ * Normalize a date cell to YYYY-MM-DD. Slash dates follow the import's date format.
+ * @returns {string|null}
+ */
+const parseImportDate = (value, dateFormat = 'MDY') => {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return formatDateKey(new Date(Math.floor(value - EXCEL_EPOCH_OFFSET_DAYS) * MS_PER_DAY));
+  }
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : formatDateKey(value);
+  }
+  const text = safeString(value);
+  let match = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/.exec(text);
+  if (match) {
+    return buildDateKey(Number(match[1]), Number(match[2]), Number(match[3]));
+  }
+  match = /^(\d{1,2})[-/](\d{1,2})[-/](\d{4})$/.exec(text);
+  if (match) {
+    const [first, second] = [Number(match[1]), Number(match[2])];
+    return dateFormat === 'DMY'
+      ? buildDateKey(Number(match[3]), second, first)
+      : buildDateKey(Number(match[3]), first, second);
+  }
+  return null;
+};
+
+/**
+ * Normalize a time cell to minutes since midnight. Accepts HH:MM, HH:MM:SS,
+ * 12-hour times, Excel day fractions and full Excel date-times.
+ * @returns {number|null}
+ */
+const parseImportTime = (value) => {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    const fraction = value - Math.floor(value);
+    return Math.round(fraction * 24 * 60) % (24 * 60);
+  }
+  const text = safeString(value);
+  const match = /(?:^|[ T])(\d{1,2}):(\d{2})(?::\d{2})?\s*([AaPp][Mm])?$/.exec(text);
+  if (!match) {
+    return null;
+  }
+  let hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (match[3]) {
+    if (hours < 1 || hours > 12) {
+      return null;
+    }
+    const isPm = match[3].toLowerCase() === 'pm';
+    hours = hours === 12 ? (isPm ? 12 : 0) : (isPm ? hours + 12 : hours);
+  }
+  if (hours > 23 || minutes > 59) {
+    return null;
+  }
+  return hours * 60 + minutes;
+};
+
+const toPunch = (date, minutes) => `${date}T${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}:00`;
+
+const nextDateKey = (date) => formatDateKey(new Date(parseDateKey(date).getTime() + MS_PER_DAY));
+
+/**
+ * Apply a mapping to raw rows and validate each one.
+ * @param {Array} rows - [{ line, cells }]
+ * @param {Array} headers - Header row
+ * @param {object} mapping - field -> header
+ * @param {object} options - { dateFormat, employees: Map of employee id -> employee }
+ * @returns {object} { records, rejected }
+ */
+const normalizeRows = (rows, headers, mapping, { dateFormat = 'MDY', employees = null } = {}) => {
+  const columnOf = IMPORT_FIELDS.reduce((acc, field) => {
+    acc[field] = mapping[field] ? headers.indexOf(mapping[field]) : -1;
+    return acc;
+  }, {});
+  const value = (row, field) => (columnOf[field] >= 0 ? row.cells[columnOf[field]] : '');
+
+  const records = [];
+  const rejected = [];
+  const seen = new Map();
+
+  rows.forEach((row) => {
+    const errors = [];
+    const employeeId = safeString(value(row, 'employeeId'));
+    const rawDate = value(row, 'date');
+    const date = parseImportDate(rawDate, dateFormat);
+
+    if (!employeeId) {
+      errors.push('Missing employee ID');
+    } else if (employees && !employees.has(employeeId)) {
+      errors.push(`Employee ${employeeId} not found`);
+    }
+    if (!safeString(rawDate)) {
+      errors.push('Missing date');
+    } else if (!date) {
+      errors.push(`Invalid date "${safeString(rawDate)}"`);
+    }
+
+    const punches = {};
+    ['timeIn', 'timeOut'].forEach((field) => {
+      const raw = value(row, field);
+      if (!safeString(raw)) {
+        return;
+      }
+      const minutes = parseImportTime(raw);
+      if (minutes === null) {
+        errors.push(`Invalid ${field === 'timeIn' ? 'time in' : 'time out'} "${safeString(raw)}"`);
+      } else {
+        punches[field] = minutes;
+      }
+    });
+
+    const key = `${employeeId}_${date}`;
+    if (errors.length === 0 && seen.has(key)) {
+      errors.push(`Duplicate of row ${seen.get(key)} in this file`);
+    }
+
+    if (errors.length > 0) {
+      rejected.push({ line: row.line, employeeId: employeeId || null, date: date || safeString(rawDate) || null, errors, cells: row.cells });
+      return;
+    }
+    seen.set(key, row.line);
+
+    // A time out at or before the time in belongs to the next day (night shift)
+    const outDate = punches.timeOut !== undefined && punches.timeIn !== undefined && punches.timeOut <= punches.timeIn
+      ? nextDateKey(date)
+      : date;
+    const employee = employees ? employees.get(employeeId) : null;
+    records.push({
+      line: row.line,
+      employeeId,
+      employeeName: safeString(value(row, 'employeeName'))
+        || (employee ? `${employee.firstName || ''} ${employee.lastName || ''}`.trim() : ''),
+      date,
+      timeIn: punches.timeIn !== undefined ? toPunch(date, punches.timeIn) : null,
+      timeOut: punches.timeOut !== undefined ? toPunch(outDate, punches.timeOut) : null,
+      status: safeString(value(row, 'status')) || 'Present',
+      notes: safeString(value(row, 'notes')),
+    });
+  });
+
+  return { records, rejected };
+};
+
+const loadCompanyEmployees = async (companyId) => {
+  const db = firestore();
+  const snapshot = await db.collection(EMPLOYEES_COLLECTION).where('companyId', '==', companyId).get();
+  return new Map(snapshot.docs.map((doc) => [doc.id, doc.data() || {}]));
+};
+
+/**
+ * Records that already have a timeRecords entry for the same employee and date.
+ */
+const findExistingRecords = async (companyId, records) => {
+  if (records.length === 0) {
+    return [];
+  }
+  const dates = records.map((record) => record.date).sort();
+  const db = firestore();
+  const snapshot = await db.collection(TIME_RECORDS_COLLECTION)
+    .where('companyId', '==', companyId)
+    .where('date', '>=', dates[0])
+    .where('date', '<=', dates[dates.length - 1])
+    .get();
+  const existing = new Map();
+  snapshot.docs.forEach((doc) => {
+    const data = doc.data() || {};
+    existing.set(`${data.employeeId}_${data.date}`, { recordId: doc.id, ...data });
+  });
+  return records
+    .filter((record) => existing.has(`${record.employeeId}_${record.date}`))
+    .map((record) => {
+      const current = existing.get(`${record.employeeId}_${record.date}`);
+      return {
+        line: record.line,
+        employeeId: record.employeeId,
+        date: record.date,
+        recordId: current.recordId,
+        existing: { timeIn: current.timeIn || null, timeOut: current.timeOut || null, status: current.status || null },
+        incoming: { timeIn: record.timeIn, timeOut: record.timeOut, status: record.status },
+      };
+    });
+};
+
+const resolveDateFormat = (value) => {
+  const format = safeString(value).toUpperCase() || 'MDY';
+  if (!DATE_FORMATS.includes(format)) {
+    throw createServiceError('invalid-argument', `dateFormat must be one of: ${DATE_FORMATS.join(', ')}`);
+  }
+  return format;
+};
+
+const parseMappingInput = (value) => {
+  if (!value) {
+    return null;
+  }
+  if (typeof value === 'object') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw createServiceError('invalid-argument', 'mapping must be a JSON object of field -> column header');
+  }
+};
+
+const getPreset = async (companyId, presetId) => {
+  const db = firestore();
+  const snapshot = await db.collection(PRESETS_COLLECTION).doc(presetId).get();
+  if (!snapshot.exists || (snapshot.data() || {}).companyId !== companyId) {
+    throw createServiceError('not-found', `Import preset ${presetId} not found.`);
+  }
+  return { id: snapshot.id, ...snapshot.data() };
+};
+
+/**
+ * Read an upload and apply the requested, preset or suggested mapping.
+ * @param {Buffer} buffer - Uploaded file
+ * @param {object} payload - { companyId, mapping?, presetId?, dateFormat? }
+ * @returns {object} { headers, rows, preset, suggestedMapping, mapping, mappingErrors, dateFormat, records, rejected }
+ */
+const parseImportFile = async (buffer, payload = {}) => {
+  const companyId = safeString(payload.companyId);
+  if (!companyId) {
+    throw createServiceError('invalid-argument', 'companyId is required');
+  }
+
+  const preset = safeString(payload.presetId) ? await getPreset(companyId, safeString(payload.presetId)) : null;
+  const { headers, rows } = readImportFile(buffer);
+  const suggestedMapping = suggestMapping(headers, preset ? preset.mapping : {});
+  const mapping = parseMappingInput(payload.mapping) || suggestedMapping;
+  const dateFormat = resolveDateFormat(payload.dateFormat || (preset && preset.dateFormat));
+  const mappingErrors = validateMapping(headers, mapping);
+
+  const employees = await loadCompanyEmployees(companyId);
+  const { records, rejected } = mappingErrors.length === 0
+    ? normalizeRows(rows, headers, mapping, { dateFormat, employees })
+    : { records: [], rejected: [] };
+
+  return { headers, rows, preset, suggestedMapping, mapping, mappingErrors, dateFormat, records, rejected };
+};
+
+/**
+ * Validate an upload without writing attendance. The parsed rows are staged so
+ * the commit step does not need the file again.
+ * @param {Buffer} buffer - Uploaded file
+ * @param {object} payload - { companyId, fileName?, mapping?, presetId?, dateFormat? }
+ * @param {object} options - Contains userId, email
+ * @returns {object} Import preview
+ */
+const previewImport = async (buffer, payload = {}, options = {}) => {
+  const companyId = safeString(payload.companyId);
+  const {
+    headers, rows, preset, suggestedMapping, mapping, mappingErrors, dateFormat, records, rejected,
+  } = await parseImportFile(buffer, payload);
+  const duplicates = await findExistingRecords(companyId, records);
+
+  const db = firestore();
+  const importRef = db.collection(IMPORTS_COLLECTION).doc();
+  const batch = db.batch();
+  batch.set(importRef, {
+    companyId,
+    status: IMPORT_STATUSES.PREVIEWED,
+    fileName: safeString(payload.fileName) || null,
+    headers,
+    mapping,
+    dateFormat,
+    presetId: preset ? preset.id : null,
+    totals: {
+      rows: rows.length,
+      valid: records.length,
+      rejected: rejected.length,
+      duplicates: duplicates.length,
+    },
+    chunkCount: Math.ceil(rows.length / ROWS_PER_CHUNK),
+    rejectedChunkCount: Math.ceil(rejected.length / ROWS_PER_CHUNK),
+    createdBy: options.userId || null,
+    createdByEmail: options.email || null,
+    createdAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+  for (let index = 0; index * ROWS_PER_CHUNK < rows.length; index += 1) {
+    batch.set(importRef.collection(IMPORT_CHUNKS_SUBCOLLECTION).doc(String(index)), {
+      index,
+      rows: JSON.stringify(rows.slice(index * ROWS_PER_CHUNK, (index + 1) * ROWS_PER_CHUNK)),
+    });
+  }
+  writeRejectedChunks(batch, importRef, rejected.map(({ cells, ...rest }) => rest));
+  await batch.commit();
+
+  return {
+    success: true,
+    importId: importRef.id,
+    headers,
+    fields: IMPORT_FIELDS,
+    suggestedMapping,
+    mapping,
+    mappingErrors,
+    dateFormat,
+    totals: {
+      rows: rows.length,
+      valid: records.length,
+      rejected: rejected.length,
+      duplicates: duplicates.length,
+    },
+    sample: records.slice(0, PREVIEW_SAMPLE_SIZE),
+    rejected: rejected.map(({ cells, ...rest }) => rest),
+    duplicates,
+  };
+};
+
+const getImport = async (companyId, importId) => {
+  const id = safeString(importId);
+  if (!id) {
+    throw createServiceError('invalid-argument', 'importId is required');
+  }
+  const db = firestore();
+  const importRef = db.collection(IMPORTS_COLLECTION).doc(id);
+  const snapshot = await importRef.get();
+  if (!snapshot.exists || (companyId && (snapshot.data() || {}).companyId !== companyId)) {
+    throw createServiceError('not-found', `Import ${id} not found.`);
+  }
+  return { ref: importRef, data: { id, ...snapshot.data() } };
+};
+
+const loadChunks = async (importRef, subcollection) => {
+  const snapshot = await importRef.collection(subcollection).orderBy('index').get();
+  return snapshot.docs.reduce((rows, doc) => rows.concat(JSON.parse((doc.data() || {}).rows || '[]')), []);
+};
+
+const loadStagedRows = (importRef) => loadChunks(importRef, IMPORT_CHUNKS_SUBCOLLECTION);
+
+// Imports previewed before rejected rows moved to chunks still carry them on the document
+const loadRejectedRows = async (importRef, data = {}) => (Array.isArray(data.rejected)
+  ? data.rejected
+  : loadChunks(importRef, REJECTED_CHUNKS_SUBCOLLECTION));
+
+/**
+ * Queue the rejected rows as chunk documents on a batch.
+ * @param {number} previousCount - Chunks already stored; the ones past the new count are deleted
+ */
+const writeRejectedChunks = (batch, importRef, rejected, previousCount = 0) => {
+  const chunkCount = Math.ceil(rejected.length / ROWS_PER_CHUNK);
+  for (let index = 0; index < Math.max(chunkCount, previousCount); index += 1) {
+    const chunkRef = importRef.collection(REJECTED_CHUNKS_SUBCOLLECTION).doc(String(index));
+    if (index >= chunkCount) {
+      batch.delete(chunkRef);
+    } else {
+      batch.set(chunkRef, {
+        index,
+        rows: JSON.stringify(rejected.slice(index * ROWS_PER_CHUNK, (index + 1) * ROWS_PER_CHUNK)),
+      });
+    }
+  }
+  return chunkCount;
+};
+
+/**
+ * Mark the import as being committed so a second submit cannot write the same
+ * rows again. A claim older than COMMIT_CLAIM_TIMEOUT_MS is taken over.
+ */
+const claimImportCommit = async (importRef, options = {}) => {
+  const db = firestore();
+  await db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(importRef);
+    const data = snapshot.data() || {};
+    if (data.status === IMPORT_STATUSES.COMMITTED) {
+      throw createServiceError('failed-precondition', `Import ${importRef.id} was already committed.`);
+    }
+    const startedAt = Date.parse(data.commitStartedAt || '');
+    if (data.status === IMPORT_STATUSES.COMMITTING
+      && Number.isFinite(startedAt) && Date.now() - startedAt < COMMIT_CLAIM_TIMEOUT_MS) {
+      throw createServiceError('failed-precondition', `Import ${importRef.id} is already being committed.`);
+    }
+    transaction.update(importRef, {
+      status: IMPORT_STATUSES.COMMITTING,
+      commitStartedAt: new Date().toISOString(),
+      commitStartedBy: options.userId || null,
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+  });
+};
+
+/**
+ * Give up a commit claim after a failure so the import can be committed again.
+ */
+const releaseImportCommit = async (importId) => {
+  const importRef = firestore().collection(IMPORTS_COLLECTION).doc(safeString(importId));
+  await importRef.update({
+    status: IMPORT_STATUSES.PREVIEWED,
+    commitStartedAt: null,
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+};
+
+/**
+ * Re-validate a staged import with its final mapping, claim it for the commit
+ * and return the rows to write. The caller must finish with completeImportCommit
+ * or, on failure, releaseImportCommit.
+ * @param {object} payload - { companyId, importId, mapping?, dateFormat?, onDuplicate? }
+ * @param {object} options - Contains userId
+ * @returns {object} { importData, records, rejected, skipped }
+ */
+const prepareImportCommit = async (payload = {}, options = {}) => {
+  const companyId = safeString(payload.companyId);
+  if (!companyId) {
+    throw createServiceError('invalid-argument', 'companyId is required');
+  }
+  const onDuplicate = safeString(payload.onDuplicate) || 'update';
+  if (!DUPLICATE_STRATEGIES.includes(onDuplicate)) {
+    throw createServiceError('invalid-argument', `onDuplicate must be one of: ${DUPLICATE_STRATEGIES.join(', ')}`);
+  }
+
+  const { ref, data } = await getImport(companyId, payload.importId);
+  if (data.status === IMPORT_STATUSES.COMMITTED) {
+    throw createServiceError('failed-precondition', `Import ${data.id} was already committed.`);
+  }
+
+  const mapping = parseMappingInput(payload.mapping) || data.mapping || {};
+  const dateFormat = resolveDateFormat(payload.dateFormat || data.dateFormat);
+  const mappingErrors = validateMapping(data.headers || [], mapping);
+  if (mappingErrors.length > 0) {
+    throw createServiceError('invalid-argument', `Invalid mapping: ${mappingErrors.join(', ')}`, mappingErrors);
+  }
+
+  const rows = await loadStagedRows(ref);
+  const employees = await loadCompanyEmployees(companyId);
+  const { records, rejected } = normalizeRows(rows, data.headers || [], mapping, { dateFormat, employees });
+
+  let skipped = [];
+  let toWrite = records;
+  if (onDuplicate === 'skip') {
+    const duplicates = await findExistingRecords(companyId, records);
+    const duplicateLines = new Set(duplicates.map((entry) => entry.line));
+    skipped = duplicates;
+    toWrite = records.filter((record) => !duplicateLines.has(record.line));
+  }
+
+  await claimImportCommit(ref, options);
+
+  return {
+    importData: { ...data, mapping, dateFormat },
+    records: toWrite.map(({ line, ...record }) => ({ ...record, companyId, source: 'import', importId: data.id })),
+    lines: toWrite.map((record) => record.line),
+    rejected: rejected.map(({ cells, ...rest }) => rest),
+    skipped,
+    onDuplicate,
+  };
+};
+
+/**
+ * Record the outcome of a commit on the import and optionally save its mapping as a preset.
+ */
+const completeImportCommit = async ({ importData, rejected, skipped, successCount, writeErrors, presetName }, options = {}) => {
+  const db = firestore();
+  const importRef = db.collection(IMPORTS_COLLECTION).doc(importData.id);
+  const allRejected = [...rejected, ...writeErrors.map((entry) => ({
+    line: entry.line || null,
+    employeeId: entry.employeeId || null,
+    date: entry.date || null,
+    errors: [entry.error],
+  }))];
+  const batch = db.batch();
+  const rejectedChunkCount = writeRejectedChunks(batch, importRef, allRejected, importData.rejectedChunkCount || 0);
+  batch.update(importRef, {
+    status: IMPORT_STATUSES.COMMITTED,
+    mapping: importData.mapping,
+    dateFormat: importData.dateFormat,
+    rejected: FieldValue.delete(),
+    rejectedChunkCount,
+    committed: {
+      imported: successCount,
+      rejected: rejected.length + writeErrors.length,
+      skipped: skipped.length,
+    },
+    committedBy: options.userId || null,
+    committedAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+  await batch.commit();
+
+  let preset = null;
+  if (safeString(presetName)) {
+    preset = await savePreset({
+      companyId: importData.companyId,
+      name: presetName,
+      mapping: importData.mapping,
+      dateFormat: importData.dateFormat,
+    }, options);
+  }
+  return { preset };
+};
+
+const escapeCsvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV of the rejected rows, with the original cells and the reasons,
+ * so the file can be fixed and uploaded again.
+ * @returns {object} { fileName, csv, count }
+ */
+const buildErrorReport = async (payload = {}) => {
+  const companyId = safeString(payload.companyId);
+  if (!companyId) {
+    throw createServiceError('invalid-argument', 'companyId is required');
+  }
+  const { ref, data } = await getImport(companyId, payload.importId);
+  const rejected = await loadRejectedRows(ref, data);
+  const headers = data.headers || [];
+  const rowsByLine = new Map();
+  if (rejected.length > 0) {
+    (await loadStagedRows(ref)).forEach((row) => rowsByLine.set(row.line, row.cells));
+  }
+
+  const lines = [['Row', ...headers, 'Errors'].map(escapeCsvCell).join(',')];
+  rejected.forEach((entry) => {
+    const cells = rowsByLine.get(entry.line) || headers.map(() => '');
+    lines.push([entry.line, ...cells, (entry.errors || []).join('; ')].map(escapeCsvCell).join(','));
+  });
+
+  const baseName = safeString(data.fileName).replace(/\.[^.]+$/, '') || data.id;
+  return {
+    fileName: `${baseName}-errors.csv`,
+    csv: `${lines.join('\r\n')}\r\n`,
+    count: rejected.length,
+  };
+};
+
+const listPresets = async (payload = {}) => {
+  const companyId = safeString(payload.companyId);
+  if (!companyId) {
+    throw createServiceError('invalid-argument', 'companyId is required');
+  }
+  const db = firestore();
+  const snapshot = await db.collection(PRESETS_COLLECTION).where('companyId', '==', companyId).get();
+  return { success: true, presets: snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() })) };
+};
+
+/**
+ * Save a named column mapping for a company. Saving an existing name replaces it.
+ */
+const savePreset = async (payload = {}, options = {}) => {
+  const companyId = safeString(payload.companyId);
+  const name = safeString(payload.name);
+  const mapping = parseMappingInput(payload.mapping) || {};
+  if (!companyId || !name) {
+    throw createServiceError('invalid-argument', 'companyId and name are required');
+  }
+  const missing = REQUIRED_FIELDS.filter((field) => !safeString(mapping[field]));
+  const unknown = Object.keys(mapping).filter((field) => !IMPORT_FIELDS.includes(field));
+  if (missing.length > 0 || unknown.length > 0) {
+    throw createServiceError('invalid-argument', [
+      missing.length > 0 ? `Missing mapping for: ${missing.join(', ')}` : null,
+      unknown.length > 0 ? `Unknown fields: ${unknown.join(', ')}` : null,
+    ].filter(Boolean).join('; '));
+  }
+
+  const db = firestore();
+  const presetId = safeString(payload.presetId)
+    || `${companyId}_${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}`;
+  await db.collection(PRESETS_COLLECTION).doc(presetId).set({
+    companyId,
+    name,
+    mapping: IMPORT_FIELDS.reduce((acc, field) => {
+      if (safeString(mapping[field])) {
+        acc[field] = safeString(mapping[field]);
+      }
+      return acc;
+    }, {}),
+    dateFormat: resolveDateFormat(payload.dateFormat),
+    updatedBy: options.userId || null,
+    updatedAt: FieldValue.serverTimestamp(),
+  }, { merge: true });
+  return { success: true, presetId };
+};
+
+const deletePreset = async (payload = {}) => {
+  const companyId = safeString(payload.companyId);
+  const presetId = safeString(payload.presetId);
+  if (!companyId || !presetId) {
+    throw createServiceError('invalid-argument', 'companyId and presetId are required');
+  }
+  await getPreset(companyId, presetId);
+  const db = firestore();
+  await db.collection(PRESETS_COLLECTION).doc(presetId).delete();
+  return { success: true, deleted: 1 };
+};
+
+module.exports = {
+  IMPORT_FIELDS,
+  IMPORT_STATUSES,
+  readImportFile,
+  parseImportFile,
+  suggestMapping,
+  normalizeRows,
+  parseImportDate,
+  parseImportTime,
+  previewImport,
+  prepareImportCommit,
+  completeImportCommit,
+  releaseImportCommit,
+  buildErrorReport,
+  listPresets,
+  savePreset,
+  deletePreset,
+};
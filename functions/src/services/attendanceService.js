@@ -1,4 +1,7 @@
 const admin = require('../utils/firebaseAdmin');
+const { listDatesInRange, parseDateKey, toManilaMinutesOfDay, toManilaWallTime } = require('../utils/dateUtils');
+const { resolveHolidayType } = require('./earningsService');
+const shiftService = require('./shiftService');
 
 const firestore = () => {
   if (typeof admin.firestore !== 'function') {
@@ -13,10 +16,25 @@ const ATTENDANCE_SUMMARIES_COLLECTION = 'attendanceSummaries';
 const EMPLOYEE_SCHEDULES_COLLECTION = 'employeeSchedules';
 const EMPLOYEES_COLLECTION = 'employees';
 
-const DEFAULT_WORK_HOURS = 8;
-const LUNCH_BREAK_MINUTES = 60;
 const DEFAULT_START_TIME = '09:00';
 const DEFAULT_END_TIME = '17:00';
+const SHIFT_TEMPLATE_FIELDS = [
+  'name',
+  'shiftType',
+  'startTime',
+  'endTime',
+  'gracePeriodMinutes',
+  'breakMinutes',
+  'breaks',
+  'workMinutes',
+  'overtimeThresholdMinutes',
+  'restDays',
+  'flexi',
+  'days',
+];
+const DEFAULT_REST_DAYS = [0, 6];
+const LEAVE_STATUSES = ['Leave', 'Sick Leave', 'Vacation Leave', 'Paid Leave'];
+const UNPAID_LEAVE_STATUSES = ['Leave Without Pay', 'Unpaid Leave', 'LWOP'];
 
 const createServiceError = (code, message, details) => {
   const error = new Error(message);
@@ -73,20 +91,13 @@ const minutesToTimeString = (minutes) => {
 };
 
 /**
- * Parse ISO datetime to minutes since midnight
+ * Parse ISO datetime to minutes since midnight (Asia/Manila wall clock)
  * @param {string} isoDateTime - ISO datetime string
  * @returns {number} Minutes since midnight
  */
 const isoToMinutes = (isoDateTime) => {
-  if (!isoDateTime) {
-    return 0;
-  }
-  try {
-    const date = new Date(isoDateTime);
-    return date.getHours() * 60 + date.getMinutes();
-  } catch {
-    return 0;
-  }
+  const minutes = toManilaMinutesOfDay(isoDateTime, '1970-01-01');
+  return minutes === null ? 0 : minutes;
 };
 
 /**
@@ -108,7 +119,14 @@ const getEmployeeSchedule = async (employeeId, date) => {
     const snapshot = await scheduleRef.get();
 
     if (!snapshot.empty) {
-      return snapshot.docs[0].data();
+      const schedule = snapshot.docs[0].data();
+      if (!schedule.templateId) {
+        return schedule;
+      }
+      // Assigned templates supply the shift; fields on the assignment override them.
+      const templateSnapshot = await db.collection(EMPLOYEE_SCHEDULES_COLLECTION).doc(schedule.templateId).get();
+      const template = templateSnapshot.exists ? templateSnapshot.data() : {};
+      return { ...schedule, ...pickTemplateFields(template), ...pickTemplateFields(schedule) };
     }
 
     // Return default schedule if none found
@@ -131,95 +149,83 @@ const getEmployeeSchedule = async (employeeId, date) => {
  * @param {object} schedule - Employee schedule with startTime and endTime
  * @returns {object} Calculated status and durations
  */
-const calculateTimeStatus = (timeRecord, schedule) => {
-  const timeIn = isoToMinutes(timeRecord.timeIn);
-  const timeOut = isoToMinutes(timeRecord.timeOut);
-  const workStartTime = timeStringToMinutes(schedule.startTime);
-  const workEndTime = timeStringToMinutes(schedule.endTime);
-
-  let timeStatus = 'No Record';
-  let minutesLate = 0;
-  let minutesEarly = 0;
-  let minutesOvertime = 0;
-  let minutesUndertime = 0;
-  let actualWorkMinutes = 0;
-  let workMinutesMinusLunch = 0;
-
-  if (timeIn === 0 || timeOut === 0) {
-    // No complete record
-    if (timeIn > 0 && timeOut === 0) {
-      timeStatus = 'Ongoing';
-    } else if (timeIn === 0) {
-      timeStatus = 'Absent';
-    }
-    return {
-      timeStatus,
-      minutesLate,
-      minutesEarly,
-      minutesOvertime,
-      minutesUndertime,
-      actualWorkMinutes,
-      workMinutesMinusLunch,
-      isAbsent: timeIn === 0,
-      isHalfDay: false,
-      lateTimeIn: null,
-      earlyTimeOut: null,
-    };
-  }
-
-  // Calculate actual work time
-  actualWorkMinutes = timeOut - timeIn;
+const calculateTimeStatus = (timeRecord, schedule) => shiftService.evaluateShift(timeRecord, schedule, timeRecord.date);
 
-  // Deduct lunch break (1 hour)
-  workMinutesMinusLunch = Math.max(0, actualWorkMinutes - LUNCH_BREAK_MINUTES);
+/**
+ * Status fields stored on timeRecords. The total* names predate the shift engine
+ * and are kept because reports and the day view still read them.
+ * @param {object} calculation - Result of calculateTimeStatus
+ * @returns {object} Fields to merge into a timeRecords document
+ */
+const buildTimeStatusFields = (calculation) => ({
+  timeStatus: calculation.timeStatus,
+  timeStatusColor: getStatusColor(calculation.timeStatus),
+  totalMinutesLate: calculation.minutesLate || 0,
+  totalEarlyMinutes: calculation.minutesEarly || 0,
+  totalOvertimeMinutes: calculation.minutesOvertime || 0,
+  totalUndertimeMinutes: calculation.minutesUndertime || 0,
+  isHalfDay: Boolean(calculation.isHalfDay),
+  isRestDay: Boolean(calculation.isRestDay),
+  workStartTime: calculation.scheduledStartTime,
+  workEndTime: calculation.scheduledEndTime,
+});
 
-  // Detect late arrival
-  if (timeIn > workStartTime) {
-    minutesLate = timeIn - workStartTime;
-  }
+/**
+ * Build the attendanceSummaries document for one employee-day.
+ */
+const buildAttendanceSummary = ({ employeeId, date, companyId, timeRecord }, calculation) => ({
+  employeeId,
+  date,
+  timeIn: timeRecord.timeIn || null,
+  timeOut: timeRecord.timeOut || null,
+  status: calculation.timeStatus,
+  timeStatusColor: getStatusColor(calculation.timeStatus),
+  minutesLate: calculation.minutesLate,
+  minutesEarly: calculation.minutesEarly,
+  minutesOvertime: calculation.minutesOvertime,
+  minutesUndertime: calculation.minutesUndertime,
+  actualWorkMinutes: calculation.actualWorkMinutes,
+  workMinutesMinusLunch: calculation.workMinutesMinusLunch,
+  regularMinutes: calculation.regularMinutes,
+  breakMinutes: calculation.breakMinutes,
+  isRestDay: calculation.isRestDay,
+  shiftName: calculation.shiftName,
+  shiftType: calculation.shiftType,
+  scheduledWorkMinutes: calculation.scheduledWorkMinutes,
+  isAbsent: calculation.isAbsent,
+  isHalfDay: calculation.isHalfDay,
+  lateTimeIn: calculation.lateTimeIn,
+  earlyTimeOut: calculation.earlyTimeOut,
+  workStartTime: calculation.scheduledStartTime,
+  workEndTime: calculation.scheduledEndTime,
+  companyId,
+  processedAt: new Date().toISOString(),
+});
 
-  // Detect early departure
-  const expectedWorkEnd = workStartTime + DEFAULT_WORK_HOURS * 60;
-  if (timeOut < expectedWorkEnd) {
-    minutesEarly = expectedWorkEnd - timeOut;
-  }
+/**
+ * Evaluate a punch pair against the employee's schedule for that date.
+ * @param {object} timeRecord - { employeeId, date, timeIn, timeOut }
+ * @param {object} options - { schedule } to skip the schedule lookup
+ * @returns {object} { schedule, calculation, fields }
+ */
+const evaluateTimeRecord = async (timeRecord = {}, options = {}) => {
+  const date = safeString(timeRecord.date) || new Date().toISOString().slice(0, 10);
+  const schedule = options.schedule
+    || (safeString(timeRecord.employeeId)
+      ? await getEmployeeSchedule(safeString(timeRecord.employeeId), date)
+      : { startTime: DEFAULT_START_TIME, endTime: DEFAULT_END_TIME });
+  const calculation = calculateTimeStatus({ ...timeRecord, date }, schedule);
+  return { schedule, calculation, fields: buildTimeStatusFields(calculation) };
+};
 
-  // Calculate overtime and undertime
-  const expectedWorkMinutes = DEFAULT_WORK_HOURS * 60 - LUNCH_BREAK_MINUTES;
-  if (workMinutesMinusLunch > expectedWorkMinutes) {
-    minutesOvertime = workMinutesMinusLunch - expectedWorkMinutes;
-  } else if (workMinutesMinusLunch < expectedWorkMinutes) {
-    minutesUndertime = expectedWorkMinutes - workMinutesMinusLunch;
-  }
+const isClockOnly = (value) => typeof value === 'string' && /^\d{1,2}:\d{2}(:\d{2})?$/.test(value.trim());
 
-  // Determine status
-  if (minutesLate === 0 && minutesEarly === 0) {
-    timeStatus = 'On-Time';
-  } else if (minutesLate > 0 && minutesEarly === 0) {
-    timeStatus = 'Late';
-  } else if (minutesLate === 0 && minutesEarly > 0) {
-    timeStatus = 'Early Out';
-  } else {
-    timeStatus = 'Late';
+const pickTemplateFields = (source = {}) => SHIFT_TEMPLATE_FIELDS.reduce((acc, field) => {
+  if (source[field] !== undefined && source[field] !== null) {
+    acc[field] = source[field];
   }
-
-  // Mark as half day if undertime is significant (more than 4 hours)
-  const isHalfDay = minutesUndertime > 240; // 4 hours
-
-  return {
-    timeStatus,
-    minutesLate,
-    minutesEarly,
-    minutesOvertime,
-    minutesUndertime,
-    actualWorkMinutes,
-    workMinutesMinusLunch,
-    isAbsent: false,
-    isHalfDay,
-    lateTimeIn: minutesLate > 0 ? minutesToTimeString(timeIn) : null,
-    earlyTimeOut: minutesEarly > 0 ? minutesToTimeString(timeOut) : null,
-  };
-};
+  return acc;
+}, {});
 
 /**
  * Validate attendance data
@@ -242,11 +248,11 @@ const validateAttendanceData = (data) => {
     }
   }
 
-  // If both timeIn and timeOut are provided, validate
-  if (data.timeIn && data.timeOut) {
-    const timeIn = isoToMinutes(data.timeIn);
-    const timeOut = isoToMinutes(data.timeOut);
-    if (timeOut <= timeIn) {
+  // Full datetimes must be in order; clock-only punches may cross midnight on night shifts
+  if (data.timeIn && data.timeOut && !isClockOnly(data.timeIn) && !isClockOnly(data.timeOut)) {
+    const timeIn = toManilaWallTime(data.timeIn, data.date);
+    const timeOut = toManilaWallTime(data.timeOut, data.date);
+    if (timeIn !== null && timeOut !== null && timeOut <= timeIn) {
       errors.push('Time out must be after time in');
     }
   }
@@ -317,30 +323,10 @@ const processAttendance = async (payload = {}, options = {}) => {
 
     // Calculate attendance status
     const statusCalculation = calculateTimeStatus(timeRecord, schedule);
+    const statusFields = buildTimeStatusFields(statusCalculation);
 
     // Prepare attendance summary
-    const attendanceSummary = {
-      employeeId,
-      date,
-      timeIn: timeRecord.timeIn || null,
-      timeOut: timeRecord.timeOut || null,
-      status: statusCalculation.timeStatus,
-      timeStatusColor: getStatusColor(statusCalculation.timeStatus),
-      minutesLate: statusCalculation.minutesLate,
-      minutesEarly: statusCalculation.minutesEarly,
-      minutesOvertime: statusCalculation.minutesOvertime,
-      minutesUndertime: statusCalculation.minutesUndertime,
-      actualWorkMinutes: statusCalculation.actualWorkMinutes,
-      workMinutesMinusLunch: statusCalculation.workMinutesMinusLunch,
-      isAbsent: statusCalculation.isAbsent,
-      isHalfDay: statusCalculation.isHalfDay,
-      lateTimeIn: statusCalculation.lateTimeIn,
-      earlyTimeOut: statusCalculation.earlyTimeOut,
-      workStartTime: schedule.startTime,
-      workEndTime: schedule.endTime,
-      companyId: companyId,
-      processedAt: new Date().toISOString(),
-    };
+    const attendanceSummary = buildAttendanceSummary({ employeeId, date, companyId, timeRecord }, statusCalculation);
 
     if (options.userId) {
       attendanceSummary.processedBy = options.userId;
@@ -381,10 +367,7 @@ const processAttendance = async (payload = {}, options = {}) => {
         timeOut: timeRecord.timeOut || null,
         status: statusLabel,
         notes: payload.notes || timeRecord.notes || '',
-        workStartTime: schedule.startTime,
-        workEndTime: schedule.endTime,
-        timeStatus: attendanceSummary.status,
-        timeStatusColor: attendanceSummary.timeStatusColor,
+        ...statusFields,
         updatedAt: FieldValue.serverTimestamp(),
         ...(isNewTimeRecord ? { createdAt: FieldValue.serverTimestamp() } : {}),
       },
@@ -421,6 +404,8 @@ const getStatusColor = (status) => {
     'Absent': '#6b7280',       // gray
     'Ongoing': '#3b82f6',      // blue
     'No Record': '#9ca3af',    // light gray
+    'Rest Day': '#9ca3af',     // light gray
+    'Rest Day Work': '#8b5cf6', // purple
   };
   return colorMap[status] || '#9ca3af';
 };
@@ -670,25 +655,43 @@ const listSchedules = async (payload = {}) => {
   return { success: true, schedules: records };
 };
 
+/**
+ * Save an employee schedule or a reusable shift template. Templates are stored
+ * in employeeSchedules with isTemplate set and are assigned through templateId.
+ */
 const saveSchedule = async (payload = {}, options = {}) => {
   const db = firestore();
   const companyId = safeString(payload.companyId);
   const employeeId = safeString(payload.employeeId);
-  const startTime = safeString(payload.startTime) || '09:00';
-  const endTime = safeString(payload.endTime) || '17:00';
+  const isTemplate = Boolean(payload.isTemplate);
+  const templateId = safeString(payload.templateId);
   const effectiveDate = safeString(payload.effectiveDate) || new Date().toISOString().slice(0, 10);
   const scheduleId = safeString(payload.scheduleId);
 
-  if (!companyId || !employeeId) {
+  if (!companyId || (!employeeId && !isTemplate)) {
     throw createServiceError('invalid-argument', 'companyId and employeeId are required');
   }
+  if (isTemplate && !safeString(payload.name)) {
+    throw createServiceError('invalid-argument', 'name is required for shift templates');
+  }
+
+  const errors = shiftService.validateShiftTemplate(payload);
+  if (errors.length > 0) {
+    throw createServiceError('invalid-argument', `Validation errors: ${errors.join(', ')}`, errors);
+  }
+
+  const shiftFields = pickTemplateFields(payload);
+  if (!templateId) {
+    shiftFields.startTime = safeString(payload.startTime) || DEFAULT_START_TIME;
+    shiftFields.endTime = safeString(payload.endTime) || DEFAULT_END_TIME;
+  }
 
   const data = {
     companyId,
-    employeeId,
-    startTime,
-    endTime,
-    effectiveDate,
+    ...(isTemplate ? { isTemplate: true } : { employeeId, effectiveDate }),
+    ...(templateId ? { templateId } : {}),
+    ...(payload.employeeName ? { employeeName: safeString(payload.employeeName) } : {}),
+    ...shiftFields,
     updatedAt: FieldValue.serverTimestamp(),
   };
   if (options.userId) data.updatedBy = options.userId;
@@ -720,6 +723,269 @@ module.exports.listSchedules = listSchedules;
 module.exports.saveSchedule = saveSchedule;
 module.exports.deleteSchedule = deleteSchedule;
 
+const isLeaveApproved = (record) => {
+  const approval = safeString(record.leaveStatus || record.approvalStatus).toLowerCase();
+  return !approval || approval === 'approved';
+};
+
+const resolveLeave = (record) => {
+  if (!record) {
+    return null;
+  }
+  const status = safeString(record.status);
+  if (UNPAID_LEAVE_STATUSES.includes(status)) {
+    return { status, paid: false, approved: isLeaveApproved(record) };
+  }
+  if (LEAVE_STATUSES.includes(status)) {
+    return { status, paid: record.paidLeave !== false, approved: isLeaveApproved(record) };
+  }
+  return null;
+};
+
+const createFeedTotals = () => ({
+  mins: 0,
+  undertimeMinutes: 0,
+  absent: 0,
+  halfDay: 0,
+  otMinutes: 0,
+  workedDays: 0,
+  paidLeaveDays: 0,
+  unpaidLeaveDays: 0,
+  holidayDays: 0,
+  restDaysWorked: 0,
+  incompleteDays: 0,
+});
+
+/**
+ * Decide what a single calendar day contributes to payroll.
+ * Late and undertime only count on ordinary workdays; hours on rest days and
+ * holidays are priced by the earnings engine instead of being deducted.
+ */
+const reconcileAttendanceDay = ({ date, summary, leave, holiday, isRestDay, rateType, treatMissingAsAbsent }) => {
+  const holidayType = resolveHolidayType(holiday);
+  const day = {
+    date,
+    dayType: isRestDay ? 'restDay' : 'workday',
+    holiday: holiday ? { name: holiday.name || null, type: holidayType } : null,
+    source: 'none',
+    status: null,
+    feeds: {},
+    note: null,
+  };
+
+  if (summary && !summary.isAbsent && summary.timeIn) {
+    day.source = 'attendance';
+    day.status = summary.status || null;
+    if (!summary.timeOut) {
+      day.note = 'Incomplete punches; no deduction applied';
+      return { day, attendanceDay: null, incomplete: true };
+    }
+    const overtimeMinutes = Math.max(0, toNumber(summary.minutesOvertime, 0));
+    const workedMinutes = Math.max(0, toNumber(summary.workMinutesMinusLunch, 0));
+    const attendanceDay = {
+      date,
+      timeIn: summary.timeIn || null,
+      timeOut: summary.timeOut || null,
+      regularMinutes: summary.regularMinutes !== undefined
+        ? Math.max(0, toNumber(summary.regularMinutes, 0))
+        : Math.max(0, workedMinutes - overtimeMinutes),
+      overtimeMinutes,
+      isRestDay,
+    };
+    if (overtimeMinutes > 0) {
+      day.feeds.otMinutes = overtimeMinutes;
+    }
+    if (!isRestDay && !holiday) {
+      if (summary.isHalfDay) {
+        day.feeds.halfDay = Math.max(0, toNumber(summary.minutesUndertime, 0));
+      } else if (toNumber(summary.minutesUndertime, 0) > 0) {
+        day.feeds.undertimeMinutes = toNumber(summary.minutesUndertime, 0);
+      }
+      if (toNumber(summary.minutesLate, 0) > 0) {
+        day.feeds.mins = toNumber(summary.minutesLate, 0);
+      }
+    }
+    return { day, attendanceDay };
+  }
+
+  if (isRestDay) {
+    day.source = 'restDay';
+    return { day, attendanceDay: null };
+  }
+
+  if (leave && leave.approved) {
+    day.source = 'leave';
+    day.status = leave.status;
+    if (!leave.paid) {
+      day.feeds.absent = 1;
+      day.note = 'Unpaid leave';
+    }
+    return { day, attendanceDay: null };
+  }
+
+  if (holiday) {
+    day.source = 'holiday';
+    // Unworked special days follow "no work, no pay" for daily-rated employees
+    // unless the holiday was marked payable.
+    if (holidayType === 'special' && !holiday.payable && rateType === 'daily') {
+      day.feeds.absent = 1;
+      day.note = 'Unworked special non-working day';
+    }
+    return { day, attendanceDay: null };
+  }
+
+  if (summary && summary.isAbsent) {
+    day.source = 'attendance';
+    day.status = summary.status || 'Absent';
+    day.feeds.absent = 1;
+    return { day, attendanceDay: null };
+  }
+
+  if (leave && !leave.approved) {
+    day.note = `${leave.status} not approved`;
+  }
+  if (treatMissingAsAbsent) {
+    day.feeds.absent = 1;
+    day.note = day.note || 'No attendance record';
+  }
+  return { day, attendanceDay: null };
+};
+
+/**
+ * Aggregate attendance summaries, leaves and holidays into payroll inputs.
+ * @param {object} params
+ * @param {string} params.companyId - Company ID
+ * @param {string} params.cutoffStartDate - YYYY-MM-DD
+ * @param {string} params.cutoffEndDate - YYYY-MM-DD
+ * @param {Array} params.employees - Employee documents ({ id, restDays?, rateType?, dateHired? })
+ * @param {Array} params.holidays - companyHolidays documents in the cutoff
+ * @param {Array} params.restDays - Company rest days used when the employee has none
+ * @param {boolean} params.treatMissingAsAbsent - Count workdays with no record as absences
+ * @returns {Map} employeeId -> { inputs, attendanceDays, reconciliation }
+ */
+const aggregateAttendanceForPayroll = async ({
+  companyId,
+  cutoffStartDate,
+  cutoffEndDate,
+  employees = [],
+  holidays = [],
+  restDays = DEFAULT_REST_DAYS,
+  treatMissingAsAbsent = true,
+} = {}) => {
+  if (!safeString(companyId) || !safeString(cutoffStartDate) || !safeString(cutoffEndDate)) {
+    throw createServiceError('invalid-argument', 'companyId, cutoffStartDate and cutoffEndDate are required');
+  }
+
+  const db = firestore();
+  const [summarySnapshot, recordSnapshot] = await Promise.all([
+    db.collection(ATTENDANCE_SUMMARIES_COLLECTION)
+      .where('companyId', '==', companyId)
+      .where('date', '>=', cutoffStartDate)
+      .where('date', '<=', cutoffEndDate)
+      .get(),
+    db.collection(TIME_RECORDS_COLLECTION)
+      .where('companyId', '==', companyId)
+      .where('date', '>=', cutoffStartDate)
+      .where('date', '<=', cutoffEndDate)
+      .get(),
+  ]);
+
+  const summariesByKey = new Map();
+  summarySnapshot.forEach((doc) => {
+    const data = doc.data() || {};
+    if (data.employeeId && data.date) {
+      summariesByKey.set(`${data.employeeId}_${data.date}`, data);
+    }
+  });
+
+  const leavesByKey = new Map();
+  recordSnapshot.forEach((doc) => {
+    const data = doc.data() || {};
+    const leave = resolveLeave(data);
+    if (leave && data.employeeId && data.date) {
+      leavesByKey.set(`${data.employeeId}_${data.date}`, leave);
+    }
+  });
+
+  const holidayByDate = new Map();
+  holidays.forEach((holiday) => {
+    if (holiday && holiday.date) {
+      holidayByDate.set(holiday.date, holiday);
+    }
+  });
+
+  const dates = listDatesInRange(cutoffStartDate, cutoffEndDate);
+  const feed = new Map();
+
+  employees.forEach((employee) => {
+    const employeeId = employee.id || employee.employeeId;
+    if (!employeeId) {
+      return;
+    }
+    const employeeRestDays = Array.isArray(employee.restDays) ? employee.restDays.map(Number) : restDays;
+    const rateType = safeString(employee.rateType).toLowerCase() === 'daily' ? 'daily' : 'monthly';
+    const hiredOn = safeString(employee.dateHired || employee.hireDate || employee.startDate).slice(0, 10);
+
+    const totals = createFeedTotals();
+    const days = [];
+    const attendanceDays = [];
+
+    dates.forEach((date) => {
+      if (hiredOn && date < hiredOn) {
+        days.push({ date, dayType: 'notEmployed', holiday: null, source: 'none', status: null, feeds: {}, note: 'Before hire date' });
+        return;
+      }
+
+      const key = `${employeeId}_${date}`;
+      const holiday = holidayByDate.get(date) || null;
+      const isRestDay = employeeRestDays.includes(parseDateKey(date).getUTCDay());
+      const { day, attendanceDay, incomplete } = reconcileAttendanceDay({
+        date,
+        summary: summariesByKey.get(key) || null,
+        leave: leavesByKey.get(key) || null,
+        holiday,
+        isRestDay,
+        rateType,
+        treatMissingAsAbsent,
+      });
+
+      Object.keys(day.feeds).forEach((field) => {
+        totals[field] += day.feeds[field];
+      });
+      if (attendanceDay) {
+        attendanceDays.push(attendanceDay);
+        totals.workedDays += 1;
+        if (isRestDay) {
+          totals.restDaysWorked += 1;
+        }
+      }
+      if (day.source === 'leave') {
+        totals[day.feeds.absent ? 'unpaidLeaveDays' : 'paidLeaveDays'] += 1;
+      }
+      if (holiday && !isRestDay) {
+        totals.holidayDays += 1;
+      }
+      if (incomplete) {
+        totals.incompleteDays += 1;
+      }
+      days.push(day);
+    });
+
+    feed.set(employeeId, {
+      inputs: {
+        mins: totals.mins,
+        undertimeMinutes: totals.undertimeMinutes,
+        absent: totals.absent,
+        halfDay: totals.halfDay,
+      },
+      attendanceDays,
+      reconciliation: { employeeId, totals, days },
+    });
+  });
+
+  return feed;
+};
+
 /**
  * Bulk process attendance for multiple employees
  * @param {array} attendanceRecords - Array of attendance data
@@ -761,10 +1027,120 @@ const bulkProcessAttendance = async (attendanceRecords = [], options = {}) => {
   }
 };
 
+// Each recomputed record writes its timeRecord and its summary
+const RECOMPUTE_RECORDS_PER_BATCH = 200;
+
+/**
+ * Recompute stored time status fields and attendance summaries for a date range,
+ * e.g. after a schedule change or to migrate records written by older logic.
+ * Leave records are left untouched.
+ * @param {object} payload - { companyId, startDate, endDate, employeeId? }
+ * @param {object} options - Contains userId, email
+ * @returns {object} { success, scanned, recomputed, skipped, changed, errors }
+ */
+const recomputeAttendance = async (payload = {}, options = {}) => {
+  const companyId = safeString(payload.companyId);
+  const startDate = safeString(payload.startDate);
+  const endDate = safeString(payload.endDate);
+  const employeeId = safeString(payload.employeeId);
+
+  if (!companyId || !startDate || !endDate) {
+    throw createServiceError('invalid-argument', 'companyId, startDate and endDate are required');
+  }
+  if (!parseDateKey(startDate) || !parseDateKey(endDate) || endDate < startDate) {
+    throw createServiceError('invalid-argument', 'startDate and endDate must be YYYY-MM-DD with startDate on or before endDate');
+  }
+
+  const db = firestore();
+  const snapshot = await db.collection(TIME_RECORDS_COLLECTION)
+    .where('companyId', '==', companyId)
+    .where('date', '>=', startDate)
+    .where('date', '<=', endDate)
+    .get();
+
+  const docs = snapshot.docs.filter((doc) => !employeeId || (doc.data() || {}).employeeId === employeeId);
+  const errors = [];
+  let recomputed = 0;
+  let skipped = 0;
+  let changed = 0;
+  let batch = db.batch();
+  let pending = 0;
+
+  for (const doc of docs) {
+    const timeRecord = doc.data() || {};
+    if (!timeRecord.employeeId || !timeRecord.date || resolveLeave(timeRecord)) {
+      skipped += 1;
+      continue;
+    }
+
+    try {
+      const { calculation, fields } = await evaluateTimeRecord(timeRecord);
+      if (fields.timeStatus !== timeRecord.timeStatus
+        || fields.totalMinutesLate !== timeRecord.totalMinutesLate
+        || fields.totalUndertimeMinutes !== timeRecord.totalUndertimeMinutes) {
+        changed += 1;
+      }
+
+      batch.update(doc.ref, {
+        ...fields,
+        recomputedAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+
+      const summaryId = `${timeRecord.employeeId}_${timeRecord.date}`;
+      const summary = buildAttendanceSummary({
+        employeeId: timeRecord.employeeId,
+        date: timeRecord.date,
+        companyId,
+        timeRecord,
+      }, calculation);
+      if (options.userId) summary.processedBy = options.userId;
+      if (options.email) summary.processedByEmail = options.email;
+      batch.set(
+        db.collection(ATTENDANCE_SUMMARIES_COLLECTION).doc(summaryId),
+        { ...summary, id: summaryId, updatedAt: FieldValue.serverTimestamp() },
+        { merge: true }
+      );
+
+      recomputed += 1;
+      pending += 1;
+      if (pending >= RECOMPUTE_RECORDS_PER_BATCH) {
+        await batch.commit();
+        batch = db.batch();
+        pending = 0;
+      }
+    } catch (error) {
+      errors.push({
+        recordId: doc.id,
+        employeeId: timeRecord.employeeId,
+        date: timeRecord.date,
+        error: error.message || 'Unknown error',
+      });
+    }
+  }
+
+  if (pending > 0) {
+    await batch.commit();
+  }
+
+  return {
+    success: errors.length === 0,
+    scanned: docs.length,
+    recomputed,
+    skipped,
+    changed,
+    errors,
+  };
+};
+
 module.exports = {
   processAttendance,
+  recomputeAttendance,
+  evaluateTimeRecord,
+  buildTimeStatusFields,
   generateAttendanceReport,
   bulkProcessAttendance,
+  aggregateAttendanceForPayroll,
   calculateTimeStatus,
   getEmployeeSchedule,
   validateAttendanceData,
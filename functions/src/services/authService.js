@@ -0,0 +1,751 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const admin = require('../utils/firebaseAdmin');
+const accessControlService = require('./accessControlService');
+
+const firestore = () => {
+  if (typeof admin.firestore !== 'function') {
+    throw new Error('Firestore is not initialized');
+  }
+  return admin.firestore();
+};
+
+const USERS_COLLECTION = 'users';
+// Password hashes, lockout counters and MFA secrets, kept apart from the user profile
+const CREDENTIALS_COLLECTION = 'authCredentials';
+const SESSIONS_COLLECTION = 'authSessions';
+
+const toNumber = (value, fallback = 0) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+const ACCESS_TOKEN_TTL_SECONDS = toNumber(process.env.AUTH_ACCESS_TOKEN_TTL_SECONDS, 15 * 60);
+const REFRESH_TOKEN_TTL_DAYS = toNumber(process.env.AUTH_REFRESH_TOKEN_TTL_DAYS, 30);
+const MFA_TOKEN_TTL_SECONDS = 5 * 60;
+const MAX_FAILED_ATTEMPTS = toNumber(process.env.AUTH_MAX_FAILED_ATTEMPTS, 5);
+const LOCKOUT_MINUTES = toNumber(process.env.AUTH_LOCKOUT_MINUTES, 15);
+const BCRYPT_ROUNDS = 12;
+const MIN_PASSWORD_LENGTH = 8;
+const ACTIVATION_CODE_TTL_HOURS = 48;
+const DEV_JWT_SECRET = 'your-secret-key-change-in-production';
+
+// Roles that may protect their sign-in with an authenticator app
+const MFA_ROLES = ['payroll', 'superadmin'];
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_ISSUER = process.env.AUTH_TOTP_ISSUER || 'INSPIRE-ERS';
+const RECOVERY_CODE_COUNT = 8;
+
+// Compared against when the email is unknown so response times do not reveal accounts
+let dummyPasswordHash = null;
+
+const createServiceError = (code, message, details) => {
+  const error = new Error(message);
+  error.code = code;
+  if (details !== undefined) {
+    error.details = details;
+  }
+  return error;
+};
+
+const safeString = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return String(value).trim();
+};
+
+const invalidCredentials = () => createServiceError('unauthenticated', 'Invalid email or password');
+
+const getJwtSecret = () => {
+  if (process.env.JWT_SECRET) {
+    return process.env.JWT_SECRET;
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw createServiceError('failed-precondition', 'JWT_SECRET must be set in production.');
+  }
+  return DEV_JWT_SECRET;
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+const nowIso = () => new Date().toISOString();
+
+const addMinutes = (date, minutes) => new Date(date.getTime() + minutes * 60 * 1000);
+
+// ---------------------------------------------------------------------------
+// TOTP (RFC 6238) with base32 secrets, as used by authenticator apps
+// ---------------------------------------------------------------------------
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  buffer.forEach((byte) => {
+    bits += byte.toString(2).padStart(8, '0');
+  });
+  let output = '';
+  for (let index = 0; index < bits.length; index += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(index, index + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (value) => {
+  const bits = safeString(value).toUpperCase().replace(/=+$/, '').split('')
+    .map((char) => {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw createServiceError('invalid-argument', 'Invalid base32 secret.');
+      }
+      return index.toString(2).padStart(5, '0');
+    })
+    .join('');
+  const bytes = [];
+  for (let index = 0; index + 8 <= bits.length; index += 8) {
+    bytes.push(parseInt(bits.slice(index, index + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+const generateTotp = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % (10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Match a code against the current step and one step either side for clock drift.
+ * @returns {number|null} matched time step, or null when the code is wrong
+ */
+const matchTotp = (secret, code, at = Date.now()) => {
+  const normalized = safeString(code).replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+  const current = Math.floor(at / 1000 / TOTP_STEP_SECONDS);
+  const expected = Buffer.from(normalized);
+  for (const step of [current - 1, current, current + 1]) {
+    if (crypto.timingSafeEqual(Buffer.from(generateTotp(secret, step)), expected)) {
+      return step;
+    }
+  }
+  return null;
+};
+
+// ---------------------------------------------------------------------------
+// Credentials and identity providers
+// ---------------------------------------------------------------------------
+
+const credentialsRef = (uid) => firestore().collection(CREDENTIALS_COLLECTION).doc(uid);
+
+const assertPasswordStrength = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw createServiceError('invalid-argument', `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+  }
+};
+
+/**
+ * Store a bcrypt hash for the user's password. Changing the password signs
+ * the user out everywhere unless keepSessions is set.
+ */
+const setPassword = async (uid, password, { keepSessions = false } = {}) => {
+  assertPasswordStrength(password);
+  const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+  await credentialsRef(uid).set({
+    passwordHash,
+    passwordUpdatedAt: nowIso(),
+    failedAttempts: 0,
+    lockedUntil: null,
+  }, { merge: true });
+  if (!keepSessions) {
+    await revokeAllSessions(uid, { reason: 'password-changed' });
+  }
+};
+
+/**
+ * Identity providers tried in AUTH_PROVIDERS order (default "local,firebase").
+ * Each returns true, false, or null when it cannot judge this account
+ * (no local hash yet, or no FIREBASE_API_KEY configured).
+ */
+const IDENTITY_PROVIDERS = {
+  local: async ({ credentials, password }) => {
+    if (!credentials?.passwordHash) {
+      return null;
+    }
+    return bcrypt.compare(password, credentials.passwordHash);
+  },
+  firebase: async ({ email, password }) => {
+    const apiKey = process.env.FIREBASE_API_KEY;
+    if (!apiKey) {
+      return null;
+    }
+    const response = await fetch(`https://identitytoolkit.googleapis.com/v1/accounts:signInWithPassword?key=${apiKey}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email, password, returnSecureToken: false }),
+    });
+    if (response.ok) {
+      return true;
+    }
+    const result = await response.json().catch(() => ({}));
+    const reason = result?.error?.message || '';
+    if (/INVALID_PASSWORD|INVALID_LOGIN_CREDENTIALS|EMAIL_NOT_FOUND|USER_DISABLED/.test(reason)) {
+      return false;
+    }
+    throw createServiceError('unavailable', `Identity provider error: ${reason || response.status}`);
+  },
+};
+
+const configuredProviders = () => safeString(process.env.AUTH_PROVIDERS || 'local,firebase')
+  .split(',')
+  .map((name) => name.trim().toLowerCase())
+  .filter((name) => IDENTITY_PROVIDERS[name]);
+
+/**
+ * Check a password with the configured providers; the first one that accepts
+ * it wins. A password accepted by an external provider (for example after a
+ * Firebase password reset) replaces the local hash, so the account keeps
+ * working if that provider is later switched off.
+ */
+const verifyPassword = async ({ uid, email, password, credentials }) => {
+  for (const name of configuredProviders()) {
+    const verdict = await IDENTITY_PROVIDERS[name]({ uid, email, password, credentials });
+    if (!verdict) {
+      continue;
+    }
+    if (name !== 'local') {
+      const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+      await credentialsRef(uid).set({ passwordHash, passwordUpdatedAt: nowIso() }, { merge: true });
+    }
+    return { valid: true, provider: name };
+  }
+  return { valid: false, provider: null };
+};
+
+const findUserByEmail = async (email) => {
+  const db = firestore();
+  const normalized = safeString(email).toLowerCase();
+  for (const candidate of [...new Set([safeString(email), normalized])]) {
+    const snapshot = await db.collection(USERS_COLLECTION).where('email', '==', candidate).limit(1).get();
+    if (!snapshot.empty) {
+      return { uid: snapshot.docs[0].id, data: snapshot.docs[0].data() || {} };
+    }
+  }
+  try {
+    const record = await admin.auth().getUserByEmail(safeString(email));
+    const userDoc = await db.collection(USERS_COLLECTION).doc(record.uid).get();
+    return userDoc.exists ? { uid: record.uid, data: userDoc.data() || {} } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const isLocked = (credentials) => credentials?.lockedUntil && Date.parse(credentials.lockedUntil) > Date.now();
+
+const lockedError = (credentials) => createServiceError(
+  'resource-exhausted',
+  'Too many failed sign-in attempts. Try again later.',
+  { lockedUntil: credentials.lockedUntil },
+);
+
+/**
+ * Count a failed password or MFA code; the account locks for LOCKOUT_MINUTES
+ * once MAX_FAILED_ATTEMPTS is reached.
+ * @returns {Promise<string|null>} lockedUntil when this failure locked the account
+ */
+const recordFailedAttempt = async (uid) => {
+  const db = firestore();
+  const ref = credentialsRef(uid);
+  return db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(ref);
+    const current = snapshot.exists ? snapshot.data() || {} : {};
+    const failedAttempts = toNumber(current.failedAttempts) + 1;
+    const lockedUntil = failedAttempts >= MAX_FAILED_ATTEMPTS
+      ? addMinutes(new Date(), LOCKOUT_MINUTES).toISOString()
+      : null;
+    transaction.set(ref, {
+      failedAttempts: lockedUntil ? 0 : failedAttempts,
+      lastFailedAt: nowIso(),
+      lockedUntil: lockedUntil || current.lockedUntil || null,
+    }, { merge: true });
+    return lockedUntil;
+  });
+};
+
+const clearFailedAttempts = (uid) => credentialsRef(uid)
+  .set({ failedAttempts: 0, lockedUntil: null, lastLoginAt: nowIso() }, { merge: true });
+
+// ---------------------------------------------------------------------------
+// Sessions and tokens
+// ---------------------------------------------------------------------------
+
+const buildUserProfile = (uid, data = {}) => ({
+  uid,
+  email: data.email || null,
+  role: data.role || null,
+  name: data.name || null,
+  companies: data.companies || [],
+  status: data.status || null,
+  specialrole: data.specialrole || null,
+});
+
+const signAccessToken = (uid, data, sessionId) => jwt.sign(
+  {
+    uid,
+    email: data.email || null,
+    role: data.role || null,
+    specialrole: data.specialrole || null,
+    sid: sessionId,
+    typ: 'access',
+  },
+  getJwtSecret(),
+  { expiresIn: ACCESS_TOKEN_TTL_SECONDS },
+);
+
+// Refresh tokens are "<sessionId>.<secret>"; only a hash of the secret is stored
+const issueRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { token: `${sessionId}.${secret}`, hash: sha256(secret) };
+};
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = safeString(refreshToken).split('.');
+  if (!sessionId || !secret) {
+    throw createServiceError('unauthenticated', 'Invalid refresh token.');
+  }
+  return { sessionId, secret };
+};
+
+const buildTokens = (uid, data, sessionId, refreshToken) => {
+  const accessToken = signAccessToken(uid, data, sessionId);
+  return {
+    token: accessToken, // kept for clients that read the old single-token response
+    accessToken,
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    sessionId,
+  };
+};
+
+const createSession = async (uid, data, { mfa = false, context = {} } = {}) => {
+  const ref = firestore().collection(SESSIONS_COLLECTION).doc();
+  const refresh = issueRefreshToken(ref.id);
+  const now = new Date();
+  await ref.set({
+    uid,
+    refreshTokenHash: refresh.hash,
+    mfa,
+    createdAt: now.toISOString(),
+    lastUsedAt: now.toISOString(),
+    expiresAt: addMinutes(now, REFRESH_TOKEN_TTL_DAYS * 24 * 60).toISOString(),
+    ipAddress: context.ipAddress || null,
+    userAgent: context.userAgent || null,
+    revokedAt: null,
+    revokedReason: null,
+  });
+  return buildTokens(uid, data, ref.id, refresh.token);
+};
+
+const isSessionActive = (session) => Boolean(session)
+  && !session.revokedAt
+  && Date.parse(session.expiresAt) > Date.now();
+
+const revokeSession = async (sessionId, { uid, reason = 'logout' } = {}) => {
+  const ref = firestore().collection(SESSIONS_COLLECTION).doc(safeString(sessionId));
+  const snapshot = await ref.get();
+  if (!snapshot.exists || (uid && snapshot.data().uid !== uid)) {
+    throw createServiceError('not-found', 'Session not found.');
+  }
+  if (!snapshot.data().revokedAt) {
+    await ref.update({ revokedAt: nowIso(), revokedReason: reason });
+  }
+  return { id: snapshot.id, revoked: true };
+};
+
+// Logout without an access token: the refresh token has to match its session
+const revokeRefreshToken = async (refreshToken, { reason = 'logout' } = {}) => {
+  const { sessionId, secret } = parseRefreshToken(refreshToken);
+  const snapshot = await firestore().collection(SESSIONS_COLLECTION).doc(sessionId).get();
+  if (!snapshot.exists || snapshot.data().refreshTokenHash !== sha256(secret)) {
+    throw createServiceError('not-found', 'Session not found.');
+  }
+  return revokeSession(sessionId, { uid: snapshot.data().uid, reason });
+};
+
+const revokeAllSessions = async (uid, { reason = 'logout-all', exceptSessionId = null } = {}) => {
+  const db = firestore();
+  const snapshot = await db.collection(SESSIONS_COLLECTION)
+    .where('uid', '==', uid)
+    .where('revokedAt', '==', null)
+    .get();
+  const targets = snapshot.docs.filter((doc) => doc.id !== exceptSessionId);
+  const revokedAt = nowIso();
+  for (let index = 0; index < targets.length; index += 400) {
+    const batch = db.batch();
+    targets.slice(index, index + 400).forEach((doc) => batch.update(doc.ref, { revokedAt, revokedReason: reason }));
+    await batch.commit();
+  }
+  return { revoked: targets.length };
+};
+
+const listSessions = async (uid, { currentSessionId = null } = {}) => {
+  const snapshot = await firestore().collection(SESSIONS_COLLECTION).where('uid', '==', uid).get();
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .filter(isSessionActive)
+    .map(({ refreshTokenHash, ...session }) => ({ ...session, current: session.id === currentSessionId }))
+    .sort((a, b) => String(b.lastUsedAt).localeCompare(String(a.lastUsedAt)));
+};
+
+const loadActiveUser = async (uid) => {
+  const userDoc = await firestore().collection(USERS_COLLECTION).doc(uid).get();
+  if (!userDoc.exists) {
+    throw createServiceError('unauthenticated', 'User not found.');
+  }
+  const data = userDoc.data() || {};
+  if (data.status === 'inactive') {
+    throw createServiceError('unauthenticated', 'Account is inactive. Please contact administrator.', {
+      requiresActivation: data.role === 'manager',
+    });
+  }
+  return data;
+};
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token.
+ * A refresh token is single use: presenting one that was already rotated
+ * revokes the session, since it means the token was copied.
+ */
+const refreshSession = async ({ refreshToken }) => {
+  const { sessionId, secret } = parseRefreshToken(refreshToken);
+  const db = firestore();
+  const ref = db.collection(SESSIONS_COLLECTION).doc(sessionId);
+  const result = await db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(ref);
+    const session = snapshot.exists ? snapshot.data() : null;
+    if (!isSessionActive(session)) {
+      throw createServiceError('unauthenticated', 'Session has expired or was revoked.');
+    }
+    if (session.refreshTokenHash !== sha256(secret)) {
+      transaction.update(ref, { revokedAt: nowIso(), revokedReason: 'refresh-token-reuse' });
+      return { reused: true };
+    }
+    const refresh = issueRefreshToken(sessionId);
+    transaction.update(ref, { refreshTokenHash: refresh.hash, lastUsedAt: nowIso() });
+    return { uid: session.uid, refreshToken: refresh.token };
+  });
+  if (result.reused) {
+    throw createServiceError('unauthenticated', 'Refresh token was already used; the session has been revoked.');
+  }
+  let data;
+  try {
+    data = await loadActiveUser(result.uid);
+  } catch (error) {
+    await ref.update({ revokedAt: nowIso(), revokedReason: 'account-unavailable' });
+    throw error;
+  }
+  return { tokens: buildTokens(result.uid, data, sessionId, result.refreshToken), user: buildUserProfile(result.uid, data) };
+};
+
+/**
+ * Verify an access token issued by login or refresh and check that its
+ * session is still active, so logout takes effect immediately.
+ * @returns {Promise<object>} decoded claims
+ */
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, getJwtSecret());
+  if (decoded.typ !== 'access' || !decoded.sid) {
+    throw createServiceError('unauthenticated', 'Not an access token.');
+  }
+  const session = await firestore().collection(SESSIONS_COLLECTION).doc(decoded.sid).get();
+  if (!session.exists || !isSessionActive(session.data()) || session.data().uid !== decoded.uid) {
+    throw createServiceError('unauthenticated', 'Session has expired or was revoked.');
+  }
+  return decoded;
+};
+
+// ---------------------------------------------------------------------------
+// Login and MFA
+// ---------------------------------------------------------------------------
+
+const canUseMfa = async (uid) => {
+  const access = await accessControlService.resolveUserAccess({ uid });
+  return accessControlService.rolesFor(access, null).some((role) => MFA_ROLES.includes(role));
+};
+
+/**
+ * Sign in with email and password. Accounts with MFA enabled get a short-lived
+ * mfaToken instead of a session, to be completed with completeMfaLogin.
+ * @returns {Promise<object>} { user, tokens } or { user, mfaRequired, mfaToken }
+ */
+const login = async ({ email, password, context = {} }) => {
+  if (!safeString(email) || !password) {
+    throw createServiceError('invalid-argument', 'Email and password are required');
+  }
+  const account = await findUserByEmail(email);
+  if (!account) {
+    dummyPasswordHash = dummyPasswordHash || await bcrypt.hash('not-a-real-password', BCRYPT_ROUNDS);
+    await bcrypt.compare(String(password), dummyPasswordHash);
+    throw invalidCredentials();
+  }
+
+  const { uid, data } = account;
+  const credentialsSnapshot = await credentialsRef(uid).get();
+  const credentials = credentialsSnapshot.exists ? credentialsSnapshot.data() || {} : {};
+  if (isLocked(credentials)) {
+    throw lockedError(credentials);
+  }
+
+  const { valid, provider } = await verifyPassword({ uid, email: data.email || email, password: String(password), credentials });
+  if (!valid) {
+    const lockedUntil = await recordFailedAttempt(uid);
+    throw lockedUntil ? lockedError({ lockedUntil }) : invalidCredentials();
+  }
+
+  const userData = await loadActiveUser(uid);
+  await clearFailedAttempts(uid);
+
+  if (credentials.mfa?.enabled) {
+    const mfaToken = jwt.sign({ uid, typ: 'mfa' }, getJwtSecret(), { expiresIn: MFA_TOKEN_TTL_SECONDS });
+    return { uid, provider, mfaRequired: true, mfaToken, user: { uid, email: userData.email || null } };
+  }
+
+  const tokens = await createSession(uid, userData, { context });
+  return { uid, provider, tokens, user: buildUserProfile(uid, userData) };
+};
+
+// Accept a TOTP code once per time step, or an unused recovery code
+const consumeMfaCode = async (uid, code) => {
+  const db = firestore();
+  const ref = credentialsRef(uid);
+  return db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(ref);
+    const mfa = snapshot.exists ? snapshot.data().mfa || {} : {};
+    if (!mfa.enabled) {
+      throw createServiceError('failed-precondition', 'Two-factor authentication is not enabled.');
+    }
+    const step = matchTotp(mfa.secret, code);
+    if (step !== null && step > toNumber(mfa.lastUsedStep, -1)) {
+      transaction.set(ref, { mfa: { ...mfa, lastUsedStep: step } }, { merge: true });
+      return { method: 'totp' };
+    }
+    const recoveryHash = sha256(safeString(code).toUpperCase());
+    const recoveryCodes = Array.isArray(mfa.recoveryCodes) ? mfa.recoveryCodes : [];
+    if (recoveryCodes.includes(recoveryHash)) {
+      transaction.set(ref, { mfa: { ...mfa, recoveryCodes: recoveryCodes.filter((hash) => hash !== recoveryHash) } }, { merge: true });
+      return { method: 'recovery-code', recoveryCodesLeft: recoveryCodes.length - 1 };
+    }
+    return null;
+  });
+};
+
+const completeMfaLogin = async ({ mfaToken, code, context = {} }) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(safeString(mfaToken), getJwtSecret());
+  } catch (error) {
+    throw createServiceError('unauthenticated', 'The sign-in attempt has expired. Sign in again.');
+  }
+  if (decoded.typ !== 'mfa') {
+    throw createServiceError('unauthenticated', 'Invalid MFA token.');
+  }
+  const { uid } = decoded;
+  const credentialsSnapshot = await credentialsRef(uid).get();
+  const credentials = credentialsSnapshot.exists ? credentialsSnapshot.data() || {} : {};
+  if (isLocked(credentials)) {
+    throw lockedError(credentials);
+  }
+
+  const verified = await consumeMfaCode(uid, code);
+  if (!verified) {
+    const lockedUntil = await recordFailedAttempt(uid);
+    throw lockedUntil
+      ? lockedError({ lockedUntil })
+      : createServiceError('unauthenticated', 'Invalid verification code.');
+  }
+
+  const userData = await loadActiveUser(uid);
+  await clearFailedAttempts(uid);
+  const tokens = await createSession(uid, userData, { mfa: true, context });
+  return { uid, method: verified.method, recoveryCodesLeft: verified.recoveryCodesLeft, tokens, user: buildUserProfile(uid, userData) };
+};
+
+/**
+ * Start enrolling an authenticator app. The secret stays pending until a code
+ * from the app is confirmed with enableMfa.
+ */
+const startMfaSetup = async (uid) => {
+  if (!(await canUseMfa(uid))) {
+    throw createServiceError('permission-denied', `Two-factor authentication is available to ${MFA_ROLES.join(' and ')} users.`);
+  }
+  const userData = await loadActiveUser(uid);
+  const secret = base32Encode(crypto.randomBytes(20));
+  await credentialsRef(uid).set({ mfaPendingSecret: secret, mfaPendingAt: nowIso() }, { merge: true });
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${userData.email || uid}`);
+  return {
+    secret,
+    otpauthUrl: `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`,
+  };
+};
+
+/**
+ * Confirm the pending secret with a code from the app and turn MFA on.
+ * @returns {Promise<object>} { recoveryCodes } shown to the user once
+ */
+const enableMfa = async (uid, code) => {
+  const snapshot = await credentialsRef(uid).get();
+  const credentials = snapshot.exists ? snapshot.data() || {} : {};
+  if (!credentials.mfaPendingSecret) {
+    throw createServiceError('failed-precondition', 'Start two-factor setup first.');
+  }
+  const step = matchTotp(credentials.mfaPendingSecret, code);
+  if (step === null) {
+    throw createServiceError('invalid-argument', 'Invalid verification code.');
+  }
+  const recoveryCodes = Array.from({ length: RECOVERY_CODE_COUNT }, () => crypto.randomBytes(5).toString('hex').toUpperCase());
+  await credentialsRef(uid).set({
+    mfa: {
+      enabled: true,
+      secret: credentials.mfaPendingSecret,
+      lastUsedStep: step,
+      enabledAt: nowIso(),
+      recoveryCodes: recoveryCodes.map(sha256),
+    },
+    mfaPendingSecret: admin.firestore.FieldValue.delete(),
+    mfaPendingAt: admin.firestore.FieldValue.delete(),
+  }, { merge: true });
+  await revokeAllSessions(uid, { reason: 'mfa-enabled' });
+  return { enabled: true, recoveryCodes };
+};
+
+const disableMfa = async (uid, code) => {
+  const verified = await consumeMfaCode(uid, code);
+  if (!verified) {
+    throw createServiceError('invalid-argument', 'Invalid verification code.');
+  }
+  await credentialsRef(uid).set({ mfa: admin.firestore.FieldValue.delete(), mfaDisabledAt: nowIso() }, { merge: true });
+  return { enabled: false };
+};
+
+const getMfaStatus = async (uid) => {
+  const snapshot = await credentialsRef(uid).get();
+  const mfa = snapshot.exists ? snapshot.data().mfa || {} : {};
+  return {
+    available: await canUseMfa(uid),
+    enabled: Boolean(mfa.enabled),
+    enabledAt: mfa.enabledAt || null,
+    recoveryCodesLeft: Array.isArray(mfa.recoveryCodes) ? mfa.recoveryCodes.length : 0,
+  };
+};
+
+// ---------------------------------------------------------------------------
+// Account activation
+// ---------------------------------------------------------------------------
+
+const toDate = (value) => {
+  if (!value) {
+    return null;
+  }
+  const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Give an inactive account a fresh activation code, replacing any earlier
+ * one. Issued by an admin so a deactivated user cannot reactivate themselves.
+ * @returns {Promise<object>} { uid, email, name, code, expiresAt }
+ */
+const issueActivationCode = async (uid) => {
+  const ref = firestore().collection(USERS_COLLECTION).doc(safeString(uid));
+  const snapshot = await ref.get();
+  if (!snapshot.exists) {
+    throw createServiceError('not-found', 'User not found.');
+  }
+  const data = snapshot.data() || {};
+  if (data.status !== 'inactive') {
+    throw createServiceError('failed-precondition', 'Only inactive accounts can be activated.');
+  }
+  if (!data.email) {
+    throw createServiceError('failed-precondition', 'The account has no email address.');
+  }
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  const expiresAt = addMinutes(new Date(), ACTIVATION_CODE_TTL_HOURS * 60).toISOString();
+  await ref.update({
+    activationCode: code,
+    activationCodeExpiry: expiresAt,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return { uid: snapshot.id, email: data.email, name: data.name || null, code, expiresAt };
+};
+
+/**
+ * Activate an account with the emailed code, optionally choosing a new
+ * password at the same time. Wrong codes count towards the same lockout as
+ * wrong passwords.
+ */
+const activateAccount = async ({ email, code, password }) => {
+  const account = await findUserByEmail(email);
+  const expected = safeString(account?.data.activationCode);
+  if (!account || account.data.status !== 'inactive' || !expected) {
+    throw createServiceError('invalid-argument', 'Invalid or expired activation code.');
+  }
+  if (password !== undefined) {
+    assertPasswordStrength(password);
+  }
+  const credentialsSnapshot = await credentialsRef(account.uid).get();
+  const credentials = credentialsSnapshot.exists ? credentialsSnapshot.data() || {} : {};
+  if (isLocked(credentials)) {
+    throw lockedError(credentials);
+  }
+  const provided = safeString(code);
+  const matches = provided.length === expected.length
+    && crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(expected));
+  const expiry = toDate(account.data.activationCodeExpiry);
+  if (!matches || (expiry && expiry.getTime() < Date.now())) {
+    const lockedUntil = matches ? null : await recordFailedAttempt(account.uid);
+    throw lockedUntil
+      ? lockedError({ lockedUntil })
+      : createServiceError('invalid-argument', 'Invalid or expired activation code.');
+  }
+  await firestore().collection(USERS_COLLECTION).doc(account.uid).update({
+    status: 'active',
+    activationCode: admin.firestore.FieldValue.delete(),
+    activationCodeExpiry: admin.firestore.FieldValue.delete(),
+    activatedAt: nowIso(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  if (password !== undefined) {
+    await setPassword(account.uid, password);
+  }
+  await clearFailedAttempts(account.uid);
+  return { uid: account.uid, email: account.data.email };
+};
+
+module.exports = {
+  MFA_ROLES,
+  getJwtSecret,
+  findUserByEmail,
+  login,
+  completeMfaLogin,
+  refreshSession,
+  verifyAccessToken,
+  revokeSession,
+  revokeRefreshToken,
+  revokeAllSessions,
+  listSessions,
+  assertPasswordStrength,
+  setPassword,
+  startMfaSetup,
+  enableMfa,
+  disableMfa,
+  getMfaStatus,
+  issueActivationCode,
+  activateAccount,
+  buildUserProfile,
+};
@@ -0,0 +1,588 @@
+const XLSX = require('xlsx');
+const admin = require('../utils/firebaseAdmin');
+const { MS_PER_DAY, MS_PER_MINUTE, formatDateKey } = require('../utils/dateUtils');
+const shiftService = require('./shiftService');
+const attendanceService = require('./attendanceService');
+
+const firestore = () => {
+  if (typeof admin.firestore !== 'function') {
+    throw new Error('Firestore is not initialized');
+  }
+  return admin.firestore();
+};
+
+const FieldValue = admin.firestore.FieldValue;
+const DEVICE_USERS_COLLECTION = 'biometricDeviceUsers';
+const EMPLOYEES_COLLECTION = 'employees';
+
+// Punches this close to the previous one are double taps on the reader
+const DUPLICATE_PUNCH_MINUTES = 2;
+// How long after an overnight shift's end a punch still belongs to that shift
+const OVERNIGHT_CARRY_MINUTES = 6 * 60;
+
+/**
+ * ZKTeco punch states. Break-in and overtime-in count as entering, break-out
+ * and overtime-out as leaving.
+ */
+const DEVICE_STATES = Object.freeze({
+  0: 'in',
+  1: 'out',
+  2: 'out',
+  3: 'in',
+  4: 'in',
+  5: 'out',
+});
+
+const STATE_LABELS = Object.freeze({
+  'c/in': 'in',
+  'check in': 'in',
+  'checkin': 'in',
+  'in': 'in',
+  'i': 'in',
+  'break in': 'in',
+  'overtime in': 'in',
+  'ot in': 'in',
+  'c/out': 'out',
+  'check out': 'out',
+  'checkout': 'out',
+  'out': 'out',
+  'o': 'out',
+  'break out': 'out',
+  'overtime out': 'out',
+  'ot out': 'out',
+});
+
+const HEADER_ALIASES = Object.freeze({
+  deviceUserId: ['ac-no.', 'ac-no', 'ac no', 'user id', 'userid', 'user no', 'user no.', 'pin', 'enroll no', 'enrollnumber', 'badge number', 'no.', 'id'],
+  timestamp: ['date time', 'datetime', 'date/time', 'check time', 'checktime', 'timestamp', 'punch time'],
+  date: ['date'],
+  time: ['time'],
+  state: ['state', 'status', 'check type', 'checktype', 'in/out', 'punch state'],
+  verifyMode: ['verify code', 'verify mode', 'verifycode', 'verify type', 'verification'],
+  deviceId: ['device', 'device id', 'terminal', 'machine', 'sn'],
+  name: ['name'],
+});
+
+const ANOMALIES = Object.freeze({
+  DUPLICATE_PUNCH: 'duplicate-punch',
+  ODD_PUNCH_COUNT: 'odd-punch-count',
+  MISSING_TIME_IN: 'missing-time-in',
+  MISSING_TIME_OUT: 'missing-time-out',
+  STATE_SEQUENCE: 'state-sequence',
+});
+
+const createServiceError = (code, message, details) => {
+  const error = new Error(message);
+  error.code = code;
+  if (details !== undefined) {
+    error.details = details;
+  }
+  return error;
+};
+
+const safeString = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'string') {
+    return value.trim();
+  }
+  return String(value).trim();
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const buildWallTime = (year, month, day, hours, minutes, seconds) => {
+  const time = Date.UTC(year, month - 1, day, hours, minutes, seconds || 0);
+  const check = new Date(time);
+  if (Number.isNaN(time) || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+    return null;
+  }
+  return time;
+};
+
+const to24Hour = (hours, meridiem) => {
+  if (!meridiem) {
+    return hours;
+  }
+  const isPm = meridiem.toLowerCase() === 'pm';
+  if (hours === 12) {
+    return isPm ? 12 : 0;
+  }
+  return isPm ? hours + 12 : hours;
+};
+
+/**
+ * Parse a device timestamp into Manila wall-clock milliseconds. Devices log
+ * local time without a zone. Accepts YYYY-MM-DD or YYYY/MM/DD, and the
+ * MM/DD/YYYY layout used by ZKTeco's US exports, with optional seconds and AM/PM.
+ * @returns {number|null} Wall-clock milliseconds
+ */
+const parseDeviceTimestamp = (value) => {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    // Excel serial date; its fields are already the device's local time
+    return Math.round((value - 25569) * MS_PER_DAY / MS_PER_MINUTE) * MS_PER_MINUTE;
+  }
+  const text = safeString(value);
+  const timePart = '(\\d{1,2}):(\\d{2})(?::(\\d{2}))?\\s*([AaPp][Mm])?';
+  let match = new RegExp(`^(\\d{4})[-/](\\d{1,2})[-/](\\d{1,2})[ T]+${timePart}`).exec(text);
+  if (match) {
+    return buildWallTime(Number(match[1]), Number(match[2]), Number(match[3]),
+      to24Hour(Number(match[4]), match[7]), Number(match[5]), Number(match[6]));
+  }
+  match = new RegExp(`^(\\d{1,2})/(\\d{1,2})/(\\d{4})[ T]+${timePart}`).exec(text);
+  if (match) {
+    return buildWallTime(Number(match[3]), Number(match[1]), Number(match[2]),
+      to24Hour(Number(match[4]), match[7]), Number(match[5]), Number(match[6]));
+  }
+  return null;
+};
+
+const formatWallTime = (wallTime) => {
+  const date = new Date(wallTime);
+  return `${formatDateKey(date)}T${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}`;
+};
+
+const resolveState = (value) => {
+  const text = safeString(value).toLowerCase();
+  if (!text) {
+    return null;
+  }
+  if (/^\d+$/.test(text)) {
+    return DEVICE_STATES[Number(text)] || null;
+  }
+  return STATE_LABELS[text] || null;
+};
+
+const isSpreadsheet = (buffer) => buffer.length > 4
+  && ((buffer[0] === 0x50 && buffer[1] === 0x4b) || (buffer[0] === 0xd0 && buffer[1] === 0xcf));
+
+const SPACED_ATTLOG_LINE = /^(\S+)\s+(\S+\s+\d{1,2}:\d{2}(?::\d{2})?(?:\s*[AaPp][Mm])?)\s*(.*)$/;
+
+const splitDelimited = (line, delimiter) => {
+  if (delimiter instanceof RegExp) {
+    // Space-separated logs: keep the date and time together as one cell
+    const match = SPACED_ATTLOG_LINE.exec(line);
+    return match
+      ? [match[1], match[2], ...match[3].split(delimiter).filter(Boolean)]
+      : line.split(delimiter);
+  }
+  if (delimiter !== ',') {
+    return line.split(delimiter).map((cell) => cell.trim());
+  }
+  const cells = [];
+  let current = '';
+  let quoted = false;
+  for (let index = 0; index < line.length; index += 1) {
+    const char = line[index];
+    if (char === '"') {
+      if (quoted && line[index + 1] === '"') {
+        current += '"';
+        index += 1;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (char === ',' && !quoted) {
+      cells.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  cells.push(current.trim());
+  return cells;
+};
+
+const detectDelimiter = (line) => {
+  if (line.includes('\t')) return '\t';
+  if (line.includes(',')) return ',';
+  if (line.includes(';')) return ';';
+  return /\s+/;
+};
+
+const readRows = (buffer) => {
+  if (isSpreadsheet(buffer)) {
+    const workbook = XLSX.read(buffer, { type: 'buffer' });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    return XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: '' })
+      .map((row) => row.map((cell) => (typeof cell === 'string' ? cell.trim() : cell)));
+  }
+  const lines = buffer.toString('utf8').replace(/^\uFEFF/, '').split(/\r?\n/).filter((line) => line.trim());
+  if (lines.length === 0) {
+    return [];
+  }
+  const delimiter = detectDelimiter(lines[0]);
+  return lines.map((line) => splitDelimited(line.trim(), delimiter));
+};
+
+const findColumn = (headers, aliases) => headers.findIndex((header) => aliases.includes(header));
+
+const mapHeaderColumns = (headerRow) => {
+  const headers = headerRow.map((cell) => safeString(cell).toLowerCase());
+  const columns = {
+    deviceUserId: findColumn(headers, HEADER_ALIASES.deviceUserId),
+    timestamp: findColumn(headers, HEADER_ALIASES.timestamp),
+    state: findColumn(headers, HEADER_ALIASES.state),
+    verifyMode: findColumn(headers, HEADER_ALIASES.verifyMode),
+    deviceId: findColumn(headers, HEADER_ALIASES.deviceId),
+    name: findColumn(headers, HEADER_ALIASES.name),
+    date: -1,
+    time: -1,
+  };
+  if (columns.timestamp === -1) {
+    columns.date = findColumn(headers, HEADER_ALIASES.date);
+    columns.time = findColumn(headers, HEADER_ALIASES.time);
+    // Single "Time" columns in ZKTeco CSV exports carry the full date and time
+    if (columns.date === -1 && columns.time !== -1) {
+      columns.timestamp = columns.time;
+      columns.time = -1;
+    }
+  }
+  return columns;
+};
+
+/**
+ * Tell a raw punch log apart from the tidy one-row-per-day sheet that
+ * parseAttendanceFile handles.
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {string} 'attendance-sheet', 'punch-log-csv' or 'attlog'
+ */
+const detectFormat = (buffer) => {
+  const rows = readRows(buffer);
+  const first = (rows[0] || []).map((cell) => safeString(cell).toLowerCase());
+  if (first.includes('time in') && first.includes('employee id')) {
+    return 'attendance-sheet';
+  }
+  return parseDeviceTimestamp(rows[0] && rows[0][1]) !== null ? 'attlog' : 'punch-log-csv';
+};
+
+/**
+ * Parse a biometric export into individual punches.
+ *
+ * ZKTeco attlog (.dat) and other headerless logs are read as
+ * `user number, timestamp, verify mode, state, ...`. CSV and Excel exports with
+ * a header row are matched on the usual column names (AC-No., Time, State, ...).
+ *
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {object} { format, punches, errors }
+ */
+const parsePunchLog = (buffer) => {
+  if (!buffer || buffer.length === 0) {
+    throw createServiceError('invalid-argument', 'The uploaded punch log is empty.');
+  }
+
+  const rows = readRows(buffer);
+  const hasHeader = rows.length > 0 && parseDeviceTimestamp(rows[0][1]) === null;
+  const format = hasHeader ? 'punch-log-csv' : 'attlog';
+  const columns = hasHeader
+    ? mapHeaderColumns(rows[0])
+    : { deviceUserId: 0, timestamp: 1, verifyMode: 2, state: 3, deviceId: -1, name: -1, date: -1, time: -1 };
+
+  if (columns.deviceUserId === -1 || (columns.timestamp === -1 && (columns.date === -1 || columns.time === -1))) {
+    throw createServiceError(
+      'invalid-argument',
+      'Unrecognized punch log. Expected a user number column and a date/time column.',
+    );
+  }
+
+  const cell = (row, index) => (index >= 0 ? row[index] : '');
+  const punches = [];
+  const errors = [];
+
+  rows.slice(hasHeader ? 1 : 0).forEach((row, index) => {
+    const line = index + (hasHeader ? 2 : 1);
+    const deviceUserId = safeString(cell(row, columns.deviceUserId));
+    if (!deviceUserId) {
+      return;
+    }
+    const rawTimestamp = columns.timestamp >= 0
+      ? cell(row, columns.timestamp)
+      : `${safeString(cell(row, columns.date))} ${safeString(cell(row, columns.time))}`;
+    const wallTime = parseDeviceTimestamp(rawTimestamp);
+    if (wallTime === null) {
+      errors.push({ line, deviceUserId, error: `Unrecognized timestamp "${safeString(rawTimestamp)}"` });
+      return;
+    }
+    const rawState = safeString(cell(row, columns.state));
+    punches.push({
+      line,
+      deviceUserId,
+      deviceId: safeString(cell(row, columns.deviceId)) || null,
+      name: safeString(cell(row, columns.name)) || null,
+      wallTime,
+      timestamp: formatWallTime(wallTime),
+      state: resolveState(rawState),
+      rawState: rawState || null,
+      verifyMode: safeString(cell(row, columns.verifyMode)) || null,
+    });
+  });
+
+  return { format, punches, errors };
+};
+
+const buildDeviceUserId = (companyId, deviceUserId, deviceId) => (
+  deviceId ? `${companyId}_${deviceId}_${deviceUserId}` : `${companyId}_${deviceUserId}`
+);
+
+const listDeviceUsers = async (payload = {}) => {
+  const companyId = safeString(payload.companyId);
+  if (!companyId) {
+    throw createServiceError('invalid-argument', 'companyId is required');
+  }
+  const db = firestore();
+  const snapshot = await db.collection(DEVICE_USERS_COLLECTION).where('companyId', '==', companyId).get();
+  return { success: true, deviceUsers: snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() })) };
+};
+
+/**
+ * Map device user numbers to employees. A mapping with a deviceId only
+ * applies to punches from that device; one without applies to all devices.
+ * @param {object} payload - { companyId, mappings: [{ deviceUserId, employeeId, deviceId? }] }
+ * @param {object} options - Contains userId, email
+ */
+const saveDeviceUsers = async (payload = {}, options = {}) => {
+  const companyId = safeString(payload.companyId);
+  const mappings = Array.isArray(payload.mappings) ? payload.mappings : [payload];
+  if (!companyId) {
+    throw createServiceError('invalid-argument', 'companyId is required');
+  }
+
+  const invalid = mappings.filter((entry) => !safeString(entry.deviceUserId) || !safeString(entry.employeeId));
+  if (invalid.length > 0) {
+    throw createServiceError('invalid-argument', 'Each mapping needs a deviceUserId and an employeeId', invalid);
+  }
+
+  const db = firestore();
+  const employeeIds = Array.from(new Set(mappings.map((entry) => safeString(entry.employeeId))));
+  const employeeDocs = await db.getAll(...employeeIds.map((id) => db.collection(EMPLOYEES_COLLECTION).doc(id)));
+  const employees = new Map();
+  employeeDocs.forEach((doc) => {
+    if (doc.exists && (doc.data() || {}).companyId === companyId) {
+      employees.set(doc.id, doc.data());
+    }
+  });
+  const unknown = employeeIds.filter((id) => !employees.has(id));
+  if (unknown.length > 0) {
+    throw createServiceError('not-found', `Employees not found in this company: ${unknown.join(', ')}`, unknown);
+  }
+
+  const batch = db.batch();
+  const saved = mappings.map((entry) => {
+    const deviceUserId = safeString(entry.deviceUserId);
+    const deviceId = safeString(entry.deviceId) || null;
+    const employeeId = safeString(entry.employeeId);
+    const employee = employees.get(employeeId);
+    const id = buildDeviceUserId(companyId, deviceUserId, deviceId);
+    batch.set(db.collection(DEVICE_USERS_COLLECTION).doc(id), {
+      companyId,
+      deviceUserId,
+      deviceId,
+      employeeId,
+      employeeName: `${employee.firstName || ''} ${employee.lastName || ''}`.trim(),
+      updatedBy: options.userId || null,
+      updatedAt: FieldValue.serverTimestamp(),
+    }, { merge: true });
+    return { id, deviceUserId, deviceId, employeeId };
+  });
+  await batch.commit();
+
+  return { success: true, saved };
+};
+
+const deleteDeviceUser = async (payload = {}) => {
+  const companyId = safeString(payload.companyId);
+  const deviceUserId = safeString(payload.deviceUserId);
+  if (!companyId || !deviceUserId) {
+    throw createServiceError('invalid-argument', 'companyId and deviceUserId are required');
+  }
+  const db = firestore();
+  const id = buildDeviceUserId(companyId, deviceUserId, safeString(payload.deviceId) || null);
+  await db.collection(DEVICE_USERS_COLLECTION).doc(id).delete();
+  return { success: true, deleted: 1 };
+};
+
+const loadDeviceUserMap = async (companyId) => {
+  const { deviceUsers } = await listDeviceUsers({ companyId });
+  return deviceUsers.reduce((map, entry) => {
+    map.set(entry.deviceId ? `${entry.deviceId}:${entry.deviceUserId}` : entry.deviceUserId, entry);
+    return map;
+  }, new Map());
+};
+
+const resolveDeviceUser = (deviceUserMap, punch) => (
+  (punch.deviceId && deviceUserMap.get(`${punch.deviceId}:${punch.deviceUserId}`))
+  || deviceUserMap.get(punch.deviceUserId)
+  || null
+);
+
+/**
+ * Pick the shift date a punch belongs to. Punches in the early hours after an
+ * overnight shift are credited to the day the shift started.
+ */
+const resolveShiftDate = async (punch, getSchedule) => {
+  const punchDate = formatDateKey(new Date(punch.wallTime));
+  const previousDate = formatDateKey(new Date(punch.wallTime - MS_PER_DAY));
+  const previousShift = shiftService.resolveShiftForDate(await getSchedule(previousDate), previousDate);
+  const crossesMidnight = previousShift.scheduledEnd > Date.parse(`${punchDate}T00:00:00Z`);
+  if (crossesMidnight && punch.wallTime <= previousShift.scheduledEnd + OVERNIGHT_CARRY_MINUTES * MS_PER_MINUTE) {
+    return previousDate;
+  }
+  return punchDate;
+};
+
+/**
+ * Turn one employee-day of punches into a time in / time out pair. The first
+ * entering punch is the time in and the last leaving punch after it is the
+ * time out; punches in between are breaks. Punches without a state alternate.
+ */
+const pairDayPunches = (punches) => {
+  const anomalies = [];
+  const kept = [];
+  punches.forEach((punch) => {
+    const previous = kept[kept.length - 1];
+    if (previous && punch.wallTime - previous.wallTime < DUPLICATE_PUNCH_MINUTES * MS_PER_MINUTE
+      && (!punch.state || punch.state === previous.state)) {
+      if (!anomalies.includes(ANOMALIES.DUPLICATE_PUNCH)) {
+        anomalies.push(ANOMALIES.DUPLICATE_PUNCH);
+      }
+      return;
+    }
+    kept.push(punch);
+  });
+
+  const states = kept.map((punch, index) => punch.state || (index % 2 === 0 ? 'in' : 'out'));
+  if (kept.some((punch) => punch.state) && states.some((state, index) => index > 0 && state === states[index - 1])) {
+    anomalies.push(ANOMALIES.STATE_SEQUENCE);
+  }
+
+  const inIndex = states.indexOf('in');
+  const outIndex = states.lastIndexOf('out');
+  const timeIn = inIndex >= 0 ? kept[inIndex] : null;
+  const timeOut = outIndex > inIndex ? kept[outIndex] : null;
+
+  if (!timeIn) {
+    anomalies.push(ANOMALIES.MISSING_TIME_IN);
+  }
+  if (!timeOut) {
+    anomalies.push(ANOMALIES.MISSING_TIME_OUT);
+  }
+  if (kept.length > 1 && kept.length % 2 === 1) {
+    anomalies.push(ANOMALIES.ODD_PUNCH_COUNT);
+  }
+
+  const pairs = [];
+  for (let index = 0; index < kept.length; index += 2) {
+    pairs.push({
+      in: kept[index].timestamp,
+      out: kept[index + 1] ? kept[index + 1].timestamp : null,
+    });
+  }
+
+  return {
+    timeIn: timeIn ? timeIn.timestamp : null,
+    // Leaving punches without a matching time in are kept on the record for review
+    timeOut: timeOut ? timeOut.timestamp : (!timeIn && outIndex >= 0 ? kept[outIndex].timestamp : null),
+    punchCount: punches.length,
+    pairs,
+    anomalies,
+  };
+};
+
+/**
+ * Group punches by employee and shift date and pair them into sessions.
+ * @param {object} params - { companyId, punches, deviceUserMap?, getSchedule? }
+ * @returns {object} { sessions, unmapped }
+ */
+const pairPunches = async ({ companyId, punches = [], deviceUserMap, getSchedule } = {}) => {
+  const userMap = deviceUserMap || await loadDeviceUserMap(companyId);
+  const scheduleCache = new Map();
+  const loadSchedule = getSchedule || ((employeeId, date) => attendanceService.getEmployeeSchedule(employeeId, date));
+
+  const unmapped = new Map();
+  const groups = new Map();
+  const sorted = [...punches].sort((a, b) => a.wallTime - b.wallTime);
+
+  for (const punch of sorted) {
+    const mapping = resolveDeviceUser(userMap, punch);
+    if (!mapping) {
+      const entry = unmapped.get(punch.deviceUserId) || { deviceUserId: punch.deviceUserId, name: punch.name, punches: 0 };
+      entry.punches += 1;
+      unmapped.set(punch.deviceUserId, entry);
+      continue;
+    }
+
+    const scheduleFor = (date) => {
+      const key = `${mapping.employeeId}_${date}`;
+      if (!scheduleCache.has(key)) {
+        scheduleCache.set(key, Promise.resolve(loadSchedule(mapping.employeeId, date)));
+      }
+      return scheduleCache.get(key);
+    };
+    const date = await resolveShiftDate(punch, scheduleFor);
+    const key = `${mapping.employeeId}_${date}`;
+    if (!groups.has(key)) {
+      groups.set(key, { employeeId: mapping.employeeId, employeeName: mapping.employeeName || null, deviceUserId: punch.deviceUserId, date, punches: [] });
+    }
+    groups.get(key).punches.push(punch);
+  }
+
+  const sessions = Array.from(groups.values()).map((group) => ({
+    employeeId: group.employeeId,
+    employeeName: group.employeeName,
+    deviceUserId: group.deviceUserId,
+    date: group.date,
+    ...pairDayPunches(group.punches),
+  })).sort((a, b) => (a.date === b.date ? a.employeeId.localeCompare(b.employeeId) : a.date.localeCompare(b.date)));
+
+  return { sessions, unmapped: Array.from(unmapped.values()) };
+};
+
+/**
+ * Parse a punch log and build attendance records ready for processing.
+ * @param {Buffer} buffer - Uploaded file
+ * @param {object} params - { companyId }
+ * @returns {object} { format, records, sessions, unmapped, errors, anomalyCount }
+ */
+const buildAttendanceFromPunchLog = async (buffer, { companyId } = {}) => {
+  if (!safeString(companyId)) {
+    throw createServiceError('invalid-argument', 'companyId is required');
+  }
+  const { format, punches, errors } = parsePunchLog(buffer);
+  const { sessions, unmapped } = await pairPunches({ companyId, punches });
+
+  const records = sessions.map((session) => ({
+    employeeId: session.employeeId,
+    date: session.date,
+    timeIn: session.timeIn,
+    timeOut: session.timeOut,
+    companyId,
+    status: 'Present',
+    notes: session.anomalies.length > 0 ? `Biometric: ${session.anomalies.join(', ')}` : '',
+    source: 'biometric',
+    deviceUserId: session.deviceUserId,
+    punchCount: session.punchCount,
+    anomalies: session.anomalies,
+  }));
+
+  return {
+    format,
+    records,
+    sessions,
+    unmapped,
+    errors,
+    anomalyCount: sessions.filter((session) => session.anomalies.length > 0).length,
+  };
+};
+
+module.exports = {
+  ANOMALIES,
+  DEVICE_USERS_COLLECTION,
+  detectFormat,
+  parsePunchLog,
+  parseDeviceTimestamp,
+  pairPunches,
+  buildAttendanceFromPunchLog,
+  listDeviceUsers,
+  saveDeviceUsers,
+  deleteDeviceUser,
+};
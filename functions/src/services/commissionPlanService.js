@@ -0,0 +1,290 @@
+const admin = require('../utils/firebaseAdmin');
+
+const PLANS_COLLECTION_ROOT = 'CommissionPlans';
+const PLANS_SUBCOLLECTION = 'plans';
+const EMPLOYEES_COLLECTION = 'employees';
+const AGENTS_COLLECTION_ROOT = 'agents';
+const AGENTS_SUBCOLLECTION = 'companyAgents';
+
+const DEFAULT_CLAWBACK_WINDOW_DAYS = 90;
+
+const firestore = () => {
+  if (typeof admin.firestore !== 'function') {
+    throw new Error('Firestore is not initialized');
+  }
+  return admin.firestore();
+};
+
+const FieldValue = admin.firestore.FieldValue;
+
+const createServiceError = (code, message, details) => {
+  const error = new Error(message);
+  error.code = code;
+  if (details !== undefined) {
+    error.details = details;
+  }
+  return error;
+};
+
+const toNumber = (value, fallback = 0) => {
+  if (value === null || value === undefined || value === '') {
+    return fallback;
+  }
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? numeric : fallback;
+};
+
+const roundCurrency = (value) => {
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric)) {
+    return 0;
+  }
+  return Math.round(numeric * 100) / 100;
+};
+
+const safeString = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'string') {
+    return value.trim();
+  }
+  return String(value).trim();
+};
+
+const buildPlanCollectionRef = (companyId) => firestore()
+  .collection(PLANS_COLLECTION_ROOT)
+  .doc(companyId)
+  .collection(PLANS_SUBCOLLECTION);
+
+const normalizeTier = (tier = {}, index) => ({
+  label: safeString(tier.label) || `Tier ${index + 1}`,
+  fromPercent: toNumber(tier.fromPercent, 0),
+  toPercent: tier.toPercent === null || tier.toPercent === undefined || tier.toPercent === ''
+    ? null
+    : toNumber(tier.toPercent, null),
+  ratePercent: toNumber(tier.ratePercent, 0),
+});
+
+/**
+ * Fill in a plan document. Tiers are bands of target attainment, e.g.
+ * 0-100% at 3%, 100-120% at 5%, and 120% upward (toPercent null) as an accelerator.
+ */
+const normalizePlan = (raw = {}) => ({
+  name: safeString(raw.name),
+  description: safeString(raw.description),
+  tiers: (Array.isArray(raw.tiers) ? raw.tiers : [])
+    .map(normalizeTier)
+    .sort((a, b) => a.fromPercent - b.fromPercent),
+  teamOverridePercent: Math.max(0, toNumber(raw.teamOverridePercent, 0)),
+  clawbackWindowDays: Math.max(0, Math.floor(toNumber(raw.clawbackWindowDays, DEFAULT_CLAWBACK_WINDOW_DAYS))),
+  clawbackPercent: Math.min(100, Math.max(0, toNumber(raw.clawbackPercent, 100))),
+  active: raw.active !== false,
+});
+
+const validatePlan = (plan) => {
+  const errors = [];
+  if (!plan.name) {
+    errors.push('name is required');
+  }
+  if (plan.tiers.length === 0) {
+    errors.push('at least one tier is required');
+  }
+  plan.tiers.forEach((tier, index) => {
+    if (tier.ratePercent < 0) {
+      errors.push(`${tier.label}: ratePercent cannot be negative`);
+    }
+    if (tier.toPercent !== null && tier.toPercent <= tier.fromPercent) {
+      errors.push(`${tier.label}: toPercent must be above fromPercent`);
+    }
+    const previous = plan.tiers[index - 1];
+    if (index === 0 && tier.fromPercent !== 0) {
+      errors.push('the first tier must start at 0%');
+    }
+    if (previous && previous.toPercent !== tier.fromPercent) {
+      errors.push(`${tier.label} must start where ${previous.label} ends`);
+    }
+    if (tier.toPercent === null && index !== plan.tiers.length - 1) {
+      errors.push(`${tier.label}: only the last tier can be open-ended`);
+    }
+  });
+  return errors;
+};
+
+/**
+ * Commission earned on a slice of period sales, split by tier. Tiers are
+ * marginal: only the sales that fall inside a band earn that band's rate.
+ *
+ * @param {object} plan - Normalized plan
+ * @param {object} params
+ * @param {number} params.target - Period target (monthlyTarget)
+ * @param {number} params.priorAmount - Commissionable sales already booked in the period
+ * @param {number} params.amount - Commissionable amount of this entry
+ * @returns {object} { commission, attainmentBefore, attainmentAfter, tiers }
+ */
+const evaluateTiers = (plan, { target = 0, priorAmount = 0, amount = 0 } = {}) => {
+  const start = Math.max(0, toNumber(priorAmount, 0));
+  const end = start + Math.max(0, toNumber(amount, 0));
+  const periodTarget = Math.max(0, toNumber(target, 0));
+
+  const bandBounds = (tier, index) => {
+    if (periodTarget <= 0) {
+      // Without a target there is no attainment to measure, so everything earns the first tier
+      return index === 0 ? [0, Infinity] : [Infinity, Infinity];
+    }
+    return [
+      periodTarget * (tier.fromPercent / 100),
+      tier.toPercent === null ? Infinity : periodTarget * (tier.toPercent / 100),
+    ];
+  };
+
+  let commission = 0;
+  const tiers = [];
+  plan.tiers.forEach((tier, index) => {
+    const [bandStart, bandEnd] = bandBounds(tier, index);
+    const overlap = Math.max(0, Math.min(end, bandEnd) - Math.max(start, bandStart));
+    if (overlap <= 0) {
+      return;
+    }
+    const earned = roundCurrency(overlap * (tier.ratePercent / 100));
+    commission = roundCurrency(commission + earned);
+    tiers.push({
+      label: tier.label,
+      fromPercent: tier.fromPercent,
+      toPercent: tier.toPercent,
+      ratePercent: tier.ratePercent,
+      amount: roundCurrency(overlap),
+      commission: earned,
+    });
+  });
+
+  const attainment = (value) => (periodTarget > 0 ? Math.round((value / periodTarget) * 10000) / 100 : null);
+  return {
+    commission,
+    attainmentBefore: attainment(start),
+    attainmentAfter: attainment(end),
+    tiers,
+  };
+};
+
+const getPlan = async (companyId, planId) => {
+  if (!safeString(companyId) || !safeString(planId)) {
+    throw createServiceError('invalid-argument', 'companyId and planId are required.');
+  }
+  const snapshot = await buildPlanCollectionRef(safeString(companyId)).doc(safeString(planId)).get();
+  if (!snapshot.exists) {
+    throw createServiceError('not-found', `Commission plan ${planId} not found.`);
+  }
+  return { id: snapshot.id, ...normalizePlan(snapshot.data()) };
+};
+
+const listPlans = async (payload = {}) => {
+  const companyId = safeString(payload.companyId);
+  if (!companyId) {
+    throw createServiceError('invalid-argument', 'companyId is required.');
+  }
+  const snapshot = await buildPlanCollectionRef(companyId).get();
+  return {
+    success: true,
+    plans: snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() })),
+  };
+};
+
+const savePlan = async (payload = {}, options = {}) => {
+  const companyId = safeString(payload.companyId);
+  if (!companyId) {
+    throw createServiceError('invalid-argument', 'companyId is required.');
+  }
+  const plan = normalizePlan(payload);
+  const errors = validatePlan(plan);
+  if (errors.length) {
+    throw createServiceError('invalid-argument', `Invalid commission plan: ${errors.join('; ')}`, errors);
+  }
+
+  const collection = buildPlanCollectionRef(companyId);
+  const planId = safeString(payload.planId || payload.id);
+  const docRef = planId ? collection.doc(planId) : collection.doc();
+  await docRef.set({
+    ...plan,
+    companyId,
+    updatedBy: options.userId || null,
+    updatedAt: FieldValue.serverTimestamp(),
+    ...(planId ? {} : { createdBy: options.userId || null, createdAt: FieldValue.serverTimestamp() }),
+  }, { merge: true });
+
+  return { success: true, planId: docRef.id, plan: { id: docRef.id, ...plan } };
+};
+
+const deletePlan = async (payload = {}) => {
+  const plan = await getPlan(payload.companyId, payload.planId);
+  await buildPlanCollectionRef(safeString(payload.companyId)).doc(plan.id).delete();
+  return { success: true, deleted: 1 };
+};
+
+const resolveProfileRef = async (companyId, personType, personId) => {
+  const db = firestore();
+  if (personType === 'agent') {
+    return db.collection(AGENTS_COLLECTION_ROOT).doc(companyId).collection(AGENTS_SUBCOLLECTION).doc(personId);
+  }
+  const rootRef = db.collection(EMPLOYEES_COLLECTION).doc(personId);
+  const rootSnapshot = await rootRef.get();
+  if (rootSnapshot.exists) {
+    return rootRef;
+  }
+  return db.collection('companies').doc(companyId).collection(EMPLOYEES_COLLECTION).doc(personId);
+};
+
+/**
+ * Assign a plan to an employee or agent, or clear it with planId null.
+ * @param {object} payload - { companyId, personType, personId, planId, monthlyTarget?, supervisorId?, supervisorType? }
+ */
+const assignPlan = async (payload = {}, options = {}) => {
+  const companyId = safeString(payload.companyId);
+  const personType = safeString(payload.personType) || 'employee';
+  const personId = safeString(payload.personId || payload.employeeId || payload.agentId);
+  if (!companyId || !personId) {
+    throw createServiceError('invalid-argument', 'companyId and personId are required.');
+  }
+  if (!['employee', 'agent'].includes(personType)) {
+    throw createServiceError('invalid-argument', 'personType must be "employee" or "agent".');
+  }
+
+  const planId = safeString(payload.planId);
+  if (planId) {
+    await getPlan(companyId, planId);
+  }
+
+  const profileRef = await resolveProfileRef(companyId, personType, personId);
+  const profileSnapshot = await profileRef.get();
+  if (!profileSnapshot.exists) {
+    throw createServiceError('not-found', `${personType === 'agent' ? 'Agent' : 'Employee'} ${personId} not found.`);
+  }
+
+  const update = {
+    commissionPlanId: planId || null,
+    updatedAt: FieldValue.serverTimestamp(),
+    commissionPlanAssignedBy: options.userId || null,
+  };
+  if (payload.monthlyTarget !== undefined) {
+    update.monthlyTarget = roundCurrency(payload.monthlyTarget);
+  }
+  if (payload.supervisorId !== undefined) {
+    update.supervisorId = safeString(payload.supervisorId) || null;
+    update.supervisorType = safeString(payload.supervisorType) || 'employee';
+  }
+  await profileRef.update(update);
+
+  return { success: true, personType, personId, planId: planId || null };
+};
+
+module.exports = {
+  DEFAULT_CLAWBACK_WINDOW_DAYS,
+  normalizePlan,
+  validatePlan,
+  evaluateTiers,
+  getPlan,
+  listPlans,
+  savePlan,
+  deletePlan,
+  assignPlan,
+};
@@ -1,4 +1,6 @@
 const admin = require('../utils/firebaseAdmin');
+const payrollRunService = require('./payrollRunService');
+const commissionPlanService = require('./commissionPlanService');
 
 const COMMISSION_COLLECTION_ROOT = 'Commissions';
 const COMMISSION_SUBCOLLECTION = 'commissions';
@@ -6,6 +8,47 @@ const EMPLOYEES_COLLECTION = 'employees';
 const AGENTS_COLLECTION_ROOT = 'agents';
 const AGENTS_SUBCOLLECTION = 'companyAgents';
 
+const COMMISSION_STATUSES = Object.freeze({
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  VOID: 'void',
+  PAID: 'paid',
+});
+
+/**
+ * Allowed status moves. Paid commissions are final here; recovering money
+ * already disbursed goes through a separate adjustment.
+ */
+const COMMISSION_TRANSITIONS = Object.freeze({
+  [COMMISSION_STATUSES.PENDING]: [COMMISSION_STATUSES.APPROVED, COMMISSION_STATUSES.REJECTED, COMMISSION_STATUSES.VOID],
+  [COMMISSION_STATUSES.APPROVED]: [COMMISSION_STATUSES.PAID, COMMISSION_STATUSES.VOID],
+  [COMMISSION_STATUSES.REJECTED]: [COMMISSION_STATUSES.VOID],
+  [COMMISSION_STATUSES.VOID]: [],
+  [COMMISSION_STATUSES.PAID]: [],
+});
+
+// Prefix of the `<prefix>At` / `<prefix>By` fields stamped on each transition
+const TRANSITION_FIELD_PREFIXES = Object.freeze({
+  [COMMISSION_STATUSES.APPROVED]: 'approved',
+  [COMMISSION_STATUSES.REJECTED]: 'rejected',
+  [COMMISSION_STATUSES.VOID]: 'voided',
+  [COMMISSION_STATUSES.PAID]: 'paid',
+});
+
+const REASON_REQUIRED_STATUSES = [COMMISSION_STATUSES.REJECTED, COMMISSION_STATUSES.VOID];
+
+// Sales count toward target attainment; overrides and clawbacks are derived from sales
+const COMMISSION_KINDS = Object.freeze({
+  SALE: 'sale',
+  OVERRIDE: 'override',
+  CLAWBACK: 'clawback',
+});
+const CLAWBACK_ELIGIBLE_STATUSES = [COMMISSION_STATUSES.APPROVED, COMMISSION_STATUSES.PAID];
+const NON_COUNTING_STATUSES = [COMMISSION_STATUSES.REJECTED, COMMISSION_STATUSES.VOID];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
 const COMMISSION_TYPE_DEFAULTS = Object.freeze({
   'Sales Commission': { rate: 5 },
   'Referral Bonus': { rate: 3 },
@@ -135,6 +178,19 @@ const resolveCommissionableAmount = (entry, profile) => {
   return 0;
 };
 
+const safeString = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'string') {
+    return value.trim();
+  }
+  return String(value).trim();
+};
+
+// Records written before the approval workflow have no status and count as pending
+const resolveStatus = (data = {}) => data.status || COMMISSION_STATUSES.PENDING;
+
 const resolveDateString = (value) => {
   if (!value) {
     const today = new Date();
@@ -202,7 +258,151 @@ const buildCommissionCollectionRef = (companyId) => {
     .collection(COMMISSION_SUBCOLLECTION);
 };
 
-const prepareCommissionRecord = async ({ companyId, entry, options = {} }) => {
+const createCalculationContext = () => ({ planCache: new Map(), periodTotals: new Map() });
+
+const resolveKind = (data = {}) => data.commissionKind || COMMISSION_KINDS.SALE;
+
+const resolvePeriod = (date) => {
+  const [year, month] = date.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const key = `${year}-${String(month).padStart(2, '0')}`;
+  return { key, startDate: `${key}-01`, endDate: `${key}-${String(lastDay).padStart(2, '0')}` };
+};
+
+const nextPeriodStart = (date) => {
+  const [year, month] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month, 1)).toISOString().slice(0, 10);
+};
+
+const personField = (personType) => (personType === 'agent' ? 'agentId' : 'employeeId');
+
+/**
+ * Commissionable sales already booked for a person under a plan in a period,
+ * not counting the commission being recalculated.
+ */
+const loadPeriodSales = async ({ companyId, personType, personId, planId, period, excludeId }) => {
+  const snapshot = await buildCommissionCollectionRef(companyId)
+    .where(personField(personType), '==', personId)
+    .where('date', '>=', period.startDate)
+    .where('date', '<=', period.endDate)
+    .get();
+  return snapshot.docs.reduce((total, doc) => {
+    const data = doc.data() || {};
+    if (doc.id === excludeId || data.planId !== planId || resolveKind(data) !== COMMISSION_KINDS.SALE
+      || NON_COUNTING_STATUSES.includes(resolveStatus(data))) {
+      return total;
+    }
+    return roundCurrency(total + toNumber(data.commissionableAmount, 0));
+  }, 0);
+};
+
+const loadPlanCached = (companyId, planId, planCache) => {
+  if (!planCache.has(planId)) {
+    planCache.set(planId, commissionPlanService.getPlan(companyId, planId));
+  }
+  return planCache.get(planId);
+};
+
+/**
+ * Price an entry on the person's tiered plan. Period sales are tracked in
+ * `periodTotals` so several entries in one request climb the tiers in order.
+ */
+const evaluatePlanCommission = async ({ companyId, personType, personId, planId, profile, entryId, date, amount, context }) => {
+  const plan = await loadPlanCached(companyId, planId, context.planCache);
+  const period = resolvePeriod(date);
+  const totalsKey = `${personType}_${personId}_${planId}_${period.key}`;
+  if (!context.periodTotals.has(totalsKey)) {
+    context.periodTotals.set(totalsKey, await loadPeriodSales({
+      companyId, personType, personId, planId, period, excludeId: entryId,
+    }));
+  }
+  const priorAmount = context.periodTotals.get(totalsKey);
+  const evaluation = commissionPlanService.evaluateTiers(plan, {
+    target: profile?.monthlyTarget,
+    priorAmount,
+    amount,
+  });
+  context.periodTotals.set(totalsKey, roundCurrency(priorAmount + amount));
+  return { plan, period, evaluation };
+};
+
+/**
+ * Build the supervisor's team override for a sale, if the supervisor's plan pays one.
+ * The override id is derived from the sale so recalculating the sale updates it.
+ * On recalculation a pending override the supervisor is no longer owed is
+ * removed, an approved or paid one blocks the recalculation like the sale's own
+ * status does, and a rejected or voided one is left alone.
+ * @returns {object|null} { docRef, data, exists, response } or { docRef, remove: true }
+ */
+const prepareTeamOverride = async ({ companyId, profile, sale, isUpdate, options, context }) => {
+  const docRef = buildCommissionCollectionRef(companyId).doc(`${sale.id}_override`);
+  const existing = isUpdate ? await docRef.get() : null;
+  if (existing?.exists) {
+    const currentStatus = resolveStatus(existing.data());
+    if ([COMMISSION_STATUSES.APPROVED, COMMISSION_STATUSES.PAID].includes(currentStatus)) {
+      throw createServiceError(
+        'failed-precondition',
+        `Team override ${docRef.id} is ${currentStatus}; commission ${sale.id} can no longer be recalculated.`,
+        { commissionId: sale.id, overrideId: docRef.id, status: currentStatus },
+      );
+    }
+    if (currentStatus !== COMMISSION_STATUSES.PENDING) {
+      return null;
+    }
+  }
+  const noOverride = existing?.exists ? { docRef, remove: true } : null;
+
+  const supervisorId = safeString(profile?.supervisorId);
+  if (!supervisorId) {
+    return noOverride;
+  }
+  const supervisorType = profile.supervisorType === 'agent' ? 'agent' : 'employee';
+  const supervisor = supervisorType === 'agent'
+    ? await loadAgentProfile(companyId, supervisorId)
+    : await loadEmployeeProfile(companyId, supervisorId);
+  if (!supervisor || !supervisor.commissionPlanId) {
+    return noOverride;
+  }
+  const plan = await loadPlanCached(companyId, supervisor.commissionPlanId, context.planCache);
+  if (!plan.active || plan.teamOverridePercent <= 0) {
+    return noOverride;
+  }
+
+  const amount = roundCurrency(sale.commissionableAmount * (plan.teamOverridePercent / 100));
+  const supervisorName = formatPersonName(supervisor, supervisorId);
+  const data = {
+    companyId,
+    personType: supervisorType,
+    [personField(supervisorType)]: supervisorId,
+    [supervisorType === 'agent' ? 'agentName' : 'employeeName']: supervisorName,
+    type: 'Team Override',
+    commissionKind: COMMISSION_KINDS.OVERRIDE,
+    sourceCommissionId: sale.id,
+    planId: plan.id,
+    amount,
+    ratePercent: plan.teamOverridePercent,
+    commissionableAmount: sale.commissionableAmount,
+    percentageComponent: amount,
+    baseCommission: 0,
+    bonusCommission: 0,
+    adjustments: 0,
+    date: sale.date,
+    description: `Team override on ${sale.personName || sale.referenceId} (${sale.type})`,
+    status: COMMISSION_STATUSES.PENDING,
+    processedBy: options.userId || null,
+    processedByEmail: options.userEmail || null,
+    updatedAt: FieldValue.serverTimestamp(),
+  };
+  const { updatedAt, ...plainData } = data;
+  return {
+    docRef,
+    data,
+    exists: Boolean(existing?.exists),
+    response: { id: docRef.id, ...plainData, referenceId: supervisorId, personName: supervisorName },
+  };
+};
+
+const prepareCommissionRecord = async ({ companyId, entry, options = {}, context = createCalculationContext() }) => {
   const personType = entry.personType || (entry.employeeId ? 'employee' : 'agent');
 
   if (!personType || !['employee', 'agent'].includes(personType)) {
@@ -237,16 +437,10 @@ const prepareCommissionRecord = async ({ companyId, entry, options = {} }) => {
   }
 
   const commissionableAmount = resolveCommissionableAmount(entry, profile);
-  const ratePercent = resolveCommissionRate(entry, profile);
   const baseCommission = resolveBaseCommission(entry, profile);
   const bonusCommission = resolveBonusCommission(entry, profile);
   const adjustmentInfo = resolveAdjustments(entry.adjustments);
 
-  const percentageComponent = roundCurrency(commissionableAmount * (ratePercent / 100));
-  const computedAmount = roundCurrency(
-    percentageComponent + baseCommission + bonusCommission + adjustmentInfo.total
-  );
-
   const date = resolveDateString(entry.date);
 
   const docRef = entry.id
@@ -257,6 +451,46 @@ const prepareCommissionRecord = async ({ companyId, entry, options = {} }) => {
 
   const referenceId = personType === 'employee' ? (entry.employeeId || entry.referenceId) : (entry.agentId || entry.referenceId);
 
+  // An explicit rate on the entry wins over the person's plan
+  const explicitRate = parseRatePercent(entry.commissionRate ?? entry.rate ?? entry.ratePercent);
+  const planId = safeString(entry.planId) || safeString(profile?.commissionPlanId);
+  let ratePercent;
+  let percentageComponent;
+  let planInfo = null;
+  if (explicitRate === null && planId) {
+    const { plan, period, evaluation } = await evaluatePlanCommission({
+      companyId,
+      personType,
+      personId: referenceId,
+      planId,
+      profile,
+      entryId: docRef.id,
+      date,
+      amount: commissionableAmount,
+      context,
+    });
+    percentageComponent = evaluation.commission;
+    ratePercent = commissionableAmount > 0
+      ? Math.round((evaluation.commission / commissionableAmount) * 1000000) / 10000
+      : 0;
+    planInfo = {
+      planId: plan.id,
+      planName: plan.name,
+      period: period.key,
+      monthlyTarget: roundCurrency(profile?.monthlyTarget || 0),
+      attainmentBefore: evaluation.attainmentBefore,
+      attainmentAfter: evaluation.attainmentAfter,
+      tierBreakdown: evaluation.tiers,
+    };
+  } else {
+    ratePercent = resolveCommissionRate(entry, profile);
+    percentageComponent = roundCurrency(commissionableAmount * (ratePercent / 100));
+  }
+
+  const computedAmount = roundCurrency(
+    percentageComponent + baseCommission + bonusCommission + adjustmentInfo.total
+  );
+
   const response = {
     id: docRef.id,
     companyId,
@@ -276,6 +510,9 @@ const prepareCommissionRecord = async ({ companyId, entry, options = {} }) => {
     personName,
     department: profile?.department || entry.department || null,
     metadata: entry.metadata || null,
+    commissionKind: COMMISSION_KINDS.SALE,
+    ...(planInfo || {}),
+    status: COMMISSION_STATUSES.PENDING,
     saved: false,
   };
 
@@ -292,11 +529,16 @@ const prepareCommissionRecord = async ({ companyId, entry, options = {} }) => {
     percentageComponent,
     date,
     description: entry.description || '',
+    commissionKind: COMMISSION_KINDS.SALE,
     processedBy: options.userId || null,
     processedByEmail: options.userEmail || null,
     updatedAt: FieldValue.serverTimestamp(),
   };
 
+  if (planInfo) {
+    Object.assign(baseData, planInfo);
+  }
+
   if (adjustmentInfo.breakdown) {
     baseData.adjustmentBreakdown = adjustmentInfo.breakdown;
   }
@@ -327,7 +569,26 @@ const prepareCommissionRecord = async ({ companyId, entry, options = {} }) => {
     baseData.agentName = personName;
   }
 
-  const setData = { ...baseData, createdAt: FieldValue.serverTimestamp() };
+  if (entry.id) {
+    const existing = await docRef.get();
+    if (!existing.exists) {
+      throw createServiceError('not-found', `Commission ${entry.id} not found.`);
+    }
+    const currentStatus = resolveStatus(existing.data());
+    if (currentStatus !== COMMISSION_STATUSES.PENDING) {
+      throw createServiceError(
+        'failed-precondition',
+        `Commission ${entry.id} is ${currentStatus} and can no longer be recalculated.`,
+        { commissionId: entry.id, status: currentStatus },
+      );
+    }
+  }
+
+  const setData = {
+    ...baseData,
+    status: COMMISSION_STATUSES.PENDING,
+    createdAt: FieldValue.serverTimestamp(),
+  };
 
   const updateData = { ...baseData };
   if (!adjustmentInfo.breakdown) {
@@ -345,6 +606,12 @@ const prepareCommissionRecord = async ({ companyId, entry, options = {} }) => {
   if (!response.department) {
     updateData.department = FieldValue.delete();
   }
+  if (!planInfo) {
+    ['planId', 'planName', 'period', 'monthlyTarget', 'attainmentBefore', 'attainmentAfter', 'tierBreakdown']
+      .forEach((field) => {
+        updateData[field] = FieldValue.delete();
+      });
+  }
   if (personType === 'employee') {
     updateData.agentId = FieldValue.delete();
     updateData.agentName = FieldValue.delete();
@@ -353,11 +620,21 @@ const prepareCommissionRecord = async ({ companyId, entry, options = {} }) => {
     updateData.employeeName = FieldValue.delete();
   }
 
+  const override = await prepareTeamOverride({
+    companyId,
+    profile,
+    sale: response,
+    isUpdate: Boolean(entry.id),
+    options,
+    context,
+  });
+
   return {
     docRef,
     setData,
     updateData,
     response,
+    override,
     isUpdate: Boolean(entry.id),
   };
 };
@@ -387,6 +664,9 @@ const calculateCommissions = async (payload = {}, options = {}) => {
   const db = firestore();
   const batch = save ? db.batch() : null;
   const processed = [];
+  const overrides = [];
+  const removedOverrideIds = [];
+  const context = createCalculationContext();
   let totalAmount = 0;
 
   for (const entry of entries) {
@@ -394,6 +674,7 @@ const calculateCommissions = async (payload = {}, options = {}) => {
       companyId,
       entry,
       options: { userId, userEmail },
+      context,
     });
 
     if (save) {
@@ -402,12 +683,25 @@ const calculateCommissions = async (payload = {}, options = {}) => {
       } else {
         batch.update(prepared.docRef, prepared.updateData);
       }
+      if (prepared.override?.remove) {
+        batch.delete(prepared.override.docRef);
+      } else if (prepared.override) {
+        batch.set(prepared.override.docRef, {
+          ...prepared.override.data,
+          ...(prepared.override.exists ? {} : { createdAt: FieldValue.serverTimestamp() }),
+        }, { merge: true });
+      }
     }
 
     prepared.response.saved = save;
     prepared.response.personType = entry.personType || prepared.response.personType;
     processed.push(prepared.response);
     totalAmount = roundCurrency(totalAmount + prepared.response.amount);
+    if (prepared.override?.remove) {
+      removedOverrideIds.push(prepared.override.docRef.id);
+    } else if (prepared.override) {
+      overrides.push({ ...prepared.override.response, saved: save });
+    }
   }
 
   if (save) {
@@ -420,6 +714,8 @@ const calculateCommissions = async (payload = {}, options = {}) => {
     totalAmount,
     saved: save,
     records: processed,
+    overrides,
+    removedOverrideIds,
   };
 };
 
@@ -444,9 +740,514 @@ const calculateCommission = async (payload = {}, options = {}) => {
   return result.records[0];
 };
 
+const mapCommissionDoc = (doc) => {
+  const data = doc.data() || {};
+  return { id: doc.id, ...data, status: resolveStatus(data) };
+};
+
+const clampPageSize = (value) => {
+  const size = Math.floor(toNumber(value, DEFAULT_PAGE_SIZE));
+  return Math.min(MAX_PAGE_SIZE, Math.max(1, size));
+};
+
+/**
+ * List commissions, newest first.
+ * @param {object} payload - { companyId, personType?, personId?, type?, status?, commissionKind?, startDate?, endDate?, limit?, pageToken? }
+ * @returns {object} { success, commissions, nextPageToken }
+ */
+const listCommissions = async (payload = {}) => {
+  const companyId = safeString(payload.companyId);
+  if (!companyId) {
+    throw createServiceError('invalid-argument', 'companyId is required.');
+  }
+
+  const collection = buildCommissionCollectionRef(companyId);
+  let query = collection;
+  const personType = safeString(payload.personType);
+  const personId = safeString(payload.personId || payload.employeeId || payload.agentId);
+  if (personType) {
+    if (!['employee', 'agent'].includes(personType)) {
+      throw createServiceError('invalid-argument', 'personType must be "employee" or "agent".');
+    }
+    query = query.where('personType', '==', personType);
+  }
+  if (personId) {
+    const personField = personType === 'agent' || (!personType && payload.agentId) ? 'agentId' : 'employeeId';
+    query = query.where(personField, '==', personId);
+  }
+  if (safeString(payload.type)) {
+    query = query.where('type', '==', safeString(payload.type));
+  }
+  if (safeString(payload.status)) {
+    query = query.where('status', '==', safeString(payload.status));
+  }
+  if (safeString(payload.commissionKind)) {
+    query = query.where('commissionKind', '==', safeString(payload.commissionKind));
+  }
+  if (safeString(payload.startDate)) {
+    query = query.where('date', '>=', resolveDateString(payload.startDate));
+  }
+  if (safeString(payload.endDate)) {
+    query = query.where('date', '<=', resolveDateString(payload.endDate));
+  }
+
+  // Each equality filter has a (field, date desc) index in firestore.indexes.json;
+  // Firestore merges them when several filters are combined
+  const limit = clampPageSize(payload.limit);
+  query = query.orderBy('date', 'desc');
+  if (safeString(payload.pageToken)) {
+    const cursor = await collection.doc(safeString(payload.pageToken)).get();
+    if (!cursor.exists) {
+      throw createServiceError('invalid-argument', 'pageToken is no longer valid.');
+    }
+    query = query.startAfter(cursor);
+  }
+
+  const snapshot = await query.limit(limit + 1).get();
+  const docs = snapshot.docs.slice(0, limit);
+  return {
+    success: true,
+    commissions: docs.map(mapCommissionDoc),
+    nextPageToken: snapshot.docs.length > limit ? docs[docs.length - 1].id : null,
+  };
+};
+
+const getCommission = async (companyId, commissionId) => {
+  if (!safeString(companyId) || !safeString(commissionId)) {
+    throw createServiceError('invalid-argument', 'companyId and commissionId are required.');
+  }
+  const snapshot = await buildCommissionCollectionRef(safeString(companyId)).doc(safeString(commissionId)).get();
+  if (!snapshot.exists) {
+    throw createServiceError('not-found', `Commission ${commissionId} not found.`);
+  }
+  return mapCommissionDoc(snapshot);
+};
+
+const resolveCommissionIds = (payload = {}) => {
+  const ids = Array.isArray(payload.commissionIds)
+    ? payload.commissionIds
+    : [payload.commissionId];
+  const unique = Array.from(new Set(ids.map(safeString).filter(Boolean)));
+  if (!unique.length) {
+    throw createServiceError('invalid-argument', 'commissionIds is required.');
+  }
+  return unique;
+};
+
+/**
+ * Move commissions to a new status in one transaction. Every commission must
+ * allow the move, otherwise nothing is written.
+ * @param {object} params - { companyId, commissionIds, status, reason?, extra? }
+ * @param {object} options - { userId, email }
+ * @returns {object} { success, status, count, totalAmount, commissions }
+ */
+const transitionCommissions = async ({ companyId, commissionIds, status, reason, extra = {} }, options = {}) => {
+  const normalizedCompanyId = safeString(companyId);
+  if (!normalizedCompanyId) {
+    throw createServiceError('invalid-argument', 'companyId is required.');
+  }
+  const trimmedReason = safeString(reason);
+  if (REASON_REQUIRED_STATUSES.includes(status) && !trimmedReason) {
+    throw createServiceError('invalid-argument', `A reason is required to mark commissions ${status}.`);
+  }
+
+  const db = firestore();
+  const collection = buildCommissionCollectionRef(normalizedCompanyId);
+  const refs = commissionIds.map((id) => collection.doc(id));
+
+  return db.runTransaction(async (transaction) => {
+    const snapshots = await Promise.all(refs.map((ref) => transaction.get(ref)));
+    const missing = snapshots.filter((snapshot) => !snapshot.exists).map((snapshot) => snapshot.id);
+    if (missing.length) {
+      throw createServiceError('not-found', `Commissions not found: ${missing.join(', ')}`, { commissionIds: missing });
+    }
+
+    const blocked = snapshots
+      .map((snapshot) => ({ id: snapshot.id, from: resolveStatus(snapshot.data()) }))
+      .filter((entry) => !(COMMISSION_TRANSITIONS[entry.from] || []).includes(status));
+    if (blocked.length) {
+      throw createServiceError(
+        'failed-precondition',
+        `Cannot mark ${blocked.map((entry) => `${entry.id} (${entry.from})`).join(', ')} as ${status}.`,
+        { blocked },
+      );
+    }
+
+    const now = new Date().toISOString();
+    const fieldPrefix = TRANSITION_FIELD_PREFIXES[status];
+    let totalAmount = 0;
+    const commissions = snapshots.map((snapshot) => {
+      const data = snapshot.data() || {};
+      const entry = {
+        from: resolveStatus(data),
+        to: status,
+        at: now,
+        by: options.userId || null,
+        byEmail: options.email || null,
+        reason: trimmedReason || null,
+      };
+      transaction.update(snapshot.ref, {
+        ...extra,
+        status,
+        statusReason: trimmedReason || null,
+        history: FieldValue.arrayUnion(entry),
+        [`${fieldPrefix}At`]: now,
+        [`${fieldPrefix}By`]: options.userId || null,
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+      totalAmount = roundCurrency(totalAmount + toNumber(data.amount, 0));
+      return { id: snapshot.id, ...data, ...extra, status, statusReason: trimmedReason || null };
+    });
+
+    return {
+      success: true,
+      status,
+      count: commissions.length,
+      totalAmount,
+      commissions,
+    };
+  });
+};
+
+/**
+ * Approve or reject pending commissions.
+ * @param {object} payload - { companyId, commissionIds, decision: 'approve' | 'reject', reason? }
+ */
+const reviewCommissions = async (payload = {}, options = {}) => {
+  const decision = safeString(payload.decision).toLowerCase();
+  const statusByDecision = { approve: COMMISSION_STATUSES.APPROVED, reject: COMMISSION_STATUSES.REJECTED };
+  if (!statusByDecision[decision]) {
+    throw createServiceError('invalid-argument', 'decision must be "approve" or "reject".');
+  }
+  return transitionCommissions({
+    companyId: payload.companyId,
+    commissionIds: resolveCommissionIds(payload),
+    status: statusByDecision[decision],
+    reason: payload.reason,
+  }, options);
+};
+
+const voidCommissions = async (payload = {}, options = {}) => transitionCommissions({
+  companyId: payload.companyId,
+  commissionIds: resolveCommissionIds(payload),
+  status: COMMISSION_STATUSES.VOID,
+  reason: payload.reason,
+}, options);
+
+/**
+ * Mark approved commissions as paid and link them to the payroll that disbursed them.
+ * @param {object} payload - { companyId, commissionIds, payrollRunId?, payrollId?, payDate?, reference? }
+ */
+const payoutCommissions = async (payload = {}, options = {}) => {
+  const payrollRunId = safeString(payload.payrollRunId);
+  const payrollId = safeString(payload.payrollId);
+  if (!payrollRunId && !payrollId) {
+    throw createServiceError('invalid-argument', 'payrollRunId or payrollId is required to record a payout.');
+  }
+
+  let payDate = safeString(payload.payDate) ? resolveDateString(payload.payDate) : null;
+  if (payrollRunId) {
+    const run = await payrollRunService.getPayrollRunById(payrollRunId);
+    if (run.companyId !== safeString(payload.companyId)) {
+      throw createServiceError('not-found', `Payroll run ${payrollRunId} not found.`);
+    }
+    payDate = payDate || run.payDate || null;
+  }
+
+  return transitionCommissions({
+    companyId: payload.companyId,
+    commissionIds: resolveCommissionIds(payload),
+    status: COMMISSION_STATUSES.PAID,
+    extra: {
+      payout: {
+        payrollRunId: payrollRunId || null,
+        payrollId: payrollId || null,
+        payDate,
+        reference: safeString(payload.reference) || null,
+      },
+    },
+  }, options);
+};
+
+/**
+ * Commissions a payroll should pay an employee for a cutoff: approved ones dated
+ * inside the cutoff, plus the ones this same payroll already paid so a
+ * recalculation keeps them.
+ * @param {object} params - { companyId, employeeId, cutoffStartDate, cutoffEndDate, payrollKey }
+ * @returns {object} { commissionPay, lines, unpaidIds }
+ */
+const loadPayrollCommissions = async ({ companyId, employeeId, cutoffStartDate, cutoffEndDate, payrollKey }) => {
+  const snapshot = await buildCommissionCollectionRef(companyId)
+    .where('employeeId', '==', employeeId)
+    .where('date', '>=', resolveDateString(cutoffStartDate))
+    .where('date', '<=', resolveDateString(cutoffEndDate))
+    .get();
+
+  const lines = [];
+  const unpaidIds = [];
+  let commissionPay = 0;
+  snapshot.docs.forEach((doc) => {
+    const data = doc.data() || {};
+    const status = resolveStatus(data);
+    const paidByThisPayroll = status === COMMISSION_STATUSES.PAID && data.payout?.payrollKey === payrollKey;
+    if (status !== COMMISSION_STATUSES.APPROVED && !paidByThisPayroll) {
+      return;
+    }
+    if (status === COMMISSION_STATUSES.APPROVED) {
+      unpaidIds.push(doc.id);
+    }
+    const amount = roundCurrency(data.amount);
+    commissionPay = roundCurrency(commissionPay + amount);
+    lines.push({
+      commissionId: doc.id,
+      type: data.type || null,
+      commissionKind: resolveKind(data),
+      date: data.date || null,
+      amount,
+    });
+  });
+
+  lines.sort((a, b) => String(a.date).localeCompare(String(b.date)));
+  return { commissionPay, lines, unpaidIds };
+};
+
+/**
+ * Mark the commissions merged into a payroll as paid by it. Runs in one
+ * transaction, so a commission another payroll already paid fails the call.
+ * @param {object} params - { companyId, commissionIds, payrollKey, payrollRunId, payrollId, payDate }
+ */
+const settlePayrollCommissions = async ({
+  companyId, commissionIds = [], payrollKey, payrollRunId, payrollId, payDate,
+}, options = {}) => {
+  if (commissionIds.length === 0) {
+    return { success: true, status: COMMISSION_STATUSES.PAID, count: 0, totalAmount: 0, commissions: [] };
+  }
+  return transitionCommissions({
+    companyId,
+    commissionIds,
+    status: COMMISSION_STATUSES.PAID,
+    extra: {
+      payout: {
+        payrollRunId: payrollRunId || null,
+        payrollId: payrollId || null,
+        payrollKey,
+        payDate: payDate || null,
+        reference: null,
+      },
+    },
+  }, options);
+};
+
+/**
+ * Return commissions paid by deleted payrolls to approved so the next payroll picks them up.
+ * Passing commissionIds limits the release to those commissions, for a payroll that failed to save.
+ * @param {object} params - { companyId, payrollKeys, commissionIds, outcome }
+ * @returns {object} { released }
+ */
+const releasePayrollCommissions = async ({
+  companyId, payrollKeys = [], commissionIds = null, outcome = 'deleted',
+}, options = {}) => {
+  const keys = Array.from(new Set(payrollKeys.filter(Boolean)));
+  if (!safeString(companyId) || keys.length === 0) {
+    return { released: 0 };
+  }
+  const db = firestore();
+  const collection = buildCommissionCollectionRef(safeString(companyId));
+  const now = new Date().toISOString();
+  let released = 0;
+
+  for (let index = 0; index < keys.length; index += 30) {
+    const snapshot = await collection.where('payout.payrollKey', 'in', keys.slice(index, index + 30)).get();
+    const docs = commissionIds ? snapshot.docs.filter((doc) => commissionIds.includes(doc.id)) : snapshot.docs;
+    if (docs.length === 0) {
+      continue;
+    }
+    const batch = db.batch();
+    docs.forEach((doc) => {
+      batch.update(doc.ref, {
+        status: COMMISSION_STATUSES.APPROVED,
+        statusReason: `Payroll ${outcome}`,
+        payout: FieldValue.delete(),
+        paidAt: FieldValue.delete(),
+        paidBy: FieldValue.delete(),
+        history: FieldValue.arrayUnion({
+          from: COMMISSION_STATUSES.PAID,
+          to: COMMISSION_STATUSES.APPROVED,
+          at: now,
+          by: options.userId || null,
+          byEmail: options.email || null,
+          reason: `Payroll ${doc.data().payout.payrollKey} ${outcome}`,
+        }),
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+    });
+    await batch.commit();
+    released += docs.length;
+  }
+
+  return { released };
+};
+
+const daysBetween = (fromDate, toDate) => Math.round(
+  (Date.parse(`${toDate}T00:00:00Z`) - Date.parse(`${fromDate}T00:00:00Z`)) / (24 * 60 * 60 * 1000)
+);
+
+const buildClawbackData = ({ companyId, original, refundAmount, ratio, clawbackPercent, date, reason, options }) => {
+  const amount = -roundCurrency(toNumber(original.amount, 0) * ratio * (clawbackPercent / 100));
+  const personType = original.personType || (original.agentId ? 'agent' : 'employee');
+  return {
+    companyId,
+    personType,
+    [personField(personType)]: original[personField(personType)],
+    [personType === 'agent' ? 'agentName' : 'employeeName']: original[personType === 'agent' ? 'agentName' : 'employeeName'] || null,
+    type: 'Clawback',
+    commissionKind: COMMISSION_KINDS.CLAWBACK,
+    clawbackOf: original.id,
+    planId: original.planId || null,
+    amount,
+    ratePercent: 0,
+    commissionableAmount: 0,
+    refundAmount: roundCurrency(refundAmount),
+    percentageComponent: 0,
+    baseCommission: 0,
+    bonusCommission: 0,
+    adjustments: amount,
+    adjustmentBreakdown: { clawback: amount },
+    date,
+    description: `Clawback of ${original.type} ${original.id} dated ${original.date}: ${reason}`,
+    statusReason: reason,
+    status: COMMISSION_STATUSES.PENDING,
+    processedBy: options.userId || null,
+    processedByEmail: options.email || null,
+    createdAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp(),
+  };
+};
+
+/**
+ * Claw back commission on a refunded sale. The clawback is a new negative
+ * commission dated in a later period than the sale, so periods already paid
+ * stay untouched; the supervisor's team override is clawed back the same way.
+ * @param {object} payload - { companyId, commissionId, refundDate, refundAmount?, reason }
+ * @param {object} options - { userId, email }
+ * @returns {object} { success, clawbacks, refundedAmount }
+ */
+const clawbackCommission = async (payload = {}, options = {}) => {
+  const companyId = safeString(payload.companyId);
+  const commissionId = safeString(payload.commissionId);
+  const reason = safeString(payload.reason);
+  if (!companyId || !commissionId) {
+    throw createServiceError('invalid-argument', 'companyId and commissionId are required.');
+  }
+  if (!reason) {
+    throw createServiceError('invalid-argument', 'A reason is required for a clawback.');
+  }
+  const refundDate = resolveDateString(payload.refundDate);
+
+  const db = firestore();
+  const collection = buildCommissionCollectionRef(companyId);
+  const originalRef = collection.doc(commissionId);
+  const overrideRef = collection.doc(`${commissionId}_override`);
+
+  return db.runTransaction(async (transaction) => {
+    const [originalSnapshot, overrideSnapshot] = await Promise.all([
+      transaction.get(originalRef),
+      transaction.get(overrideRef),
+    ]);
+    if (!originalSnapshot.exists) {
+      throw createServiceError('not-found', `Commission ${commissionId} not found.`);
+    }
+    const original = { id: originalSnapshot.id, ...originalSnapshot.data() };
+    const status = resolveStatus(original);
+    if (resolveKind(original) !== COMMISSION_KINDS.SALE) {
+      throw createServiceError('failed-precondition', 'Only sale commissions can be clawed back.');
+    }
+    if (!CLAWBACK_ELIGIBLE_STATUSES.includes(status)) {
+      throw createServiceError(
+        'failed-precondition',
+        `Commission ${commissionId} is ${status}; void it instead of clawing it back.`,
+        { commissionId, status },
+      );
+    }
+
+    const plan = original.planId
+      ? await commissionPlanService.getPlan(companyId, original.planId).catch(() => null)
+      : null;
+    const windowDays = plan ? plan.clawbackWindowDays : commissionPlanService.DEFAULT_CLAWBACK_WINDOW_DAYS;
+    const elapsed = daysBetween(original.date, refundDate);
+    if (elapsed < 0) {
+      throw createServiceError('invalid-argument', 'refundDate cannot be before the commission date.');
+    }
+    if (elapsed > windowDays) {
+      throw createServiceError(
+        'failed-precondition',
+        `Refund came ${elapsed} days after the sale; the clawback window is ${windowDays} days.`,
+        { elapsed, windowDays },
+      );
+    }
+
+    const saleAmount = toNumber(original.commissionableAmount, 0);
+    const alreadyRefunded = toNumber(original.refundedAmount, 0);
+    const remaining = roundCurrency(saleAmount - alreadyRefunded);
+    const refundAmount = payload.refundAmount !== undefined && payload.refundAmount !== ''
+      ? roundCurrency(payload.refundAmount)
+      : remaining;
+    if (refundAmount <= 0 || refundAmount > remaining) {
+      throw createServiceError('invalid-argument', `refundAmount must be between 0 and ${remaining}.`);
+    }
+
+    const ratio = saleAmount > 0 ? refundAmount / saleAmount : 1;
+    const clawbackPercent = plan ? plan.clawbackPercent : 100;
+    // Book against a later period than the sale, even if the refund lands in the same month
+    const date = refundDate > resolvePeriod(original.date).endDate ? refundDate : nextPeriodStart(original.date);
+
+    const clawbacks = [];
+    const addClawback = (source, id) => {
+      const ref = collection.doc(id);
+      const data = buildClawbackData({ companyId, original: source, refundAmount, ratio, clawbackPercent, date, reason, options });
+      transaction.set(ref, data);
+      const { createdAt, updatedAt, ...plainData } = data;
+      clawbacks.push({ id, ...plainData });
+    };
+
+    const suffix = Date.now().toString(36);
+    addClawback(original, `${commissionId}_clawback_${suffix}`);
+    if (overrideSnapshot.exists) {
+      const override = { id: overrideSnapshot.id, ...overrideSnapshot.data() };
+      if (CLAWBACK_ELIGIBLE_STATUSES.includes(resolveStatus(override))) {
+        addClawback(override, `${override.id}_clawback_${suffix}`);
+      }
+    }
+
+    transaction.update(originalRef, {
+      refundedAmount: roundCurrency(alreadyRefunded + refundAmount),
+      clawbackIds: FieldValue.arrayUnion(...clawbacks.map((entry) => entry.id)),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+
+    return {
+      success: true,
+      commissionId,
+      refundedAmount: roundCurrency(alreadyRefunded + refundAmount),
+      totalAmount: roundCurrency(clawbacks.reduce((sum, entry) => sum + entry.amount, 0)),
+      clawbacks,
+    };
+  });
+};
+
 module.exports = {
+  COMMISSION_STATUSES,
+  COMMISSION_TRANSITIONS,
+  COMMISSION_KINDS,
   calculateCommissions,
   calculateCommission,
+  listCommissions,
+  getCommission,
+  reviewCommissions,
+  voidCommissions,
+  payoutCommissions,
+  clawbackCommission,
+  loadPayrollCommissions,
+  settlePayrollCommissions,
+  releasePayrollCommissions,
 };
-
-
@@ -0,0 +1,365 @@
+const admin = require('../utils/firebaseAdmin');
+const { calculateWorkingDays, parseDateKey, formatDateKey, MS_PER_DAY } = require('../utils/dateUtils');
+
+const EMPLOYEES_COLLECTION = 'employees';
+const HISTORY_SUBCOLLECTION = 'compensationHistory';
+
+// Employee fields that change over time and are kept as effective-dated history
+const PAY_FIELDS = ['basicPay', 'rateType', 'dailyRate', 'allowance', 'transportationAllowance'];
+const ASSIGNMENT_FIELDS = ['position', 'department', 'employmentType'];
+const TRACKED_FIELDS = [...PAY_FIELDS, ...ASSIGNMENT_FIELDS];
+const RATE_TYPES = ['monthly', 'daily'];
+
+const firestore = () => {
+  if (typeof admin.firestore !== 'function') {
+    throw new Error('Firestore is not initialized');
+  }
+  return admin.firestore();
+};
+
+const FieldValue = admin.firestore.FieldValue;
+
+const createServiceError = (code, message, details) => {
+  const error = new Error(message);
+  error.code = code;
+  if (details !== undefined) {
+    error.details = details;
+  }
+  return error;
+};
+
+const toNumber = (value, fallback = 0) => {
+  if (value === null || value === undefined || value === '') {
+    return fallback;
+  }
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? numeric : fallback;
+};
+
+const roundCurrency = (value) => {
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric)) {
+    return 0;
+  }
+  return Math.round(numeric * 100) / 100;
+};
+
+const safeString = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'string') {
+    return value.trim();
+  }
+  return String(value).trim();
+};
+
+const todayKey = () => new Date().toISOString().slice(0, 10);
+
+const shiftDateKey = (dateKey, days) => formatDateKey(new Date(parseDateKey(dateKey).getTime() + days * MS_PER_DAY));
+
+const buildHistoryRef = (employeeId) => firestore()
+  .collection(EMPLOYEES_COLLECTION)
+  .doc(employeeId)
+  .collection(HISTORY_SUBCOLLECTION);
+
+const normalizeFieldValue = (field, value) => {
+  if (PAY_FIELDS.includes(field) && field !== 'rateType') {
+    return roundCurrency(toNumber(value, 0));
+  }
+  if (field === 'rateType') {
+    return safeString(value).toLowerCase() || 'monthly';
+  }
+  return safeString(value);
+};
+
+/**
+ * Pick the tracked fields present in a payload. basicSalary and transpoAllowance
+ * are accepted as the aliases older employee documents use.
+ */
+const pickTrackedFields = (source = {}) => {
+  const aliases = {
+    basicPay: source.basicPay ?? source.basicSalary,
+    transportationAllowance: source.transportationAllowance ?? source.transpoAllowance,
+  };
+  return TRACKED_FIELDS.reduce((acc, field) => {
+    const value = aliases[field] !== undefined ? aliases[field] : source[field];
+    if (value !== undefined && value !== null && value !== '') {
+      acc[field] = normalizeFieldValue(field, value);
+    }
+    return acc;
+  }, {});
+};
+
+const loadEmployee = async (companyId, employeeId) => {
+  const snapshot = await firestore().collection(EMPLOYEES_COLLECTION).doc(employeeId).get();
+  if (!snapshot.exists || (companyId && safeString(snapshot.data().companyId) !== companyId)) {
+    throw createServiceError('not-found', `Employee with ID ${employeeId} not found`);
+  }
+  return { ref: snapshot.ref, data: snapshot.data() };
+};
+
+const sortHistory = (entries) => entries.sort((a, b) => {
+  if (a.effectiveDate !== b.effectiveDate) {
+    return a.effectiveDate.localeCompare(b.effectiveDate);
+  }
+  return safeString(a.recordedAt).localeCompare(safeString(b.recordedAt));
+});
+
+const loadHistory = async (employeeId) => {
+  const snapshot = await buildHistoryRef(employeeId).get();
+  return sortHistory(snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() })));
+};
+
+/**
+ * Fold the history into the compensation in force on a date. Each entry only
+ * carries the fields it changed, so later entries are layered over earlier ones.
+ * @returns {object|null} { ...fields, effectiveDate, entryIds } or null before the first entry
+ */
+const resolveCompensationAt = (history, dateKey) => {
+  const applicable = history.filter((entry) => entry.effectiveDate <= dateKey);
+  if (applicable.length === 0) {
+    return null;
+  }
+  return applicable.reduce((acc, entry) => ({
+    ...acc,
+    ...pickTrackedFields(entry.changes),
+    effectiveDate: entry.effectiveDate,
+    reason: entry.reason || null,
+    entryIds: [...acc.entryIds, entry.id],
+  }), { entryIds: [] });
+};
+
+/**
+ * Split a cutoff into the stretches where one compensation was in force.
+ * @param {Array} history - Sorted history entries
+ * @param {object} params - { startDate, endDate, restDays }
+ * @returns {Array} [{ startDate, endDate, workingDays, compensation }]
+ */
+const buildCompensationSegments = (history, { startDate, endDate, restDays }) => {
+  const boundaries = Array.from(new Set(history
+    .map((entry) => entry.effectiveDate)
+    .filter((date) => date > startDate && date <= endDate)))
+    .sort();
+
+  const starts = [startDate, ...boundaries];
+  return starts.map((segmentStart, index) => {
+    const segmentEnd = index + 1 < starts.length ? shiftDateKey(starts[index + 1], -1) : endDate;
+    return {
+      startDate: segmentStart,
+      endDate: segmentEnd,
+      workingDays: calculateWorkingDays(segmentStart, segmentEnd, { restDays }),
+      compensation: resolveCompensationAt(history, segmentStart),
+    };
+  });
+};
+
+/**
+ * Compensation for a payroll cutoff. Returns null for employees without any
+ * history so payroll keeps reading the employee document.
+ * @param {object} params - { employeeId, cutoffStartDate, cutoffEndDate, restDays }
+ * @returns {object|null} { current, segments }
+ */
+const resolvePeriodCompensation = async ({ employeeId, cutoffStartDate, cutoffEndDate, restDays }) => {
+  const startDate = safeString(cutoffStartDate).slice(0, 10);
+  const endDate = safeString(cutoffEndDate).slice(0, 10);
+  if (!parseDateKey(startDate) || !parseDateKey(endDate)) {
+    return null;
+  }
+  const history = await loadHistory(employeeId);
+  if (history.length === 0) {
+    return null;
+  }
+  const current = resolveCompensationAt(history, endDate);
+  if (!current) {
+    return null;
+  }
+  return {
+    current,
+    // Days before the first entry keep the employee document's pay
+    segments: buildCompensationSegments(history, { startDate, endDate, restDays })
+      .map((segment) => ({ ...segment, compensation: segment.compensation || {} })),
+  };
+};
+
+const validateChanges = (changes) => {
+  const errors = [];
+  if (Object.keys(changes).length === 0) {
+    errors.push(`at least one of ${TRACKED_FIELDS.join(', ')} is required`);
+  }
+  ['basicPay', 'dailyRate', 'allowance', 'transportationAllowance'].forEach((field) => {
+    if (changes[field] !== undefined && changes[field] < 0) {
+      errors.push(`${field} cannot be negative`);
+    }
+  });
+  if (changes.rateType && !RATE_TYPES.includes(changes.rateType)) {
+    errors.push(`rateType must be one of: ${RATE_TYPES.join(', ')}`);
+  }
+  return errors;
+};
+
+const buildEmployeeFields = (compensation) => {
+  const fields = pickTrackedFields(compensation);
+  if (fields.basicPay !== undefined) {
+    fields.basicSalary = fields.basicPay;
+  }
+  if (fields.basicPay !== undefined || fields.allowance !== undefined || fields.transportationAllowance !== undefined) {
+    fields.monthlySalary = roundCurrency(
+      toNumber(compensation.basicPay, 0) + toNumber(compensation.allowance, 0) + toNumber(compensation.transportationAllowance, 0),
+    );
+  }
+  return fields;
+};
+
+/**
+ * Entry written before an employee's first change so the pay they had until
+ * then stays on record, effective from their hire date.
+ */
+const buildBaselineEntry = (employee, options = {}) => ({
+  companyId: safeString(employee.companyId),
+  effectiveDate: safeString(employee.dateHired || employee.startDate).slice(0, 10) || '1970-01-01',
+  changes: pickTrackedFields(employee),
+  reason: 'Opening balance',
+  approvedBy: null,
+  recordedBy: options.userId || null,
+  recordedAt: new Date().toISOString(),
+  createdAt: FieldValue.serverTimestamp(),
+});
+
+/**
+ * Record a raise, promotion, transfer or other change with the date it takes
+ * effect. Changes effective today or earlier are also written to the employee
+ * document; future-dated ones wait in the history until payroll reaches them.
+ * @param {object} payload - { companyId, employeeId, effectiveDate, reason, approvedBy?, ...tracked fields }
+ * @param {object} options - { userId, email }
+ */
+const recordCompensationChange = async (payload = {}, options = {}) => {
+  const companyId = safeString(payload.companyId);
+  const employeeId = safeString(payload.employeeId);
+  const effectiveDate = safeString(payload.effectiveDate).slice(0, 10);
+  const reason = safeString(payload.reason);
+  if (!companyId || !employeeId) {
+    throw createServiceError('invalid-argument', 'companyId and employeeId are required.');
+  }
+  if (!parseDateKey(effectiveDate)) {
+    throw createServiceError('invalid-argument', 'effectiveDate must be a YYYY-MM-DD date.');
+  }
+  if (!reason) {
+    throw createServiceError('invalid-argument', 'A reason is required for a compensation or job change.');
+  }
+  const changes = pickTrackedFields(payload);
+  const errors = validateChanges(changes);
+  if (errors.length) {
+    throw createServiceError('invalid-argument', `Validation errors: ${errors.join(', ')}`, errors);
+  }
+
+  const employee = await loadEmployee(companyId, employeeId);
+  const db = firestore();
+  const historyRef = buildHistoryRef(employeeId);
+  const history = await loadHistory(employeeId);
+  const batch = db.batch();
+
+  if (history.length === 0) {
+    const baseline = buildBaselineEntry(employee.data, options);
+    if (baseline.effectiveDate < effectiveDate) {
+      const baselineRef = historyRef.doc();
+      batch.set(baselineRef, baseline);
+      history.push({ id: baselineRef.id, ...baseline });
+    }
+  }
+
+  const entryRef = historyRef.doc();
+  const entry = {
+    companyId,
+    effectiveDate,
+    changes,
+    previous: pickTrackedFields(resolveCompensationAt(history, effectiveDate) || employee.data),
+    reason,
+    approvedBy: safeString(payload.approvedBy) || options.userId || null,
+    approvedByEmail: safeString(payload.approvedByEmail) || (payload.approvedBy ? null : options.email || null),
+    recordedBy: options.userId || null,
+    recordedAt: new Date().toISOString(),
+  };
+  batch.set(entryRef, { ...entry, createdAt: FieldValue.serverTimestamp() });
+
+  const current = resolveCompensationAt(sortHistory([...history, { id: entryRef.id, ...entry }]), todayKey());
+  const appliesNow = effectiveDate <= todayKey();
+  if (appliesNow && current) {
+    batch.update(employee.ref, {
+      ...buildEmployeeFields(current),
+      compensationEffectiveDate: current.effectiveDate,
+      updatedAt: FieldValue.serverTimestamp(),
+      updatedBy: options.userId || null,
+    });
+  }
+  await batch.commit();
+
+  return {
+    success: true,
+    employeeId,
+    entry: { id: entryRef.id, ...entry },
+    appliedToEmployee: appliesNow,
+  };
+};
+
+/**
+ * Effective-dated history of an employee, oldest first, with the full
+ * compensation in force after each entry.
+ */
+const listCompensationHistory = async (companyId, employeeId) => {
+  if (!safeString(companyId) || !safeString(employeeId)) {
+    throw createServiceError('invalid-argument', 'companyId and employeeId are required.');
+  }
+  await loadEmployee(safeString(companyId), safeString(employeeId));
+  const history = await loadHistory(safeString(employeeId));
+  return {
+    success: true,
+    employeeId,
+    history: history.map((entry, index) => ({
+      ...entry,
+      resulting: pickTrackedFields(resolveCompensationAt(history.slice(0, index + 1), entry.effectiveDate)),
+    })),
+    current: resolveCompensationAt(history, todayKey()),
+  };
+};
+
+/**
+ * Layer resolved compensation over an employee document, keeping the legacy
+ * aliases payroll still reads (basicSalary, transpoAllowance) in step.
+ */
+const applyCompensation = (employee = {}, compensation = {}) => {
+  const merged = { ...employee, ...pickTrackedFields(compensation) };
+  if (compensation.basicPay !== undefined) {
+    merged.basicSalary = merged.basicPay;
+  }
+  if (compensation.transportationAllowance !== undefined) {
+    merged.transpoAllowance = merged.transportationAllowance;
+  }
+  return merged;
+};
+
+/**
+ * The tracked fields an employee update would change, compared with the
+ * current employee document.
+ */
+const diffTrackedFields = (existing = {}, updates = {}) => {
+  const before = pickTrackedFields(existing);
+  const after = pickTrackedFields(updates);
+  return Object.keys(after).reduce((acc, field) => {
+    if (after[field] !== before[field]) {
+      acc[field] = after[field];
+    }
+    return acc;
+  }, {});
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  recordCompensationChange,
+  listCompensationHistory,
+  resolvePeriodCompensation,
+  resolveCompensationAt,
+  buildCompensationSegments,
+  applyCompensation,
+  diffTrackedFields,
+};
@@ -0,0 +1,377 @@
+const admin = require('../utils/firebaseAdmin');
+
+const firestore = () => {
+  if (typeof admin.firestore !== 'function') {
+    throw new Error('Firestore is not initialized');
+  }
+  return admin.firestore();
+};
+
+const FieldValue = admin.firestore.FieldValue;
+
+const CONTRIBUTION_SCHEDULES_COLLECTION = 'contributionSchedules';
+
+/**
+ * Built-in schedule used when no published table covers the pay date.
+ * The figures mirror the rates the payroll engine has always applied so that
+ * companies without a published schedule see no change in their deductions.
+ */
+const DEFAULT_CONTRIBUTION_SCHEDULE = Object.freeze({
+  id: 'default',
+  name: 'Built-in default schedule',
+  effectiveDate: '1970-01-01',
+  source: 'default',
+  sss: Object.freeze({
+    employeeRate: 0.085,
+    employerRate: 0.115,
+    minimumCredit: 0,
+    maximumCredit: 20000,
+    creditStep: 0,
+    brackets: Object.freeze([]),
+    ec: Object.freeze({ threshold: 0, below: 0, atOrAbove: 0 }),
+    mpf: Object.freeze({ maximumCredit: 20000 }),
+  }),
+  pagibig: Object.freeze({
+    lowIncomeThreshold: 1500,
+    lowIncomeEmployeeRate: 0.01,
+    lowIncomeEmployerRate: 0.02,
+    employeeRate: 0.02,
+    employerRate: 0.02,
+    maximumCompensation: 5000,
+  }),
+  philhealth: Object.freeze({
+    rate: 0.05,
+    employeeShare: 0.5,
+    incomeFloor: 4000,
+    incomeCeiling: 32000,
+  }),
+});
+
+const createServiceError = (code, message, details) => {
+  const error = new Error(message);
+  error.code = code;
+  if (details !== undefined) {
+    error.details = details;
+  }
+  return error;
+};
+
+const toNumber = (value, fallback = 0) => {
+  if (value === null || value === undefined || value === '') {
+    return fallback;
+  }
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? numeric : fallback;
+};
+
+const safeString = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'string') {
+    return value.trim();
+  }
+  return String(value).trim();
+};
+
+const isValidDateStr = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+// Rates are stored as fractions (0.045 for 4.5%); validateContributionSchedule rejects anything else
+const normalizeRate = (value, fallback) => {
+  const numeric = toNumber(value, null);
+  if (numeric === null || numeric < 0) {
+    return fallback;
+  }
+  return numeric;
+};
+
+// Every rate in a schedule. A rate of 1 would read as 100% or 1% depending on
+// who typed it, so contribution rates must stay below 1; only the employee
+// share of the PhilHealth premium may be the whole of it.
+const RATE_FIELDS = [
+  ['sss', 'employeeRate'],
+  ['sss', 'employerRate'],
+  ['pagibig', 'lowIncomeEmployeeRate'],
+  ['pagibig', 'lowIncomeEmployerRate'],
+  ['pagibig', 'employeeRate'],
+  ['pagibig', 'employerRate'],
+  ['philhealth', 'rate'],
+  ['philhealth', 'premiumRate'],
+];
+
+const toDateKey = (value) => {
+  if (!value) {
+    return '';
+  }
+  if (isValidDateStr(value)) {
+    return value;
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return '';
+  }
+  return date.toISOString().slice(0, 10);
+};
+
+const cloneDefaultSchedule = () => JSON.parse(JSON.stringify(DEFAULT_CONTRIBUTION_SCHEDULE));
+
+const normalizeSssBrackets = (brackets) => {
+  if (!Array.isArray(brackets)) {
+    return [];
+  }
+  return brackets
+    .map((entry) => {
+      if (!entry) {
+        return null;
+      }
+      const credit = toNumber(entry.credit ?? entry.salaryCredit ?? entry.msc, null);
+      if (credit === null || credit < 0) {
+        return null;
+      }
+      const min = Math.max(0, toNumber(entry.min ?? entry.lower ?? entry.rangeFrom, 0));
+      const maxRaw = entry.max ?? entry.upper ?? entry.rangeTo;
+      const max = maxRaw === null || maxRaw === undefined || maxRaw === '' ? null : toNumber(maxRaw, null);
+      return { min, max, credit };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.min - b.min);
+};
+
+const normalizeSss = (raw = {}) => {
+  const defaults = DEFAULT_CONTRIBUTION_SCHEDULE.sss;
+  const maximumCredit = toNumber(raw.maximumCredit ?? raw.maxCredit, defaults.maximumCredit);
+  const mpfRaw = raw.mpf || {};
+  const ecRaw = raw.ec || {};
+  return {
+    employeeRate: normalizeRate(raw.employeeRate, defaults.employeeRate),
+    employerRate: normalizeRate(raw.employerRate, defaults.employerRate),
+    minimumCredit: toNumber(raw.minimumCredit ?? raw.minCredit, defaults.minimumCredit),
+    maximumCredit,
+    creditStep: toNumber(raw.creditStep, defaults.creditStep),
+    brackets: normalizeSssBrackets(raw.brackets),
+    ec: {
+      threshold: toNumber(ecRaw.threshold, defaults.ec.threshold),
+      below: toNumber(ecRaw.below, defaults.ec.below),
+      atOrAbove: toNumber(ecRaw.atOrAbove, defaults.ec.atOrAbove),
+    },
+    mpf: {
+      maximumCredit: Math.max(maximumCredit, toNumber(mpfRaw.maximumCredit, maximumCredit)),
+    },
+  };
+};
+
+const normalizePagibig = (raw = {}) => {
+  const defaults = DEFAULT_CONTRIBUTION_SCHEDULE.pagibig;
+  return {
+    lowIncomeThreshold: toNumber(raw.lowIncomeThreshold, defaults.lowIncomeThreshold),
+    lowIncomeEmployeeRate: normalizeRate(raw.lowIncomeEmployeeRate, defaults.lowIncomeEmployeeRate),
+    lowIncomeEmployerRate: normalizeRate(raw.lowIncomeEmployerRate, defaults.lowIncomeEmployerRate),
+    employeeRate: normalizeRate(raw.employeeRate, defaults.employeeRate),
+    employerRate: normalizeRate(raw.employerRate, defaults.employerRate),
+    maximumCompensation: toNumber(raw.maximumCompensation ?? raw.ceiling, defaults.maximumCompensation),
+  };
+};
+
+const normalizePhilhealth = (raw = {}) => {
+  const defaults = DEFAULT_CONTRIBUTION_SCHEDULE.philhealth;
+  return {
+    rate: normalizeRate(raw.rate ?? raw.premiumRate, defaults.rate),
+    employeeShare: normalizeRate(raw.employeeShare, defaults.employeeShare),
+    incomeFloor: toNumber(raw.incomeFloor ?? raw.floor, defaults.incomeFloor),
+    incomeCeiling: toNumber(raw.incomeCeiling ?? raw.ceiling, defaults.incomeCeiling),
+  };
+};
+
+const normalizeContributionSchedule = (raw, sourceLabel = 'custom') => {
+  if (!raw || typeof raw !== 'object') {
+    return null;
+  }
+  return {
+    id: safeString(raw.id) || null,
+    name: safeString(raw.name || raw.circular || ''),
+    circular: safeString(raw.circular || ''),
+    effectiveDate: toDateKey(raw.effectiveDate),
+    source: sourceLabel,
+    sss: normalizeSss(raw.sss || {}),
+    pagibig: normalizePagibig(raw.pagibig || {}),
+    philhealth: normalizePhilhealth(raw.philhealth || {}),
+  };
+};
+
+const validateContributionSchedule = (raw = {}) => {
+  const errors = [];
+  if (!isValidDateStr(raw.effectiveDate)) {
+    errors.push('effectiveDate must be YYYY-MM-DD');
+  }
+  ['sss', 'pagibig', 'philhealth'].forEach((key) => {
+    if (!raw[key] || typeof raw[key] !== 'object') {
+      errors.push(`${key} table is required`);
+    }
+  });
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  const isSet = (value) => value !== undefined && value !== null && value !== '';
+  RATE_FIELDS.forEach(([table, field]) => {
+    const value = raw[table][field];
+    if (isSet(value) && !(Number(value) >= 0 && Number(value) < 1)) {
+      errors.push(`${table}.${field} must be a fraction below 1 (e.g. 0.045 for 4.5%)`);
+    }
+  });
+  const employeeShare = raw.philhealth.employeeShare;
+  if (isSet(employeeShare) && !(Number(employeeShare) >= 0 && Number(employeeShare) <= 1)) {
+    errors.push('philhealth.employeeShare must be between 0 and 1');
+  }
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  const normalized = normalizeContributionSchedule(raw);
+  if (normalized.sss.maximumCredit <= normalized.sss.minimumCredit) {
+    errors.push('sss.maximumCredit must be greater than sss.minimumCredit');
+  }
+  if (normalized.philhealth.incomeCeiling < normalized.philhealth.incomeFloor) {
+    errors.push('philhealth.incomeCeiling cannot be lower than philhealth.incomeFloor');
+  }
+  return errors;
+};
+
+const mapScheduleDoc = (doc) => ({ id: doc.id, ...doc.data() });
+
+/**
+ * Resolve the contribution schedule in force on a given pay date.
+ * @param {string} payDate - Pay date in YYYY-MM-DD format (defaults to today)
+ * @returns {object} Normalized schedule, or the built-in default when none is published yet
+ * @throws {Error} 'unavailable' when the schedules cannot be read, so payroll is
+ *   never computed from a table that merely happened to load
+ */
+const getContributionSchedule = async (payDate) => {
+  const dateKey = toDateKey(payDate) || new Date().toISOString().slice(0, 10);
+
+  let snapshot;
+  try {
+    snapshot = await firestore()
+      .collection(CONTRIBUTION_SCHEDULES_COLLECTION)
+      .where('effectiveDate', '<=', dateKey)
+      .orderBy('effectiveDate', 'desc')
+      .limit(1)
+      .get();
+  } catch (error) {
+    console.error('[contributionScheduleService] Failed to read contribution schedule', {
+      payDate: dateKey,
+      error: error.message,
+    });
+    throw createServiceError(
+      'unavailable',
+      `Contribution schedule for ${dateKey} could not be loaded; try again.`,
+      { payDate: dateKey, reason: error.message },
+    );
+  }
+
+  if (!snapshot.empty) {
+    const doc = snapshot.docs[0];
+    const normalized = normalizeContributionSchedule(
+      { ...doc.data(), id: doc.id },
+      `firestore:${CONTRIBUTION_SCHEDULES_COLLECTION}/${doc.id}`
+    );
+    if (normalized) {
+      return normalized;
+    }
+  }
+
+  return cloneDefaultSchedule();
+};
+
+const getContributionScheduleById = async (scheduleId) => {
+  const id = safeString(scheduleId);
+  if (!id) {
+    throw createServiceError('invalid-argument', 'scheduleId is required');
+  }
+  if (id === DEFAULT_CONTRIBUTION_SCHEDULE.id) {
+    return cloneDefaultSchedule();
+  }
+  const db = firestore();
+  const snapshot = await db.collection(CONTRIBUTION_SCHEDULES_COLLECTION).doc(id).get();
+  if (!snapshot.exists) {
+    throw createServiceError('not-found', `Contribution schedule ${id} not found`);
+  }
+  return normalizeContributionSchedule(
+    { ...snapshot.data(), id: snapshot.id },
+    `firestore:${CONTRIBUTION_SCHEDULES_COLLECTION}/${snapshot.id}`
+  );
+};
+
+const listContributionSchedules = async () => {
+  const db = firestore();
+  const snapshot = await db
+    .collection(CONTRIBUTION_SCHEDULES_COLLECTION)
+    .orderBy('effectiveDate', 'desc')
+    .get();
+  return {
+    success: true,
+    schedules: snapshot.docs.map(mapScheduleDoc),
+    defaultSchedule: cloneDefaultSchedule(),
+  };
+};
+
+/**
+ * Publish a new effective-dated schedule. Published schedules are never
+ * edited in place; a correction is published as a new schedule so past
+ * payrolls can still be explained by the table that produced them.
+ */
+const publishContributionSchedule = async (payload = {}, options = {}) => {
+  const errors = validateContributionSchedule(payload);
+  if (errors.length > 0) {
+    throw createServiceError('invalid-argument', `Validation errors: ${errors.join(', ')}`, errors);
+  }
+
+  const db = firestore();
+  const normalized = normalizeContributionSchedule(payload, 'published');
+
+  const existing = await db
+    .collection(CONTRIBUTION_SCHEDULES_COLLECTION)
+    .where('effectiveDate', '==', normalized.effectiveDate)
+    .limit(1)
+    .get();
+
+  if (!existing.empty) {
+    throw createServiceError(
+      'already-exists',
+      `A contribution schedule effective ${normalized.effectiveDate} is already published.`,
+      { scheduleId: existing.docs[0].id }
+    );
+  }
+
+  const data = {
+    name: normalized.name,
+    circular: normalized.circular,
+    effectiveDate: normalized.effectiveDate,
+    sss: normalized.sss,
+    pagibig: normalized.pagibig,
+    philhealth: normalized.philhealth,
+    notes: safeString(payload.notes),
+    publishedBy: options.userId || null,
+    publishedByEmail: options.email || null,
+    publishedAt: FieldValue.serverTimestamp(),
+    createdAt: FieldValue.serverTimestamp(),
+  };
+
+  const ref = await db.collection(CONTRIBUTION_SCHEDULES_COLLECTION).add(data);
+  return {
+    success: true,
+    scheduleId: ref.id,
+    schedule: { ...normalized, id: ref.id, source: `firestore:${CONTRIBUTION_SCHEDULES_COLLECTION}/${ref.id}` },
+  };
+};
+
+module.exports = {
+  DEFAULT_CONTRIBUTION_SCHEDULE,
+  CONTRIBUTION_SCHEDULES_COLLECTION,
+  normalizeContributionSchedule,
+  validateContributionSchedule,
+  getContributionSchedule,
+  getContributionScheduleById,
+  listContributionSchedules,
+  publishContributionSchedule,
+};
@@ -0,0 +1,643 @@
+const admin = require('../utils/firebaseAdmin');
+const accessControlService = require('./accessControlService');
+
+const firestore = () => {
+  if (typeof admin.firestore !== 'function') {
+    throw new Error('Firestore is not initialized');
+  }
+  return admin.firestore();
+};
+
+const OPERATIONS = Object.freeze(['query', 'get', 'add', 'set', 'update', 'delete']);
+const READ_OPERATIONS = ['query', 'get'];
+const QUERY_OPERATORS = new Set(['<', '<=', '==', '!=', '>=', '>', 'array-contains', 'array-contains-any', 'in', 'not-in']);
+const MAX_BATCH_OPERATIONS = 500;
+// Firestore accepts at most 30 values in an "in" filter
+const MAX_SCOPED_COMPANIES = 30;
+const REDACTED = '[redacted]';
+
+const SCOPES = Object.freeze({
+  FIELD: 'field', // the document's companyId field
+  PARENT: 'parent', // the companyId field of the parent document (subcollections)
+  DOCUMENT_ID: 'document-id', // the document id is the company id
+});
+
+const PAY_FREQUENCIES = ['monthly', 'semi-monthly', 'weekly'];
+const RATE_TYPES = ['monthly', 'daily'];
+
+const SALARY_FIELDS = [
+  'basicPay',
+  'basicSalary',
+  'monthlySalary',
+  'dailyRate',
+  'rateType',
+  'allowance',
+  'transportationAllowance',
+];
+const BANK_FIELDS = ['bankName', 'bankAccount', 'bankAccountNumber'];
+const GOVERNMENT_ID_FIELDS = ['sssNumber', 'philhealthNumber', 'pagibigNumber', 'tinNumber'];
+
+// Pay, bank and government id details are hidden from roles that neither run payroll nor set salaries
+const EMPLOYEE_MASKS = [
+  { fields: [...SALARY_FIELDS, ...BANK_FIELDS, ...GOVERNMENT_ID_FIELDS], anyOf: ['payroll:view', 'employee:edit-salary'] },
+];
+
+const nonNegativeNumber = { type: 'number', min: 0 };
+
+const EMPLOYEE_SCHEMA = {
+  companyId: { type: 'string', required: true },
+  firstName: { type: 'string', required: true },
+  lastName: { type: 'string', required: true },
+  email: { type: 'email' },
+  basicPay: nonNegativeNumber,
+  basicSalary: nonNegativeNumber,
+  monthlySalary: nonNegativeNumber,
+  dailyRate: nonNegativeNumber,
+  allowance: nonNegativeNumber,
+  transportationAllowance: nonNegativeNumber,
+  payFrequency: { type: 'string', enum: PAY_FREQUENCIES },
+  rateType: { type: 'string', enum: RATE_TYPES },
+  dateHired: { type: 'date' },
+  birthDate: { type: 'date' },
+};
+
+const EMPLOYEE_RECORD_SCHEMA = {
+  companyId: { type: 'string', required: true },
+  employeeId: { type: 'string', required: true },
+};
+
+const employeeLabel = (data = {}) => (data.firstName && data.lastName
+  ? `${data.firstName} ${data.lastName}`
+  : data.employeeName || null);
+
+/**
+ * Access policy per collection, keyed by collection names with document ids
+ * left out (employees/E1/evaluations -> "employees/evaluations"). Collections
+ * without a policy cannot be reached through the generic data endpoints.
+ *
+ * operations   - operations the endpoints may run
+ * permissions  - { read, write, delete } checked in the document's company
+ * scope        - where the company of a document comes from (SCOPES)
+ * masks        - fields removed on read unless the caller holds one of anyOf
+ * restricted   - fields that need an extra permission to write
+ * schema       - write validation; required fields apply when a document is created
+ * audit        - activity log module, entity type and action prefix for writes
+ */
+const COLLECTION_POLICIES = {
+  employees: {
+    operations: OPERATIONS,
+    permissions: { read: 'employee:view', write: 'employee:edit', delete: 'employee:delete' },
+    scope: SCOPES.FIELD,
+    masks: EMPLOYEE_MASKS,
+    restricted: [{ fields: SALARY_FIELDS, permission: 'employee:edit-salary' }],
+    schema: EMPLOYEE_SCHEMA,
+    audit: { module: 'hr', entityType: 'employee', actionPrefix: 'EMPLOYEE_RECORD', label: employeeLabel },
+  },
+  trainingRecords: {
+    operations: OPERATIONS,
+    permissions: { read: 'employee:view', write: 'employee:edit', delete: 'employee:delete' },
+    scope: SCOPES.FIELD,
+    schema: { companyId: { type: 'string', required: true } },
+    audit: { module: 'hr', entityType: 'trainee', actionPrefix: 'TRAINEE_RECORD', label: employeeLabel },
+  },
+  timeRecords: {
+    operations: OPERATIONS,
+    permissions: { read: 'attendance:view', write: 'attendance:edit', delete: 'attendance:edit' },
+    scope: SCOPES.FIELD,
+    schema: { ...EMPLOYEE_RECORD_SCHEMA, date: { type: 'date', required: true } },
+    audit: { module: 'hr', entityType: 'timeRecord', actionPrefix: 'TIME_RECORD' },
+  },
+  employeeSchedules: {
+    operations: OPERATIONS,
+    permissions: { read: 'attendance:view', write: 'attendance:edit', delete: 'attendance:edit' },
+    scope: SCOPES.FIELD,
+    schema: EMPLOYEE_RECORD_SCHEMA,
+    audit: { module: 'hr', entityType: 'employeeSchedule', actionPrefix: 'EMPLOYEE_SCHEDULE' },
+  },
+  // Computed or workflow-managed data: read here, written through their own endpoints
+  attendanceSummaries: { operations: READ_OPERATIONS, permissions: { read: 'attendance:view' }, scope: SCOPES.FIELD },
+  companyHolidays: { operations: READ_OPERATIONS, permissions: { read: 'attendance:view' }, scope: SCOPES.FIELD },
+  employeeSeparations: { operations: READ_OPERATIONS, permissions: { read: 'employee:view' }, scope: SCOPES.FIELD },
+  payrolls: { operations: READ_OPERATIONS, permissions: { read: 'payroll:view' }, scope: SCOPES.FIELD },
+  traineePayroll: { operations: READ_OPERATIONS, permissions: { read: 'payroll:view' }, scope: SCOPES.FIELD },
+  payrollRuns: { operations: READ_OPERATIONS, permissions: { read: 'payroll:view' }, scope: SCOPES.FIELD },
+  thirteenthMonthPay: { operations: READ_OPERATIONS, permissions: { read: 'payroll:view' }, scope: SCOPES.FIELD },
+  companies: { operations: READ_OPERATIONS, permissions: { read: 'company:view' }, scope: SCOPES.DOCUMENT_ID },
+};
+
+// Audit records kept under each employee and trainee
+['employees', 'trainingRecords'].forEach((parent) => {
+  ['evaluations', 'incidentReports', 'irReports', 'dailyReports'].forEach((name) => {
+    COLLECTION_POLICIES[`${parent}/${name}`] = {
+      operations: OPERATIONS,
+      permissions: { read: 'audit:view', write: 'audit:edit', delete: 'audit:edit' },
+      scope: SCOPES.PARENT,
+      audit: { module: 'audit', entityType: name, actionPrefix: 'AUDIT_RECORD' },
+    };
+  });
+});
+
+const createServiceError = (code, message, details) => {
+  const error = new Error(message);
+  error.code = code;
+  if (details !== undefined) {
+    error.details = details;
+  }
+  return error;
+};
+
+const safeString = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return String(value).trim();
+};
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const denied = (message, details) => createServiceError('permission-denied', message, details);
+
+/**
+ * Split a collection path into its policy key and parent document path.
+ * @param {string} collectionPath - e.g. "employees" or "employees/E1/evaluations"
+ */
+const resolveCollection = (collectionPath) => {
+  const path = safeString(collectionPath).replace(/^\/+|\/+$/g, '');
+  const segments = path.split('/');
+  if (!path || segments.length % 2 === 0 || segments.some((segment) => !segment || segment === '.' || segment === '..')) {
+    throw createServiceError('invalid-argument', `Invalid collection path: ${collectionPath}`);
+  }
+  const key = segments.filter((_, index) => index % 2 === 0).join('/');
+  const policy = COLLECTION_POLICIES[key];
+  if (!policy) {
+    throw denied(`The ${key} collection is not available through the data API.`, { collection: path, reason: 'collection-not-allowed' });
+  }
+  return {
+    path,
+    key,
+    policy,
+    parentPath: segments.length > 1 ? segments.slice(0, -1).join('/') : null,
+  };
+};
+
+const assertOperation = (target, operation) => {
+  if (!target.policy.operations.includes(operation)) {
+    throw denied(`The ${operation} operation is not allowed on ${target.key}.`, {
+      collection: target.path,
+      operation,
+      reason: 'operation-not-allowed',
+    });
+  }
+};
+
+const assertDocumentId = (id) => {
+  const value = safeString(id);
+  if (!value || value.includes('/')) {
+    throw createServiceError('invalid-argument', 'A document id without "/" is required.');
+  }
+  return value;
+};
+
+const permissionFor = (policy, operation) => {
+  if (READ_OPERATIONS.includes(operation)) {
+    return policy.permissions.read;
+  }
+  if (operation === 'delete') {
+    return policy.permissions.delete || policy.permissions.write;
+  }
+  return policy.permissions.write;
+};
+
+const assertCompanyPermission = (access, permission, companyId, target) => {
+  if (!accessControlService.hasPermission(access, permission, companyId)) {
+    throw denied(
+      companyId
+        ? `You do not have the ${permission} permission for company ${companyId}.`
+        : `You do not have the ${permission} permission.`,
+      { collection: target.path, permission, companyId: companyId || null, reason: 'missing-permission' },
+    );
+  }
+};
+
+// Company of the parent document for subcollections; the parent has to exist
+const loadParentCompanyId = async (db, target) => {
+  const parent = await db.doc(target.parentPath).get();
+  if (!parent.exists) {
+    throw createServiceError('not-found', `${target.parentPath} was not found.`);
+  }
+  return safeString(parent.data()?.companyId) || null;
+};
+
+const documentCompanyId = (target, id, data, parentCompanyId) => {
+  switch (target.policy.scope) {
+    case SCOPES.DOCUMENT_ID:
+      return id;
+    case SCOPES.PARENT:
+      return parentCompanyId;
+    default:
+      return safeString(data?.companyId) || null;
+  }
+};
+
+const getPath = (data, field) => field.split('.')
+  .reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), data);
+
+const deletePath = (data, field) => {
+  const keys = field.split('.');
+  const last = keys.pop();
+  const holder = keys.reduce((value, key) => (isPlainObject(value) ? value[key] : undefined), data);
+  if (isPlainObject(holder) && Object.prototype.hasOwnProperty.call(holder, last)) {
+    delete holder[last];
+    return true;
+  }
+  return false;
+};
+
+const canUnmask = (access, mask, companyId) => mask.anyOf
+  .some((permission) => accessControlService.hasPermission(access, permission, companyId));
+
+const maskedFieldsFor = (access, policy, companyId) => (policy.masks || [])
+  .filter((mask) => !canUnmask(access, mask, companyId))
+  .flatMap((mask) => mask.fields);
+
+const applyMasks = (access, target, id, data, parentCompanyId) => {
+  const fields = maskedFieldsFor(access, target.policy, documentCompanyId(target, id, data, parentCompanyId));
+  if (!fields.length) {
+    return { data, maskedFields: [] };
+  }
+  const copy = JSON.parse(JSON.stringify(data));
+  const maskedFields = fields.filter((field) => deletePath(copy, field));
+  return { data: copy, maskedFields };
+};
+
+const isDateValue = (value) => {
+  if (value instanceof Date || typeof value?.toDate === 'function') {
+    return true;
+  }
+  return typeof value === 'string' && value.trim() !== '' && !Number.isNaN(new Date(value).getTime());
+};
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  boolean: (value) => typeof value === 'boolean',
+  array: Array.isArray,
+  object: isPlainObject,
+  date: isDateValue,
+  email: (value) => typeof value === 'string' && (value === '' || /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)),
+};
+
+/**
+ * Check written fields against the collection schema. Required fields are
+ * only enforced when the write creates or replaces the whole document.
+ * Empty values and null are allowed for optional fields.
+ */
+const validateWrite = (policy, data, { partial }) => {
+  const schema = policy.schema || {};
+  const errors = [];
+  Object.entries(schema).forEach(([field, spec]) => {
+    const value = getPath(data, field);
+    if (value === undefined || value === null || value === '') {
+      if (spec.required && (!partial || value !== undefined)) {
+        errors.push(`${field} is required`);
+      }
+      return;
+    }
+    if (!TYPE_CHECKS[spec.type](value)) {
+      errors.push(`${field} must be a${spec.type === 'array' || spec.type === 'object' || spec.type === 'email' ? 'n' : ''} ${spec.type}`);
+      return;
+    }
+    if (spec.enum && !spec.enum.includes(String(value).toLowerCase())) {
+      errors.push(`${field} must be one of: ${spec.enum.join(', ')}`);
+    }
+    if (spec.min !== undefined && value < spec.min) {
+      errors.push(`${field} cannot be less than ${spec.min}`);
+    }
+  });
+  if (errors.length) {
+    throw createServiceError('invalid-argument', `Validation errors: ${errors.join(', ')}`, errors);
+  }
+};
+
+const touchedFields = (data) => Object.keys(data || {})
+  .flatMap((key) => (isPlainObject(data[key]) ? [key, ...touchedFields(data[key]).map((inner) => `${key}.${inner}`)] : [key]));
+
+const assertRestrictedFields = (access, target, data, companyId) => {
+  const written = new Set(touchedFields(data));
+  (target.policy.restricted || []).forEach((rule) => {
+    const fields = rule.fields.filter((field) => written.has(field));
+    if (fields.length && !accessControlService.hasPermission(access, rule.permission, companyId)) {
+      throw denied(`Changing ${fields.join(', ')} requires the ${rule.permission} permission.`, {
+        collection: target.path,
+        permission: rule.permission,
+        companyId,
+        fields,
+        reason: 'restricted-field',
+      });
+    }
+  });
+};
+
+// Old -> new values of the fields a write touched, with masked fields redacted
+const diffFields = (before, after, fields, redacted) => {
+  const changes = {};
+  fields.forEach((field) => {
+    const from = before?.[field];
+    const to = after?.[field];
+    if (JSON.stringify(from) === JSON.stringify(to)) {
+      return;
+    }
+    changes[field] = redacted.has(field)
+      ? { from: from === undefined ? null : REDACTED, to: to === undefined ? null : REDACTED }
+      : { from: from === undefined ? null : from, to: to === undefined ? null : to };
+  });
+  return changes;
+};
+
+const buildAuditEntry = (target, operation, id, companyId, before, after, fields) => {
+  const redacted = new Set((target.policy.masks || []).flatMap((mask) => mask.fields));
+  const changes = diffFields(before, after, fields.filter((field) => field !== 'updatedAt'), redacted);
+  const audit = target.policy.audit || {};
+  return {
+    operation,
+    collection: target.path,
+    policyKey: target.key,
+    id,
+    companyId,
+    module: audit.module || 'admin',
+    entityType: audit.entityType || target.key.split('/').pop(),
+    actionPrefix: audit.actionPrefix || 'DATA_RECORD',
+    label: audit.label ? audit.label(after || before || {}) : null,
+    changes,
+  };
+};
+
+// Convert ISO timestamps sent by the frontend into Firestore Timestamps
+const convertDates = (data) => {
+  const processed = { ...data };
+  const dateRegex = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+  Object.entries(processed).forEach(([key, value]) => {
+    if (typeof value === 'string' && dateRegex.test(value)) {
+      processed[key] = admin.firestore.Timestamp.fromDate(new Date(value));
+    } else if (value instanceof Date) {
+      processed[key] = admin.firestore.Timestamp.fromDate(value);
+    }
+  });
+  return processed;
+};
+
+/**
+ * Check one write against the collection policy and work out what it changes.
+ * Nothing is written; the caller commits `apply` together with the other
+ * writes of the request.
+ */
+const prepareWrite = async (db, access, { type, collection, id, data, options = {} }) => {
+  const operation = safeString(type);
+  if (!['add', 'set', 'update', 'delete'].includes(operation)) {
+    throw createServiceError('invalid-argument', `Unknown write operation: ${type}`);
+  }
+  const target = resolveCollection(collection);
+  assertOperation(target, operation);
+  if (operation !== 'delete' && !isPlainObject(data)) {
+    throw createServiceError('invalid-argument', 'Document data must be an object.');
+  }
+
+  const collectionRef = db.collection(target.path);
+  const docRef = operation === 'add' ? collectionRef.doc() : collectionRef.doc(assertDocumentId(id));
+  const parentCompanyId = target.policy.scope === SCOPES.PARENT ? await loadParentCompanyId(db, target) : null;
+  const snapshot = operation === 'add' ? null : await docRef.get();
+  const before = snapshot?.exists ? snapshot.data() || {} : null;
+  const permission = permissionFor(target.policy, operation);
+
+  if (operation === 'update' && !before) {
+    throw createServiceError('not-found', `${target.path}/${docRef.id} was not found.`);
+  }
+  if (operation === 'delete') {
+    const companyId = before ? documentCompanyId(target, docRef.id, before, parentCompanyId) : parentCompanyId;
+    assertCompanyPermission(access, permission, companyId, target);
+    return {
+      id: docRef.id,
+      apply: (batch) => batch.delete(docRef),
+      audit: before ? buildAuditEntry(target, operation, docRef.id, companyId, before, null, []) : null,
+    };
+  }
+
+  const merge = operation === 'update' || Boolean(options.merge);
+  validateWrite(target.policy, data, { partial: merge && Boolean(before) });
+
+  // Writes must stay inside companies the caller may edit, including moves between companies
+  const existingCompanyId = before ? documentCompanyId(target, docRef.id, before, parentCompanyId) : null;
+  const nextCompanyId = documentCompanyId(target, docRef.id, data, parentCompanyId) || existingCompanyId;
+  if (!nextCompanyId && target.policy.scope === SCOPES.FIELD) {
+    throw createServiceError('invalid-argument', 'companyId is required.');
+  }
+  [...new Set([existingCompanyId, nextCompanyId].filter(Boolean))].forEach((companyId) => {
+    assertCompanyPermission(access, permission, companyId, target);
+    assertRestrictedFields(access, target, data, companyId);
+  });
+
+  const written = operation === 'update' ? convertDates(data) : data;
+  const after = merge ? { ...(before || {}), ...data } : data;
+  const fields = merge ? Object.keys(data) : [...new Set([...Object.keys(before || {}), ...Object.keys(data)])];
+  return {
+    id: docRef.id,
+    apply: (batch) => {
+      if (operation === 'update') {
+        batch.update(docRef, written);
+      } else if (merge) {
+        batch.set(docRef, written, { merge: true });
+      } else {
+        batch.set(docRef, written);
+      }
+    },
+    audit: buildAuditEntry(target, before ? operation : 'add', docRef.id, nextCompanyId, before, after, fields),
+  };
+};
+
+const commitWrites = async (db, writes) => {
+  const batch = db.batch();
+  writes.forEach((write) => write.apply(batch));
+  await batch.commit();
+  return writes.map((write) => write.audit).filter(Boolean);
+};
+
+/**
+ * Run one write (add, set, update or delete) under the collection policy.
+ * @returns {Promise<object>} { id, audit } where audit describes the change for the activity log
+ */
+const writeDocument = async (access, write) => {
+  const db = firestore();
+  const prepared = await prepareWrite(db, access, write);
+  const [audit = null] = await commitWrites(db, [prepared]);
+  return { id: prepared.id, audit };
+};
+
+/**
+ * Run several writes atomically. Every write is checked before any is committed.
+ * @returns {Promise<object>} { operationCount, audits }
+ */
+const runBatch = async (access, operations) => {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw createServiceError('invalid-argument', 'Operations array is required');
+  }
+  if (operations.length > MAX_BATCH_OPERATIONS) {
+    throw createServiceError('invalid-argument', `A batch can hold at most ${MAX_BATCH_OPERATIONS} operations.`);
+  }
+  const db = firestore();
+  const prepared = [];
+  for (const operation of operations) {
+    prepared.push(await prepareWrite(db, access, operation || {}));
+  }
+  const audits = await commitWrites(db, prepared);
+  return { operationCount: prepared.length, audits };
+};
+
+/**
+ * Read one document. Documents outside the caller's companies are refused
+ * rather than reported missing.
+ * @returns {Promise<object|null>} { id, data, maskedFields } or null
+ */
+const getDocument = async (access, { collection, id }) => {
+  const target = resolveCollection(collection);
+  assertOperation(target, 'get');
+  const db = firestore();
+  const parentCompanyId = target.policy.scope === SCOPES.PARENT ? await loadParentCompanyId(db, target) : null;
+  const snapshot = await db.collection(target.path).doc(assertDocumentId(id)).get();
+  const permission = permissionFor(target.policy, 'get');
+  if (!snapshot.exists) {
+    const companyId = target.policy.scope === SCOPES.FIELD ? null : documentCompanyId(target, snapshot.id, null, parentCompanyId);
+    assertCompanyPermission(access, permission, companyId, target);
+    return null;
+  }
+  const data = snapshot.data() || {};
+  assertCompanyPermission(access, permission, documentCompanyId(target, snapshot.id, data, parentCompanyId), target);
+  return { id: snapshot.id, ...applyMasks(access, target, snapshot.id, data, parentCompanyId) };
+};
+
+// Company ids named by companyId filters, or null when the query names none
+const filteredCompanyIds = (filters) => {
+  const companyFilters = filters.filter((filter) => filter.field === 'companyId');
+  if (!companyFilters.length) {
+    return null;
+  }
+  return companyFilters.flatMap((filter) => {
+    if (filter.op === '==') {
+      return [safeString(filter.value)];
+    }
+    if (filter.op === 'in' && Array.isArray(filter.value)) {
+      return filter.value.map(safeString);
+    }
+    throw createServiceError('invalid-argument', 'companyId can only be filtered with "==" or "in".');
+  });
+};
+
+/**
+ * Run a query under the collection policy. Queries on company-scoped
+ * collections are limited to the caller's companies, and filtering or
+ * ordering on a masked field is refused so masked values cannot be probed.
+ * @returns {Promise<Array>} [{ id, data, maskedFields }]
+ */
+const queryDocuments = async (access, {
+  collection, filters = [], orderBy = [], limit, limitToLast, startAt, startAfter, endAt, endBefore,
+}) => {
+  const target = resolveCollection(collection);
+  assertOperation(target, 'query');
+  if (!Array.isArray(filters) || !Array.isArray(orderBy)) {
+    throw createServiceError('invalid-argument', 'filters and orderBy must be arrays.');
+  }
+  const invalidFilter = filters.find((filter) => !safeString(filter?.field) || !QUERY_OPERATORS.has(filter?.op));
+  if (invalidFilter) {
+    throw createServiceError('invalid-argument', `Unsupported filter: ${JSON.stringify(invalidFilter)}`);
+  }
+
+  const db = firestore();
+  const { policy } = target;
+  const permission = permissionFor(policy, 'query');
+  let query = db.collection(target.path);
+  let scopedCompanyIds = null;
+
+  if (policy.scope === SCOPES.PARENT) {
+    scopedCompanyIds = [await loadParentCompanyId(db, target)];
+    assertCompanyPermission(access, permission, scopedCompanyIds[0], target);
+  } else if (policy.scope === SCOPES.FIELD) {
+    const requested = filteredCompanyIds(filters);
+    if (requested) {
+      requested.forEach((companyId) => assertCompanyPermission(access, permission, companyId, target));
+      scopedCompanyIds = requested;
+    } else {
+      scopedCompanyIds = accessControlService.allowedCompanyIds(access, permission);
+      if (scopedCompanyIds && scopedCompanyIds.length === 0) {
+        return [];
+      }
+      if (scopedCompanyIds && scopedCompanyIds.length > MAX_SCOPED_COMPANIES) {
+        throw createServiceError('invalid-argument', 'Filter the query by companyId.');
+      }
+      if (scopedCompanyIds) {
+        query = query.where('companyId', 'in', scopedCompanyIds);
+      }
+    }
+  } else {
+    assertCompanyPermission(access, permission, null, target);
+  }
+
+  const masked = new Set((policy.masks || [])
+    .filter((mask) => (scopedCompanyIds
+      ? scopedCompanyIds.some((companyId) => !canUnmask(access, mask, companyId))
+      : mask.anyOf.every((anyOf) => accessControlService.allowedCompanyIds(access, anyOf) !== null)))
+    .flatMap((mask) => mask.fields));
+  const probed = [...filters, ...orderBy].map((entry) => entry?.field).filter((field) => masked.has(field));
+  if (probed.length) {
+    throw denied(`Filtering or sorting on ${[...new Set(probed)].join(', ')} is not allowed.`, {
+      collection: target.path,
+      fields: probed,
+      reason: 'masked-field-query',
+    });
+  }
+
+  filters.forEach(({ field, op, value }) => {
+    query = query.where(field, op, value);
+  });
+  orderBy.forEach(({ field, direction = 'asc' }) => {
+    query = query.orderBy(field, direction);
+  });
+  if (limit) {
+    query = query.limit(limit);
+  } else if (limitToLast) {
+    query = query.limitToLast(limitToLast);
+  }
+  if (startAt) {
+    query = query.startAt(startAt);
+  }
+  if (startAfter) {
+    query = query.startAfter(startAfter);
+  }
+  if (endAt) {
+    query = query.endAt(endAt);
+  }
+  if (endBefore) {
+    query = query.endBefore(endBefore);
+  }
+
+  const snapshot = await query.get();
+  const parentCompanyId = policy.scope === SCOPES.PARENT ? scopedCompanyIds[0] : null;
+  return snapshot.docs
+    .filter((doc) => policy.scope !== SCOPES.DOCUMENT_ID || accessControlService.hasPermission(access, permission, doc.id))
+    .map((doc) => ({ id: doc.id, ...applyMasks(access, target, doc.id, doc.data() || {}, parentCompanyId) }));
+};
+
+const listPolicies = () => Object.entries(COLLECTION_POLICIES).map(([collection, policy]) => ({
+  collection,
+  operations: policy.operations,
+  permissions: policy.permissions,
+  maskedFields: (policy.masks || []).flatMap((mask) => mask.fields),
+}));
+
+module.exports = {
+  COLLECTION_POLICIES,
+  SCOPES,
+  queryDocuments,
+  getDocument,
+  writeDocument,
+  runBatch,
+  listPolicies,
+};
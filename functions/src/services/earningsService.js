@@ -0,0 +1,427 @@
+const admin = require('../utils/firebaseAdmin');
+const { parseDateKey, toManilaWallTime, MS_PER_DAY, MS_PER_MINUTE } = require('../utils/dateUtils');
+
+const firestore = () => {
+  if (typeof admin.firestore !== 'function') {
+    throw new Error('Firestore is not initialized');
+  }
+  return admin.firestore();
+};
+
+const createServiceError = (code, message, details) => {
+  const error = new Error(message);
+  error.code = code;
+  if (details !== undefined) {
+    error.details = details;
+  }
+  return error;
+};
+
+const COMPANIES_COLLECTION = 'companies';
+const HOLIDAYS_COLLECTION = 'companyHolidays';
+const DEFAULT_REST_DAYS = [0, 6];
+const REGULAR_MINUTES_PER_DAY = 8 * 60;
+
+/**
+ * Premium multipliers under the Labor Code / DOLE handbook. Each value is the
+ * fraction of the hourly rate paid for the hour; companies override any of them
+ * through `premiumMultipliers` on their company document (PUT /payroll/premium-multipliers).
+ */
+const DEFAULT_PREMIUM_MULTIPLIERS = Object.freeze({
+  regularOvertime: 1.25,
+  restDay: 1.3,
+  restDayOvertime: 1.69,
+  specialHoliday: 1.3,
+  specialHolidayOvertime: 1.69,
+  specialHolidayRestDay: 1.5,
+  specialHolidayRestDayOvertime: 1.95,
+  regularHoliday: 2,
+  regularHolidayOvertime: 2.6,
+  regularHolidayRestDay: 2.6,
+  regularHolidayRestDayOvertime: 3.38,
+  nightDifferential: 0.1,
+  nightStart: '22:00',
+  nightEnd: '06:00',
+});
+
+const EARNINGS_LINE_LABELS = Object.freeze({
+  regularOvertime: 'Regular overtime',
+  restDay: 'Rest day premium',
+  restDayOvertime: 'Rest day overtime',
+  specialHoliday: 'Special non-working holiday premium',
+  specialHolidayOvertime: 'Special non-working holiday overtime',
+  specialHolidayRestDay: 'Special holiday on rest day premium',
+  specialHolidayRestDayOvertime: 'Special holiday on rest day overtime',
+  regularHoliday: 'Regular holiday premium',
+  regularHolidayOvertime: 'Regular holiday overtime',
+  regularHolidayRestDay: 'Regular holiday on rest day premium',
+  regularHolidayRestDayOvertime: 'Regular holiday on rest day overtime',
+  nightDifferential: 'Night differential',
+});
+
+const toNumber = (value, fallback = 0) => {
+  if (value === null || value === undefined || value === '') {
+    return fallback;
+  }
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? numeric : fallback;
+};
+
+const roundCurrency = (value) => {
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric)) {
+    return 0;
+  }
+  return Math.round(numeric * 100) / 100;
+};
+
+const safeString = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'string') {
+    return value.trim();
+  }
+  return String(value).trim();
+};
+
+const clockToMinutes = (value, fallback) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(safeString(value));
+  if (!match) {
+    return fallback;
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+};
+
+const resolvePremiumMultipliers = (companyData = {}) => {
+  const overrides = companyData.premiumMultipliers
+    || companyData.payrollSettings?.premiumMultipliers
+    || {};
+  const resolved = { ...DEFAULT_PREMIUM_MULTIPLIERS };
+  Object.keys(DEFAULT_PREMIUM_MULTIPLIERS).forEach((key) => {
+    if (overrides[key] === undefined || overrides[key] === null || overrides[key] === '') {
+      return;
+    }
+    if (key === 'nightStart' || key === 'nightEnd') {
+      resolved[key] = safeString(overrides[key]);
+      return;
+    }
+    const numeric = toNumber(overrides[key], null);
+    if (numeric !== null && numeric >= 0) {
+      resolved[key] = numeric;
+    }
+  });
+  return resolved;
+};
+
+/**
+ * Check a company's multiplier overrides. Blank values drop the override so the
+ * default applies again; unknown keys are rejected rather than silently kept.
+ */
+const normalizePremiumMultipliers = (overrides = {}) => {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw createServiceError('invalid-argument', 'premiumMultipliers must be an object.');
+  }
+  const errors = [];
+  const normalized = {};
+  Object.entries(overrides).forEach(([key, value]) => {
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_PREMIUM_MULTIPLIERS, key)) {
+      errors.push(`${key} is not a premium multiplier`);
+      return;
+    }
+    if (value === undefined || value === null || value === '') {
+      return;
+    }
+    if (key === 'nightStart' || key === 'nightEnd') {
+      if (clockToMinutes(value, null) === null) {
+        errors.push(`${key} must be a time such as 22:00`);
+        return;
+      }
+      normalized[key] = safeString(value);
+      return;
+    }
+    const numeric = toNumber(value, null);
+    if (numeric === null || numeric < 0) {
+      errors.push(`${key} must be a non-negative number`);
+      return;
+    }
+    normalized[key] = numeric;
+  });
+  if (errors.length) {
+    throw createServiceError('invalid-argument', errors.join('; '), errors);
+  }
+  return normalized;
+};
+
+const getPremiumMultipliers = async (companyId) => {
+  if (!safeString(companyId)) {
+    throw createServiceError('invalid-argument', 'companyId is required.');
+  }
+  const snapshot = await firestore().collection(COMPANIES_COLLECTION).doc(safeString(companyId)).get();
+  const companyData = snapshot.exists ? snapshot.data() : {};
+  return {
+    overrides: companyData.premiumMultipliers || companyData.payrollSettings?.premiumMultipliers || {},
+    multipliers: resolvePremiumMultipliers(companyData),
+  };
+};
+
+/**
+ * Replace a company's overrides; keys left out fall back to the defaults.
+ */
+const setPremiumMultipliers = async (companyId, overrides = {}, options = {}) => {
+  if (!safeString(companyId)) {
+    throw createServiceError('invalid-argument', 'companyId is required.');
+  }
+  const normalized = normalizePremiumMultipliers(overrides);
+  await firestore().collection(COMPANIES_COLLECTION).doc(safeString(companyId)).set({
+    premiumMultipliers: normalized,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedBy: options.userId || null,
+  }, { mergeFields: ['premiumMultipliers', 'updatedAt', 'updatedBy'] });
+  return {
+    overrides: normalized,
+    multipliers: resolvePremiumMultipliers({ premiumMultipliers: normalized }),
+  };
+};
+
+/**
+ * Holidays saved before the holiday type existed only carry `payable`; payable
+ * holidays are treated as regular holidays and the rest as special non-working days.
+ */
+const resolveHolidayType = (holiday) => {
+  if (!holiday) {
+    return null;
+  }
+  const type = safeString(holiday.type).toLowerCase();
+  if (type === 'regular' || type === 'special') {
+    return type;
+  }
+  return holiday.payable ? 'regular' : 'special';
+};
+
+const loadHolidaysForRange = async (companyId, startDate, endDate) => {
+  if (!companyId || !startDate || !endDate) {
+    return [];
+  }
+  const db = firestore();
+  const snapshot = await db
+    .collection(HOLIDAYS_COLLECTION)
+    .where('companyId', '==', companyId)
+    .where('date', '>=', startDate)
+    .where('date', '<=', endDate)
+    .get();
+  return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+};
+
+// Wall-clock start and end (ms) of a work session; an end before the start is the next day
+const resolveSession = (timeIn, timeOut, date) => {
+  const start = toManilaWallTime(timeIn, date);
+  const end = toManilaWallTime(timeOut, date);
+  if (start === null || end === null) {
+    return null;
+  }
+  return { start, end: end <= start ? end + MS_PER_DAY : end };
+};
+
+const countNightMinutes = (start, end, multipliers) => {
+  const nightStart = clockToMinutes(multipliers.nightStart, 22 * 60);
+  const nightEnd = clockToMinutes(multipliers.nightEnd, 6 * 60);
+  const windowLength = ((nightEnd - nightStart + 24 * 60) % (24 * 60)) * MS_PER_MINUTE;
+
+  let total = 0;
+  const firstDay = Math.floor(start / MS_PER_DAY) - 1;
+  const lastDay = Math.floor(end / MS_PER_DAY);
+  for (let day = firstDay; day <= lastDay; day += 1) {
+    const windowStart = day * MS_PER_DAY + nightStart * MS_PER_MINUTE;
+    const windowEnd = windowStart + windowLength;
+    const overlap = Math.min(end, windowEnd) - Math.max(start, windowStart);
+    if (overlap > 0) {
+      total += overlap;
+    }
+  }
+  return Math.round(total / MS_PER_MINUTE);
+};
+
+/**
+ * Minutes of a work session that fall inside the night window (default 22:00-06:00, Manila time).
+ */
+const calculateNightMinutes = (timeIn, timeOut, date, multipliers = DEFAULT_PREMIUM_MULTIPLIERS) => {
+  const session = resolveSession(timeIn, timeOut, date);
+  return session ? countNightMinutes(session.start, session.end, multipliers) : 0;
+};
+
+/**
+ * Night minutes worked as overtime. Overtime is the tail of the session, so
+ * with clock times it is the night part of the last overtimeMinutes; with
+ * minute totals only, night minutes that do not fit in the regular hours must
+ * have been overtime.
+ */
+const resolveNightOvertimeMinutes = (day, { date, regularMinutes, overtimeMinutes, nightMinutes }, multipliers) => {
+  if (overtimeMinutes <= 0 || nightMinutes <= 0) {
+    return 0;
+  }
+  if (day.nightOvertimeMinutes !== undefined) {
+    return Math.min(nightMinutes, overtimeMinutes, Math.max(0, toNumber(day.nightOvertimeMinutes, 0)));
+  }
+  const session = resolveSession(day.timeIn, day.timeOut, date);
+  if (session) {
+    const overtimeStart = Math.max(session.start, session.end - overtimeMinutes * MS_PER_MINUTE);
+    return Math.min(nightMinutes, countNightMinutes(overtimeStart, session.end, multipliers));
+  }
+  return Math.min(overtimeMinutes, Math.max(0, nightMinutes - regularMinutes));
+};
+
+const resolveDayKey = (holidayType, isRestDay) => {
+  if (holidayType === 'regular') {
+    return isRestDay ? 'regularHolidayRestDay' : 'regularHoliday';
+  }
+  if (holidayType === 'special') {
+    return isRestDay ? 'specialHolidayRestDay' : 'specialHoliday';
+  }
+  return isRestDay ? 'restDay' : 'regular';
+};
+
+/**
+ * Compute overtime, rest day, holiday and night differential earnings.
+ *
+ * Regular hours on a normal workday are already paid through basic pay, so a
+ * holiday worked on a workday only adds the premium above 100%. Rest days are
+ * not covered by basic pay and are paid at the full multiplier. Night
+ * differential is a share of the rate the hour is paid at, so night overtime
+ * uses the overtime multiplier and other night hours the day multiplier.
+ *
+ * @param {object} params
+ * @param {Array} params.days - [{ date, timeIn?, timeOut?, regularMinutes, overtimeMinutes, nightMinutes?, nightOvertimeMinutes?, isRestDay? }]
+ * @param {Array} params.holidays - companyHolidays documents
+ * @param {number} params.hourlyRate - Employee hourly rate
+ * @param {object} params.multipliers - Resolved premium multipliers
+ * @param {Array} params.restDays - Weekday numbers (0 = Sunday) used when a day has no isRestDay flag
+ * @returns {object} { lines, days, totals }
+ */
+const computeEarnings = ({
+  days = [],
+  holidays = [],
+  hourlyRate = 0,
+  multipliers = DEFAULT_PREMIUM_MULTIPLIERS,
+  restDays = DEFAULT_REST_DAYS,
+} = {}) => {
+  const rate = Math.max(0, toNumber(hourlyRate, 0));
+  const holidayByDate = new Map();
+  holidays.forEach((holiday) => {
+    if (holiday && holiday.date) {
+      holidayByDate.set(holiday.date, holiday);
+    }
+  });
+
+  const lineTotals = new Map();
+  const addLine = (code, minutes, multiplier, amount) => {
+    if (minutes <= 0 || amount === 0) {
+      return;
+    }
+    const existing = lineTotals.get(code) || {
+      code,
+      label: EARNINGS_LINE_LABELS[code] || code,
+      minutes: 0,
+      multiplier,
+      hourlyRate: roundCurrency(rate),
+      amount: 0,
+    };
+    existing.minutes += minutes;
+    existing.amount = roundCurrency(existing.amount + amount);
+    lineTotals.set(code, existing);
+  };
+
+  const dayDetails = days.map((day) => {
+    const date = safeString(day.date);
+    const parsed = parseDateKey(date);
+    const holiday = holidayByDate.get(date) || null;
+    const holidayType = resolveHolidayType(holiday);
+    const isRestDay = day.isRestDay !== undefined
+      ? Boolean(day.isRestDay)
+      : Boolean(parsed && restDays.includes(parsed.getUTCDay()));
+    const dayKey = resolveDayKey(holidayType, isRestDay);
+
+    const regularMinutes = Math.max(0, Math.min(REGULAR_MINUTES_PER_DAY, toNumber(day.regularMinutes, 0)));
+    const overtimeMinutes = Math.max(0, toNumber(day.overtimeMinutes, 0));
+    const nightMinutes = day.nightMinutes !== undefined
+      ? Math.max(0, toNumber(day.nightMinutes, 0))
+      : calculateNightMinutes(day.timeIn, day.timeOut, date, multipliers);
+    const nightOvertimeMinutes = resolveNightOvertimeMinutes(
+      day,
+      { date, regularMinutes, overtimeMinutes, nightMinutes },
+      multipliers,
+    );
+
+    const detail = {
+      date,
+      dayType: dayKey,
+      holidayName: holiday ? holiday.name || null : null,
+      isRestDay,
+      regularMinutes,
+      overtimeMinutes,
+      nightMinutes,
+      nightOvertimeMinutes,
+      premiumPay: 0,
+      overtimePay: 0,
+      nightDifferentialPay: 0,
+    };
+
+    const dayMultiplier = dayKey === 'regular' ? 1 : toNumber(multipliers[dayKey], 1);
+    if (dayKey !== 'regular' && regularMinutes > 0) {
+      const coveredByBasicPay = isRestDay ? 0 : 1;
+      const premium = roundCurrency((regularMinutes / 60) * rate * (dayMultiplier - coveredByBasicPay));
+      detail.premiumPay = premium;
+      addLine(dayKey, regularMinutes, dayMultiplier, premium);
+    }
+
+    const overtimeKey = dayKey === 'regular' ? 'regularOvertime' : `${dayKey}Overtime`;
+    const overtimeMultiplier = toNumber(multipliers[overtimeKey], 1);
+    if (overtimeMinutes > 0) {
+      const overtimePay = roundCurrency((overtimeMinutes / 60) * rate * overtimeMultiplier);
+      detail.overtimePay = overtimePay;
+      addLine(overtimeKey, overtimeMinutes, overtimeMultiplier, overtimePay);
+    }
+
+    if (nightMinutes > 0) {
+      const nightRate = toNumber(multipliers.nightDifferential, 0);
+      const nightPay = roundCurrency((((nightMinutes - nightOvertimeMinutes) / 60) * dayMultiplier
+        + (nightOvertimeMinutes / 60) * overtimeMultiplier) * rate * nightRate);
+      detail.nightDifferentialPay = nightPay;
+      addLine('nightDifferential', nightMinutes, nightRate, nightPay);
+    }
+
+    return detail;
+  });
+
+  const lines = Array.from(lineTotals.values()).map((line) => ({
+    ...line,
+    hours: Math.round((line.minutes / 60) * 100) / 100,
+  }));
+
+  const totals = lines.reduce((acc, line) => {
+    if (line.code === 'nightDifferential') {
+      acc.nightDifferentialPay = roundCurrency(acc.nightDifferentialPay + line.amount);
+    } else if (line.code.endsWith('Overtime')) {
+      acc.overtimePay = roundCurrency(acc.overtimePay + line.amount);
+    } else {
+      acc.premiumPay = roundCurrency(acc.premiumPay + line.amount);
+    }
+    acc.total = roundCurrency(acc.total + line.amount);
+    return acc;
+  }, { overtimePay: 0, premiumPay: 0, nightDifferentialPay: 0, total: 0 });
+
+  return { lines, days: dayDetails, totals };
+};
+
+module.exports = {
+  DEFAULT_PREMIUM_MULTIPLIERS,
+  EARNINGS_LINE_LABELS,
+  computeEarnings,
+  calculateNightMinutes,
+  resolvePremiumMultipliers,
+  normalizePremiumMultipliers,
+  getPremiumMultipliers,
+  setPremiumMultipliers,
+  resolveHolidayType,
+  loadHolidaysForRange,
+};
@@ -0,0 +1,614 @@
+const admin = require('../utils/firebaseAdmin');
+const { readImportFile, parseImportDate } = require('./attendanceImportService');
+const { prepareEmployeeRecord, validateEmployeeData } = require('./employeeManagementService');
+
+const firestore = () => {
+  if (typeof admin.firestore !== 'function') {
+    throw new Error('Firestore is not initialized');
+  }
+  return admin.firestore();
+};
+
+const FieldValue = admin.firestore.FieldValue;
+const IMPORTS_COLLECTION = 'employeeImports';
+const IMPORT_CHUNKS_SUBCOLLECTION = 'chunks';
+const RESULT_CHUNKS_SUBCOLLECTION = 'results';
+const EMPLOYEES_COLLECTION = 'employees';
+
+// Staged rows and results are stored as JSON strings in chunk documents to stay under the 1 MiB document limit
+const ROWS_PER_CHUNK = 500;
+const WRITES_PER_BATCH = 400;
+const PREVIEW_SAMPLE_SIZE = 20;
+const DATE_FORMATS = ['MDY', 'DMY'];
+// A commit that has not finished after this long is assumed to have died and can be retried
+const COMMIT_CLAIM_TIMEOUT_MS = 10 * 60 * 1000;
+
+// An import whose writes partly failed stays partially-committed and can be committed again
+const IMPORT_STATUSES = Object.freeze({
+  PREVIEWED: 'previewed',
+  COMMITTING: 'committing',
+  PARTIALLY_COMMITTED: 'partially-committed',
+  COMMITTED: 'committed',
+});
+
+const IMPORT_FIELDS = [
+  'idNumber', 'firstName', 'middleName', 'lastName', 'email', 'cellphoneNumber', 'birthDate', 'civilStatus',
+  'currentAddress', 'permanentAddress', 'dateHired', 'position', 'department', 'employmentType', 'status',
+  'payFrequency', 'rateType', 'basicPay', 'dailyRate', 'allowance', 'transportationAllowance',
+  'bankName', 'bankAccount', 'sssNumber', 'philhealthNumber', 'pagibigNumber', 'tinNumber',
+  'emergencyContactPerson', 'emergencyContactNumber', 'emergencyRelationship',
+];
+const REQUIRED_FIELDS = ['idNumber', 'firstName', 'lastName'];
+const DATE_FIELDS = ['birthDate', 'dateHired'];
+const AMOUNT_FIELDS = ['basicPay', 'dailyRate', 'allowance', 'transportationAllowance'];
+
+// Header aliases, compared after lowercasing and dropping everything but letters and digits
+const FIELD_ALIASES = Object.freeze({
+  idNumber: ['idnumber', 'idno', 'employeeid', 'empid', 'employeeno', 'employeenumber', 'empno'],
+  firstName: ['firstname', 'givenname', 'fname'],
+  middleName: ['middlename', 'mname', 'middleinitial', 'mi'],
+  lastName: ['lastname', 'surname', 'familyname', 'lname'],
+  email: ['email', 'emailaddress'],
+  cellphoneNumber: ['cellphonenumber', 'cellphone', 'mobile', 'mobilenumber', 'mobileno', 'contactnumber', 'contactno', 'phone'],
+  birthDate: ['birthdate', 'dateofbirth', 'birthday', 'dob'],
+  civilStatus: ['civilstatus', 'maritalstatus'],
+  currentAddress: ['currentaddress', 'address', 'presentaddress'],
+  permanentAddress: ['permanentaddress', 'provincialaddress'],
+  dateHired: ['datehired', 'hiredate', 'hiringdate', 'startdate', 'dateofhire', 'datejoined'],
+  position: ['position', 'jobtitle', 'designation'],
+  department: ['department', 'dept'],
+  employmentType: ['employmenttype', 'employmentstatus', 'type'],
+  status: ['status'],
+  payFrequency: ['payfrequency', 'payschedule', 'payrollfrequency'],
+  rateType: ['ratetype', 'paytype', 'ratebasis'],
+  basicPay: ['basicpay', 'basicsalary', 'monthlysalary', 'monthlyrate', 'salary'],
+  dailyRate: ['dailyrate', 'rateperday'],
+  allowance: ['allowance', 'allowances'],
+  transportationAllowance: ['transportationallowance', 'transpoallowance', 'transportallowance', 'transpo'],
+  bankName: ['bankname', 'bank'],
+  bankAccount: ['bankaccount', 'accountnumber', 'bankaccountnumber', 'accountno', 'atmno', 'atmnumber'],
+  sssNumber: ['sssnumber', 'sss', 'sssno'],
+  philhealthNumber: ['philhealthnumber', 'philhealth', 'philhealthno', 'phic', 'phicno'],
+  pagibigNumber: ['pagibignumber', 'pagibig', 'pagibigno', 'hdmf', 'hdmfno', 'pagibigmid'],
+  tinNumber: ['tinnumber', 'tin', 'tinno'],
+  emergencyContactPerson: ['emergencycontactperson', 'emergencycontact', 'contactperson'],
+  emergencyContactNumber: ['emergencycontactnumber', 'emergencynumber', 'emergencyno'],
+  emergencyRelationship: ['emergencyrelationship', 'relationship'],
+});
+
+/**
+ * Government number formats, checked on digits only and stored with the
+ * dashes the agencies print on their IDs.
+ */
+const GOVERNMENT_IDS = Object.freeze({
+  sssNumber: {
+    label: 'SSS number',
+    lengths: [10],
+    format: (digits) => `${digits.slice(0, 2)}-${digits.slice(2, 9)}-${digits.slice(9)}`,
+  },
+  philhealthNumber: {
+    label: 'PhilHealth number',
+    lengths: [12],
+    format: (digits) => `${digits.slice(0, 2)}-${digits.slice(2, 11)}-${digits.slice(11)}`,
+  },
+  pagibigNumber: {
+    label: 'Pag-IBIG MID number',
+    lengths: [12],
+    format: (digits) => `${digits.slice(0, 4)}-${digits.slice(4, 8)}-${digits.slice(8)}`,
+  },
+  tinNumber: {
+    label: 'TIN',
+    // 9-digit TIN, optionally followed by a 3- or 5-digit branch code
+    lengths: [9, 12, 14],
+    format: (digits) => [digits.slice(0, 3), digits.slice(3, 6), digits.slice(6, 9), digits.slice(9)].filter(Boolean).join('-'),
+  },
+});
+
+const createServiceError = (code, message, details) => {
+  const error = new Error(message);
+  error.code = code;
+  if (details !== undefined) {
+    error.details = details;
+  }
+  return error;
+};
+
+const safeString = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'string') {
+    return value.trim();
+  }
+  return String(value).trim();
+};
+
+const normalizeHeader = (value) => safeString(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const normalizeIdNumber = (value) => safeString(value).toUpperCase();
+
+/**
+ * Suggest which column feeds each employee field from the header names.
+ */
+const suggestMapping = (headers = []) => {
+  const mapping = {};
+  const used = new Set();
+  IMPORT_FIELDS.forEach((field) => {
+    const match = headers.find((header) => !used.has(header) && FIELD_ALIASES[field].includes(normalizeHeader(header)));
+    if (match) {
+      mapping[field] = match;
+      used.add(match);
+    }
+  });
+  return mapping;
+};
+
+const validateMapping = (headers, mapping = {}) => {
+  const errors = [];
+  REQUIRED_FIELDS.forEach((field) => {
+    if (!safeString(mapping[field])) {
+      errors.push(`No column is mapped to ${field}`);
+    }
+  });
+  Object.keys(mapping).forEach((field) => {
+    if (!IMPORT_FIELDS.includes(field)) {
+      errors.push(`Unknown import field ${field}`);
+    } else if (safeString(mapping[field]) && !headers.includes(safeString(mapping[field]))) {
+      errors.push(`Column "${mapping[field]}" mapped to ${field} is not in the file`);
+    }
+  });
+  return errors;
+};
+
+const parseMappingInput = (value) => {
+  if (!value) {
+    return null;
+  }
+  if (typeof value === 'object') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw createServiceError('invalid-argument', 'mapping must be a JSON object of field -> column header');
+  }
+};
+
+const resolveDateFormat = (value) => {
+  const format = safeString(value).toUpperCase() || 'MDY';
+  if (!DATE_FORMATS.includes(format)) {
+    throw createServiceError('invalid-argument', `dateFormat must be one of: ${DATE_FORMATS.join(', ')}`);
+  }
+  return format;
+};
+
+/**
+ * Parse an amount cell, allowing thousands separators and a peso sign.
+ * @returns {number|null} null when the cell is not a number
+ */
+const parseAmount = (value) => {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  const text = safeString(value).replace(/[₱,\s]/g, '').replace(/^php/i, '');
+  if (!/^-?\d+(\.\d+)?$/.test(text)) {
+    return null;
+  }
+  return Number(text);
+};
+
+/**
+ * Check a government number and return it in its printed format.
+ * @returns {object} { value, error }
+ */
+const normalizeGovernmentId = (field, raw) => {
+  const rule = GOVERNMENT_IDS[field];
+  const text = safeString(raw);
+  const digits = text.replace(/[\s-]/g, '');
+  if (!/^\d+$/.test(digits) || !rule.lengths.includes(digits.length)) {
+    return {
+      value: text,
+      error: `Invalid ${rule.label} "${text}" (expected ${rule.lengths.join(' or ')} digits)`,
+    };
+  }
+  return { value: rule.format(digits), error: null };
+};
+
+/**
+ * Apply a mapping to raw rows and validate each one.
+ * @param {Array} rows - [{ line, cells }]
+ * @param {Array} headers - Header row
+ * @param {object} mapping - field -> header
+ * @param {object} options - { dateFormat, existingIdNumbers: Map of ID number -> employee id }
+ * @returns {object} { records, rejected }
+ */
+const normalizeRows = (rows, headers, mapping, { dateFormat = 'MDY', existingIdNumbers = new Map() } = {}) => {
+  const columnOf = IMPORT_FIELDS.reduce((acc, field) => {
+    acc[field] = mapping[field] ? headers.indexOf(mapping[field]) : -1;
+    return acc;
+  }, {});
+  const value = (row, field) => (columnOf[field] >= 0 ? row.cells[columnOf[field]] : '');
+
+  const records = [];
+  const rejected = [];
+  const seen = new Map();
+
+  rows.forEach((row) => {
+    const errors = [];
+    const employee = {};
+
+    IMPORT_FIELDS.forEach((field) => {
+      const raw = value(row, field);
+      if (!safeString(raw)) {
+        return;
+      }
+      if (DATE_FIELDS.includes(field)) {
+        const date = parseImportDate(raw, dateFormat);
+        if (!date) {
+          errors.push(`Invalid ${field} "${safeString(raw)}"`);
+        } else {
+          employee[field] = date;
+        }
+      } else if (AMOUNT_FIELDS.includes(field)) {
+        const amount = parseAmount(raw);
+        if (amount === null) {
+          errors.push(`Invalid ${field} "${safeString(raw)}"`);
+        } else {
+          employee[field] = amount;
+        }
+      } else if (GOVERNMENT_IDS[field]) {
+        const { value: formatted, error } = normalizeGovernmentId(field, raw);
+        if (error) {
+          errors.push(error);
+        }
+        employee[field] = formatted;
+      } else {
+        employee[field] = safeString(raw);
+      }
+    });
+
+    // ID numbers are compared without regard to case but stored as written
+    const idKey = normalizeIdNumber(employee.idNumber);
+    if (!idKey) {
+      errors.push('Missing ID number');
+    } else if (seen.has(idKey)) {
+      errors.push(`Duplicate ID number ${employee.idNumber}, also on row ${seen.get(idKey)}`);
+    } else if (existingIdNumbers.has(idKey)) {
+      errors.push(`ID number ${employee.idNumber} already belongs to employee ${existingIdNumbers.get(idKey)}`);
+    }
+    errors.push(...validateEmployeeData(employee));
+
+    const entry = {
+      line: row.line,
+      idNumber: employee.idNumber || null,
+      employeeName: [employee.firstName, employee.lastName].filter(Boolean).join(' ') || null,
+    };
+    if (idKey && !seen.has(idKey)) {
+      seen.set(idKey, row.line);
+    }
+    if (errors.length > 0) {
+      rejected.push({ ...entry, errors });
+      return;
+    }
+    records.push({ ...entry, employee });
+  });
+
+  return { records, rejected };
+};
+
+const loadExistingIdNumbers = async (companyId) => {
+  const db = firestore();
+  const snapshot = await db.collection(EMPLOYEES_COLLECTION).where('companyId', '==', companyId).get();
+  const idNumbers = new Map();
+  snapshot.docs.forEach((doc) => {
+    const idNumber = normalizeIdNumber((doc.data() || {}).idNumber);
+    if (idNumber) {
+      idNumbers.set(idNumber, doc.id);
+    }
+  });
+  return idNumbers;
+};
+
+const writeJsonChunks = (batch, importRef, subcollection, items) => {
+  for (let index = 0; index * ROWS_PER_CHUNK < items.length; index += 1) {
+    batch.set(importRef.collection(subcollection).doc(String(index)), {
+      index,
+      rows: JSON.stringify(items.slice(index * ROWS_PER_CHUNK, (index + 1) * ROWS_PER_CHUNK)),
+    });
+  }
+};
+
+const loadJsonChunks = async (importRef, subcollection) => {
+  const snapshot = await importRef.collection(subcollection).orderBy('index').get();
+  return snapshot.docs.reduce((rows, doc) => rows.concat(JSON.parse((doc.data() || {}).rows || '[]')), []);
+};
+
+/**
+ * Validate a masterlist without creating employees. The parsed rows are staged
+ * so the commit step does not need the file again.
+ * @param {Buffer} buffer - Uploaded XLSX, XLS or CSV file
+ * @param {object} payload - { companyId, fileName?, mapping?, dateFormat? }
+ * @param {object} options - Contains userId, email
+ * @returns {object} Import preview
+ */
+const previewImport = async (buffer, payload = {}, options = {}) => {
+  const companyId = safeString(payload.companyId);
+  if (!companyId) {
+    throw createServiceError('invalid-argument', 'companyId is required');
+  }
+
+  const { headers, rows } = readImportFile(buffer);
+  const suggestedMapping = suggestMapping(headers);
+  const mapping = parseMappingInput(payload.mapping) || suggestedMapping;
+  const dateFormat = resolveDateFormat(payload.dateFormat);
+  const mappingErrors = validateMapping(headers, mapping);
+  const { records, rejected } = mappingErrors.length === 0
+    ? normalizeRows(rows, headers, mapping, { dateFormat, existingIdNumbers: await loadExistingIdNumbers(companyId) })
+    : { records: [], rejected: [] };
+
+  const totals = { rows: rows.length, valid: records.length, rejected: rejected.length };
+  const db = firestore();
+  const importRef = db.collection(IMPORTS_COLLECTION).doc();
+  const batch = db.batch();
+  batch.set(importRef, {
+    companyId,
+    status: IMPORT_STATUSES.PREVIEWED,
+    fileName: safeString(payload.fileName) || null,
+    headers,
+    mapping,
+    dateFormat,
+    totals,
+    createdBy: options.userId || null,
+    createdByEmail: options.email || null,
+    createdAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+  writeJsonChunks(batch, importRef, IMPORT_CHUNKS_SUBCOLLECTION, rows);
+  await batch.commit();
+
+  return {
+    success: true,
+    importId: importRef.id,
+    headers,
+    fields: IMPORT_FIELDS,
+    requiredFields: REQUIRED_FIELDS,
+    suggestedMapping,
+    mapping,
+    mappingErrors,
+    dateFormat,
+    totals,
+    sample: records.slice(0, PREVIEW_SAMPLE_SIZE).map(({ line, employee }) => ({ line, ...employee })),
+    rejected,
+  };
+};
+
+const getImport = async (companyId, importId) => {
+  const id = safeString(importId);
+  if (!id) {
+    throw createServiceError('invalid-argument', 'importId is required');
+  }
+  const db = firestore();
+  const importRef = db.collection(IMPORTS_COLLECTION).doc(id);
+  const snapshot = await importRef.get();
+  if (!snapshot.exists || (companyId && (snapshot.data() || {}).companyId !== companyId)) {
+    throw createServiceError('not-found', `Import ${id} not found.`);
+  }
+  return { ref: importRef, data: { id, ...snapshot.data() } };
+};
+
+/**
+ * Mark the import as being committed so a second submit cannot create the same
+ * employees again. A claim older than COMMIT_CLAIM_TIMEOUT_MS is taken over.
+ * @returns {string} The status to go back to if the commit fails
+ */
+const claimImportCommit = async (importRef, options = {}) => {
+  const db = firestore();
+  return db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(importRef);
+    const data = snapshot.data() || {};
+    if (data.status === IMPORT_STATUSES.COMMITTED) {
+      throw createServiceError('failed-precondition', `Import ${importRef.id} was already committed.`);
+    }
+    const startedAt = Date.parse(data.commitStartedAt || '');
+    if (data.status === IMPORT_STATUSES.COMMITTING
+      && Number.isFinite(startedAt) && Date.now() - startedAt < COMMIT_CLAIM_TIMEOUT_MS) {
+      throw createServiceError('failed-precondition', `Import ${importRef.id} is already being committed.`);
+    }
+    transaction.update(importRef, {
+      status: IMPORT_STATUSES.COMMITTING,
+      commitStartedAt: new Date().toISOString(),
+      commitStartedBy: options.userId || null,
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    return data.status === IMPORT_STATUSES.PARTIALLY_COMMITTED
+      ? IMPORT_STATUSES.PARTIALLY_COMMITTED
+      : IMPORT_STATUSES.PREVIEWED;
+  });
+};
+
+// Employees an earlier attempt of this import already created, by normalized ID number
+const loadCreatedByImport = async (importId) => {
+  const db = firestore();
+  const snapshot = await db.collection(EMPLOYEES_COLLECTION).where('importId', '==', importId).get();
+  const created = new Map();
+  snapshot.docs.forEach((doc) => {
+    const idNumber = normalizeIdNumber((doc.data() || {}).idNumber);
+    if (idNumber) {
+      created.set(idNumber, doc.id);
+    }
+  });
+  return created;
+};
+
+/**
+ * Re-validate a staged import with its final mapping and create the valid rows
+ * in batches. Every row of the file gets a result: created, rejected or failed.
+ * Committing again after failed writes only creates the rows still missing;
+ * rows an earlier attempt created keep their employee.
+ * @param {object} payload - { companyId, importId, mapping?, dateFormat? }
+ * @param {object} options - Contains userId, email
+ * @returns {object} { success, importId, totals, results }
+ */
+const commitImport = async (payload = {}, options = {}) => {
+  const companyId = safeString(payload.companyId);
+  if (!companyId) {
+    throw createServiceError('invalid-argument', 'companyId is required');
+  }
+  const { ref, data } = await getImport(companyId, payload.importId);
+  if (data.status === IMPORT_STATUSES.COMMITTED) {
+    throw createServiceError('failed-precondition', `Import ${data.id} was already committed.`);
+  }
+
+  const mapping = parseMappingInput(payload.mapping) || data.mapping || {};
+  const dateFormat = resolveDateFormat(payload.dateFormat || data.dateFormat);
+  const mappingErrors = validateMapping(data.headers || [], mapping);
+  if (mappingErrors.length > 0) {
+    throw createServiceError('invalid-argument', `Invalid mapping: ${mappingErrors.join(', ')}`, mappingErrors);
+  }
+
+  const previousStatus = await claimImportCommit(ref, options);
+  try {
+    return await writeImportRows({ ref, data, companyId, mapping, dateFormat }, options);
+  } catch (error) {
+    await ref.update({ status: previousStatus, commitStartedAt: null, updatedAt: FieldValue.serverTimestamp() })
+      .catch((releaseError) => console.error('Failed to release employee import commit:', releaseError));
+    throw error;
+  }
+};
+
+const writeImportRows = async ({ ref, data, companyId, mapping, dateFormat }, options = {}) => {
+  const rows = await loadJsonChunks(ref, IMPORT_CHUNKS_SUBCOLLECTION);
+  const createdByImport = await loadCreatedByImport(data.id);
+  const existingIdNumbers = await loadExistingIdNumbers(companyId);
+  createdByImport.forEach((employeeId, idNumber) => existingIdNumbers.delete(idNumber));
+  const { records, rejected } = normalizeRows(rows, data.headers || [], mapping, { dateFormat, existingIdNumbers });
+
+  const db = firestore();
+  const results = rejected.map((entry) => ({ ...entry, result: 'rejected', employeeId: null }));
+  const pending = [];
+  records.forEach(({ employee, ...entry }) => {
+    const employeeId = createdByImport.get(normalizeIdNumber(employee.idNumber));
+    if (employeeId) {
+      results.push({ ...entry, result: 'created', employeeId, errors: [] });
+    } else {
+      pending.push({ employee, ...entry });
+    }
+  });
+  for (let start = 0; start < pending.length; start += WRITES_PER_BATCH) {
+    const batch = db.batch();
+    const batchResults = pending.slice(start, start + WRITES_PER_BATCH).map(({ employee, ...entry }) => {
+      const employeeRef = db.collection(EMPLOYEES_COLLECTION).doc();
+      const record = prepareEmployeeRecord({ ...employee, companyId }, options);
+      batch.set(employeeRef, {
+        ...record,
+        id: employeeRef.id,
+        source: 'import',
+        importId: data.id,
+        createdAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+      return { ...entry, result: 'created', employeeId: employeeRef.id, errors: [] };
+    });
+    try {
+      await batch.commit();
+      results.push(...batchResults);
+    } catch (error) {
+      results.push(...batchResults.map((entry) => ({
+        ...entry,
+        result: 'failed',
+        employeeId: null,
+        errors: [`Write failed: ${error.message}`],
+      })));
+    }
+  }
+  results.sort((a, b) => a.line - b.line);
+
+  const totals = {
+    rows: rows.length,
+    created: results.filter((entry) => entry.result === 'created').length,
+    rejected: rejected.length,
+    failed: results.filter((entry) => entry.result === 'failed').length,
+  };
+  const batch = db.batch();
+  batch.update(ref, {
+    status: totals.failed > 0 ? IMPORT_STATUSES.PARTIALLY_COMMITTED : IMPORT_STATUSES.COMMITTED,
+    commitStartedAt: null,
+    mapping,
+    dateFormat,
+    committed: totals,
+    committedBy: options.userId || null,
+    committedAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+  writeJsonChunks(batch, ref, RESULT_CHUNKS_SUBCOLLECTION, results);
+  await batch.commit();
+
+  return {
+    success: totals.failed === 0,
+    importId: data.id,
+    fileName: data.fileName || null,
+    totals,
+    results,
+  };
+};
+
+const escapeCsvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Per-row outcome of a committed import as CSV. Before the commit the report
+ * lists the rows the preview rejected.
+ * @returns {object} { fileName, csv, count }
+ */
+const buildResultReport = async (payload = {}) => {
+  const companyId = safeString(payload.companyId);
+  if (!companyId) {
+    throw createServiceError('invalid-argument', 'companyId is required');
+  }
+  const { ref, data } = await getImport(companyId, payload.importId);
+
+  let results;
+  if ([IMPORT_STATUSES.COMMITTED, IMPORT_STATUSES.PARTIALLY_COMMITTED].includes(data.status)) {
+    results = await loadJsonChunks(ref, RESULT_CHUNKS_SUBCOLLECTION);
+  } else {
+    const rows = await loadJsonChunks(ref, IMPORT_CHUNKS_SUBCOLLECTION);
+    const { rejected } = normalizeRows(rows, data.headers || [], data.mapping || {}, {
+      dateFormat: data.dateFormat,
+      existingIdNumbers: await loadExistingIdNumbers(companyId),
+    });
+    results = rejected.map((entry) => ({ ...entry, result: 'rejected', employeeId: null }));
+  }
+
+  const lines = [['Row', 'ID Number', 'Name', 'Result', 'Employee ID', 'Errors'].join(',')];
+  results.forEach((entry) => {
+    lines.push([
+      entry.line,
+      entry.idNumber,
+      entry.employeeName,
+      entry.result,
+      entry.employeeId,
+      (entry.errors || []).join('; '),
+    ].map(escapeCsvCell).join(','));
+  });
+
+  const baseName = safeString(data.fileName).replace(/\.[^.]+$/, '') || data.id;
+  return {
+    fileName: `${baseName}-results.csv`,
+    csv: `${lines.join('\r\n')}\r\n`,
+    count: results.length,
+  };
+};
+
+module.exports = {
+  IMPORT_FIELDS,
+  IMPORT_STATUSES,
+  GOVERNMENT_IDS,
+  suggestMapping,
+  normalizeRows,
+  normalizeGovernmentId,
+  previewImport,
+  commitImport,
+  buildResultReport,
+};
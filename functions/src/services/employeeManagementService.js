@@ -1,4 +1,5 @@
 const admin = require('../utils/firebaseAdmin');
+const compensationService = require('./compensationService');
 
 const firestore = () => {
   if (typeof admin.firestore !== 'function') {
@@ -10,6 +11,8 @@ const firestore = () => {
 const FieldValue = admin.firestore.FieldValue;
 const EMPLOYEES_COLLECTION = 'employees';
 const RECYCLE_BIN_COLLECTION = 'recycleBin';
+const PAY_FREQUENCIES = ['monthly', 'semi-monthly', 'weekly'];
+const RATE_TYPES = ['monthly', 'daily'];
 
 const createServiceError = (code, message, details) => {
   const error = new Error(message);
@@ -73,6 +76,36 @@ const cleanObject = (input) => {
   }, {});
 };
 
+// Records of another company are reported as missing rather than forbidden
+const assertSameCompany = (data, companyId, message) => {
+  if (safeString(companyId) && safeString(data.companyId) !== safeString(companyId)) {
+    throw createServiceError('not-found', message);
+  }
+};
+
+const paginate = (items, options = {}) => {
+  const pageSize = Math.max(1, Math.min(100, toNumber(options.pageSize, 20)));
+  const pageNumber = Math.max(1, toNumber(options.pageNumber, 1));
+  const totalPages = Math.ceil(items.length / pageSize);
+  return {
+    items: items.slice((pageNumber - 1) * pageSize, pageNumber * pageSize),
+    pagination: {
+      currentPage: pageNumber,
+      pageSize,
+      totalItems: items.length,
+      totalPages,
+      hasNextPage: pageNumber < totalPages,
+      hasPreviousPage: pageNumber > 1,
+    },
+  };
+};
+
+const matchesSearch = (employee, searchTerm) => {
+  const term = safeString(searchTerm).toLowerCase();
+  return [employee.employeeName, employee.firstName, employee.lastName, employee.idNumber, employee.id, employee.department]
+    .some((value) => safeString(value).toLowerCase().includes(term));
+};
+
 const validateEmployeeData = (data) => {
   const errors = [];
 
@@ -92,6 +125,18 @@ const validateEmployeeData = (data) => {
     errors.push('Basic pay cannot be negative');
   }
 
+  if (data.payFrequency && !PAY_FREQUENCIES.includes(safeString(data.payFrequency).toLowerCase())) {
+    errors.push(`Pay frequency must be one of: ${PAY_FREQUENCIES.join(', ')}`);
+  }
+
+  if (data.rateType && !RATE_TYPES.includes(safeString(data.rateType).toLowerCase())) {
+    errors.push(`Rate type must be one of: ${RATE_TYPES.join(', ')}`);
+  }
+
+  if (data.dailyRate && toNumber(data.dailyRate) < 0) {
+    errors.push('Daily rate cannot be negative');
+  }
+
   if (data.dateHired) {
     const hireDate = new Date(data.dateHired);
     if (Number.isNaN(hireDate.getTime())) {
@@ -150,6 +195,10 @@ const prepareEmployeeRecord = (data, options = {}) => {
     transportationAllowance,
     monthlySalary,
     basicSalary: basicPay, // For backward compatibility
+    payFrequency: data.payFrequency ? safeString(data.payFrequency).toLowerCase() : undefined,
+    rateType: data.rateType ? safeString(data.rateType).toLowerCase() : undefined,
+    dailyRate: data.dailyRate !== undefined && data.dailyRate !== '' ? toNumber(data.dailyRate, 0) : undefined,
+    statutorySplit: data.statutorySplit ? safeString(data.statutorySplit).toLowerCase() : undefined,
     startDate: safeString(data.dateHired), // For backward compatibility
     phone: safeString(data.cellphoneNumber), // For backward compatibility
     sssNumber: safeString(data.sssNumber),
@@ -231,25 +280,30 @@ const updateEmployee = async (employeeId, payload = {}, options = {}) => {
     }
 
     const existingData = snapshot.data();
-    const mergedData = { ...existingData, ...payload };
-    const employeeRecord = prepareEmployeeRecord(mergedData, options);
+    assertSameCompany(existingData, options.companyId, `Employee with ID ${employeeId} not found`);
+    // Pay and job changes go through the effective-dated history first, so the
+    // opening balance is taken from the values being replaced
+    const trackedChanges = compensationService.diffTrackedFields(existingData, payload);
+    if (Object.keys(trackedChanges).length > 0) {
+      await compensationService.recordCompensationChange({
+        ...trackedChanges,
+        companyId: existingData.companyId,
+        employeeId,
+        effectiveDate: new Date().toISOString().slice(0, 10),
+        reason: safeString(payload.changeReason) || 'Employee profile update',
+      }, options);
+    }
 
-    await employeeRef.update({
+    // An update never moves an employee to another company or rewrites who created it
+    const mergedData = { ...existingData, ...payload, companyId: existingData.companyId };
+    const employeeRecord = prepareEmployeeRecord(mergedData);
+
+    await employeeRef.update(cleanObject({
       ...employeeRecord,
+      updatedBy: options.userId || undefined,
+      updatedByEmail: options.email || undefined,
       updatedAt: FieldValue.serverTimestamp(),
-    });
-
-    if (options.userId) {
-      await employeeRef.update({
-        updatedBy: options.userId,
-      });
-    }
-
-    if (options.email) {
-      await employeeRef.update({
-        updatedByEmail: options.email,
-      });
-    }
+    }));
 
     return {
       success: true,
@@ -269,7 +323,7 @@ const updateEmployee = async (employeeId, payload = {}, options = {}) => {
   }
 };
 
-const getEmployee = async (employeeId) => {
+const getEmployee = async (employeeId, options = {}) => {
   if (!safeString(employeeId)) {
     throw createServiceError('invalid-argument', 'Employee ID is required');
   }
@@ -282,6 +336,7 @@ const getEmployee = async (employeeId) => {
     if (!snapshot.exists) {
       throw createServiceError('not-found', `Employee with ID ${employeeId} not found`);
     }
+    assertSameCompany(snapshot.data(), options.companyId, `Employee with ID ${employeeId} not found`);
 
     return {
       success: true,
@@ -313,6 +368,7 @@ const deleteEmployee = async (employeeId, payload = {}, options = {}) => {
     }
 
     const employeeData = snapshot.data();
+    assertSameCompany(employeeData, options.companyId, `Employee with ID ${employeeId} not found`);
     const deletionReason = safeString(payload.reason || '');
     const isHardDelete = payload.hardDelete === true;
 
@@ -374,6 +430,10 @@ const restoreEmployee = async (employeeId, options = {}) => {
     }
 
     const employeeData = snapshot.data();
+    assertSameCompany(employeeData, options.companyId, `No deleted employee found with ID ${employeeId}`);
+    if (employeeData.originalCollection && employeeData.originalCollection !== EMPLOYEES_COLLECTION) {
+      throw createServiceError('not-found', `No deleted employee found with ID ${employeeId}`);
+    }
     delete employeeData.deletedAt;
     delete employeeData.deletedBy;
     delete employeeData.deletedByEmail;
@@ -431,10 +491,15 @@ const listEmployees = async (companyId, options = {}) => {
       query = query.where('department', '==', options.department);
     }
 
-    if (options.searchTerm) {
-      const searchLower = safeString(options.searchTerm).toLowerCase();
-      query = query.where('employeeName', '>=', searchLower);
-      query = query.where('employeeName', '<=', searchLower + '\uf8ff');
+    // Firestore has no substring match, so a search filters the company's employees in memory
+    if (safeString(options.searchTerm)) {
+      const snapshot = await query.get();
+      const matches = snapshot.docs
+        .map((doc) => ({ id: doc.id, ...doc.data() }))
+        .filter((employee) => matchesSearch(employee, options.searchTerm))
+        .sort((a, b) => safeString(a.employeeName).localeCompare(safeString(b.employeeName)));
+      const { items, pagination } = paginate(matches, { pageSize, pageNumber });
+      return { success: true, employees: items, pagination };
     }
 
     // Get total count
@@ -478,6 +543,39 @@ const listEmployees = async (companyId, options = {}) => {
   }
 };
 
+/**
+ * Employees of a company sitting in the recycle bin, most recently deleted first.
+ * @param {string} companyId
+ * @param {object} options - { pageSize, pageNumber, searchTerm }
+ */
+const listDeletedEmployees = async (companyId, options = {}) => {
+  if (!safeString(companyId)) {
+    throw createServiceError('invalid-argument', 'Company ID is required');
+  }
+
+  try {
+    const db = firestore();
+    const snapshot = await db.collection(RECYCLE_BIN_COLLECTION)
+      .where('companyId', '==', safeString(companyId))
+      .get();
+
+    const toMillis = (value) => (value && typeof value.toMillis === 'function' ? value.toMillis() : 0);
+    const deleted = snapshot.docs
+      .map((doc) => ({ id: doc.id, ...doc.data() }))
+      .filter((entry) => !entry.originalCollection || entry.originalCollection === EMPLOYEES_COLLECTION)
+      .filter((entry) => !safeString(options.searchTerm) || matchesSearch(entry, options.searchTerm))
+      .sort((a, b) => toMillis(b.deletedAt) - toMillis(a.deletedAt));
+
+    const { items, pagination } = paginate(deleted, options);
+    return { success: true, employees: items, pagination };
+  } catch (error) {
+    if (error.code) {
+      throw error;
+    }
+    throw createServiceError('internal', `Failed to list deleted employees: ${error.message}`);
+  }
+};
+
 const bulkDeleteEmployees = async (employeeIds = [], payload = {}, options = {}) => {
   if (!Array.isArray(employeeIds) || employeeIds.length === 0) {
     throw createServiceError('invalid-argument', 'At least one employee ID is required');
@@ -523,6 +621,7 @@ module.exports = {
   deleteEmployee,
   restoreEmployee,
   listEmployees,
+  listDeletedEmployees,
   bulkDeleteEmployees,
   prepareEmployeeRecord,
   validateEmployeeData,
@@ -58,7 +58,8 @@ function computeStatus({ host, port, user, pass, secure }) {
     user: mask(user),
     pass: pass ? '***' : '',
     from: getFromAddress(),
-    configured: Boolean(host && port && user && pass),
+    // A local SMTP sink (MailHog, Mailpit, smtp4dev) needs a host and port but no login
+    configured: Boolean(host && port && (user ? pass : !pass)),
     fallback: false,
   };
 }
@@ -75,7 +76,7 @@ function getMailTransporter() {
   cachedStatus = computeStatus({ host, port, user, pass, secure });
 
   if (!cachedStatus.configured) {
-    console.warn('[mailService] SMTP env incomplete (HOST, PORT, USER, PASS required).');
+    console.warn('[mailService] SMTP env incomplete (HOST and PORT required; USER and PASS together or not at all).');
     // Attempt dev fallback only if not production
     const nodeEnv = (process.env.NODE_ENV || '').toLowerCase();
     if (nodeEnv !== 'production') {
@@ -88,7 +89,7 @@ function getMailTransporter() {
     host,
     port,
     secure,
-    auth: { user, pass },
+    ...(user ? { auth: { user, pass } } : {}),
   });
 
   return cachedTransporter;
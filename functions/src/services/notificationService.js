@@ -0,0 +1,678 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const admin = require('../utils/firebaseAdmin');
+const { ensureTransport, getFromAddress, getMailConfigStatus } = require('./mailService');
+const accessControlService = require('./accessControlService');
+const { getJwtSecret } = require('./authService');
+
+const firestore = () => {
+  if (typeof admin.firestore !== 'function') {
+    throw new Error('Firestore is not initialized');
+  }
+  return admin.firestore();
+};
+
+const FieldValue = admin.firestore.FieldValue;
+
+// Every message goes through the outbox first, so a failed send is retried instead of lost
+const OUTBOX_COLLECTION = 'notificationOutbox';
+// Keyed by a hash of the recipient's email; holds the categories they opted out of
+const PREFERENCES_COLLECTION = 'notificationPreferences';
+const USERS_COLLECTION = 'users';
+const EMPLOYEES_COLLECTION = 'employees';
+const PAYROLLS_COLLECTION = 'payrolls';
+
+const toNumber = (value, fallback = 0) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+const OUTBOX_STATUSES = Object.freeze({
+  PENDING: 'pending',
+  SENDING: 'sending',
+  SENT: 'sent',
+  FAILED: 'failed',
+  SKIPPED: 'skipped',
+});
+
+const MAX_ATTEMPTS = toNumber(process.env.NOTIFICATION_MAX_ATTEMPTS, 5);
+// Wait before the next attempt, by number of attempts made so far
+const RETRY_DELAYS_MINUTES = [1, 5, 15, 60, 240];
+// A send that has not finished by then is assumed to have died with its process
+const STALE_SENDING_MINUTES = 10;
+const UNSUBSCRIBE_TOKEN_TTL = '180d';
+
+// Security mail (password reset, activation) cannot be switched off
+const CATEGORIES = Object.freeze({
+  security: { label: 'Account security', optional: false },
+  'payroll-approvals': { label: 'Payroll approval requests', optional: true },
+  payslips: { label: 'Payslip notices', optional: true },
+});
+
+const createServiceError = (code, message, details) => {
+  const error = new Error(message);
+  error.code = code;
+  if (details !== undefined) {
+    error.details = details;
+  }
+  return error;
+};
+
+const safeString = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return String(value).trim();
+};
+
+const escapeHtml = (value) => safeString(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const normalizeEmail = (value) => safeString(value).toLowerCase();
+
+const isValidEmail = (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+
+const nowIso = () => new Date().toISOString();
+
+const addMinutes = (date, minutes) => new Date(date.getTime() + minutes * 60 * 1000);
+
+const preferencesRef = (email) => firestore()
+  .collection(PREFERENCES_COLLECTION)
+  .doc(crypto.createHash('sha256').update(normalizeEmail(email)).digest('hex'));
+
+const appUrl = (path) => `${safeString(process.env.APP_BASE_URL).replace(/\/+$/, '')}${path}`;
+
+const apiUrl = (path) => `${safeString(process.env.API_BASE_URL).replace(/\/+$/, '')}${path}`;
+
+// ---------------------------------------------------------------------------
+// Templates
+// ---------------------------------------------------------------------------
+
+const renderLayout = ({ name, paragraphs, action, footer }) => {
+  const greeting = name ? `Hi ${name},` : 'Hi,';
+  const html = [
+    '<div style="font-family:Arial,sans-serif;font-size:14px;color:#1f2933;max-width:560px">',
+    `<p>${escapeHtml(greeting)}</p>`,
+    ...paragraphs.map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`),
+    action
+      ? `<p><a href="${escapeHtml(action.url)}" style="display:inline-block;padding:10px 18px;background:#1f3a5f;color:#fff;text-decoration:none;border-radius:4px">${escapeHtml(action.label)}</a></p>`
+      : '',
+    '<p>Inspire ERS</p>',
+    footer ? `<p style="font-size:12px;color:#6b7280">${footer.html}</p>` : '',
+    '</div>',
+  ].join('');
+  const text = [
+    greeting,
+    ...paragraphs,
+    action ? `${action.label}: ${action.url}` : null,
+    'Inspire ERS',
+    footer ? footer.text : null,
+  ].filter(Boolean).join('\n\n');
+  return { html, text };
+};
+
+/**
+ * Each template renders { subject, paragraphs, action } from the entry's data.
+ * Sensitive templates carry secrets (links, codes), so their rendered body is
+ * dropped from the outbox once delivered.
+ */
+const TEMPLATES = Object.freeze({
+  'password-reset': {
+    category: 'security',
+    sensitive: true,
+    render: (data) => ({
+      subject: 'Reset your Inspire ERS password',
+      paragraphs: [
+        'We received a request to reset the password of your account.',
+        'If you did not ask for this, you can ignore this email; your password stays the same.',
+      ],
+      action: { label: 'Reset password', url: data.resetLink },
+    }),
+  },
+  'account-activation': {
+    category: 'security',
+    sensitive: true,
+    render: (data) => ({
+      subject: 'Activate your Inspire ERS account',
+      paragraphs: [
+        `Your activation code is ${data.code}.`,
+        `Enter it with your email address on the activation page. The code expires on ${new Date(data.expiresAt).toUTCString()}.`,
+      ],
+      action: { label: 'Activate account', url: appUrl(`/activate?email=${encodeURIComponent(data.email || '')}`) },
+    }),
+  },
+  'payroll-approval-request': {
+    category: 'payroll-approvals',
+    render: (data) => ({
+      subject: `Payroll for ${data.payDate} is waiting for approval`,
+      paragraphs: [
+        `${data.submittedBy || 'A payroll officer'} submitted the ${data.companyName || data.companyId} payroll run for review.`,
+        `Cutoff: ${data.cutoffStartDate} to ${data.cutoffEndDate}. Pay date: ${data.payDate}.`,
+      ],
+      action: { label: 'Review payroll run', url: appUrl(`/payroll/runs/${encodeURIComponent(data.runId)}`) },
+    }),
+  },
+  // No figures here; amounts only travel in the password-protected payslip
+  'payslip-ready': {
+    category: 'payslips',
+    render: (data) => ({
+      subject: `Your payslip for ${data.payDate} is ready`,
+      paragraphs: [
+        `Your payslip for the ${data.cutoffStartDate} to ${data.cutoffEndDate} cutoff has been released by ${data.companyName || 'your employer'}.`,
+      ],
+      action: { label: 'View payslip', url: appUrl('/payslips') },
+    }),
+  },
+});
+
+const createUnsubscribeToken = (email, category) => jwt.sign(
+  { typ: 'unsubscribe', email: normalizeEmail(email), category },
+  getJwtSecret(),
+  { expiresIn: UNSUBSCRIBE_TOKEN_TTL },
+);
+
+const renderTemplate = (templateName, { to, name, data = {} }) => {
+  const template = TEMPLATES[templateName];
+  const content = template.render(data);
+  let footer = null;
+  let headers = {};
+  if (CATEGORIES[template.category].optional && process.env.API_BASE_URL) {
+    const url = apiUrl(`/notifications/unsubscribe?token=${encodeURIComponent(createUnsubscribeToken(to, template.category))}`);
+    footer = {
+      html: `You receive this because of your Inspire ERS account. <a href="${escapeHtml(url)}">Unsubscribe from ${escapeHtml(CATEGORIES[template.category].label.toLowerCase())}</a>.`,
+      text: `Unsubscribe from ${CATEGORIES[template.category].label.toLowerCase()}: ${url}`,
+    };
+    headers = { 'List-Unsubscribe': `<${url}>` };
+  }
+  return {
+    subject: content.subject,
+    headers,
+    ...renderLayout({ name, paragraphs: content.paragraphs, action: content.action, footer }),
+  };
+};
+
+// ---------------------------------------------------------------------------
+// Preferences
+// ---------------------------------------------------------------------------
+
+const getPreferences = async (email) => {
+  const normalized = normalizeEmail(email);
+  if (!normalized) {
+    throw createServiceError('invalid-argument', 'email is required.');
+  }
+  const snapshot = await preferencesRef(normalized).get();
+  const unsubscribed = snapshot.exists ? snapshot.data()?.unsubscribed || {} : {};
+  return {
+    email: normalized,
+    categories: Object.entries(CATEGORIES).map(([key, category]) => ({
+      key,
+      label: category.label,
+      optional: category.optional,
+      subscribed: !category.optional || !unsubscribed[key],
+    })),
+  };
+};
+
+/**
+ * Switch optional categories on or off for an email address.
+ * @param {object} changes - category -> subscribed (boolean)
+ */
+const updatePreferences = async (email, changes = {}) => {
+  const normalized = normalizeEmail(email);
+  if (!normalized) {
+    throw createServiceError('invalid-argument', 'email is required.');
+  }
+  const errors = Object.keys(changes)
+    .filter((key) => !CATEGORIES[key] || !CATEGORIES[key].optional)
+    .map((key) => (CATEGORIES[key] ? `${key} emails cannot be switched off` : `unknown category ${key}`));
+  if (errors.length) {
+    throw createServiceError('invalid-argument', errors.join('; '), errors);
+  }
+  const unsubscribed = Object.fromEntries(Object.entries(changes)
+    .map(([key, subscribed]) => [key, !subscribed]));
+  await preferencesRef(normalized).set({
+    email: normalized,
+    unsubscribed,
+    updatedAt: nowIso(),
+  }, { merge: true });
+  return getPreferences(normalized);
+};
+
+const unsubscribeWithToken = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(safeString(token), getJwtSecret());
+  } catch (error) {
+    throw createServiceError('invalid-argument', 'The unsubscribe link is invalid or has expired.');
+  }
+  if (payload.typ !== 'unsubscribe' || !CATEGORIES[payload.category]?.optional) {
+    throw createServiceError('invalid-argument', 'The unsubscribe link is invalid or has expired.');
+  }
+  await updatePreferences(payload.email, { [payload.category]: false });
+  return { email: payload.email, category: payload.category, label: CATEGORIES[payload.category].label };
+};
+
+const isUnsubscribed = async (email, category) => {
+  if (!CATEGORIES[category].optional) {
+    return false;
+  }
+  const snapshot = await preferencesRef(email).get();
+  return Boolean(snapshot.exists && snapshot.data()?.unsubscribed?.[category]);
+};
+
+// ---------------------------------------------------------------------------
+// Outbox
+// ---------------------------------------------------------------------------
+
+const mapOutboxDoc = (doc) => {
+  const { html, text, ...entry } = doc.data() || {};
+  return { id: doc.id, ...entry };
+};
+
+/**
+ * Claim an entry for sending. Only one worker can move it to "sending", and an
+ * entry stuck there past STALE_SENDING_MINUTES can be claimed again.
+ * @returns {Promise<object|null>} the entry, or null when it is not due
+ */
+const claimEntry = (id) => {
+  const db = firestore();
+  const ref = db.collection(OUTBOX_COLLECTION).doc(id);
+  return db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(ref);
+    if (!snapshot.exists) {
+      throw createServiceError('not-found', `Notification ${id} not found.`);
+    }
+    const entry = snapshot.data() || {};
+    const now = new Date();
+    const due = entry.status === OUTBOX_STATUSES.PENDING && (!entry.nextAttemptAt || entry.nextAttemptAt <= now.toISOString());
+    const stale = entry.status === OUTBOX_STATUSES.SENDING
+      && entry.claimedAt && entry.claimedAt <= addMinutes(now, -STALE_SENDING_MINUTES).toISOString();
+    if (!due && !stale) {
+      return null;
+    }
+    transaction.update(ref, {
+      status: OUTBOX_STATUSES.SENDING,
+      claimedAt: now.toISOString(),
+      attempts: toNumber(entry.attempts) + 1,
+    });
+    return { ...entry, attempts: toNumber(entry.attempts) + 1 };
+  });
+};
+
+/**
+ * Try to send one outbox entry now. A failure leaves it pending with a later
+ * nextAttemptAt until MAX_ATTEMPTS is reached, then marks it failed.
+ * @returns {Promise<object>} { id, status, error? }
+ */
+const deliverNotification = async (id) => {
+  const entry = await claimEntry(safeString(id));
+  const ref = firestore().collection(OUTBOX_COLLECTION).doc(safeString(id));
+  if (!entry) {
+    const snapshot = await ref.get();
+    return { id, status: snapshot.data()?.status || null, skipped: true };
+  }
+
+  try {
+    const transporter = await ensureTransport();
+    if (!transporter) {
+      throw createServiceError('failed-precondition', 'Mail transport not configured on server', getMailConfigStatus());
+    }
+    const info = await transporter.sendMail({
+      from: getFromAddress(),
+      to: entry.to,
+      subject: entry.subject,
+      html: entry.html,
+      text: entry.text,
+      headers: entry.headers || {},
+    });
+    await ref.update({
+      status: OUTBOX_STATUSES.SENT,
+      sentAt: nowIso(),
+      messageId: info?.messageId || null,
+      lastError: null,
+      nextAttemptAt: null,
+      ...(TEMPLATES[entry.template]?.sensitive ? { html: FieldValue.delete(), text: FieldValue.delete() } : {}),
+    });
+    return { id, status: OUTBOX_STATUSES.SENT };
+  } catch (error) {
+    const exhausted = entry.attempts >= MAX_ATTEMPTS;
+    const delay = RETRY_DELAYS_MINUTES[Math.min(entry.attempts, RETRY_DELAYS_MINUTES.length) - 1];
+    console.warn(`⚠️ Notification ${id} attempt ${entry.attempts} failed: ${error.message}`);
+    await ref.update({
+      status: exhausted ? OUTBOX_STATUSES.FAILED : OUTBOX_STATUSES.PENDING,
+      lastError: error.message || String(error),
+      lastAttemptAt: nowIso(),
+      nextAttemptAt: exhausted ? null : addMinutes(new Date(), delay).toISOString(),
+      ...(exhausted && TEMPLATES[entry.template]?.sensitive ? { html: FieldValue.delete(), text: FieldValue.delete() } : {}),
+    });
+    return { id, status: exhausted ? OUTBOX_STATUSES.FAILED : OUTBOX_STATUSES.PENDING, error: error.message };
+  }
+};
+
+/**
+ * Render a template and queue it. Recipients who switched the category off get
+ * a skipped entry so the outbox still shows why nothing was sent.
+ * @param {object} params - { template, to, name, userId, companyId, data, dedupeKey, deliverNow }
+ * @returns {Promise<object>} { id, status }
+ */
+const enqueueNotification = async ({
+  template,
+  to,
+  name = null,
+  userId = null,
+  companyId = null,
+  data = {},
+  dedupeKey = null,
+  deliverNow = true,
+} = {}) => {
+  if (!TEMPLATES[template]) {
+    throw createServiceError('invalid-argument', `Unknown notification template ${template}.`);
+  }
+  const recipient = normalizeEmail(to);
+  if (!isValidEmail(recipient)) {
+    throw createServiceError('invalid-argument', 'A valid recipient email is required.');
+  }
+
+  const collection = firestore().collection(OUTBOX_COLLECTION);
+  // A dedupe key makes re-running a trigger (e.g. marking a run paid twice) harmless
+  const ref = dedupeKey
+    ? collection.doc(crypto.createHash('sha256').update(String(dedupeKey)).digest('hex'))
+    : collection.doc();
+  if (dedupeKey) {
+    const existing = await ref.get();
+    if (existing.exists) {
+      return { id: ref.id, status: existing.data()?.status || null, duplicate: true };
+    }
+  }
+
+  const { category } = TEMPLATES[template];
+  const unsubscribed = await isUnsubscribed(recipient, category);
+  const entry = {
+    template,
+    category,
+    to: recipient,
+    userId,
+    companyId,
+    dedupeKey,
+    status: unsubscribed ? OUTBOX_STATUSES.SKIPPED : OUTBOX_STATUSES.PENDING,
+    attempts: 0,
+    createdAt: nowIso(),
+    nextAttemptAt: null,
+    lastError: null,
+    ...(unsubscribed
+      ? { subject: TEMPLATES[template].render(data).subject, skipReason: 'unsubscribed' }
+      : renderTemplate(template, { to: recipient, name, data })),
+  };
+  await ref.set(entry);
+
+  if (unsubscribed || !deliverNow) {
+    return { id: ref.id, status: entry.status };
+  }
+  return deliverNotification(ref.id);
+};
+
+// Oldest entries with a status that pass isDue, read a page at a time so entries
+// still backing off do not hide due ones queued after them
+const loadDueEntries = async (status, isDue, limit) => {
+  const due = [];
+  let query = firestore().collection(OUTBOX_COLLECTION)
+    .where('status', '==', status)
+    .orderBy('createdAt')
+    .limit(limit);
+  for (;;) {
+    const snapshot = await query.get();
+    due.push(...snapshot.docs.filter((doc) => isDue(doc.data())));
+    if (due.length >= limit || snapshot.docs.length < limit) {
+      return due.slice(0, limit);
+    }
+    query = query.startAfter(snapshot.docs[snapshot.docs.length - 1]);
+  }
+};
+
+/**
+ * Send every pending entry that is due, oldest first.
+ * @returns {Promise<object>} { processed, sent, failed, pending }
+ */
+const processOutbox = async ({ limit = 50 } = {}) => {
+  const pageSize = Math.max(1, toNumber(limit, 50));
+  const nowText = nowIso();
+  const staleBefore = addMinutes(new Date(), -STALE_SENDING_MINUTES).toISOString();
+  const [pending, stale] = await Promise.all([
+    loadDueEntries(OUTBOX_STATUSES.PENDING, (entry) => !entry.nextAttemptAt || entry.nextAttemptAt <= nowText, pageSize),
+    loadDueEntries(OUTBOX_STATUSES.SENDING, (entry) => entry.claimedAt && entry.claimedAt <= staleBefore, pageSize),
+  ]);
+  const due = [...pending, ...stale]
+    .sort((a, b) => safeString(a.data().createdAt).localeCompare(safeString(b.data().createdAt)))
+    .slice(0, pageSize);
+
+  const summary = { processed: 0, sent: 0, failed: 0, pending: 0 };
+  for (const doc of due) {
+    const result = await deliverNotification(doc.id);
+    if (result.skipped) {
+      continue;
+    }
+    summary.processed += 1;
+    if (result.status === OUTBOX_STATUSES.SENT) {
+      summary.sent += 1;
+    } else if (result.status === OUTBOX_STATUSES.FAILED) {
+      summary.failed += 1;
+    } else {
+      summary.pending += 1;
+    }
+  }
+  return summary;
+};
+
+/**
+ * Put a failed entry back in the queue for an immediate attempt.
+ * @param {object} options - { companyIds } the caller manages, null for all
+ */
+const retryNotification = async (id, { companyIds = null } = {}) => {
+  const ref = firestore().collection(OUTBOX_COLLECTION).doc(safeString(id));
+  const snapshot = await ref.get();
+  if (!snapshot.exists) {
+    throw createServiceError('not-found', `Notification ${id} not found.`);
+  }
+  const entry = snapshot.data() || {};
+  if (companyIds !== null && !companyIds.includes(entry.companyId)) {
+    throw createServiceError('permission-denied', 'You cannot manage this notification.');
+  }
+  if (entry.status !== OUTBOX_STATUSES.FAILED) {
+    throw createServiceError('failed-precondition', `Only failed notifications can be retried (this one is ${entry.status}).`);
+  }
+  if (!entry.html && !entry.text) {
+    throw createServiceError('failed-precondition', 'The message body was discarded; send a new one instead.');
+  }
+  await ref.update({ status: OUTBOX_STATUSES.PENDING, attempts: 0, nextAttemptAt: null });
+  return deliverNotification(snapshot.id);
+};
+
+/**
+ * Outbox entries, newest first, without message bodies.
+ * @param {object} filters - { companyIds (null for all), status, limit }
+ */
+const listOutbox = async ({ companyIds = null, status, limit = 100 } = {}) => {
+  let query = firestore().collection(OUTBOX_COLLECTION);
+  if (status) {
+    query = query.where('status', '==', safeString(status));
+  }
+  const snapshot = await query.get();
+  return snapshot.docs
+    .map(mapOutboxDoc)
+    .filter((entry) => companyIds === null || (entry.companyId && companyIds.includes(entry.companyId)))
+    .sort((a, b) => safeString(b.createdAt).localeCompare(safeString(a.createdAt)))
+    .slice(0, Math.max(1, toNumber(limit, 100)));
+};
+
+/**
+ * Retry due entries in the background. The timer does not keep the process
+ * alive, and a pass still running when the next tick fires is not overlapped.
+ * @returns {Function} stops the worker
+ */
+const startOutboxWorker = ({ intervalMs = 60 * 1000 } = {}) => {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      const summary = await processOutbox();
+      if (summary.processed) {
+        console.log('📧 Notification outbox processed:', summary);
+      }
+    } catch (error) {
+      console.error('❌ Notification outbox worker error:', error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref?.();
+  return () => clearInterval(timer);
+};
+
+// ---------------------------------------------------------------------------
+// Messages
+// ---------------------------------------------------------------------------
+
+const sendPasswordReset = ({ email, name, userId, resetLink }) => enqueueNotification({
+  template: 'password-reset',
+  to: email,
+  name,
+  userId,
+  data: { resetLink },
+});
+
+const sendAccountActivation = ({ uid, email, name, code, expiresAt }) => enqueueNotification({
+  template: 'account-activation',
+  to: email,
+  name,
+  userId: uid,
+  data: { email, code, expiresAt },
+});
+
+const loadCompanyName = async (companyId) => {
+  const snapshot = await firestore().collection('companies').doc(safeString(companyId)).get();
+  return snapshot.exists ? safeString(snapshot.data()?.name || snapshot.data()?.companyName) || null : null;
+};
+
+/**
+ * Tell everyone who can approve a company's payroll that a run was submitted
+ * for review. The submitter is left out even when they could approve.
+ * @param {object} run - payroll run document
+ * @param {object} options - { submittedBy: { uid, name, email } }
+ * @returns {Promise<object>} { queued }
+ */
+const notifyPayrollApprovers = async (run, { submittedBy = null } = {}) => {
+  const companyId = safeString(run?.companyId);
+  if (!companyId) {
+    throw createServiceError('invalid-argument', 'The payroll run has no companyId.');
+  }
+  const [usersSnapshot, companyName] = await Promise.all([
+    firestore().collection(USERS_COLLECTION).get(),
+    loadCompanyName(companyId),
+  ]);
+  const approvers = usersSnapshot.docs.filter((doc) => {
+    const data = doc.data() || {};
+    return doc.id !== submittedBy?.uid
+      && data.status !== 'inactive'
+      && isValidEmail(normalizeEmail(data.email))
+      && accessControlService.hasPermission(accessControlService.buildAccess(doc.id, data), 'payroll:approve', companyId);
+  });
+
+  // Keyed on the submission so a run sent back and resubmitted is announced again
+  const submission = (Array.isArray(run.history) ? run.history : []).filter((entry) => entry.to === 'for-review').pop();
+  for (const doc of approvers) {
+    await enqueueNotification({
+      template: 'payroll-approval-request',
+      to: doc.data().email,
+      name: doc.data().name || null,
+      userId: doc.id,
+      companyId,
+      dedupeKey: `payroll-approval:${run.id}:${submission?.at || run.submittedAt || nowIso()}:${doc.id}`,
+      data: {
+        runId: run.id,
+        companyId,
+        companyName,
+        cutoffStartDate: run.cutoffStartDate,
+        cutoffEndDate: run.cutoffEndDate,
+        payDate: run.payDate,
+        submittedBy: submittedBy?.name || submittedBy?.email || null,
+      },
+    });
+  }
+  return { queued: approvers.length };
+};
+
+/**
+ * Tell each employee in a paid run that their payslip is out. Employees
+ * without an email address are counted but not queued.
+ * @param {object} run - payroll run document
+ * @returns {Promise<object>} { queued, withoutEmail }
+ */
+const notifyPayslipsReady = async (run) => {
+  const companyId = safeString(run?.companyId);
+  if (!companyId || !run?.id) {
+    throw createServiceError('invalid-argument', 'The payroll run has no companyId.');
+  }
+  const db = firestore();
+  const [payrollsSnapshot, companyName] = await Promise.all([
+    db.collection(PAYROLLS_COLLECTION)
+      .where('companyId', '==', companyId)
+      .where('payrollRunId', '==', run.id)
+      .get(),
+    loadCompanyName(companyId),
+  ]);
+
+  let queued = 0;
+  let withoutEmail = 0;
+  for (const doc of payrollsSnapshot.docs) {
+    const payroll = doc.data() || {};
+    const employeeSnapshot = payroll.employeeId
+      ? await db.collection(EMPLOYEES_COLLECTION).doc(safeString(payroll.employeeId)).get()
+      : null;
+    const employee = employeeSnapshot?.exists ? employeeSnapshot.data() || {} : {};
+    if (!isValidEmail(normalizeEmail(employee.email))) {
+      withoutEmail += 1;
+      continue;
+    }
+    await enqueueNotification({
+      template: 'payslip-ready',
+      to: employee.email,
+      name: payroll.employeeName || null,
+      companyId,
+      dedupeKey: `payslip-ready:${doc.id}`,
+      data: {
+        companyName,
+        cutoffStartDate: payroll.cutoffStartDate,
+        cutoffEndDate: payroll.cutoffEndDate,
+        payDate: payroll.payDate,
+      },
+    });
+    queued += 1;
+  }
+  return { queued, withoutEmail };
+};
+
+module.exports = {
+  OUTBOX_STATUSES,
+  CATEGORIES,
+  TEMPLATES,
+  enqueueNotification,
+  deliverNotification,
+  processOutbox,
+  retryNotification,
+  listOutbox,
+  startOutboxWorker,
+  getPreferences,
+  updatePreferences,
+  unsubscribeWithToken,
+  sendPasswordReset,
+  sendAccountActivation,
+  notifyPayrollApprovers,
+  notifyPayslipsReady,
+};
@@ -0,0 +1,362 @@
+const admin = require('../utils/firebaseAdmin');
+
+const firestore = () => {
+  if (typeof admin.firestore !== 'function') {
+    throw new Error('Firestore is not initialized');
+  }
+  return admin.firestore();
+};
+
+const FieldValue = admin.firestore.FieldValue;
+
+const PAYROLL_RUNS_COLLECTION = 'payrollRuns';
+const PAYROLL_COLLECTION = 'payrolls';
+
+const RUN_STATUSES = Object.freeze({
+  DRAFT: 'draft',
+  FOR_REVIEW: 'for-review',
+  APPROVED: 'approved',
+  LOCKED: 'locked',
+  PAID: 'paid',
+  REOPENED: 'reopened',
+});
+
+/**
+ * Allowed moves between run states. A locked or paid run can only leave that
+ * state through an explicit reopen, which always requires a reason.
+ */
+const RUN_TRANSITIONS = Object.freeze({
+  [RUN_STATUSES.DRAFT]: [RUN_STATUSES.FOR_REVIEW],
+  [RUN_STATUSES.FOR_REVIEW]: [RUN_STATUSES.APPROVED, RUN_STATUSES.DRAFT],
+  [RUN_STATUSES.APPROVED]: [RUN_STATUSES.LOCKED, RUN_STATUSES.FOR_REVIEW],
+  [RUN_STATUSES.LOCKED]: [RUN_STATUSES.PAID, RUN_STATUSES.REOPENED],
+  [RUN_STATUSES.PAID]: [RUN_STATUSES.REOPENED],
+  [RUN_STATUSES.REOPENED]: [RUN_STATUSES.FOR_REVIEW],
+});
+
+// Prefix of the `<prefix>At` / `<prefix>By` fields stamped on each transition
+const TRANSITION_FIELD_PREFIXES = Object.freeze({
+  [RUN_STATUSES.DRAFT]: 'returnedToDraft',
+  [RUN_STATUSES.FOR_REVIEW]: 'submitted',
+  [RUN_STATUSES.APPROVED]: 'approved',
+  [RUN_STATUSES.LOCKED]: 'locked',
+  [RUN_STATUSES.PAID]: 'paid',
+  [RUN_STATUSES.REOPENED]: 'reopened',
+});
+
+const LOCKED_STATUSES = [RUN_STATUSES.LOCKED, RUN_STATUSES.PAID];
+// Statuses whose review or approval covered figures that a recalculation changes
+const SIGNED_OFF_STATUSES = [RUN_STATUSES.FOR_REVIEW, RUN_STATUSES.APPROVED];
+const REASON_REQUIRED_STATUSES = [RUN_STATUSES.REOPENED, RUN_STATUSES.DRAFT];
+
+const createServiceError = (code, message, details) => {
+  const error = new Error(message);
+  error.code = code;
+  if (details !== undefined) {
+    error.details = details;
+  }
+  return error;
+};
+
+const safeString = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'string') {
+    return value.trim();
+  }
+  return String(value).trim();
+};
+
+const normalizePeriod = (period = {}) => ({
+  companyId: safeString(period.companyId),
+  cutoffStartDate: safeString(period.cutoffStartDate),
+  cutoffEndDate: safeString(period.cutoffEndDate),
+  payDate: safeString(period.payDate),
+});
+
+const buildPayrollRunId = (period = {}) => {
+  const { companyId, cutoffStartDate, cutoffEndDate, payDate } = normalizePeriod(period);
+  if (!companyId || !cutoffStartDate || !cutoffEndDate || !payDate) {
+    throw createServiceError('invalid-argument', 'companyId, cutoffStartDate, cutoffEndDate, and payDate are required.');
+  }
+  return [companyId, cutoffStartDate, cutoffEndDate, payDate].join('_');
+};
+
+const isRunLocked = (run) => Boolean(run && LOCKED_STATUSES.includes(run.status));
+
+const mapRunDoc = (doc) => ({ id: doc.id, ...doc.data() });
+
+const getPayrollRun = async (period = {}) => {
+  const runId = buildPayrollRunId(period);
+  const db = firestore();
+  const snapshot = await db.collection(PAYROLL_RUNS_COLLECTION).doc(runId).get();
+  return snapshot.exists ? mapRunDoc(snapshot) : null;
+};
+
+const getPayrollRunById = async (runId) => {
+  const id = safeString(runId);
+  if (!id) {
+    throw createServiceError('invalid-argument', 'runId is required.');
+  }
+  const db = firestore();
+  const snapshot = await db.collection(PAYROLL_RUNS_COLLECTION).doc(id).get();
+  if (!snapshot.exists) {
+    throw createServiceError('not-found', `Payroll run ${id} not found.`);
+  }
+  return mapRunDoc(snapshot);
+};
+
+const listPayrollRuns = async (companyId, options = {}) => {
+  if (!safeString(companyId)) {
+    throw createServiceError('invalid-argument', 'companyId is required.');
+  }
+  const db = firestore();
+  let query = db.collection(PAYROLL_RUNS_COLLECTION).where('companyId', '==', safeString(companyId));
+  if (safeString(options.status)) {
+    query = query.where('status', '==', safeString(options.status));
+  }
+  const snapshot = await query.orderBy('payDate', 'desc').get();
+  return { success: true, runs: snapshot.docs.map(mapRunDoc) };
+};
+
+/**
+ * Refuse writes to a payroll period whose run is locked or paid.
+ * @returns {object|null} The run for the period, if one exists
+ */
+const assertPayrollRunEditable = async (period = {}, action = 'modify') => {
+  const run = await getPayrollRun(period);
+  if (isRunLocked(run)) {
+    throw createServiceError(
+      'failed-precondition',
+      `Payroll run ${run.id} is ${run.status}; reopen it before you ${action} its payroll.`,
+      { runId: run.id, status: run.status },
+    );
+  }
+  return run;
+};
+
+/**
+ * Refuse deletions that would touch any locked run. Deletions can be scoped by
+ * pay date only, so every run sharing the pay date is considered.
+ */
+const assertNoLockedRuns = async ({ companyId, payDate, cutoffStartDate, cutoffEndDate }, action = 'delete') => {
+  const db = firestore();
+  let query = db.collection(PAYROLL_RUNS_COLLECTION)
+    .where('companyId', '==', safeString(companyId))
+    .where('payDate', '==', safeString(payDate));
+  if (safeString(cutoffStartDate)) {
+    query = query.where('cutoffStartDate', '==', safeString(cutoffStartDate));
+  }
+  if (safeString(cutoffEndDate)) {
+    query = query.where('cutoffEndDate', '==', safeString(cutoffEndDate));
+  }
+  const snapshot = await query.get();
+  const locked = snapshot.docs.map(mapRunDoc).filter(isRunLocked);
+  if (locked.length > 0) {
+    throw createServiceError(
+      'failed-precondition',
+      `Cannot ${action} payroll for a locked run (${locked.map((run) => run.id).join(', ')}). Reopen it first.`,
+      { runIds: locked.map((run) => run.id) },
+    );
+  }
+};
+
+/**
+ * Delete the runs of a period once none of their payroll is left, so a deleted
+ * period does not leave a run behind. Scoped like the deletions themselves.
+ * @returns {string[]} Ids of the runs removed
+ */
+const deleteEmptyPayrollRuns = async ({ companyId, payDate, cutoffStartDate, cutoffEndDate }) => {
+  const db = firestore();
+  let query = db.collection(PAYROLL_RUNS_COLLECTION)
+    .where('companyId', '==', safeString(companyId))
+    .where('payDate', '==', safeString(payDate));
+  if (safeString(cutoffStartDate)) {
+    query = query.where('cutoffStartDate', '==', safeString(cutoffStartDate));
+  }
+  if (safeString(cutoffEndDate)) {
+    query = query.where('cutoffEndDate', '==', safeString(cutoffEndDate));
+  }
+  const snapshot = await query.get();
+  const deleted = [];
+  for (const doc of snapshot.docs) {
+    const run = mapRunDoc(doc);
+    if (isRunLocked(run)) {
+      continue;
+    }
+    const remaining = await db.collection(PAYROLL_COLLECTION)
+      .where('companyId', '==', run.companyId)
+      .where('payDate', '==', run.payDate)
+      .where('cutoffStartDate', '==', run.cutoffStartDate)
+      .where('cutoffEndDate', '==', run.cutoffEndDate)
+      .limit(1)
+      .get();
+    if (remaining.empty) {
+      await doc.ref.delete();
+      deleted.push(run.id);
+    }
+  }
+  return deleted;
+};
+
+/**
+ * Create the draft run for a period the first time payroll is computed for it.
+ * Recalculating a run that is in review or approved sends it back to draft, as
+ * the sign-off no longer matches the figures.
+ */
+const ensurePayrollRun = async (period = {}, options = {}) => {
+  const normalized = normalizePeriod(period);
+  const runId = buildPayrollRunId(normalized);
+  const db = firestore();
+  const runRef = db.collection(PAYROLL_RUNS_COLLECTION).doc(runId);
+
+  return db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(runRef);
+    if (snapshot.exists) {
+      const run = mapRunDoc(snapshot);
+      if (isRunLocked(run)) {
+        throw createServiceError(
+          'failed-precondition',
+          `Payroll run ${run.id} is ${run.status}; reopen it before you recalculate its payroll.`,
+          { runId: run.id, status: run.status },
+        );
+      }
+      const update = {
+        lastCalculatedAt: FieldValue.serverTimestamp(),
+        lastCalculatedBy: options.userId || null,
+        updatedAt: FieldValue.serverTimestamp(),
+      };
+      if (SIGNED_OFF_STATUSES.includes(run.status)) {
+        const now = new Date().toISOString();
+        const fieldPrefix = TRANSITION_FIELD_PREFIXES[RUN_STATUSES.DRAFT];
+        Object.assign(update, {
+          status: RUN_STATUSES.DRAFT,
+          history: FieldValue.arrayUnion({
+            from: run.status,
+            to: RUN_STATUSES.DRAFT,
+            at: now,
+            by: options.userId || null,
+            byEmail: options.email || null,
+            reason: 'Payroll recalculated',
+          }),
+          [`${fieldPrefix}At`]: now,
+          [`${fieldPrefix}By`]: options.userId || null,
+        });
+        transaction.update(runRef, update);
+        return { ...run, status: RUN_STATUSES.DRAFT, returnedToDraftFrom: run.status };
+      }
+      transaction.update(runRef, update);
+      return run;
+    }
+
+    const now = new Date().toISOString();
+    const data = {
+      ...normalized,
+      status: RUN_STATUSES.DRAFT,
+      history: [{
+        from: null,
+        to: RUN_STATUSES.DRAFT,
+        at: now,
+        by: options.userId || null,
+        byEmail: options.email || null,
+        reason: 'Payroll calculated',
+      }],
+      lastCalculatedAt: FieldValue.serverTimestamp(),
+      lastCalculatedBy: options.userId || null,
+      createdBy: options.userId || null,
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    };
+    transaction.set(runRef, data);
+    return { id: runId, ...normalized, status: RUN_STATUSES.DRAFT };
+  });
+};
+
+/**
+ * Move a payroll run to a new status.
+ * @param {object} payload - { runId } or the period fields, plus status and reason
+ * @param {object} options - { userId, email }
+ * @returns {object} { success, run, from, to }
+ */
+const transitionPayrollRun = async (payload = {}, options = {}) => {
+  const toStatus = safeString(payload.status || payload.toStatus).toLowerCase();
+  const reason = safeString(payload.reason);
+
+  if (!Object.values(RUN_STATUSES).includes(toStatus)) {
+    throw createServiceError('invalid-argument', `status must be one of: ${Object.values(RUN_STATUSES).join(', ')}`);
+  }
+  if (REASON_REQUIRED_STATUSES.includes(toStatus) && !reason) {
+    throw createServiceError('invalid-argument', `A reason is required to move a run to ${toStatus}.`);
+  }
+
+  const runId = safeString(payload.runId) || buildPayrollRunId(payload);
+  const db = firestore();
+  const runRef = db.collection(PAYROLL_RUNS_COLLECTION).doc(runId);
+
+  return db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(runRef);
+    if (!snapshot.exists) {
+      throw createServiceError('not-found', `Payroll run ${runId} not found.`);
+    }
+
+    const run = snapshot.data() || {};
+    const fromStatus = run.status || RUN_STATUSES.DRAFT;
+    const allowed = RUN_TRANSITIONS[fromStatus] || [];
+    if (!allowed.includes(toStatus)) {
+      throw createServiceError(
+        'failed-precondition',
+        `Cannot move payroll run from ${fromStatus} to ${toStatus}.`,
+        { runId, from: fromStatus, allowed },
+      );
+    }
+
+    const now = new Date().toISOString();
+    const entry = {
+      from: fromStatus,
+      to: toStatus,
+      at: now,
+      by: options.userId || null,
+      byEmail: options.email || null,
+      reason: reason || null,
+    };
+
+    const fieldPrefix = TRANSITION_FIELD_PREFIXES[toStatus];
+    const update = {
+      status: toStatus,
+      history: FieldValue.arrayUnion(entry),
+      updatedAt: FieldValue.serverTimestamp(),
+      [`${fieldPrefix}At`]: now,
+      [`${fieldPrefix}By`]: options.userId || null,
+    };
+    transaction.update(runRef, update);
+
+    return {
+      success: true,
+      from: fromStatus,
+      to: toStatus,
+      run: {
+        id: runId,
+        ...run,
+        status: toStatus,
+        history: [...(run.history || []), entry],
+      },
+    };
+  });
+};
+
+module.exports = {
+  PAYROLL_RUNS_COLLECTION,
+  RUN_STATUSES,
+  RUN_TRANSITIONS,
+  buildPayrollRunId,
+  isRunLocked,
+  getPayrollRun,
+  getPayrollRunById,
+  listPayrollRuns,
+  assertPayrollRunEditable,
+  assertNoLockedRuns,
+  deleteEmptyPayrollRuns,
+  ensurePayrollRun,
+  transitionPayrollRun,
+};
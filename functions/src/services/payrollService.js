@@ -1,5 +1,13 @@
 const admin = require('../utils/firebaseAdmin');
 const taxService = require('./taxService');
+const earningsService = require('./earningsService');
+const attendanceService = require('./attendanceService');
+const payrollRunService = require('./payrollRunService');
+const withholdingTaxService = require('./withholdingTaxService');
+const commissionService = require('./commissionService');
+const compensationService = require('./compensationService');
+const thirteenthMonthService = require('./thirteenthMonthService');
+const { calculateWorkingDays, daysInMonth, parseDateKey } = require('../utils/dateUtils');
 
 const firestore = () => {
   if (typeof admin.firestore !== 'function') {
@@ -13,11 +21,28 @@ const FieldValue = admin.firestore.FieldValue;
 const DEFAULT_WORKING_DAYS = 22;
 const HOURS_PER_DAY = 8;
 const MINUTES_PER_DAY = HOURS_PER_DAY * 60;
-const OVERTIME_RATE_PER_HOUR = 128.85;
 const BULK_CHUNK_SIZE = 100;
 const MAX_BATCH_SIZE = 500;
 const PAYROLL_COLLECTION = 'payrolls';
 
+const PAY_FREQUENCIES = Object.freeze({
+  monthly: Object.freeze({ periodsPerYear: 12, defaultStatutorySplit: 'full' }),
+  'semi-monthly': Object.freeze({ periodsPerYear: 24, defaultStatutorySplit: 'split' }),
+  weekly: Object.freeze({ periodsPerYear: 52, defaultStatutorySplit: 'prorated' }),
+});
+
+const PAY_FREQUENCY_ALIASES = Object.freeze({
+  month: 'monthly',
+  semimonthly: 'semi-monthly',
+  semi_monthly: 'semi-monthly',
+  'semi monthly': 'semi-monthly',
+  bimonthly: 'semi-monthly',
+  week: 'weekly',
+});
+
+const STATUTORY_SPLITS = ['full', 'split', 'prorated', 'first', 'second'];
+const INACTIVE_EMPLOYEE_STATUSES = ['inactive', 'terminated', 'separated', 'resigned'];
+
 const createServiceError = (code, message, details) => {
   const error = new Error(message);
   error.code = code;
@@ -178,6 +203,79 @@ const findExistingPayrollDocId = async (companyId, payrollKey) => {
   return doc.id;
 };
 
+const normalizePayFrequency = (value) => {
+  const normalized = safeString(value).toLowerCase();
+  if (PAY_FREQUENCIES[normalized]) {
+    return normalized;
+  }
+  return PAY_FREQUENCY_ALIASES[normalized] || null;
+};
+
+const resolvePayFrequency = (payload, employeeData, companyData) => {
+  return normalizePayFrequency(payload.payFrequency ?? payload.payrollPeriod?.payFrequency)
+    || normalizePayFrequency(employeeData.payFrequency)
+    || normalizePayFrequency(companyData.payFrequency)
+    || 'monthly';
+};
+
+const resolveStatutorySplit = (payFrequency, payload, employeeData, companyData) => {
+  const candidate = safeString(
+    payload.statutorySplit
+      ?? employeeData.statutorySplit
+      ?? companyData.statutorySplit
+      ?? ''
+  ).toLowerCase();
+  if (payFrequency === 'monthly') {
+    return 'full';
+  }
+  return STATUTORY_SPLITS.includes(candidate) && candidate !== 'full'
+    ? candidate
+    : PAY_FREQUENCIES[payFrequency].defaultStatutorySplit;
+};
+
+/**
+ * Decide whether a cutoff is the first or the second (last) pay of its month.
+ * Semi-monthly: pay dates on or before the 15th are the first cutoff.
+ * Weekly: the first pay falls within the first 7 days, the last within the final 7.
+ */
+const resolvePeriodPosition = (payFrequency, payDate, explicitCutoff) => {
+  const cutoffNumber = toNumber(explicitCutoff, 0);
+  const date = parseDateKey(payDate);
+  const day = date ? date.getUTCDate() : 1;
+
+  if (payFrequency === 'semi-monthly') {
+    if (cutoffNumber === 1 || cutoffNumber === 2) {
+      return { isFirst: cutoffNumber === 1, isLast: cutoffNumber === 2 };
+    }
+    return { isFirst: day <= 15, isLast: day > 15 };
+  }
+
+  if (payFrequency === 'weekly') {
+    return { isFirst: day <= 7, isLast: day > daysInMonth(payDate) - 7 };
+  }
+
+  return { isFirst: true, isLast: true };
+};
+
+/**
+ * Portion of the monthly statutory contributions deducted in this period.
+ */
+const resolveContributionFactor = (payFrequency, statutorySplit, position) => {
+  const { periodsPerYear } = PAY_FREQUENCIES[payFrequency];
+  switch (statutorySplit) {
+    case 'split':
+      return payFrequency === 'semi-monthly' ? 0.5 : 12 / periodsPerYear;
+    case 'prorated':
+      return 12 / periodsPerYear;
+    case 'first':
+      return position.isFirst ? 1 : 0;
+    case 'second':
+      return position.isLast ? 1 : 0;
+    default:
+      return 1;
+  }
+};
+
 const formatEmployeeName = (employee) => {
   if (!employee || typeof employee !== 'object') {
     return '';
@@ -198,6 +296,28 @@ const formatEmployeeName = (employee) => {
   return safeString(employee.id || employee.employeeId || '');
 };
 
+/**
+ * Basic pay for one period. Monthly-rated employees carry their monthly salary
+ * in basicPay; daily-rated employees carry a daily rate and are paid for the
+ * working days in the period.
+ */
+const computePeriodBasicPay = ({
+  rateType, dailyRate, baseSalary, workingDays, monthlyWorkingDays, isMonthlyFrequency, periodsPerYear,
+}) => {
+  const dayRate = toNumber(dailyRate, 0) || toNumber(baseSalary, 0);
+  if (rateType === 'daily') {
+    return {
+      monthlySalary: roundCurrency(dayRate * monthlyWorkingDays),
+      basicPay: roundCurrency(dayRate * workingDays),
+    };
+  }
+  const monthlySalary = roundCurrency(toNumber(baseSalary, 0));
+  return {
+    monthlySalary,
+    basicPay: isMonthlyFrequency ? monthlySalary : roundCurrency((monthlySalary * 12) / periodsPerYear),
+  };
+};
+
 const preparePayrollRecord = async (payload = {}, options = {}) => {
   const tokenCompanyId = options.companyId || options?.context?.auth?.token?.companyId || options?.token?.companyId;
   const companyId = payload.companyId || tokenCompanyId;
@@ -216,7 +336,7 @@ const preparePayrollRecord = async (payload = {}, options = {}) => {
   }
 
   const companyData = await ensureCompanyData(companyId, payload.company);
-  const employeeData = await ensureEmployeeData(companyId, employeeId, payload.employee);
+  const employeeProfile = await ensureEmployeeData(companyId, employeeId, payload.employee);
 
   const payrollPeriodInput = {
     ...(payload.payrollPeriod || {}),
@@ -240,49 +360,154 @@ const preparePayrollRecord = async (payload = {}, options = {}) => {
     throw createServiceError('invalid-argument', 'cutoffStartDate, cutoffEndDate, and payDate are required.');
   }
 
-  const workingDays = Math.max(1, toNumber(
-    payload.workingDays
-      ?? payrollPeriodInput.workingDays
+  // Pay and job fields in force at the end of the cutoff, from the effective-dated
+  // history when the employee has one; changes inside the cutoff are prorated below
+  const compensation = await compensationService.resolvePeriodCompensation({
+    employeeId,
+    cutoffStartDate,
+    cutoffEndDate,
+    restDays: employeeProfile.restDays ?? companyData.restDays,
+  });
+  const employeeData = compensation
+    ? compensationService.applyCompensation(employeeProfile, compensation.current)
+    : employeeProfile;
+
+  const payFrequency = resolvePayFrequency(payload, employeeData, companyData);
+  const { periodsPerYear } = PAY_FREQUENCIES[payFrequency];
+  const isMonthlyFrequency = payFrequency === 'monthly';
+
+  const monthlyWorkingDays = Math.max(1, toNumber(
+    payload.monthlyWorkingDays
+      ?? payrollPeriodInput.monthlyWorkingDays
+      ?? (isMonthlyFrequency ? (payload.workingDays ?? payrollPeriodInput.workingDays) : undefined)
+      ?? employeeData.workingDaysPerMonth
       ?? employeeData.workingDays
+      ?? companyData.workingDaysPerMonth
       ?? DEFAULT_WORKING_DAYS,
     DEFAULT_WORKING_DAYS,
   ));
 
+  const workingDays = isMonthlyFrequency
+    ? monthlyWorkingDays
+    : Math.max(1, toNumber(
+      payload.workingDays
+        ?? payrollPeriodInput.workingDays
+        ?? calculateWorkingDays(cutoffStartDate, cutoffEndDate, {
+          restDays: employeeData.restDays ?? companyData.restDays,
+        }),
+      1,
+    ));
+
   const month = payload.month
     || payrollPeriodInput.month
     || deriveMonth(cutoffStartDate, payDate, null)
     || deriveMonth(null, new Date().toISOString(), null);
 
-  const baseSalaryCandidate = payload.basicPay
+  const payloadBasicPay = payload.basicPay
     ?? payload.basicSalary
-    ?? payrollPeriodInput.basicPay
+    ?? payrollPeriodInput.basicPay;
+  const baseSalaryCandidate = payloadBasicPay
     ?? employeeData.basicPay
     ?? employeeData.basicSalary
     ?? 0;
 
-  const basicPay = roundCurrency(toNumber(baseSalaryCandidate, 0));
+  const rateType = safeString(payload.rateType ?? employeeData.rateType ?? '').toLowerCase() === 'daily'
+    ? 'daily'
+    : 'monthly';
 
-  const allowance = roundCurrency(toNumber(
-    payload.allowance
-      ?? payload.allowances
-      ?? payload.adjustments?.allowance
+  const configuredDailyRate = toNumber(payload.dailyRate ?? employeeData.dailyRate, 0);
+  const periodPay = computePeriodBasicPay({
+    rateType,
+    dailyRate: configuredDailyRate,
+    baseSalary: baseSalaryCandidate,
+    workingDays,
+    monthlyWorkingDays,
+    isMonthlyFrequency,
+    periodsPerYear,
+  });
+  const monthlySalary = periodPay.monthlySalary;
+  let basicPay = periodPay.basicPay;
+
+  const statutorySplit = resolveStatutorySplit(payFrequency, payload, employeeData, companyData);
+  const periodPosition = resolvePeriodPosition(
+    payFrequency,
+    payDate,
+    payload.cutoffNumber ?? payrollPeriodInput.cutoffNumber,
+  );
+  const contributionFactor = resolveContributionFactor(payFrequency, statutorySplit, periodPosition);
+  const taxPeriodFactor = 12 / periodsPerYear;
+
+  const payloadAllowance = payload.allowance
+    ?? payload.allowances
+    ?? payload.adjustments?.allowance;
+  let allowance = roundCurrency(toNumber(
+    payloadAllowance
       ?? employeeData.allowance
       ?? 0,
     0,
   ));
 
-  const transpoAllowance = roundCurrency(toNumber(
-    payload.transpoAllowance
-      ?? payload.transportAllowance
-      ?? payload.transportationAllowance
-      ?? payload.adjustments?.transpoAllowance
-      ?? payload.adjustments?.transportationAllowance
+  const payloadTranspoAllowance = payload.transpoAllowance
+    ?? payload.transportAllowance
+    ?? payload.transportationAllowance
+    ?? payload.adjustments?.transpoAllowance
+    ?? payload.adjustments?.transportationAllowance;
+  let transpoAllowance = roundCurrency(toNumber(
+    payloadTranspoAllowance
       ?? employeeData.transpoAllowance
       ?? employeeData.transportationAllowance
       ?? 0,
     0,
   ));
 
+  // A change inside the cutoff splits basic pay and allowances by the working days
+  // each compensation was in force. Per-day and per-minute rates used for late,
+  // absence and overtime stay on the compensation in force at the end of the cutoff.
+  let compensationSegments;
+  if (compensation && compensation.segments.length > 1) {
+    const segmentDays = compensation.segments.reduce((sum, segment) => sum + segment.workingDays, 0);
+    if (segmentDays > 0) {
+      compensationSegments = compensation.segments.map((segment) => {
+        const segmentEmployee = compensationService.applyCompensation(employeeProfile, segment.compensation);
+        const share = segment.workingDays / segmentDays;
+        const segmentRateType = safeString(payload.rateType ?? segmentEmployee.rateType ?? '').toLowerCase() === 'daily'
+          ? 'daily'
+          : 'monthly';
+        const segmentPay = computePeriodBasicPay({
+          rateType: segmentRateType,
+          dailyRate: toNumber(payload.dailyRate ?? segmentEmployee.dailyRate, 0),
+          baseSalary: payloadBasicPay ?? segmentEmployee.basicPay ?? segmentEmployee.basicSalary ?? 0,
+          workingDays,
+          monthlyWorkingDays,
+          isMonthlyFrequency,
+          periodsPerYear,
+        });
+        return {
+          startDate: segment.startDate,
+          endDate: segment.endDate,
+          workingDays: segment.workingDays,
+          share: Math.round(share * 10000) / 10000,
+          rateType: segmentRateType,
+          monthlySalary: segmentPay.monthlySalary,
+          basicPay: roundCurrency(segmentPay.basicPay * share),
+          allowance: roundCurrency(toNumber(segmentEmployee.allowance, 0) * share),
+          transpoAllowance: roundCurrency(toNumber(segmentEmployee.transpoAllowance ?? segmentEmployee.transportationAllowance, 0) * share),
+          position: segmentEmployee.position || null,
+          department: segmentEmployee.department || null,
+          historyEntryIds: segment.compensation.entryIds || [],
+        };
+      });
+      const sumSegments = (field) => roundCurrency(compensationSegments.reduce((sum, segment) => sum + segment[field], 0));
+      basicPay = sumSegments('basicPay');
+      if (payloadAllowance === undefined) {
+        allowance = sumSegments('allowance');
+      }
+      if (payloadTranspoAllowance === undefined) {
+        transpoAllowance = sumSegments('transpoAllowance');
+      }
+    }
+  }
+
   const refreshment = roundCurrency(toNumber(
     payload.refreshment
       ?? payload.adjustments?.refreshment
@@ -319,7 +544,7 @@ const preparePayrollRecord = async (payload = {}, options = {}) => {
     0,
   );
 
-  const otMinutes = toNumber(
+  const manualOtMinutes = toNumber(
     payload.otMinutes
       ?? payload.overtimeMinutes
       ?? payload.adjustments?.otMinutes
@@ -376,7 +601,9 @@ const preparePayrollRecord = async (payload = {}, options = {}) => {
     ?? payload.tax?.personalExemption
     ?? payload.adjustments?.personalExemption;
 
-  const dailyRateRaw = workingDays > 0 ? basicPay / workingDays : 0;
+  const dailyRateRaw = rateType === 'daily'
+    ? (configuredDailyRate || toNumber(baseSalaryCandidate, 0))
+    : monthlySalary / monthlyWorkingDays;
   const perHourRateRaw = dailyRateRaw / HOURS_PER_DAY;
   const perMinuteRateRaw = dailyRateRaw / MINUTES_PER_DAY;
 
@@ -390,8 +617,76 @@ const preparePayrollRecord = async (payload = {}, options = {}) => {
   const halfDayValue = roundCurrency(halfDayUnits * perMinuteRate);
   const totalAbsent = roundCurrency(absentValue + halfDayValue);
 
-  const overtimeRatePerMinute = OVERTIME_RATE_PER_HOUR / 60;
-  const otPay = roundCurrency(otMinutes * overtimeRatePerMinute);
+  const premiumMultipliers = earningsService.resolvePremiumMultipliers(companyData);
+  const restDays = Array.isArray(employeeData.restDays)
+    ? employeeData.restDays
+    : (Array.isArray(companyData.restDays) ? companyData.restDays : undefined);
+
+  // Day-level attendance lets the engine price rest days, holidays and night
+  // hours; without it the hand-entered OT minutes are paid as regular overtime.
+  const attendanceDays = Array.isArray(payload.attendanceDays) ? payload.attendanceDays : null;
+  let earningsDays;
+  let holidays = [];
+  if (attendanceDays) {
+    earningsDays = attendanceDays;
+    holidays = Array.isArray(payload.holidays)
+      ? payload.holidays
+      : await earningsService.loadHolidaysForRange(companyId, safeString(cutoffStartDate), safeString(cutoffEndDate));
+  } else {
+    earningsDays = manualOtMinutes > 0
+      ? [{ date: safeString(cutoffEndDate), regularMinutes: 0, overtimeMinutes: manualOtMinutes, nightMinutes: 0, isRestDay: false }]
+      : [];
+  }
+
+  const earnings = earningsService.computeEarnings({
+    days: earningsDays,
+    holidays,
+    hourlyRate: perHourRateRaw,
+    multipliers: premiumMultipliers,
+    restDays,
+  });
+
+  const otMinutes = attendanceDays
+    ? earnings.days.reduce((sum, day) => sum + day.overtimeMinutes, 0)
+    : manualOtMinutes;
+  const otPay = earnings.totals.overtimePay;
+  const premiumPay = earnings.totals.premiumPay;
+  const nightDifferentialPay = earnings.totals.nightDifferentialPay;
+  const overtimeRatePerHour = roundCurrency(perHourRateRaw * premiumMultipliers.regularOvertime);
+  const overtimeRatePerMinute = overtimeRatePerHour / 60;
+
+  // Approved commissions dated inside the cutoff are paid as a separate, taxable earnings line
+  const payrollKey = buildPayrollKey(employeeId, cutoffStartDate, cutoffEndDate, payDate);
+  const commissions = parseBoolean(payload.includeCommissions, true)
+    ? await commissionService.loadPayrollCommissions({
+      companyId,
+      employeeId,
+      cutoffStartDate: safeString(cutoffStartDate),
+      cutoffEndDate: safeString(cutoffEndDate),
+      payrollKey,
+    })
+    : { commissionPay: 0, lines: [], unpaidIds: [] };
+  const commissionPay = commissions.commissionPay;
+
+  // Approved 13th month installments due by the pay month are paid as a benefit;
+  // only the part above the yearly non-taxable ceiling is added to taxable pay
+  const thirteenthMonth = parseBoolean(payload.includeThirteenthMonth, true)
+    ? await thirteenthMonthService.loadPayrollThirteenthMonth({
+      companyId,
+      employeeId,
+      payDate: safeString(payDate),
+      payrollKey,
+    })
+    : { thirteenthMonthPay: 0, lines: [], unpaidKeys: [] };
+  const thirteenthMonthPay = thirteenthMonth.thirteenthMonthPay;
+  const thirteenthMonthTaxable = await withholdingTaxService.computeTaxableBenefitExcess({
+    companyId,
+    employeeId,
+    payDate: safeString(payDate),
+    payrollKey,
+    amount: thirteenthMonthPay,
+  });
+  const additionalTaxableCompensation = roundCurrency(commissionPay + thirteenthMonthTaxable);
 
   let taxOverride;
   if (taxBracketsOverride || personalExemptionOverride !== undefined) {
@@ -403,13 +698,24 @@ const preparePayrollRecord = async (payload = {}, options = {}) => {
 
   let taxBreakdown;
   try {
-    taxBreakdown = await taxService.computeStatutoryDeductions({
+    const monthlyBreakdown = await taxService.computeStatutoryDeductions({
       companyId,
-      monthlySalary: basicPay,
+      monthlySalary: isMonthlyFrequency ? basicPay : roundCurrency(basicPay / taxPeriodFactor),
       includeTaxes,
-      additionalEmployeeDeductions,
+      additionalEmployeeDeductions: roundCurrency(additionalEmployeeDeductions / taxPeriodFactor),
       taxConfigOverride: taxOverride,
+      payDate,
+      additionalTaxableCompensation: isMonthlyFrequency
+        ? additionalTaxableCompensation
+        : roundCurrency(additionalTaxableCompensation / taxPeriodFactor),
     });
+    taxBreakdown = isMonthlyFrequency
+      ? monthlyBreakdown
+      : taxService.scaleStatutoryDeductions(monthlyBreakdown, {
+        contributionFactor,
+        taxFactor: taxPeriodFactor,
+        additionalEmployeeDeductions,
+      });
   } catch (error) {
     throw createServiceError('internal', 'Failed to compute statutory deductions.', error.message);
   }
@@ -420,9 +726,60 @@ const preparePayrollRecord = async (payload = {}, options = {}) => {
   const pagibigEmployer = roundCurrency(taxBreakdown.pagibigEmployer || 0);
   const philhealthEmployee = roundCurrency(taxBreakdown.philhealthEmployee || 0);
   const philhealthEmployer = roundCurrency(taxBreakdown.philhealthEmployer || 0);
-  const birTax = roundCurrency(taxBreakdown.withholdingTax || 0);
+  const regularPeriodTax = roundCurrency(taxBreakdown.withholdingTax || 0);
   const taxEnabled = Boolean(taxBreakdown.includeTaxes);
 
+  const payrollRunId = payrollRunService.buildPayrollRunId({ companyId, cutoffStartDate, cutoffEndDate, payDate });
+
+  // The last payroll of the year, or an employee's final pay, trues up the
+  // withholding against the annualized tax due instead of the period table.
+  const separationDate = safeString(employeeData.separationDate || employeeData.lastWorkingDay).slice(0, 10);
+  const isFinalPay = parseBoolean(payload.finalPay ?? payload.isFinalPay, false)
+    || Boolean(separationDate && separationDate >= safeString(cutoffStartDate) && separationDate <= safeString(cutoffEndDate));
+  const yearEndFlag = payload.yearEndAdjustment ?? payrollPeriodInput.yearEndAdjustment;
+  const isYearEndPayroll = yearEndFlag !== undefined && yearEndFlag !== null
+    ? parseBoolean(yearEndFlag, false)
+    : safeString(payDate).slice(5, 7) === '12' && periodPosition.isLast;
+
+  let birTax = regularPeriodTax;
+  let taxRefund = 0;
+  let yearEndAdjustment;
+  if (taxEnabled && (isYearEndPayroll || isFinalPay)) {
+    const adjustment = await withholdingTaxService.computeYearEndAdjustment({
+      companyId,
+      employeeId,
+      payDate: safeString(payDate),
+      payrollKey,
+      current: {
+        basicPay,
+        otPay,
+        premiumPay,
+        nightDifferentialPay,
+        commissionPay,
+        thirteenthMonthPay,
+        totalLate,
+        totalUndertime,
+        totalAbsent,
+        allowance,
+        transpoAllowance,
+        sssEmployee,
+        pagibigEmployee,
+        philhealthEmployee,
+        additionalEmployeeDeductions,
+      },
+      thirteenthMonthPay: payload.thirteenthMonthPay,
+      otherBenefits: payload.otherBenefits,
+    });
+    birTax = adjustment.withholdingTax;
+    taxRefund = adjustment.taxRefund;
+    yearEndAdjustment = {
+      year: adjustment.year,
+      reason: isFinalPay ? 'final-pay' : 'year-end',
+      regularPeriodTax,
+      ...adjustment.annual,
+    };
+  }
+
   const totalTaxDeductions = taxEnabled
     ? roundCurrency(sssEmployee + pagibigEmployee + philhealthEmployee + birTax)
     : 0;
@@ -436,14 +793,15 @@ const preparePayrollRecord = async (payload = {}, options = {}) => {
       + cashAdvance,
   );
 
-  const grossPay = roundCurrency(basicPay + allowance + transpoAllowance + otPay);
-  const netPay = roundCurrency(grossPay - totalDeductions);
+  const grossPay = roundCurrency(
+    basicPay + allowance + transpoAllowance + otPay + premiumPay + nightDifferentialPay + commissionPay + thirteenthMonthPay,
+  );
+  const netPay = roundCurrency(grossPay - totalDeductions + taxRefund);
 
   const totalEmployerContributions = taxEnabled
     ? roundCurrency(sssEmployer + pagibigEmployer + philhealthEmployer)
     : 0;
 
-  const payrollKey = buildPayrollKey(employeeId, cutoffStartDate, cutoffEndDate, payDate);
   const existingDocId = await findExistingPayrollDocId(companyId, payrollKey);
 
   const timestampIso = new Date().toISOString();
@@ -458,6 +816,7 @@ const preparePayrollRecord = async (payload = {}, options = {}) => {
     cutoffEndDate: safeString(cutoffEndDate),
     payDate: safeString(payDate),
     payrollKey,
+    payrollRunId,
     workingDays,
     basicPay,
     allowance,
@@ -477,6 +836,18 @@ const preparePayrollRecord = async (payload = {}, options = {}) => {
     halfDayValue,
     totalAbsent,
     otPay,
+    premiumPay,
+    nightDifferentialPay,
+    earningsLines: earnings.lines,
+    compensationSegments,
+    compensationEntryIds: compensation ? compensation.current.entryIds : undefined,
+    commissionPay,
+    commissionLines: commissions.lines.length ? commissions.lines : undefined,
+    thirteenthMonthPay,
+    thirteenthMonthTaxable,
+    thirteenthMonthLines: thirteenthMonth.lines.length ? thirteenthMonth.lines : undefined,
+    earningsDays: attendanceDays ? earnings.days : undefined,
+    premiumMultipliers,
     includeTaxes: taxEnabled,
     sssEmployee,
     sssEmployer,
@@ -497,15 +868,31 @@ const preparePayrollRecord = async (payload = {}, options = {}) => {
     position: safeString(employeeData.position || 'N/A'),
     bankAccount: safeString(employeeData.bankAccount || employeeData.bankAccountNumber || employeeData.bank || 'N/A'),
     idNumber: safeString(employeeData.idNumber || employeeData.employeeId || employeeId),
-    monthlySalary: basicPay,
+    monthlySalary,
+    payFrequency,
+    rateType,
+    periodsPerYear,
+    monthlyWorkingDays,
+    statutorySplit,
+    contributionFactor: roundCurrency(contributionFactor * 10000) / 10000,
+    monthlyStatutoryEquivalent: taxBreakdown.monthlyEquivalent,
     statutoryEmployeeTotal: roundCurrency(taxBreakdown.statutoryEmployeeTotal || totalTaxDeductions),
     statutoryEmployerTotal: roundCurrency(taxBreakdown.statutoryEmployerTotal || totalEmployerContributions),
     additionalEmployeeDeductions,
     withholdingTax: birTax,
-    overtimeRatePerHour: OVERTIME_RATE_PER_HOUR,
+    taxRefund,
+    yearEndAdjustment,
+    overtimeRatePerHour,
     overtimeRatePerMinute,
     processedAt: timestampIso,
     taxConfiguration: taxBreakdown.taxConfiguration,
+    sssSalaryCredit: roundCurrency(taxBreakdown.sssSalaryCredit || 0),
+    sssMpfEmployee: roundCurrency(taxBreakdown.sssMpfEmployee || 0),
+    sssMpfEmployer: roundCurrency(taxBreakdown.sssMpfEmployer || 0),
+    sssEc: roundCurrency(taxBreakdown.sssEc || 0),
+    contributionSchedule: taxBreakdown.contributionSchedule,
+    payrollSource: payload.attendanceFeed ? 'attendance' : undefined,
+    attendanceFeed: payload.attendanceFeed,
   });
 
   if (options.userId) {
@@ -525,29 +912,107 @@ const preparePayrollRecord = async (payload = {}, options = {}) => {
     firestoreData: payrollRecord,
     responseData: responseRecord,
     existingDocId,
+    unpaidCommissionIds: commissions.unpaidIds,
+    unpaidThirteenthMonthKeys: thirteenthMonth.unpaidKeys,
   };
 };
 
+const buildRunOptions = (options = {}) => ({
+  userId: options.userId || null,
+  email: options.email || options?.context?.auth?.token?.email || null,
+});
+
+// Commissions are marked paid before the payroll is written so no other payroll
+// can claim them in between; a payroll that then fails to save releases them again.
+const settleCommissions = (firestoreData, payrollId, commissionIds, options) => commissionService.settlePayrollCommissions({
+  companyId: firestoreData.companyId,
+  commissionIds,
+  payrollKey: firestoreData.payrollKey,
+  payrollRunId: firestoreData.payrollRunId,
+  payrollId,
+  payDate: firestoreData.payDate,
+}, buildRunOptions(options));
+
+// 13th month installments follow the same rule as commissions, released together with them
+const settleThirteenthMonth = (firestoreData, payrollId, installmentKeys, options) => thirteenthMonthService
+  .settlePayrollThirteenthMonth({
+    companyId: firestoreData.companyId,
+    employeeId: firestoreData.employeeId,
+    year: Number(safeString(firestoreData.payDate).slice(0, 4)),
+    installmentKeys,
+    payrollKey: firestoreData.payrollKey,
+    payrollRunId: firestoreData.payrollRunId,
+    payrollId,
+    payDate: firestoreData.payDate,
+  }, buildRunOptions(options));
+
+// Hand back what settlePayrollItems marked paid for a payroll that was never written
+const releaseSettledItems = async (firestoreData, settled, options) => {
+  try {
+    if (settled.commissionIds.length > 0) {
+      await commissionService.releasePayrollCommissions({
+        companyId: firestoreData.companyId,
+        payrollKeys: [firestoreData.payrollKey],
+        commissionIds: settled.commissionIds,
+        outcome: 'not saved',
+      }, buildRunOptions(options));
+    }
+    if (settled.installmentKeys.length > 0) {
+      await thirteenthMonthService.releasePayrollThirteenthMonth({
+        companyId: firestoreData.companyId,
+        payrollKeys: [firestoreData.payrollKey],
+        installmentKeys: settled.installmentKeys,
+      });
+    }
+  } catch (error) {
+    console.error(`Failed to release items settled by unsaved payroll ${firestoreData.payrollKey}:`, error);
+  }
+};
+
+const settlePayrollItems = async (firestoreData, payrollId, { commissionIds, installmentKeys }, options) => {
+  await settleCommissions(firestoreData, payrollId, commissionIds, options);
+  try {
+    await settleThirteenthMonth(firestoreData, payrollId, installmentKeys, options);
+  } catch (error) {
+    await releaseSettledItems(firestoreData, { commissionIds, installmentKeys: [] }, options);
+    throw error;
+  }
+  return { commissionIds, installmentKeys };
+};
+
 const calculatePayroll = async (payload = {}, options = {}) => {
-  const { firestoreData, responseData, existingDocId } = await preparePayrollRecord(payload, options);
+  const {
+    firestoreData, responseData, existingDocId, unpaidCommissionIds, unpaidThirteenthMonthKeys,
+  } = await preparePayrollRecord(payload, options);
+  await payrollRunService.ensurePayrollRun(firestoreData, buildRunOptions(options));
 
   const db = firestore();
   const collectionRef = db.collection(PAYROLL_COLLECTION);
   const docRef = existingDocId ? collectionRef.doc(existingDocId) : collectionRef.doc();
   const isNew = !existingDocId;
 
+  const settled = await settlePayrollItems(firestoreData, docRef.id, {
+    commissionIds: unpaidCommissionIds,
+    installmentKeys: unpaidThirteenthMonthKeys,
+  }, options);
+
   const writeData = {
     ...firestoreData,
     updatedAt: FieldValue.serverTimestamp(),
   };
 
-  if (isNew) {
-    await docRef.set({
-      ...writeData,
-      createdAt: FieldValue.serverTimestamp(),
-    });
-  } else {
-    await docRef.update(writeData);
+  try {
+    if (isNew) {
+      await docRef.set({
+        ...writeData,
+        createdAt: FieldValue.serverTimestamp(),
+      });
+    } else {
+      await docRef.update(writeData);
+    }
+  } catch (error) {
+    await releaseSettledItems(firestoreData, settled, options);
+    throw error;
   }
 
   return {
@@ -584,11 +1049,13 @@ const bulkCalculatePayroll = async (payload = {}, options = {}) => {
   const sharedPeriod = payload.payrollPeriod || {};
 
   const queued = chunkArray(entries, chunkSize);
+  const runChecks = new Map();
 
   for (const chunk of queued) {
     const batch = db.batch();
     let operationsInBatch = 0;
     const chunkResults = [];
+    const chunkSettled = [];
 
     for (const entry of chunk) {
       const entryPayload = {
@@ -601,10 +1068,25 @@ const bulkCalculatePayroll = async (payload = {}, options = {}) => {
       };
 
       try {
-        const { firestoreData, responseData, existingDocId } = await preparePayrollRecord(entryPayload, options);
+        const {
+          firestoreData, responseData, existingDocId, unpaidCommissionIds, unpaidThirteenthMonthKeys,
+        } = await preparePayrollRecord(entryPayload, options);
+        if (!runChecks.has(firestoreData.payrollRunId)) {
+          runChecks.set(
+            firestoreData.payrollRunId,
+            payrollRunService.ensurePayrollRun(firestoreData, buildRunOptions(options)),
+          );
+        }
+        await runChecks.get(firestoreData.payrollRunId);
         const docRef = existingDocId ? collectionRef.doc(existingDocId) : collectionRef.doc();
         const isNew = !existingDocId;
 
+        const settled = await settlePayrollItems(firestoreData, docRef.id, {
+          commissionIds: unpaidCommissionIds,
+          installmentKeys: unpaidThirteenthMonthKeys,
+        }, options);
+        chunkSettled.push({ firestoreData, settled });
+
         const writeData = {
           ...firestoreData,
           updatedAt: FieldValue.serverTimestamp(),
@@ -648,7 +1130,14 @@ const bulkCalculatePayroll = async (payload = {}, options = {}) => {
     }
 
     if (operationsInBatch > 0) {
-      await batch.commit();
+      try {
+        await batch.commit();
+      } catch (error) {
+        for (const { firestoreData, settled } of chunkSettled) {
+          await releaseSettledItems(firestoreData, settled, options);
+        }
+        throw error;
+      }
       processed += operationsInBatch;
     }
 
@@ -665,31 +1154,131 @@ const bulkCalculatePayroll = async (payload = {}, options = {}) => {
   };
 };
 
+/**
+ * Generate payroll for every active employee of a company from the attendance
+ * captured in the cutoff. Late, undertime, absence and half-day inputs come from
+ * attendanceSummaries, approved leaves and company holidays instead of the caller.
+ */
+const generatePayrollFromAttendance = async (payload = {}, options = {}) => {
+  const companyId = safeString(
+    payload.companyId || options.companyId || options?.context?.auth?.token?.companyId || options?.token?.companyId,
+  );
+  const cutoffStartDate = safeString(payload.cutoffStartDate);
+  const cutoffEndDate = safeString(payload.cutoffEndDate);
+  const payDate = safeString(payload.payDate);
+
+  if (!companyId || !cutoffStartDate || !cutoffEndDate || !payDate) {
+    throw createServiceError('invalid-argument', 'companyId, cutoffStartDate, cutoffEndDate, and payDate are required.');
+  }
+  if (!parseDateKey(cutoffStartDate) || !parseDateKey(cutoffEndDate) || cutoffEndDate < cutoffStartDate) {
+    throw createServiceError('invalid-argument', 'cutoffStartDate and cutoffEndDate must be valid YYYY-MM-DD dates in order.');
+  }
+
+  const companyData = await ensureCompanyData(companyId, payload.company);
+  const db = firestore();
+  const employeeSnapshot = await db.collection('employees').where('companyId', '==', companyId).get();
+
+  const requestedIds = Array.isArray(payload.employeeIds) ? new Set(payload.employeeIds.map(safeString)) : null;
+  const employees = employeeSnapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .filter((employee) => !INACTIVE_EMPLOYEE_STATUSES.includes(safeString(employee.status).toLowerCase()))
+    .filter((employee) => !requestedIds || requestedIds.has(employee.id));
+
+  if (employees.length === 0) {
+    throw createServiceError('not-found', `No active employees found for company ${companyId}.`);
+  }
+
+  const holidays = await earningsService.loadHolidaysForRange(companyId, cutoffStartDate, cutoffEndDate);
+  const feed = await attendanceService.aggregateAttendanceForPayroll({
+    companyId,
+    cutoffStartDate,
+    cutoffEndDate,
+    employees,
+    holidays,
+    restDays: Array.isArray(companyData.restDays) ? companyData.restDays : undefined,
+    treatMissingAsAbsent: parseBoolean(payload.treatMissingAsAbsent, true),
+  });
+
+  const entries = employees.map((employee) => {
+    const employeeFeed = feed.get(employee.id);
+    return {
+      employeeId: employee.id,
+      employee,
+      company: companyData,
+      includeTaxes: payload.includeTaxes,
+      ...employeeFeed.inputs,
+      attendanceDays: employeeFeed.attendanceDays,
+      holidays,
+      attendanceFeed: employeeFeed.reconciliation.totals,
+    };
+  });
+
+  const result = await bulkCalculatePayroll({
+    companyId,
+    payrollPeriod: { cutoffStartDate, cutoffEndDate, payDate },
+    employees: entries,
+    chunkSize: payload.chunkSize,
+  }, { ...options, companyId });
+
+  return {
+    ...result,
+    companyId,
+    cutoffStartDate,
+    cutoffEndDate,
+    payDate,
+    results: result.results.map((entry) => ({
+      ...entry,
+      reconciliation: feed.get(entry.employeeId)?.reconciliation || null,
+    })),
+  };
+};
+
 module.exports = {
   calculatePayroll,
   bulkCalculatePayroll,
+  generatePayrollFromAttendance,
   preparePayrollRecord,
+  normalizePayFrequency,
+  PAY_FREQUENCIES,
 };
 
 // Add deletion helpers for payroll records
 const deleteQueryInBatches = async (query) => {
   const db = firestore();
   const snapshot = await query.get();
-  if (snapshot.empty) return { deleted: 0 };
-  const batch = db.batch();
-  let count = 0;
-  snapshot.forEach((doc) => {
-    batch.delete(doc.ref);
-    count += 1;
-  });
-  await batch.commit();
-  return { deleted: count };
+  const payrollKeys = [];
+  for (const docs of chunkArray(snapshot.docs, MAX_BATCH_SIZE)) {
+    const batch = db.batch();
+    docs.forEach((doc) => {
+      batch.delete(doc.ref);
+      payrollKeys.push(doc.data().payrollKey);
+    });
+    await batch.commit();
+  }
+  return { deleted: snapshot.size, payrollKeys };
 };
 
-const deletePayrollByPeriod = async ({ companyId, payDate, cutoffStartDate, cutoffEndDate }) => {
+// Deleted payrolls hand their commissions and 13th month installments back to approved
+const releaseDeletedPayrolls = async ({ companyId, payDate, cutoffStartDate, cutoffEndDate }, query, options) => {
+  const { deleted, payrollKeys } = await deleteQueryInBatches(query);
+  const runOptions = buildRunOptions(options);
+  const { released } = await commissionService.releasePayrollCommissions({ companyId, payrollKeys }, runOptions);
+  const thirteenthMonth = await thirteenthMonthService.releasePayrollThirteenthMonth({ companyId, payrollKeys });
+  const runsDeleted = await payrollRunService.deleteEmptyPayrollRuns({ companyId, payDate, cutoffStartDate, cutoffEndDate });
+  return {
+    success: true,
+    deleted,
+    runsDeleted,
+    commissionsReleased: released,
+    thirteenthMonthInstallmentsReleased: thirteenthMonth.released,
+  };
+};
+
+const deletePayrollByPeriod = async ({ companyId, payDate, cutoffStartDate, cutoffEndDate }, options = {}) => {
   if (!safeString(companyId) || !safeString(payDate)) {
     throw createServiceError('invalid-argument', 'companyId and payDate are required');
   }
+  await payrollRunService.assertNoLockedRuns({ companyId, payDate, cutoffStartDate, cutoffEndDate }, 'delete');
   const db = firestore();
   let q = db.collection(PAYROLL_COLLECTION)
     .where('companyId', '==', companyId)
@@ -700,14 +1289,14 @@ const deletePayrollByPeriod = async ({ companyId, payDate, cutoffStartDate, cuto
   if (safeString(cutoffEndDate)) {
     q = q.where('cutoffEndDate', '==', safeString(cutoffEndDate));
   }
-  const result = await deleteQueryInBatches(q);
-  return { success: true, ...result };
+  return releaseDeletedPayrolls({ companyId, payDate, cutoffStartDate, cutoffEndDate }, q, options);
 };
 
-const deletePayrollByEmployee = async ({ companyId, payDate, employeeId, cutoffStartDate, cutoffEndDate }) => {
+const deletePayrollByEmployee = async ({ companyId, payDate, employeeId, cutoffStartDate, cutoffEndDate }, options = {}) => {
   if (!safeString(companyId) || !safeString(payDate) || !safeString(employeeId)) {
     throw createServiceError('invalid-argument', 'companyId, payDate and employeeId are required');
   }
+  await payrollRunService.assertNoLockedRuns({ companyId, payDate, cutoffStartDate, cutoffEndDate }, 'delete');
   const db = firestore();
   let q = db.collection(PAYROLL_COLLECTION)
     .where('companyId', '==', companyId)
@@ -719,13 +1308,8 @@ const deletePayrollByEmployee = async ({ companyId, payDate, employeeId, cutoffS
   if (safeString(cutoffEndDate)) {
     q = q.where('cutoffEndDate', '==', safeString(cutoffEndDate));
   }
-  const result = await deleteQueryInBatches(q);
-  return { success: true, ...result };
+  return releaseDeletedPayrolls({ companyId, payDate, cutoffStartDate, cutoffEndDate }, q, options);
 };
 
 module.exports.deletePayrollByPeriod = deletePayrollByPeriod;
 module.exports.deletePayrollByEmployee = deletePayrollByEmployee;
-
-
-
-
@@ -0,0 +1,459 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const admin = require('../utils/firebaseAdmin');
+const { ensureTransport, getFromAddress, getMailConfigStatus } = require('./mailService');
+
+const PAYROLL_COLLECTION = 'payrolls';
+const EMPLOYEES_COLLECTION = 'employees';
+const HISTORY_COLLECTION = 'payslip_history';
+const STORAGE_FOLDER = 'payslips';
+const DEFAULT_BRAND_COLOR = '#1f3a5f';
+
+const EARNING_LINES = [
+  ['basicPay', 'Basic pay'],
+  ['allowance', 'Allowance'],
+  ['transpoAllowance', 'Transportation allowance'],
+  ['otPay', 'Overtime pay'],
+  ['premiumPay', 'Holiday and rest day premium'],
+  ['nightDifferentialPay', 'Night differential'],
+  ['commissionPay', 'Commission'],
+  ['thirteenthMonthPay', '13th month pay'],
+];
+
+const DEDUCTION_LINES = [
+  ['totalLate', 'Late'],
+  ['totalUndertime', 'Undertime'],
+  ['totalAbsent', 'Absences'],
+  ['refreshment', 'Refreshment'],
+  ['sssEmployee', 'SSS'],
+  ['philhealthEmployee', 'PhilHealth'],
+  ['pagibigEmployee', 'Pag-IBIG'],
+  ['birTax', 'Withholding tax'],
+  ['cashAdvance', 'Cash advance'],
+];
+
+const DEFAULT_TEMPLATE = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Payslip {{employee.name}} {{period.label}}</title>
+<style>
+  body { font-family: Arial, Helvetica, sans-serif; color: #222; font-size: 12px; }
+  .header { border-bottom: 3px solid {{company.color}}; padding-bottom: 8px; margin-bottom: 12px; }
+  .header img { max-height: 48px; float: right; }
+  .company { font-size: 18px; font-weight: bold; color: {{company.color}}; }
+  table { width: 100%; border-collapse: collapse; margin-bottom: 12px; }
+  th { background: {{company.color}}; color: #fff; text-align: left; padding: 4px 6px; }
+  td { padding: 3px 6px; border-bottom: 1px solid #e5e5e5; }
+  td.amount, th.amount { text-align: right; }
+  .net { font-size: 16px; font-weight: bold; color: {{company.color}}; text-align: right; }
+  .footer { margin-top: 16px; color: #777; font-size: 10px; }
+</style>
+</head>
+<body>
+  <div class="header">
+    {{{company.logoTag}}}
+    <div class="company">{{company.name}}</div>
+    <div>{{company.address}}</div>
+  </div>
+  <table>
+    <tr><td>Employee</td><td>{{employee.name}}</td><td>ID number</td><td>{{employee.idNumber}}</td></tr>
+    <tr><td>Position</td><td>{{employee.position}}</td><td>Department</td><td>{{employee.department}}</td></tr>
+    <tr><td>Pay period</td><td>{{period.label}}</td><td>Pay date</td><td>{{period.payDate}}</td></tr>
+  </table>
+  <table>
+    <tr><th>Earnings</th><th class="amount">Amount</th></tr>
+    {{{earningsRows}}}
+    <tr><td><strong>Gross pay</strong></td><td class="amount"><strong>{{totals.grossPay}}</strong></td></tr>
+  </table>
+  <table>
+    <tr><th>Deductions</th><th class="amount">Amount</th></tr>
+    {{{deductionRows}}}
+    <tr><td><strong>Total deductions</strong></td><td class="amount"><strong>{{totals.totalDeductions}}</strong></td></tr>
+  </table>
+  <div class="net">Net pay: {{totals.netPay}}</div>
+  <div class="footer">{{company.footerNote}}</div>
+</body>
+</html>`;
+
+const firestore = () => {
+  if (typeof admin.firestore !== 'function') {
+    throw new Error('Firestore is not initialized');
+  }
+  return admin.firestore();
+};
+
+const FieldValue = admin.firestore.FieldValue;
+
+const createServiceError = (code, message, details) => {
+  const error = new Error(message);
+  error.code = code;
+  if (details !== undefined) {
+    error.details = details;
+  }
+  return error;
+};
+
+const toNumber = (value, fallback = 0) => {
+  if (value === null || value === undefined || value === '') {
+    return fallback;
+  }
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? numeric : fallback;
+};
+
+const safeString = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'string') {
+    return value.trim();
+  }
+  return String(value).trim();
+};
+
+const formatAmount = (value) => toNumber(value, 0).toLocaleString('en-PH', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2,
+});
+
+const escapeHtml = (value) => safeString(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const resolvePath = (context, path) => path.split('.').reduce((acc, key) => (acc == null ? undefined : acc[key]), context);
+
+/**
+ * Fill {{path}} placeholders with escaped values and {{{path}}} with raw HTML.
+ * Companies can store their own template with the same placeholders.
+ */
+const renderTemplate = (template, context) => template
+  .replace(/\{\{\{\s*([\w.]+)\s*\}\}\}/g, (match, path) => safeString(resolvePath(context, path)))
+  .replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => escapeHtml(resolvePath(context, path)));
+
+const loadPayroll = async (companyId, payrollId) => {
+  const snapshot = await firestore().collection(PAYROLL_COLLECTION).doc(payrollId).get();
+  if (!snapshot.exists || safeString(snapshot.data().companyId) !== companyId) {
+    throw createServiceError('not-found', `Payroll ${payrollId} not found.`);
+  }
+  return { id: snapshot.id, ...snapshot.data() };
+};
+
+const loadEmployee = async (employeeId) => {
+  const snapshot = await firestore().collection(EMPLOYEES_COLLECTION).doc(employeeId).get();
+  return snapshot.exists ? { id: snapshot.id, ...snapshot.data() } : { id: employeeId };
+};
+
+const loadCompany = async (companyId) => {
+  const snapshot = await firestore().collection('companies').doc(companyId).get();
+  return snapshot.exists ? { id: snapshot.id, ...snapshot.data() } : { id: companyId };
+};
+
+const buildLines = (payroll, definitions) => definitions
+  .map(([field, label]) => ({ field, label, amount: toNumber(payroll[field], 0) }))
+  .filter((line) => line.amount !== 0);
+
+/**
+ * Everything a payslip shows, taken from the stored payroll document only so
+ * the figures cannot differ from what payroll computed.
+ */
+const buildPayslipData = (payroll, company = {}, employee = {}) => {
+  const branding = company.payslipTemplate || {};
+  const earnings = buildLines(payroll, EARNING_LINES);
+  const deductions = buildLines(payroll, DEDUCTION_LINES);
+  if (toNumber(payroll.taxRefund, 0) > 0) {
+    deductions.push({ field: 'taxRefund', label: 'Tax refund', amount: -toNumber(payroll.taxRefund, 0) });
+  }
+
+  return {
+    payrollId: payroll.id,
+    company: {
+      name: safeString(company.name || company.companyName || payroll.companyName),
+      address: safeString(company.address || company.companyAddress),
+      color: /^#[0-9a-fA-F]{3,8}$/.test(safeString(branding.primaryColor)) ? branding.primaryColor : DEFAULT_BRAND_COLOR,
+      logoURL: safeString(branding.logoURL || company.logoURL || company.logo) || null,
+      footerNote: safeString(branding.footerNote) || 'This payslip is system-generated and does not require a signature.',
+    },
+    employee: {
+      id: payroll.employeeId,
+      name: safeString(payroll.employeeName || employee.employeeName),
+      idNumber: safeString(payroll.idNumber || employee.idNumber),
+      position: safeString(payroll.position || employee.position),
+      department: safeString(payroll.department || employee.department),
+    },
+    period: {
+      cutoffStartDate: safeString(payroll.cutoffStartDate),
+      cutoffEndDate: safeString(payroll.cutoffEndDate),
+      payDate: safeString(payroll.payDate),
+      label: `${safeString(payroll.cutoffStartDate)} to ${safeString(payroll.cutoffEndDate)}`,
+    },
+    earnings,
+    deductions,
+    totals: {
+      grossPay: toNumber(payroll.grossPay, 0),
+      totalDeductions: toNumber(payroll.totalDeductions, 0),
+      netPay: toNumber(payroll.netPay, 0),
+    },
+  };
+};
+
+const renderRows = (lines) => lines
+  .map((line) => `<tr><td>${escapeHtml(line.label)}</td><td class="amount">${formatAmount(line.amount)}</td></tr>`)
+  .join('\n    ');
+
+const renderPayslipHtml = (data, template) => renderTemplate(safeString(template) || DEFAULT_TEMPLATE, {
+  ...data,
+  company: {
+    ...data.company,
+    logoTag: data.company.logoURL ? `<img src="${escapeHtml(data.company.logoURL)}" alt="">` : '',
+  },
+  earningsRows: renderRows(data.earnings),
+  deductionRows: renderRows(data.deductions),
+  totals: {
+    grossPay: formatAmount(data.totals.grossPay),
+    totalDeductions: formatAmount(data.totals.totalDeductions),
+    netPay: formatAmount(data.totals.netPay),
+  },
+});
+
+/**
+ * PDF password of an employee: birth date as YYYYMMDD followed by the last four
+ * letters or digits of their ID number, e.g. 19900415 and EMP-0123 give 199004150123.
+ */
+const buildPayslipPassword = (employee = {}, payroll = {}) => {
+  const birthDate = safeString(employee.birthDate).slice(0, 10);
+  const idDigits = safeString(employee.idNumber || payroll.idNumber).replace(/[^0-9a-zA-Z]/g, '').toUpperCase();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(birthDate) || idDigits.length < 4) {
+    throw createServiceError(
+      'failed-precondition',
+      `Employee ${employee.employeeName || employee.id} needs a birth date and an ID number to protect their payslip.`,
+    );
+  }
+  return `${birthDate.replace(/-/g, '')}${idDigits.slice(-4)}`;
+};
+
+const PASSWORD_HINT = 'your birth date (YYYYMMDD) followed by the last four characters of your employee ID number';
+
+/**
+ * Draw the payslip as an AES-256 encrypted PDF. The owner password is random
+ * and discarded, so the print-only permissions cannot be lifted.
+ * @returns {Promise<Buffer>}
+ */
+const renderPayslipPdf = (data, password) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 40,
+    pdfVersion: '1.7ext3',
+    userPassword: password,
+    ownerPassword: crypto.randomBytes(24).toString('hex'),
+    permissions: { printing: 'highResolution', copying: false, modifying: false, annotating: false },
+    info: { Title: `Payslip ${data.employee.name} ${data.period.label}`, Author: data.company.name },
+  });
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const color = data.company.color;
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+
+  doc.fillColor(color).fontSize(18).font('Helvetica-Bold').text(data.company.name || 'Payslip');
+  doc.fillColor('#222222').fontSize(9).font('Helvetica').text(data.company.address);
+  doc.moveDown(0.5).moveTo(left, doc.y).lineTo(left + width, doc.y).lineWidth(2).strokeColor(color).stroke();
+  doc.moveDown();
+
+  [
+    ['Employee', data.employee.name, 'ID number', data.employee.idNumber],
+    ['Position', data.employee.position, 'Department', data.employee.department],
+    ['Pay period', data.period.label, 'Pay date', data.period.payDate],
+  ].forEach(([label1, value1, label2, value2]) => {
+    const y = doc.y;
+    doc.fontSize(9).font('Helvetica-Bold').text(label1, left, y, { width: 80 });
+    doc.font('Helvetica').text(value1 || '-', left + 80, y, { width: width / 2 - 80 });
+    doc.font('Helvetica-Bold').text(label2, left + width / 2, y, { width: 80 });
+    doc.font('Helvetica').text(value2 || '-', left + width / 2 + 80, y, { width: width / 2 - 80 });
+    doc.moveDown(0.3);
+  });
+  doc.moveDown();
+
+  const drawSection = (title, lines, totalLabel, total) => {
+    const headerY = doc.y;
+    doc.rect(left, headerY, width, 16).fill(color);
+    doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(9)
+      .text(title, left + 6, headerY + 4)
+      .text('Amount', left, headerY + 4, { width: width - 6, align: 'right' });
+    doc.fillColor('#222222').font('Helvetica').moveDown(0.6);
+    lines.forEach((line) => {
+      const y = doc.y;
+      doc.text(line.label, left + 6, y).text(formatAmount(line.amount), left, y, { width: width - 6, align: 'right' });
+      doc.moveDown(0.2);
+    });
+    const y = doc.y;
+    doc.font('Helvetica-Bold').text(totalLabel, left + 6, y).text(formatAmount(total), left, y, { width: width - 6, align: 'right' });
+    doc.font('Helvetica').moveDown();
+  };
+
+  drawSection('Earnings', data.earnings, 'Gross pay', data.totals.grossPay);
+  drawSection('Deductions', data.deductions, 'Total deductions', data.totals.totalDeductions);
+
+  doc.fillColor(color).font('Helvetica-Bold').fontSize(14)
+    .text(`Net pay: ${formatAmount(data.totals.netPay)}`, left, doc.y, { width, align: 'right' });
+  doc.moveDown(2).fillColor('#777777').font('Helvetica').fontSize(8).text(data.company.footerNote, left, doc.y, { width });
+  doc.end();
+});
+
+const buildStoragePath = (companyId, payrollId) => `${STORAGE_FOLDER}/${companyId}/${payrollId}.pdf`;
+
+/**
+ * Render a stored payroll into HTML and an encrypted PDF, and keep the PDF in
+ * storage so it can be reprinted exactly as issued.
+ * @param {object} payload - { companyId, payrollId }
+ * @returns {object} { payroll, employee, data, html, pdf, storagePath }
+ */
+const generatePayslip = async (payload = {}, options = {}) => {
+  const companyId = safeString(payload.companyId);
+  const payrollId = safeString(payload.payrollId);
+  if (!companyId || !payrollId) {
+    throw createServiceError('invalid-argument', 'companyId and payrollId are required.');
+  }
+
+  const payroll = await loadPayroll(companyId, payrollId);
+  const [employee, company] = await Promise.all([loadEmployee(payroll.employeeId), loadCompany(companyId)]);
+  const data = buildPayslipData(payroll, company, employee);
+  const html = renderPayslipHtml(data, company.payslipTemplate?.html);
+  const pdf = await renderPayslipPdf(data, buildPayslipPassword(employee, payroll));
+
+  const storagePath = buildStoragePath(companyId, payrollId);
+  await admin.storage().bucket().file(storagePath).save(pdf, {
+    contentType: 'application/pdf',
+    resumable: false,
+    metadata: {
+      contentType: 'application/pdf',
+      metadata: { companyId, payrollId, employeeId: payroll.employeeId, generatedBy: options.userId || 'system' },
+    },
+  });
+
+  await firestore().collection(HISTORY_COLLECTION).doc(payrollId).set({
+    type: 'server_render',
+    companyId,
+    employeeId: payroll.employeeId,
+    employeeName: data.employee.name,
+    payrollId,
+    payDate: data.period.payDate,
+    cutoffStartDate: data.period.cutoffStartDate,
+    cutoffEndDate: data.period.cutoffEndDate,
+    netPay: data.totals.netPay,
+    storagePath,
+    generatedAt: new Date().toISOString(),
+    generatedBy: options.userId || null,
+    updatedAt: FieldValue.serverTimestamp(),
+  }, { merge: true });
+
+  return { payroll, employee, data, html, pdf, storagePath };
+};
+
+/**
+ * The PDF exactly as last issued, rendering it first if it was never generated.
+ */
+const getPayslipPdf = async (payload = {}, options = {}) => {
+  const companyId = safeString(payload.companyId);
+  const payrollId = safeString(payload.payrollId);
+  if (!companyId || !payrollId) {
+    throw createServiceError('invalid-argument', 'companyId and payrollId are required.');
+  }
+  await loadPayroll(companyId, payrollId);
+
+  const file = admin.storage().bucket().file(buildStoragePath(companyId, payrollId));
+  const [exists] = await file.exists();
+  if (exists && payload.regenerate !== true) {
+    const [pdf] = await file.download();
+    return { pdf, payrollId, reprint: true };
+  }
+  const generated = await generatePayslip({ companyId, payrollId }, options);
+  return { pdf: generated.pdf, payrollId, reprint: false };
+};
+
+/**
+ * Render and email payslips for stored payrolls. The email body carries no
+ * figures; the payslip only travels as the password-protected attachment.
+ * @param {object} payload - { companyId, payrollIds, subject? }
+ * @returns {object} { total, sent, failed, failures }
+ */
+const sendPayslips = async (payload = {}, options = {}) => {
+  const companyId = safeString(payload.companyId);
+  const payrollIds = Array.from(new Set((Array.isArray(payload.payrollIds) ? payload.payrollIds : [])
+    .map(safeString)
+    .filter(Boolean)));
+  if (!companyId || payrollIds.length === 0) {
+    throw createServiceError('invalid-argument', 'companyId and payrollIds are required.');
+  }
+
+  const transporter = await ensureTransport();
+  if (!transporter) {
+    throw createServiceError('failed-precondition', 'Mail transport not configured on server', getMailConfigStatus());
+  }
+  const from = getFromAddress();
+
+  const failures = [];
+  let sent = 0;
+  // One payslip at a time keeps a large payroll from holding every PDF in memory at once
+  for (const payrollId of payrollIds) {
+    try {
+      const { employee, data, pdf } = await generatePayslip({ companyId, payrollId }, options);
+      const to = safeString(employee.email);
+      if (!to) {
+        throw createServiceError('failed-precondition', `${data.employee.name} has no email address.`);
+      }
+
+      await transporter.sendMail({
+        from,
+        to,
+        subject: safeString(payload.subject) || `Payslip for ${data.period.label} - ${data.company.name}`,
+        html: `<p>Hi ${escapeHtml(data.employee.name)},</p>`
+          + `<p>Your payslip for ${escapeHtml(data.period.label)} is attached.</p>`
+          + `<p>The PDF is password protected. The password is ${PASSWORD_HINT}.</p>`
+          + `<p>${escapeHtml(data.company.name)}</p>`,
+        attachments: [{
+          filename: `payslip-${data.period.payDate || payrollId}.pdf`,
+          content: pdf,
+          contentType: 'application/pdf',
+        }],
+      });
+
+      await firestore().collection(HISTORY_COLLECTION).doc(payrollId).set({
+        sentTo: to,
+        sentAt: new Date().toISOString(),
+        sentBy: options.userId || null,
+        sendCount: FieldValue.increment(1),
+      }, { merge: true });
+      sent += 1;
+    } catch (error) {
+      failures.push({ payrollId, code: error.code || null, reason: error.message || String(error) });
+    }
+  }
+
+  return {
+    success: true,
+    total: payrollIds.length,
+    sent,
+    failed: failures.length,
+    failures,
+    transport: getMailConfigStatus(),
+  };
+};
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  renderTemplate,
+  buildPayslipData,
+  renderPayslipHtml,
+  buildPayslipPassword,
+  renderPayslipPdf,
+  generatePayslip,
+  getPayslipPdf,
+  sendPayslips,
+};
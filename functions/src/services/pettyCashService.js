@@ -10,6 +10,10 @@ const firestore = () => {
 const FieldValue = admin.firestore.FieldValue;
 
 const COLLECTION = 'pettyCash';
+const FUNDS_COLLECTION = 'pettyCashFunds';
+const REPLENISHMENTS_COLLECTION = 'pettyCashReplenishments';
+// Every expense and the fund update are written in one transaction, which caps writes at 500
+const MAX_REPLENISHMENT_EXPENSES = 400;
 
 const createServiceError = (code, message, details) => {
   const error = new Error(message);
@@ -25,6 +29,7 @@ const toNumber = (v) => {
   return Number.isFinite(n) ? n : NaN;
 };
 const isValidDateStr = (v) => typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v);
+const roundCurrency = (v) => Math.round(Number(v) * 100) / 100;
 
 function validateBase(payload = {}) {
   const errors = [];
@@ -57,12 +62,14 @@ function validateReplenish(payload = {}) {
 }
 
 async function listPettyCash(filters = {}) {
+  const { companyId, fundId, type, status, from, to, limit } = filters;
+  if (!safeString(companyId)) throw createServiceError('invalid-argument', 'companyId is required');
   const db = firestore();
-  const { companyId, type, from, to, limit } = filters;
 
-  let q = db.collection(COLLECTION);
-  if (safeString(companyId)) q = q.where('companyId', '==', safeString(companyId));
+  let q = db.collection(COLLECTION).where('companyId', '==', safeString(companyId));
+  if (safeString(fundId)) q = q.where('fundId', '==', safeString(fundId));
   if (safeString(type)) q = q.where('type', '==', safeString(type));
+  if (safeString(status)) q = q.where('status', '==', safeString(status));
   if (isValidDateStr(from)) q = q.where('date', '>=', from);
   if (isValidDateStr(to)) q = q.where('date', '<=', to);
   q = q.orderBy('date', 'desc');
@@ -75,16 +82,259 @@ async function listPettyCash(filters = {}) {
   return { success: true, records };
 }
 
-async function getPettyCashById(id) {
-  const db = firestore();
-  const ref = db.collection(COLLECTION).doc(safeString(id));
+// An entry of another company is reported as missing rather than forbidden
+async function loadRecord(companyId, id) {
+  if (!safeString(companyId)) throw createServiceError('invalid-argument', 'companyId is required');
+  const ref = firestore().collection(COLLECTION).doc(safeString(id));
   const snap = await ref.get();
-  if (!snap.exists) return null;
+  if (!snap.exists || snap.data().companyId !== safeString(companyId)) {
+    throw createServiceError('not-found', 'Petty cash record not found');
+  }
+  return { ref, record: snap.data() };
+}
+
+async function getPettyCashById(companyId, id) {
+  const { ref, record } = await loadRecord(companyId, id);
+  return { id: ref.id, ...record };
+}
+
+// ---------------------------------------------------------------------------
+// Funds
+
+function validateFund(payload = {}) {
+  const errors = [];
+  if (!safeString(payload.companyId)) errors.push('companyId is required');
+  if (!safeString(payload.name)) errors.push('name is required');
+  if (!safeString(payload.custodianId) && !safeString(payload.custodianName)) {
+    errors.push('custodianId or custodianName is required');
+  }
+  const imprest = toNumber(payload.imprestAmount);
+  if (!Number.isFinite(imprest) || imprest <= 0) errors.push('imprestAmount must be a positive number');
+  return errors;
+}
+
+async function resolveCustodian(companyId, payload = {}) {
+  const custodianId = safeString(payload.custodianId);
+  if (!custodianId) return { custodianId: null, custodianName: safeString(payload.custodianName) };
+  const snap = await firestore().collection('employees').doc(custodianId).get();
+  if (!snap.exists || safeString(snap.data().companyId) !== companyId) {
+    throw createServiceError('invalid-argument', `Custodian ${custodianId} is not an employee of this company`);
+  }
+  return { custodianId, custodianName: safeString(payload.custodianName) || safeString(snap.data().employeeName) };
+}
+
+async function getFund(companyId, fundId) {
+  const snap = await firestore().collection(FUNDS_COLLECTION).doc(safeString(fundId)).get();
+  if (!snap.exists || (companyId && snap.data().companyId !== safeString(companyId))) {
+    throw createServiceError('not-found', 'Petty cash fund not found');
+  }
   return { id: snap.id, ...snap.data() };
 }
 
+async function listFunds(filters = {}) {
+  if (!safeString(filters.companyId)) throw createServiceError('invalid-argument', 'companyId is required');
+  let q = firestore().collection(FUNDS_COLLECTION).where('companyId', '==', safeString(filters.companyId));
+  if (filters.active === 'true' || filters.active === true) q = q.where('active', '==', true);
+  const snap = await q.get();
+  const funds = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+  return { success: true, funds };
+}
+
+/**
+ * Open a fund at its imprest amount. The opening float is the first ledger
+ * entry so the running balance always adds up from zero.
+ */
+async function createFund(payload = {}, options = {}) {
+  const errors = validateFund(payload);
+  if (errors.length) throw createServiceError('invalid-argument', errors.join('; '), errors);
+
+  const companyId = safeString(payload.companyId);
+  const custodian = await resolveCustodian(companyId, payload);
+  const imprestAmount = roundCurrency(toNumber(payload.imprestAmount));
+  const db = firestore();
+  const fundRef = db.collection(FUNDS_COLLECTION).doc();
+  const entryRef = db.collection(COLLECTION).doc();
+  const today = new Date().toISOString().slice(0, 10);
+
+  const fund = {
+    id: fundRef.id,
+    companyId,
+    name: safeString(payload.name),
+    ...custodian,
+    imprestAmount,
+    balance: imprestAmount,
+    lastSequence: 1,
+    active: true,
+    createdBy: options.userId || null,
+    createdByEmail: options.email || null,
+  };
+
+  const batch = db.batch();
+  batch.set(fundRef, { ...fund, createdAt: FieldValue.serverTimestamp(), updatedAt: FieldValue.serverTimestamp() });
+  batch.set(entryRef, {
+    id: entryRef.id,
+    companyId,
+    fundId: fundRef.id,
+    type: 'replenish',
+    date: safeString(payload.date) || today,
+    amount: imprestAmount,
+    reference: safeString(payload.reference) || 'Opening float',
+    notes: 'Initial imprest',
+    sequence: 1,
+    runningBalance: imprestAmount,
+    createdAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp(),
+    createdBy: options.userId || null,
+    createdByEmail: options.email || null,
+  });
+  await batch.commit();
+
+  return { success: true, id: fundRef.id, fund };
+}
+
+// The imprest amount is fixed once a fund is open; close the fund and open a new one to change it
+async function updateFund(companyId, fundId, payload = {}, options = {}) {
+  const fund = await getFund(companyId, fundId);
+  if (payload.imprestAmount != null && roundCurrency(toNumber(payload.imprestAmount)) !== fund.imprestAmount) {
+    throw createServiceError('failed-precondition', 'imprestAmount cannot be changed on an open fund');
+  }
+
+  const update = { updatedAt: FieldValue.serverTimestamp(), updatedBy: options.userId || null };
+  if (payload.name != null) {
+    if (!safeString(payload.name)) throw createServiceError('invalid-argument', 'name cannot be empty');
+    update.name = safeString(payload.name);
+  }
+  if (payload.custodianId != null || payload.custodianName != null) {
+    Object.assign(update, await resolveCustodian(fund.companyId, payload));
+  }
+  if (payload.active != null) update.active = payload.active === true || payload.active === 'true';
+
+  await firestore().collection(FUNDS_COLLECTION).doc(fund.id).set(update, { merge: true });
+  return { success: true, id: fund.id };
+}
+
+/**
+ * Posted entries of a fund in posting order, each with the balance after it.
+ * Expenses waiting for approval are not on the ledger yet.
+ */
+async function getFundLedger(companyId, fundId, filters = {}) {
+  const fund = await getFund(companyId, fundId);
+  const snap = await firestore().collection(COLLECTION).where('fundId', '==', fund.id).get();
+  const entries = snap.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .filter((e) => e.sequence)
+    .filter((e) => (!isValidDateStr(filters.from) || e.date >= filters.from) && (!isValidDateStr(filters.to) || e.date <= filters.to))
+    .sort((a, b) => (a.sequence || 0) - (b.sequence || 0));
+  return { success: true, fund, balance: fund.balance, entries };
+}
+
+// ---------------------------------------------------------------------------
+// Approval limits
+
+// Largest expense each role may approve; null means no limit. Companies override
+// these with pettyCashApprovalLimits on their company document.
+const DEFAULT_APPROVAL_LIMITS = Object.freeze({
+  superadmin: null,
+  admin: 50000,
+  finance: 20000,
+  manager: 5000,
+});
+
+async function getApprovalLimits(companyId) {
+  if (!safeString(companyId)) throw createServiceError('invalid-argument', 'companyId is required');
+  const snap = await firestore().collection('companies').doc(safeString(companyId)).get();
+  const overrides = (snap.exists && snap.data().pettyCashApprovalLimits) || {};
+  return { success: true, limits: { ...DEFAULT_APPROVAL_LIMITS, ...overrides } };
+}
+
+async function setApprovalLimits(companyId, limits = {}, options = {}) {
+  if (!safeString(companyId)) throw createServiceError('invalid-argument', 'companyId is required');
+  const errors = [];
+  const normalized = {};
+  Object.entries(limits || {}).forEach(([role, value]) => {
+    if (value === null) {
+      normalized[role] = null;
+      return;
+    }
+    const amount = toNumber(value);
+    if (!Number.isFinite(amount) || amount < 0) errors.push(`${role}: limit must be a non-negative number or null`);
+    else normalized[role] = roundCurrency(amount);
+  });
+  if (errors.length) throw createServiceError('invalid-argument', errors.join('; '), errors);
+
+  await firestore().collection('companies').doc(safeString(companyId)).set({
+    pettyCashApprovalLimits: normalized,
+    updatedAt: FieldValue.serverTimestamp(),
+    updatedBy: options.userId || null,
+  }, { merge: true });
+  return getApprovalLimits(companyId);
+}
+
+// ---------------------------------------------------------------------------
+// Receipts
+
+/**
+ * Receipts are uploaded first through POST /files/upload; entries only keep
+ * the storage path it returned. The path must sit in the company's folder.
+ */
+async function normalizeReceipts(companyId, receipts) {
+  const list = Array.isArray(receipts) ? receipts : [receipts].filter(Boolean);
+  const bucket = admin.storage().bucket();
+  const normalized = [];
+  for (const receipt of list) {
+    const path = safeString(typeof receipt === 'string' ? receipt : receipt.path);
+    if (!path || !path.split('/').includes(companyId)) {
+      throw createServiceError('invalid-argument', `Receipt ${path || '(empty)'} is not stored under company ${companyId}`);
+    }
+    const [exists] = await bucket.file(path).exists();
+    if (!exists) throw createServiceError('invalid-argument', `Receipt ${path} was not found in storage`);
+    normalized.push({
+      path,
+      fileName: safeString(receipt.fileName) || path.split('/').pop(),
+      contentType: safeString(receipt.contentType) || null,
+      size: Number.isFinite(Number(receipt.size)) ? Number(receipt.size) : null,
+    });
+  }
+  return normalized;
+}
+
+async function attachReceipts(companyId, id, payload = {}, options = {}) {
+  const { ref, record } = await loadRecord(companyId, id);
+  if (record.status !== 'submitted') {
+    throw createServiceError('failed-precondition', `Entry is ${record.status || 'posted'}; receipts can only be added while it is submitted`);
+  }
+  const receipts = await normalizeReceipts(record.companyId, payload.receipts);
+  if (!receipts.length) throw createServiceError('invalid-argument', 'receipts is required');
+
+  const merged = [...(record.receipts || [])];
+  receipts.forEach((r) => { if (!merged.some((m) => m.path === r.path)) merged.push(r); });
+  await ref.set({
+    receipts: merged,
+    updatedAt: FieldValue.serverTimestamp(),
+    updatedBy: options.userId || null,
+  }, { merge: true });
+  return { success: true, id: ref.id, companyId: record.companyId, receipts: merged };
+}
+
+// ---------------------------------------------------------------------------
+// Ledger entries
+
+const buildPostingFields = (fund, delta) => {
+  const balance = roundCurrency(toNumber(fund.balance) || 0);
+  return {
+    sequence: (fund.lastSequence || 0) + 1,
+    runningBalance: roundCurrency(balance + delta),
+  };
+};
+
+/**
+ * Record an expense or top-up against a fund. Expenses start submitted and
+ * only reach the ledger once approved; top-ups post straight away, and may
+ * only bring the fund back to its imprest.
+ */
 async function createPettyCash(payload = {}, options = {}) {
   const baseErrors = validateBase(payload);
+  if (!safeString(payload.fundId)) baseErrors.push('fundId is required');
   if (baseErrors.length) throw createServiceError('invalid-argument', baseErrors.join('; '), baseErrors);
 
   if (payload.type === 'expense') {
@@ -96,47 +346,266 @@ async function createPettyCash(payload = {}, options = {}) {
     if (e.length) throw createServiceError('invalid-argument', e.join('; '), e);
   }
 
+  const companyId = safeString(payload.companyId);
+  const receipts = payload.receipts ? await normalizeReceipts(companyId, payload.receipts) : [];
   const db = firestore();
+  const fundRef = db.collection(FUNDS_COLLECTION).doc(safeString(payload.fundId));
   const ref = db.collection(COLLECTION).doc();
+  const amount = roundCurrency(toNumber(payload.amount));
 
-  const record = {
-    id: ref.id,
-    companyId: safeString(payload.companyId),
-    type: safeString(payload.type),
-    date: safeString(payload.date),
-    amount: Number(toNumber(payload.amount)),
-    reference: safeString(payload.reference),
-    category: payload.type === 'expense' ? safeString(payload.category) : undefined,
-    description: payload.type === 'expense' ? safeString(payload.description) : undefined,
-    notes: payload.type === 'replenish' ? safeString(payload.notes) : undefined,
-    createdAt: FieldValue.serverTimestamp(),
-    updatedAt: FieldValue.serverTimestamp(),
-    createdBy: options.userId || null,
-    createdByEmail: options.email || null,
-    updatedBy: options.userId || null,
-    updatedByEmail: options.email || null,
-  };
+  return db.runTransaction(async (tx) => {
+    const fundSnap = await tx.get(fundRef);
+    if (!fundSnap.exists || fundSnap.data().companyId !== companyId) {
+      throw createServiceError('not-found', 'Petty cash fund not found');
+    }
+    const fund = fundSnap.data();
+    if (fund.active === false) throw createServiceError('failed-precondition', `Fund ${fund.name} is closed`);
 
-  // remove undefined fields
-  Object.keys(record).forEach((k) => record[k] === undefined && delete record[k]);
+    const balance = roundCurrency(toNumber(fund.balance) || 0);
+    // Checked again on approval, when the balance actually moves
+    if (payload.type === 'expense' && amount > balance) {
+      throw createServiceError(
+        'failed-precondition',
+        `Expense of ${amount} exceeds the ${balance} left in ${fund.name}`,
+        { balance, amount },
+      );
+    }
+    if (payload.type === 'replenish' && roundCurrency(balance + amount) > fund.imprestAmount) {
+      throw createServiceError(
+        'failed-precondition',
+        `Top-up of ${amount} would take ${fund.name} above its imprest of ${fund.imprestAmount}`,
+        { balance, amount, imprestAmount: fund.imprestAmount },
+      );
+    }
 
-  await ref.set(record);
-  return { success: true, id: ref.id };
+    const posting = payload.type === 'replenish' ? buildPostingFields(fund, amount) : {};
+    const record = {
+      id: ref.id,
+      companyId,
+      fundId: fundRef.id,
+      type: safeString(payload.type),
+      status: payload.type === 'expense' ? 'submitted' : 'approved',
+      date: safeString(payload.date),
+      amount,
+      reference: safeString(payload.reference),
+      category: payload.type === 'expense' ? safeString(payload.category) : undefined,
+      description: payload.type === 'expense' ? safeString(payload.description) : undefined,
+      notes: payload.type === 'replenish' ? safeString(payload.notes) : undefined,
+      receipts: payload.type === 'expense' ? receipts : undefined,
+      ...posting,
+      replenishmentId: payload.type === 'expense' ? null : undefined,
+      submittedAt: payload.type === 'expense' ? new Date().toISOString() : undefined,
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+      createdBy: options.userId || null,
+      createdByEmail: options.email || null,
+      updatedBy: options.userId || null,
+      updatedByEmail: options.email || null,
+    };
+
+    // remove undefined fields
+    Object.keys(record).forEach((k) => record[k] === undefined && delete record[k]);
+
+    tx.set(ref, record);
+    if (payload.type === 'replenish') {
+      tx.update(fundRef, {
+        balance: posting.runningBalance, lastSequence: posting.sequence, updatedAt: FieldValue.serverTimestamp(),
+      });
+    }
+    return { success: true, id: ref.id, status: record.status, balance: posting.runningBalance ?? balance };
+  });
 }
 
-async function updatePettyCash(id, payload = {}, options = {}) {
+/**
+ * Approve or reject a submitted expense. Approval needs a receipt, a role whose
+ * limit covers the amount and a different user than the one who submitted it;
+ * it posts the expense to the ledger.
+ * @param {object} payload - { companyId, id, decision: 'approve' | 'reject', reason? }
+ * @param {object} options - { userId, email, role }
+ */
+async function reviewPettyCash(payload = {}, options = {}) {
+  const decision = safeString(payload.decision);
+  if (decision !== 'approve' && decision !== 'reject') {
+    throw createServiceError('invalid-argument', "decision must be 'approve' or 'reject'");
+  }
+  if (decision === 'reject' && !safeString(payload.reason)) {
+    throw createServiceError('invalid-argument', 'A reason is required to reject an expense');
+  }
+
   const db = firestore();
-  const ref = db.collection(COLLECTION).doc(safeString(id));
-  const snap = await ref.get();
-  if (!snap.exists) throw createServiceError('not-found', 'Petty cash record not found');
+  const ref = db.collection(COLLECTION).doc(safeString(payload.id));
+  const existing = await ref.get();
+  if (!existing.exists || existing.data().companyId !== safeString(payload.companyId)) {
+    throw createServiceError('not-found', 'Petty cash record not found');
+  }
+  const { limits } = await getApprovalLimits(payload.companyId);
+  const fundRef = db.collection(FUNDS_COLLECTION).doc(existing.data().fundId);
+  const now = new Date().toISOString();
 
-  const update = { updatedAt: FieldValue.serverTimestamp() };
-  if (payload.companyId != null) update.companyId = safeString(payload.companyId);
-  if (payload.type != null) {
-    const t = safeString(payload.type);
-    if (t !== 'expense' && t !== 'replenish') throw createServiceError('invalid-argument', "type must be 'expense' or 'replenish'");
-    update.type = t;
+  return db.runTransaction(async (tx) => {
+    const [snap, fundSnap] = await Promise.all([tx.get(ref), tx.get(fundRef)]);
+    const record = snap.data();
+    const fund = fundSnap.data() || {};
+    if (record.status !== 'submitted') {
+      throw createServiceError('failed-precondition', `Expense is already ${record.status || 'posted'}`);
+    }
+
+    if (decision === 'reject') {
+      tx.update(ref, {
+        status: 'rejected',
+        rejectionReason: safeString(payload.reason),
+        reviewedAt: now,
+        reviewedBy: options.userId || null,
+        reviewedByEmail: options.email || null,
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+      return { success: true, id: ref.id, status: 'rejected', record: { ...record, status: 'rejected' } };
+    }
+
+    if (options.userId && record.createdBy === options.userId) {
+      throw createServiceError('permission-denied', 'An expense cannot be approved by the person who submitted it');
+    }
+    const role = safeString(options.role);
+    if (!Object.prototype.hasOwnProperty.call(limits, role)) {
+      throw createServiceError('permission-denied', `Role ${role || '(none)'} cannot approve petty cash expenses`);
+    }
+    if (limits[role] !== null && record.amount > limits[role]) {
+      throw createServiceError(
+        'permission-denied',
+        `Expense of ${record.amount} is above the ${limits[role]} approval limit for ${role}`,
+        { amount: record.amount, limit: limits[role], role },
+      );
+    }
+    if (!(record.receipts || []).length) {
+      throw createServiceError('failed-precondition', 'Attach at least one receipt before approving');
+    }
+    const balance = roundCurrency(toNumber(fund.balance) || 0);
+    if (record.amount > balance) {
+      throw createServiceError(
+        'failed-precondition',
+        `Expense of ${record.amount} exceeds the ${balance} left in ${fund.name}`,
+        { balance, amount: record.amount },
+      );
+    }
+
+    const posting = buildPostingFields(fund, -record.amount);
+    tx.update(ref, {
+      status: 'approved',
+      ...posting,
+      approvedAt: now,
+      approvedBy: options.userId || null,
+      approvedByEmail: options.email || null,
+      approvedByRole: role,
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    tx.update(fundRef, {
+      balance: posting.runningBalance, lastSequence: posting.sequence, updatedAt: FieldValue.serverTimestamp(),
+    });
+    return {
+      success: true,
+      id: ref.id,
+      status: 'approved',
+      balance: posting.runningBalance,
+      record: { ...record, status: 'approved', ...posting },
+    };
+  });
+}
+
+/**
+ * Correct a posted entry by posting its opposite. The original stays as it
+ * was, linked to the reversal through reversedBy. Reversing an expense that a
+ * replenishment already paid back would put the money in twice, so the fund may
+ * not end up above its imprest.
+ */
+async function reversePettyCash(companyId, id, payload = {}, options = {}) {
+  const reason = safeString(payload.reason);
+  if (!reason) throw createServiceError('invalid-argument', 'A reason is required to reverse an entry');
+
+  const db = firestore();
+  const { ref, record: existing } = await loadRecord(companyId, id);
+  if (!existing.fundId) throw createServiceError('failed-precondition', 'Only fund entries can be reversed');
+  const fundRef = db.collection(FUNDS_COLLECTION).doc(existing.fundId);
+  const reversalRef = db.collection(COLLECTION).doc();
+  const now = new Date().toISOString();
+
+  return db.runTransaction(async (tx) => {
+    const [snap, fundSnap] = await Promise.all([tx.get(ref), tx.get(fundRef)]);
+    const record = snap.data();
+    const fund = fundSnap.data() || {};
+    if (!record.sequence) {
+      throw createServiceError('failed-precondition', 'Only approved entries can be reversed; reject or delete it instead');
+    }
+    if (record.type === 'reversal') throw createServiceError('failed-precondition', 'A reversal cannot itself be reversed');
+    if (record.reversedBy) throw createServiceError('failed-precondition', `Entry was already reversed by ${record.reversedBy}`);
+    if (record.replenishmentRequestId && !record.replenishmentId) {
+      throw createServiceError('failed-precondition', 'Entry is part of a pending replenishment; reject that request first');
+    }
+
+    // Reversing an expense puts the money back; reversing a top-up takes it out again
+    const delta = record.type === 'expense' ? record.amount : -record.amount;
+    if (roundCurrency(toNumber(fund.balance) + delta) < 0) {
+      throw createServiceError('failed-precondition', `Reversal would overdraw ${fund.name}`, { balance: fund.balance });
+    }
+    if (roundCurrency(toNumber(fund.balance) + delta) > fund.imprestAmount) {
+      throw createServiceError(
+        'failed-precondition',
+        `Reversal would take ${fund.name} above its imprest of ${fund.imprestAmount}${record.replenishmentId ? '; the expense was already replenished' : ''}`,
+        { balance: fund.balance, amount: record.amount, imprestAmount: fund.imprestAmount },
+      );
+    }
+    const posting = buildPostingFields(fund, delta);
+    const reversal = {
+      id: reversalRef.id,
+      companyId: record.companyId,
+      fundId: record.fundId,
+      type: 'reversal',
+      status: 'approved',
+      date: isValidDateStr(payload.date) ? payload.date : now.slice(0, 10),
+      amount: record.amount,
+      reference: `Reversal of ${record.reference}`,
+      category: record.category,
+      notes: reason,
+      reversalOf: ref.id,
+      ...posting,
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+      createdBy: options.userId || null,
+      createdByEmail: options.email || null,
+    };
+    Object.keys(reversal).forEach((k) => reversal[k] === undefined && delete reversal[k]);
+
+    tx.set(reversalRef, reversal);
+    tx.update(ref, { reversedBy: reversalRef.id, reversedAt: now, updatedAt: FieldValue.serverTimestamp() });
+    tx.update(fundRef, {
+      balance: posting.runningBalance, lastSequence: posting.sequence, updatedAt: FieldValue.serverTimestamp(),
+    });
+    return { success: true, id: reversalRef.id, reversal, original: { id: ref.id, ...record }, balance: posting.runningBalance };
+  });
+}
+
+// Entries recorded before funds existed have no ledger to correct them on and stay as they are
+const assertNotLegacy = (record, action) => {
+  if (!record.fundId) {
+    throw createServiceError('failed-precondition', `Entry predates petty cash funds and cannot be ${action}`);
+  }
+};
+
+// Only submitted expenses can still be edited; posted entries are corrected with a reversal
+async function updatePettyCash(companyId, id, payload = {}, options = {}) {
+  const { ref, record: existing } = await loadRecord(companyId, id);
+  assertNotLegacy(existing, 'changed');
+
+  if (existing.status !== 'submitted') {
+    throw createServiceError(
+      'failed-precondition',
+      `Entry is ${existing.status || 'posted'} and cannot be changed; post a reversal instead`,
+    );
   }
+  if ((payload.fundId != null && payload.fundId !== existing.fundId) || (payload.type != null && payload.type !== existing.type)) {
+    throw createServiceError('failed-precondition', 'fundId and type cannot be changed; delete the expense and submit a new one');
+  }
+
+  const update = { updatedAt: FieldValue.serverTimestamp() };
   if (payload.date != null) {
     if (!isValidDateStr(payload.date)) throw createServiceError('invalid-argument', 'date must be YYYY-MM-DD');
     update.date = safeString(payload.date);
@@ -145,7 +614,7 @@ async function updatePettyCash(id, payload = {}, options = {}) {
     const amt = toNumber(payload.amount);
     if (!Number.isFinite(amt)) throw createServiceError('invalid-argument', 'amount must be a number');
     if (amt < 0) throw createServiceError('invalid-argument', 'amount cannot be negative');
-    update.amount = Number(amt);
+    update.amount = roundCurrency(amt);
   }
   if (payload.reference != null) update.reference = safeString(payload.reference);
   if (payload.category != null) update.category = safeString(payload.category);
@@ -159,20 +628,177 @@ async function updatePettyCash(id, payload = {}, options = {}) {
   return { success: true };
 }
 
-async function deletePettyCash(id) {
-  const db = firestore();
-  const ref = db.collection(COLLECTION).doc(safeString(id));
-  const snap = await ref.get();
-  if (!snap.exists) throw createServiceError('not-found', 'Petty cash record not found');
+// Approved entries stay on the ledger for good; only submitted or rejected expenses can be removed
+async function deletePettyCash(companyId, id) {
+  const { ref, record } = await loadRecord(companyId, id);
+  assertNotLegacy(record, 'deleted');
+  if (record.status !== 'submitted' && record.status !== 'rejected') {
+    throw createServiceError('failed-precondition', `Entry is ${record.status || 'posted'} and cannot be deleted; post a reversal instead`);
+  }
   await ref.delete();
   return { success: true };
 }
 
+// ---------------------------------------------------------------------------
+// Replenishment
+
+const summarizeByCategory = (expenses) => Object.values(expenses.reduce((acc, e) => {
+  const category = e.category || 'Uncategorized';
+  if (!acc[category]) acc[category] = { category, count: 0, amount: 0 };
+  acc[category].count += 1;
+  acc[category].amount = roundCurrency(acc[category].amount + toNumber(e.amount));
+  return acc;
+}, {})).sort((a, b) => a.category.localeCompare(b.category));
+
+async function getReplenishment(companyId, replenishmentId) {
+  const snap = await firestore().collection(REPLENISHMENTS_COLLECTION).doc(safeString(replenishmentId)).get();
+  if (!snap.exists || (companyId && snap.data().companyId !== safeString(companyId))) {
+    throw createServiceError('not-found', 'Replenishment request not found');
+  }
+  return { id: snap.id, ...snap.data() };
+}
+
+async function listReplenishments(companyId, fundId, filters = {}) {
+  const fund = await getFund(companyId, fundId);
+  let q = firestore().collection(REPLENISHMENTS_COLLECTION).where('fundId', '==', fund.id);
+  if (safeString(filters.status)) q = q.where('status', '==', safeString(filters.status));
+  const snap = await q.get();
+  const replenishments = snap.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .sort((a, b) => safeString(b.requestedAt).localeCompare(safeString(a.requestedAt)));
+  return { success: true, replenishments };
+}
+
+/**
+ * Bundle every approved expense not yet replenished or reversed into one
+ * request, totalled by category. The expenses are claimed by the request until it is approved or rejected.
+ */
+async function requestReplenishment(payload = {}, options = {}) {
+  const fund = await getFund(payload.companyId, payload.fundId);
+  const db = firestore();
+  const requestRef = db.collection(REPLENISHMENTS_COLLECTION).doc();
+  const expenseQuery = db.collection(COLLECTION).where('fundId', '==', fund.id).where('type', '==', 'expense');
+
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(expenseQuery);
+    const expenses = snap.docs
+      .map((d) => ({ id: d.id, ref: d.ref, ...d.data() }))
+      .filter((e) => e.sequence && !e.reversedBy && !e.replenishmentId && !e.replenishmentRequestId)
+      .sort((a, b) => (a.sequence || 0) - (b.sequence || 0))
+      .slice(0, MAX_REPLENISHMENT_EXPENSES);
+    if (!expenses.length) {
+      throw createServiceError('failed-precondition', `${fund.name} has no expenses waiting for replenishment`);
+    }
+
+    const request = {
+      id: requestRef.id,
+      companyId: fund.companyId,
+      fundId: fund.id,
+      fundName: fund.name,
+      status: 'pending',
+      expenseIds: expenses.map((e) => e.id),
+      categories: summarizeByCategory(expenses),
+      totalAmount: roundCurrency(expenses.reduce((sum, e) => sum + toNumber(e.amount), 0)),
+      periodFrom: expenses.map((e) => e.date).sort()[0],
+      periodTo: expenses.map((e) => e.date).sort().pop(),
+      notes: safeString(payload.notes) || null,
+      requestedAt: new Date().toISOString(),
+      requestedBy: options.userId || null,
+      requestedByEmail: options.email || null,
+    };
+
+    tx.set(requestRef, request);
+    expenses.forEach((e) => tx.update(e.ref, { replenishmentRequestId: requestRef.id }));
+    return { success: true, id: requestRef.id, replenishment: request };
+  });
+}
+
+/**
+ * Approve or reject a pending request. Approval posts one replenish entry for
+ * the total, bringing the fund back to its imprest less any expenses made since
+ * the request; rejection hands the expenses back to the next request.
+ */
+async function reviewReplenishment(payload = {}, options = {}) {
+  const decision = safeString(payload.decision);
+  if (decision !== 'approve' && decision !== 'reject') {
+    throw createServiceError('invalid-argument', "decision must be 'approve' or 'reject'");
+  }
+  if (decision === 'reject' && !safeString(payload.reason)) {
+    throw createServiceError('invalid-argument', 'A reason is required to reject a replenishment');
+  }
+
+  const existing = await getReplenishment(payload.companyId, payload.replenishmentId);
+  const db = firestore();
+  const requestRef = db.collection(REPLENISHMENTS_COLLECTION).doc(existing.id);
+  const fundRef = db.collection(FUNDS_COLLECTION).doc(existing.fundId);
+  const entryRef = db.collection(COLLECTION).doc();
+  const now = new Date().toISOString();
+
+  return db.runTransaction(async (tx) => {
+    const [requestSnap, fundSnap] = await Promise.all([tx.get(requestRef), tx.get(fundRef)]);
+    const request = requestSnap.data();
+    const fund = fundSnap.data();
+    if (request.status !== 'pending') {
+      throw createServiceError('failed-precondition', `Replenishment is already ${request.status}`);
+    }
+    const expenseRefs = request.expenseIds.map((expenseId) => db.collection(COLLECTION).doc(expenseId));
+
+    if (decision === 'reject') {
+      expenseRefs.forEach((ref) => tx.update(ref, { replenishmentRequestId: FieldValue.delete() }));
+      tx.update(requestRef, {
+        status: 'rejected', reason: safeString(payload.reason), reviewedAt: now, reviewedBy: options.userId || null,
+      });
+      return { success: true, id: existing.id, status: 'rejected' };
+    }
+
+    const sequence = (fund.lastSequence || 0) + 1;
+    const balance = roundCurrency(toNumber(fund.balance) + request.totalAmount);
+    tx.set(entryRef, {
+      id: entryRef.id,
+      companyId: request.companyId,
+      fundId: request.fundId,
+      type: 'replenish',
+      date: isValidDateStr(payload.date) ? payload.date : now.slice(0, 10),
+      amount: request.totalAmount,
+      reference: safeString(payload.reference) || `Replenishment ${existing.id}`,
+      notes: `Replenishment of ${request.expenseIds.length} expenses (${request.periodFrom} to ${request.periodTo})`,
+      replenishmentId: existing.id,
+      sequence,
+      runningBalance: balance,
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+      createdBy: options.userId || null,
+      createdByEmail: options.email || null,
+    });
+    expenseRefs.forEach((ref) => tx.update(ref, { replenishmentId: existing.id, replenishedAt: now }));
+    tx.update(fundRef, {
+      balance, lastSequence: sequence, lastReplenishedAt: now, updatedAt: FieldValue.serverTimestamp(),
+    });
+    tx.update(requestRef, {
+      status: 'approved', ledgerEntryId: entryRef.id, reviewedAt: now, reviewedBy: options.userId || null,
+    });
+    return { success: true, id: existing.id, status: 'approved', ledgerEntryId: entryRef.id, balance };
+  });
+}
+
 module.exports = {
   listPettyCash,
   getPettyCashById,
   createPettyCash,
+  reviewPettyCash,
+  reversePettyCash,
+  attachReceipts,
   updatePettyCash,
   deletePettyCash,
+  getApprovalLimits,
+  setApprovalLimits,
+  listFunds,
+  getFund,
+  createFund,
+  updateFund,
+  getFundLedger,
+  listReplenishments,
+  getReplenishment,
+  requestReplenishment,
+  reviewReplenishment,
 };
-
@@ -0,0 +1,705 @@
+const admin = require('../utils/firebaseAdmin');
+const { calculateWorkingDays, parseDateKey, formatDateKey, MS_PER_DAY } = require('../utils/dateUtils');
+const compensationService = require('./compensationService');
+const thirteenthMonthService = require('./thirteenthMonthService');
+
+const SEPARATIONS_COLLECTION = 'employeeSeparations';
+const EMPLOYEES_COLLECTION = 'employees';
+const PAYROLL_COLLECTION = 'payrolls';
+const DEFAULT_WORKING_DAYS = 22;
+
+const SEPARATION_STATUSES = Object.freeze({
+  CLEARANCE: 'clearance',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+});
+
+const SEPARATION_TRANSITIONS = Object.freeze({
+  [SEPARATION_STATUSES.CLEARANCE]: [SEPARATION_STATUSES.COMPLETED, SEPARATION_STATUSES.CANCELLED],
+  [SEPARATION_STATUSES.COMPLETED]: [],
+  [SEPARATION_STATUSES.CANCELLED]: [],
+});
+
+// Employee status written on completion; all of them are skipped by payroll generation
+const SEPARATION_TYPES = Object.freeze({
+  resignation: 'Resigned',
+  termination: 'Terminated',
+  'end-of-contract': 'Separated',
+  retirement: 'Separated',
+});
+
+const CLEARANCE_ITEM_STATUSES = ['pending', 'cleared', 'waived'];
+
+const DEFAULT_CLEARANCE_ITEMS = Object.freeze([
+  { key: 'equipment', label: 'Return of company equipment', category: 'equipment' },
+  { key: 'company-id', label: 'Surrender of company ID and access cards', category: 'equipment' },
+  { key: 'cash-advance', label: 'Settlement of outstanding cash advances', category: 'cash-advance' },
+  { key: 'turnover', label: 'Turnover of work and documents', category: 'other' },
+]);
+
+const firestore = () => {
+  if (typeof admin.firestore !== 'function') {
+    throw new Error('Firestore is not initialized');
+  }
+  return admin.firestore();
+};
+
+const FieldValue = admin.firestore.FieldValue;
+
+const createServiceError = (code, message, details) => {
+  const error = new Error(message);
+  error.code = code;
+  if (details !== undefined) {
+    error.details = details;
+  }
+  return error;
+};
+
+const toNumber = (value, fallback = 0) => {
+  if (value === null || value === undefined || value === '') {
+    return fallback;
+  }
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? numeric : fallback;
+};
+
+const roundCurrency = (value) => {
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric)) {
+    return 0;
+  }
+  return Math.round(numeric * 100) / 100;
+};
+
+const safeString = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'string') {
+    return value.trim();
+  }
+  return String(value).trim();
+};
+
+const todayKey = () => new Date().toISOString().slice(0, 10);
+
+const shiftDateKey = (dateKey, days) => formatDateKey(new Date(parseDateKey(dateKey).getTime() + days * MS_PER_DAY));
+
+const slugify = (value) => safeString(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+const loadEmployee = async (companyId, employeeId) => {
+  const snapshot = await firestore().collection(EMPLOYEES_COLLECTION).doc(employeeId).get();
+  if (!snapshot.exists || safeString(snapshot.data().companyId) !== companyId) {
+    throw createServiceError('not-found', `Employee with ID ${employeeId} not found`);
+  }
+  return { ref: snapshot.ref, data: { id: snapshot.id, ...snapshot.data() } };
+};
+
+const loadCompany = async (companyId) => {
+  const snapshot = await firestore().collection('companies').doc(companyId).get();
+  return snapshot.exists ? { id: snapshot.id, ...snapshot.data() } : { id: companyId };
+};
+
+const normalizeClearanceItem = (item = {}) => {
+  const amount = roundCurrency(Math.max(0, toNumber(item.amount, 0)));
+  const settledAmount = roundCurrency(Math.min(amount, Math.max(0, toNumber(item.settledAmount, 0))));
+  return {
+    key: slugify(item.key || item.label),
+    label: safeString(item.label),
+    category: safeString(item.category) || 'other',
+    status: CLEARANCE_ITEM_STATUSES.includes(item.status) ? item.status : 'pending',
+    amount,
+    settledAmount,
+    notes: safeString(item.notes),
+    clearedBy: item.clearedBy || null,
+    clearedAt: item.clearedAt || null,
+  };
+};
+
+/**
+ * What a clearance item still takes out of final pay: the unsettled part of a
+ * cash advance or the charge for unreturned equipment. Waived items cost nothing.
+ */
+const outstandingAmount = (item) => (item.status === 'waived'
+  ? 0
+  : roundCurrency(Math.max(0, item.amount - item.settledAmount)));
+
+/**
+ * Default checklist for a new separation. The cash advance item starts with the
+ * outstanding balance on the employee record so it is not forgotten in final pay.
+ * `cashAdvance` is the per-payroll deduction, not what is still owed, so it is
+ * not used; without a balance the item starts at zero for HR to fill in.
+ */
+const buildClearanceItems = (employee, extraItems = []) => {
+  const cashAdvanceBalance = roundCurrency(Math.max(0, toNumber(employee.cashAdvanceBalance, 0)));
+  const items = DEFAULT_CLEARANCE_ITEMS.map((item) => normalizeClearanceItem({
+    ...item,
+    amount: item.category === 'cash-advance' ? cashAdvanceBalance : 0,
+  }));
+  (Array.isArray(extraItems) ? extraItems : []).forEach((raw) => {
+    const item = normalizeClearanceItem(raw);
+    if (item.key && item.label && !items.some((existing) => existing.key === item.key)) {
+      items.push(item);
+    }
+  });
+  return items;
+};
+
+const findSeparations = async (companyId, employeeId) => {
+  const snapshot = await firestore().collection(SEPARATIONS_COLLECTION)
+    .where('employeeId', '==', employeeId)
+    .get();
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .filter((separation) => separation.companyId === companyId)
+    .sort((a, b) => safeString(b.initiatedAt).localeCompare(safeString(a.initiatedAt)));
+};
+
+/**
+ * The separation in progress or completed for an employee; cancelled ones are
+ * kept only for the record.
+ */
+const getSeparation = async (companyId, employeeId) => {
+  if (!safeString(companyId) || !safeString(employeeId)) {
+    throw createServiceError('invalid-argument', 'companyId and employeeId are required.');
+  }
+  const separations = await findSeparations(safeString(companyId), safeString(employeeId));
+  const separation = separations.find((entry) => entry.status !== SEPARATION_STATUSES.CANCELLED);
+  if (!separation) {
+    throw createServiceError('not-found', `No separation on record for employee ${employeeId}.`);
+  }
+  return separation;
+};
+
+const listSeparations = async (companyId, options = {}) => {
+  if (!safeString(companyId)) {
+    throw createServiceError('invalid-argument', 'companyId is required.');
+  }
+  let query = firestore().collection(SEPARATIONS_COLLECTION).where('companyId', '==', safeString(companyId));
+  if (safeString(options.status)) {
+    query = query.where('status', '==', safeString(options.status));
+  }
+  const snapshot = await query.get();
+  const separations = snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .sort((a, b) => safeString(b.effectiveDate).localeCompare(safeString(a.effectiveDate)));
+  return { success: true, separations, total: separations.length };
+};
+
+/**
+ * Start a resignation, termination, end of contract or retirement. The employee
+ * stays active, and on payroll, until the separation is completed.
+ * @param {object} payload - { companyId, employeeId, separationType, effectiveDate, reason, noticeDate?, clearanceItems? }
+ * @param {object} options - { userId, email }
+ */
+const initiateSeparation = async (payload = {}, options = {}) => {
+  const companyId = safeString(payload.companyId);
+  const employeeId = safeString(payload.employeeId);
+  const separationType = safeString(payload.separationType).toLowerCase();
+  const effectiveDate = safeString(payload.effectiveDate).slice(0, 10);
+  const noticeDate = safeString(payload.noticeDate).slice(0, 10);
+  const reason = safeString(payload.reason);
+
+  const errors = [];
+  if (!companyId || !employeeId) {
+    errors.push('companyId and employeeId are required');
+  }
+  if (!SEPARATION_TYPES[separationType]) {
+    errors.push(`separationType must be one of: ${Object.keys(SEPARATION_TYPES).join(', ')}`);
+  }
+  if (!parseDateKey(effectiveDate)) {
+    errors.push('effectiveDate must be a YYYY-MM-DD date');
+  }
+  if (noticeDate && !parseDateKey(noticeDate)) {
+    errors.push('noticeDate must be a YYYY-MM-DD date');
+  }
+  if (!reason) {
+    errors.push('reason is required');
+  }
+  if (errors.length) {
+    throw createServiceError('invalid-argument', `Validation errors: ${errors.join(', ')}`, errors);
+  }
+
+  const employee = await loadEmployee(companyId, employeeId);
+  const dateHired = safeString(employee.data.dateHired || employee.data.startDate).slice(0, 10);
+  if (dateHired && effectiveDate < dateHired) {
+    throw createServiceError('invalid-argument', `effectiveDate cannot be before the hire date ${dateHired}.`);
+  }
+
+  const existing = await findSeparations(companyId, employeeId);
+  const open = existing.find((entry) => entry.status !== SEPARATION_STATUSES.CANCELLED);
+  if (open) {
+    throw createServiceError(
+      'failed-precondition',
+      `Employee ${employeeId} already has a ${open.status} separation effective ${open.effectiveDate}.`,
+      { separationId: open.id },
+    );
+  }
+
+  const now = new Date().toISOString();
+  const docRef = firestore().collection(SEPARATIONS_COLLECTION).doc();
+  const separation = {
+    companyId,
+    employeeId,
+    employeeName: safeString(employee.data.employeeName),
+    separationType,
+    effectiveDate,
+    noticeDate: noticeDate || null,
+    reason,
+    status: SEPARATION_STATUSES.CLEARANCE,
+    clearanceItems: buildClearanceItems(employee.data, payload.clearanceItems),
+    finalPay: null,
+    initiatedAt: now,
+    initiatedBy: options.userId || null,
+    initiatedByEmail: options.email || null,
+    history: [{
+      from: null, to: SEPARATION_STATUSES.CLEARANCE, at: now, by: options.userId || null, reason,
+    }],
+  };
+  await docRef.set({ ...separation, createdAt: FieldValue.serverTimestamp(), updatedAt: FieldValue.serverTimestamp() });
+
+  return { success: true, separationId: docRef.id, separation: { id: docRef.id, ...separation } };
+};
+
+/**
+ * Sign off, waive or reopen one clearance item, or add a new one by sending a
+ * key that is not on the list yet together with a label.
+ * @param {object} payload - { companyId, employeeId, itemKey, status?, label?, category?, amount?, settledAmount?, notes? }
+ */
+const updateClearanceItem = async (payload = {}, options = {}) => {
+  const companyId = safeString(payload.companyId);
+  const employeeId = safeString(payload.employeeId);
+  const itemKey = slugify(payload.itemKey || payload.key);
+  if (!companyId || !employeeId || !itemKey) {
+    throw createServiceError('invalid-argument', 'companyId, employeeId and itemKey are required.');
+  }
+  if (payload.status !== undefined && !CLEARANCE_ITEM_STATUSES.includes(payload.status)) {
+    throw createServiceError('invalid-argument', `status must be one of: ${CLEARANCE_ITEM_STATUSES.join(', ')}`);
+  }
+
+  const { id: separationId } = await getSeparation(companyId, employeeId);
+  const db = firestore();
+  const docRef = db.collection(SEPARATIONS_COLLECTION).doc(separationId);
+
+  return db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(docRef);
+    const separation = snapshot.data() || {};
+    if (separation.status !== SEPARATION_STATUSES.CLEARANCE) {
+      throw createServiceError('failed-precondition', `Clearance is closed for a ${separation.status} separation.`);
+    }
+
+    const items = (separation.clearanceItems || []).map(normalizeClearanceItem);
+    const index = items.findIndex((item) => item.key === itemKey);
+    if (index === -1 && !safeString(payload.label)) {
+      throw createServiceError('invalid-argument', `label is required to add clearance item ${itemKey}.`);
+    }
+
+    const current = index === -1 ? { key: itemKey } : items[index];
+    const next = normalizeClearanceItem({
+      ...current,
+      ...['label', 'category', 'amount', 'settledAmount', 'notes', 'status']
+        .reduce((acc, field) => (payload[field] !== undefined ? { ...acc, [field]: payload[field] } : acc), {}),
+    });
+    if (next.status !== current.status) {
+      next.clearedBy = next.status === 'pending' ? null : options.userId || null;
+      next.clearedAt = next.status === 'pending' ? null : new Date().toISOString();
+    }
+    if (index === -1) {
+      items.push(next);
+    } else {
+      items[index] = next;
+    }
+
+    transaction.update(docRef, {
+      clearanceItems: items,
+      updatedAt: FieldValue.serverTimestamp(),
+      updatedBy: options.userId || null,
+    });
+
+    return {
+      success: true,
+      separationId,
+      item: next,
+      pendingItems: items.filter((item) => item.status === 'pending').map((item) => item.key),
+    };
+  });
+};
+
+/**
+ * Last day already covered by a saved payroll, so final pay only picks up the
+ * days after it.
+ */
+const findLastPaidDate = async (companyId, employeeId, effectiveDate) => {
+  const snapshot = await firestore().collection(PAYROLL_COLLECTION)
+    .where('employeeId', '==', employeeId)
+    .get();
+  return snapshot.docs
+    .map((doc) => doc.data() || {})
+    .filter((data) => !data.companyId || data.companyId === companyId)
+    .map((data) => safeString(data.cutoffEndDate).slice(0, 10))
+    .filter((date) => parseDateKey(date) && date <= effectiveDate)
+    .sort()
+    .pop() || null;
+};
+
+const resolveDayRates = (employee, monthlyWorkingDays) => {
+  const rateType = safeString(employee.rateType).toLowerCase() || 'monthly';
+  const basicPay = toNumber(employee.basicPay ?? employee.basicSalary, 0);
+  const allowances = toNumber(employee.allowance, 0)
+    + toNumber(employee.transportationAllowance ?? employee.transpoAllowance, 0);
+  return {
+    basic: rateType === 'daily'
+      ? toNumber(employee.dailyRate, 0) || basicPay
+      : basicPay / monthlyWorkingDays,
+    allowances: allowances / monthlyWorkingDays,
+  };
+};
+
+/**
+ * Salary for the working days between the last paid cutoff and the separation
+ * date, split wherever an effective-dated compensation change falls.
+ */
+const computeUnpaidSalary = async ({ employee, startDate, endDate, restDays, monthlyWorkingDays }) => {
+  if (!startDate || startDate > endDate) {
+    return { startDate, endDate, workingDays: 0, basicPay: 0, allowances: 0, segments: [] };
+  }
+  const compensation = await compensationService.resolvePeriodCompensation({
+    employeeId: employee.id,
+    cutoffStartDate: startDate,
+    cutoffEndDate: endDate,
+    restDays,
+  });
+  const ranges = compensation
+    ? compensation.segments
+    : [{ startDate, endDate, workingDays: calculateWorkingDays(startDate, endDate, { restDays }), compensation: {} }];
+
+  const segments = ranges.map((range) => {
+    const rates = resolveDayRates(compensationService.applyCompensation(employee, range.compensation), monthlyWorkingDays);
+    return {
+      startDate: range.startDate,
+      endDate: range.endDate,
+      workingDays: range.workingDays,
+      dailyRate: roundCurrency(rates.basic),
+      basicPay: roundCurrency(rates.basic * range.workingDays),
+      allowances: roundCurrency(rates.allowances * range.workingDays),
+    };
+  });
+
+  return {
+    startDate,
+    endDate,
+    workingDays: segments.reduce((sum, segment) => sum + segment.workingDays, 0),
+    basicPay: roundCurrency(segments.reduce((sum, segment) => sum + segment.basicPay, 0)),
+    allowances: roundCurrency(segments.reduce((sum, segment) => sum + segment.allowances, 0)),
+    segments,
+  };
+};
+
+/**
+ * Final pay of a separating employee: the prorated 13th month and convertible
+ * leave credits, less outstanding clearance amounts. Salary up to the last day
+ * is shown but not added: the payroll for the cutoff holding the separation
+ * date pays it, as it also settles contributions and trues up withholding tax.
+ * @param {object} payload - { companyId, employeeId, lastPaidDate?, leaveCredits?, monthlyWorkingDays? }
+ * @returns {object} { success, separationId, finalPay }
+ */
+const computeFinalPay = async (payload = {}) => {
+  const companyId = safeString(payload.companyId);
+  const employeeId = safeString(payload.employeeId);
+  const separation = await getSeparation(companyId, employeeId);
+  if (separation.status === SEPARATION_STATUSES.COMPLETED && separation.finalPay) {
+    return { success: true, separationId: separation.id, finalPay: separation.finalPay };
+  }
+
+  const [employee, company] = await Promise.all([loadEmployee(companyId, employeeId), loadCompany(companyId)]);
+  const profile = employee.data;
+  const effectiveDate = separation.effectiveDate;
+  const restDays = Array.isArray(profile.restDays)
+    ? profile.restDays
+    : (Array.isArray(company.restDays) ? company.restDays : undefined);
+  const monthlyWorkingDays = Math.max(1, toNumber(
+    payload.monthlyWorkingDays ?? profile.workingDaysPerMonth ?? company.workingDaysPerMonth,
+    DEFAULT_WORKING_DAYS,
+  ));
+
+  const lastPaidDate = safeString(payload.lastPaidDate).slice(0, 10)
+    || await findLastPaidDate(companyId, employeeId, effectiveDate);
+  const dateHired = safeString(profile.dateHired || profile.startDate).slice(0, 10);
+  const salaryStart = [lastPaidDate ? shiftDateKey(lastPaidDate, 1) : null, dateHired]
+    .filter((date) => parseDateKey(date))
+    .sort()
+    .pop() || `${effectiveDate.slice(0, 7)}-01`;
+
+  const salary = await computeUnpaidSalary({
+    employee: profile,
+    startDate: salaryStart,
+    endDate: effectiveDate,
+    restDays,
+    monthlyWorkingDays,
+  });
+
+  const year = Number(effectiveDate.slice(0, 4));
+  const thirteenth = await thirteenthMonthService.computeEmployeeThirteenthMonth({
+    companyId,
+    employeeId,
+    year,
+    employeeProfile: profile,
+    endDate: effectiveDate,
+    project: false,
+  });
+  // Days not yet on any payroll still count toward the 13th month; installments
+  // already paid out this year (e.g. a mid-year half) are taken off
+  const unpaidThirteenthMonth = salary.startDate && salary.startDate.startsWith(`${year}-`)
+    ? roundCurrency(salary.basicPay / 12)
+    : 0;
+  const thirteenthMonthPay = roundCurrency(Math.max(
+    0,
+    thirteenth.thirteenthMonthPay + unpaidThirteenthMonth - thirteenth.paidAmount,
+  ));
+
+  // Leave is converted at the rate in force on the last day
+  const lastDailyRate = salary.segments.length
+    ? salary.segments[salary.segments.length - 1].dailyRate
+    : roundCurrency(resolveDayRates(profile, monthlyWorkingDays).basic);
+  const leaveCredits = Math.max(0, toNumber(payload.leaveCredits ?? profile.leaveCredits ?? profile.convertibleLeaveCredits, 0));
+  const leaveConversion = roundCurrency(leaveCredits * lastDailyRate);
+
+  const deductions = (separation.clearanceItems || [])
+    .map(normalizeClearanceItem)
+    .map((item) => ({ key: item.key, label: item.label, category: item.category, amount: outstandingAmount(item) }))
+    .filter((entry) => entry.amount > 0);
+  const totalDeductions = roundCurrency(deductions.reduce((sum, entry) => sum + entry.amount, 0));
+
+  const grossFinalPay = roundCurrency(thirteenthMonthPay + leaveConversion);
+
+  return {
+    success: true,
+    separationId: separation.id,
+    finalPay: {
+      effectiveDate,
+      lastPaidDate: lastPaidDate || null,
+      salary: { ...salary, paidBy: 'final-payroll' },
+      thirteenthMonth: {
+        year,
+        fromPayrolls: thirteenth.thirteenthMonthPay,
+        fromUnpaidSalary: unpaidThirteenthMonth,
+        alreadyPaid: thirteenth.paidAmount,
+        basis: thirteenth.basis,
+        amount: thirteenthMonthPay,
+        monthsWorked: thirteenth.monthsWorked,
+      },
+      leaveConversion: {
+        credits: leaveCredits,
+        dailyRate: lastDailyRate,
+        amount: leaveConversion,
+      },
+      deductions,
+      totalDeductions,
+      grossFinalPay,
+      netFinalPay: roundCurrency(grossFinalPay - totalDeductions),
+      computedAt: new Date().toISOString(),
+    },
+  };
+};
+
+/**
+ * Close clearance, freeze the final pay and mark the employee as separated.
+ * Every clearance item has to be cleared or waived first.
+ */
+const completeSeparation = async (payload = {}, options = {}) => {
+  const companyId = safeString(payload.companyId);
+  const employeeId = safeString(payload.employeeId);
+  const separation = await getSeparation(companyId, employeeId);
+  const allowed = SEPARATION_TRANSITIONS[separation.status] || [];
+  if (!allowed.includes(SEPARATION_STATUSES.COMPLETED)) {
+    throw createServiceError('failed-precondition', `Cannot complete a ${separation.status} separation.`);
+  }
+  const pending = (separation.clearanceItems || []).filter((item) => (item.status || 'pending') === 'pending');
+  if (pending.length) {
+    throw createServiceError(
+      'failed-precondition',
+      `Clearance is incomplete: ${pending.map((item) => item.label).join(', ')}.`,
+      { pendingItems: pending.map((item) => item.key) },
+    );
+  }
+
+  const { finalPay } = await computeFinalPay(payload);
+  const employee = await loadEmployee(companyId, employeeId);
+  const now = new Date().toISOString();
+  const entry = {
+    from: separation.status,
+    to: SEPARATION_STATUSES.COMPLETED,
+    at: now,
+    by: options.userId || null,
+    reason: safeString(payload.remarks) || null,
+  };
+
+  const db = firestore();
+  const batch = db.batch();
+  batch.update(db.collection(SEPARATIONS_COLLECTION).doc(separation.id), {
+    status: SEPARATION_STATUSES.COMPLETED,
+    finalPay,
+    completedAt: now,
+    completedBy: options.userId || null,
+    history: FieldValue.arrayUnion(entry),
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+  // payrollService treats a separationDate inside the cutoff as the final pay run
+  batch.update(employee.ref, {
+    status: SEPARATION_TYPES[separation.separationType] || 'Separated',
+    separationDate: separation.effectiveDate,
+    lastWorkingDay: separation.effectiveDate,
+    separationType: separation.separationType,
+    separationReason: separation.reason,
+    separationId: separation.id,
+    updatedAt: FieldValue.serverTimestamp(),
+    updatedBy: options.userId || null,
+  });
+  await batch.commit();
+
+  return {
+    success: true,
+    separationId: separation.id,
+    separation: {
+      ...separation,
+      status: SEPARATION_STATUSES.COMPLETED,
+      finalPay,
+      completedAt: now,
+      history: [...(separation.history || []), entry],
+    },
+  };
+};
+
+/**
+ * Withdraw a separation still in clearance, e.g. a retracted resignation.
+ */
+const cancelSeparation = async (payload = {}, options = {}) => {
+  const reason = safeString(payload.reason);
+  if (!reason) {
+    throw createServiceError('invalid-argument', 'A reason is required to cancel a separation.');
+  }
+  const separation = await getSeparation(safeString(payload.companyId), safeString(payload.employeeId));
+  const allowed = SEPARATION_TRANSITIONS[separation.status] || [];
+  if (!allowed.includes(SEPARATION_STATUSES.CANCELLED)) {
+    throw createServiceError('failed-precondition', `Cannot cancel a ${separation.status} separation.`);
+  }
+
+  const entry = {
+    from: separation.status,
+    to: SEPARATION_STATUSES.CANCELLED,
+    at: new Date().toISOString(),
+    by: options.userId || null,
+    reason,
+  };
+  await firestore().collection(SEPARATIONS_COLLECTION).doc(separation.id).update({
+    status: SEPARATION_STATUSES.CANCELLED,
+    cancelledAt: entry.at,
+    cancelledBy: options.userId || null,
+    history: FieldValue.arrayUnion(entry),
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+
+  return { success: true, separationId: separation.id, status: SEPARATION_STATUSES.CANCELLED };
+};
+
+/**
+ * Positions held over time, from the compensation history, as
+ * [{ position, department, startDate, endDate }].
+ */
+const buildPositionHistory = (history, employee, endDate) => {
+  const stints = [];
+  history.forEach((entry) => {
+    const resulting = entry.resulting || {};
+    const position = safeString(resulting.position);
+    const department = safeString(resulting.department);
+    const last = stints[stints.length - 1];
+    if (!position || (last && last.position === position && last.department === department)) {
+      return;
+    }
+    if (last) {
+      last.endDate = shiftDateKey(entry.effectiveDate, -1);
+    }
+    stints.push({ position, department, startDate: entry.effectiveDate, endDate: null });
+  });
+  if (stints.length === 0 && safeString(employee.position)) {
+    stints.push({
+      position: safeString(employee.position),
+      department: safeString(employee.department),
+      startDate: safeString(employee.dateHired || employee.startDate).slice(0, 10) || null,
+      endDate: null,
+    });
+  }
+  if (stints.length) {
+    stints[stints.length - 1].endDate = endDate;
+  }
+  return stints;
+};
+
+/**
+ * Data for a Certificate of Employment. Works for current employees as well;
+ * the employment end date is null until a separation is completed.
+ * @param {object} payload - { companyId, employeeId, purpose?, includeCompensation? }
+ */
+const buildCertificateOfEmployment = async (payload = {}) => {
+  const companyId = safeString(payload.companyId);
+  const employeeId = safeString(payload.employeeId);
+  if (!companyId || !employeeId) {
+    throw createServiceError('invalid-argument', 'companyId and employeeId are required.');
+  }
+
+  const [employee, company, compensation, separations] = await Promise.all([
+    loadEmployee(companyId, employeeId),
+    loadCompany(companyId),
+    compensationService.listCompensationHistory(companyId, employeeId),
+    findSeparations(companyId, employeeId),
+  ]);
+  const profile = employee.data;
+  const separation = separations.find((entry) => entry.status === SEPARATION_STATUSES.COMPLETED) || null;
+  const endDate = separation ? separation.effectiveDate : null;
+  const positions = buildPositionHistory(compensation.history, profile, endDate);
+  const current = compensation.current || profile;
+
+  return {
+    success: true,
+    certificate: {
+      employeeId,
+      employeeName: safeString(profile.employeeName),
+      idNumber: safeString(profile.idNumber),
+      dateHired: safeString(profile.dateHired || profile.startDate).slice(0, 10) || null,
+      separationDate: endDate,
+      separationType: separation ? separation.separationType : null,
+      currentlyEmployed: !separation,
+      employmentType: safeString(current.employmentType || profile.employmentType),
+      position: positions.length ? positions[positions.length - 1].position : safeString(profile.position),
+      positions,
+      compensation: payload.includeCompensation === true || payload.includeCompensation === 'true'
+        ? {
+          basicPay: roundCurrency(toNumber(current.basicPay ?? profile.basicPay ?? profile.basicSalary, 0)),
+          allowance: roundCurrency(toNumber(current.allowance ?? profile.allowance, 0)),
+          rateType: safeString(current.rateType || profile.rateType) || 'monthly',
+        }
+        : null,
+      company: {
+        id: companyId,
+        name: safeString(company.name || company.companyName),
+        address: safeString(company.address || company.companyAddress),
+      },
+      purpose: safeString(payload.purpose) || null,
+      issuedDate: todayKey(),
+    },
+  };
+};
+
+module.exports = {
+  SEPARATION_STATUSES,
+  SEPARATION_TYPES,
+  DEFAULT_CLEARANCE_ITEMS,
+  getSeparation,
+  listSeparations,
+  initiateSeparation,
+  updateClearanceItem,
+  computeFinalPay,
+  completeSeparation,
+  cancelSeparation,
+  buildCertificateOfEmployment,
+};
@@ -0,0 +1,377 @@
+const {
+  MS_PER_DAY,
+  MS_PER_MINUTE,
+  parseDateKey,
+  toManilaWallTime,
+} = require('../utils/dateUtils');
+
+const SHIFT_TYPES = ['fixed', 'flexi'];
+const DEFAULT_REST_DAYS = [0, 6];
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * The schedule every employee had before shift templates existed: 09:00-17:00
+ * with a floating one-hour unpaid lunch, Monday to Friday.
+ */
+const DEFAULT_SHIFT_TEMPLATE = Object.freeze({
+  name: 'Default day shift',
+  shiftType: 'fixed',
+  startTime: '09:00',
+  endTime: '17:00',
+  gracePeriodMinutes: 0,
+  breakMinutes: 60,
+  breaks: Object.freeze([]),
+  workMinutes: null,
+  overtimeThresholdMinutes: 0,
+  restDays: DEFAULT_REST_DAYS,
+  flexi: null,
+  days: Object.freeze({}),
+});
+
+const toNumber = (value, fallback = 0) => {
+  if (value === null || value === undefined || value === '') {
+    return fallback;
+  }
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? numeric : fallback;
+};
+
+const safeString = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'string') {
+    return value.trim();
+  }
+  return String(value).trim();
+};
+
+const isClock = (value) => /^([01]?\d|2[0-3]):[0-5]\d$/.test(safeString(value));
+
+const clockToMinutes = (value) => {
+  const [hours, minutes] = safeString(value).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const minutesToClock = (minutes) => {
+  const normalized = ((Math.round(minutes) % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  return `${String(Math.floor(normalized / 60)).padStart(2, '0')}:${String(normalized % 60).padStart(2, '0')}`;
+};
+
+// Length of a clock window; an end at or before the start runs past midnight.
+const windowLength = (start, end) => {
+  const length = clockToMinutes(end) - clockToMinutes(start);
+  return length > 0 ? length : length + MINUTES_PER_DAY;
+};
+
+const normalizeBreaks = (breaks) => {
+  if (!Array.isArray(breaks)) {
+    return [];
+  }
+  return breaks
+    .filter((entry) => entry && isClock(entry.start) && isClock(entry.end))
+    .map((entry) => ({
+      start: safeString(entry.start),
+      end: safeString(entry.end),
+      paid: Boolean(entry.paid),
+    }));
+};
+
+const normalizeFlexi = (flexi) => {
+  if (!flexi || typeof flexi !== 'object') {
+    return null;
+  }
+  return {
+    earliestStart: isClock(flexi.earliestStart) ? safeString(flexi.earliestStart) : null,
+    latestStart: isClock(flexi.latestStart) ? safeString(flexi.latestStart) : null,
+    coreStart: isClock(flexi.coreStart) ? safeString(flexi.coreStart) : null,
+    coreEnd: isClock(flexi.coreEnd) ? safeString(flexi.coreEnd) : null,
+  };
+};
+
+const normalizeDayOverrides = (days) => {
+  if (!days || typeof days !== 'object') {
+    return {};
+  }
+  return Object.keys(days).reduce((acc, key) => {
+    const weekday = Number(key);
+    const entry = days[key];
+    if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6 || !entry || typeof entry !== 'object') {
+      return acc;
+    }
+    acc[weekday] = {
+      ...(isClock(entry.startTime) ? { startTime: safeString(entry.startTime) } : {}),
+      ...(isClock(entry.endTime) ? { endTime: safeString(entry.endTime) } : {}),
+      ...(entry.workMinutes !== undefined ? { workMinutes: toNumber(entry.workMinutes, null) } : {}),
+      ...(entry.breakMinutes !== undefined ? { breakMinutes: toNumber(entry.breakMinutes, 0) } : {}),
+      ...(Array.isArray(entry.breaks) ? { breaks: normalizeBreaks(entry.breaks) } : {}),
+    };
+    return acc;
+  }, {});
+};
+
+/**
+ * Fill in a shift template from an employeeSchedules document. Documents saved
+ * before templates existed only carry startTime/endTime and keep behaving as
+ * the default day shift.
+ */
+const normalizeShiftTemplate = (raw = {}) => {
+  const source = raw || {};
+  const defaults = DEFAULT_SHIFT_TEMPLATE;
+  const shiftType = SHIFT_TYPES.includes(safeString(source.shiftType).toLowerCase())
+    ? safeString(source.shiftType).toLowerCase()
+    : defaults.shiftType;
+  const breaks = normalizeBreaks(source.breaks);
+
+  return {
+    name: safeString(source.name || source.templateName) || defaults.name,
+    shiftType,
+    startTime: isClock(source.startTime) ? safeString(source.startTime) : defaults.startTime,
+    endTime: isClock(source.endTime) ? safeString(source.endTime) : defaults.endTime,
+    gracePeriodMinutes: Math.max(0, toNumber(source.gracePeriodMinutes, defaults.gracePeriodMinutes)),
+    // Explicit break windows replace the floating lunch unless both are given.
+    breakMinutes: Math.max(0, toNumber(source.breakMinutes, breaks.length > 0 ? 0 : defaults.breakMinutes)),
+    breaks,
+    workMinutes: source.workMinutes !== undefined && source.workMinutes !== null && source.workMinutes !== ''
+      ? Math.max(0, toNumber(source.workMinutes, 0))
+      : null,
+    overtimeThresholdMinutes: Math.max(0, toNumber(source.overtimeThresholdMinutes, defaults.overtimeThresholdMinutes)),
+    restDays: Array.isArray(source.restDays)
+      ? source.restDays.map(Number).filter((day) => Number.isInteger(day) && day >= 0 && day <= 6)
+      : defaults.restDays,
+    flexi: shiftType === 'flexi' ? normalizeFlexi(source.flexi) : null,
+    days: normalizeDayOverrides(source.days),
+  };
+};
+
+const validateShiftTemplate = (raw = {}) => {
+  const errors = [];
+  ['startTime', 'endTime'].forEach((field) => {
+    if (raw[field] !== undefined && !isClock(raw[field])) {
+      errors.push(`${field} must be HH:MM`);
+    }
+  });
+  if (raw.shiftType !== undefined && !SHIFT_TYPES.includes(safeString(raw.shiftType).toLowerCase())) {
+    errors.push(`shiftType must be one of: ${SHIFT_TYPES.join(', ')}`);
+  }
+  if (Array.isArray(raw.breaks) && normalizeBreaks(raw.breaks).length !== raw.breaks.length) {
+    errors.push('breaks must be a list of { start, end } in HH:MM');
+  }
+  if (Array.isArray(raw.restDays) && raw.restDays.some((day) => !Number.isInteger(Number(day)) || day < 0 || day > 6)) {
+    errors.push('restDays must be weekday numbers from 0 (Sunday) to 6');
+  }
+  ['gracePeriodMinutes', 'breakMinutes', 'workMinutes', 'overtimeThresholdMinutes'].forEach((field) => {
+    if (raw[field] !== undefined && raw[field] !== null && raw[field] !== '' && toNumber(raw[field], -1) < 0) {
+      errors.push(`${field} must be a non-negative number`);
+    }
+  });
+  if (safeString(raw.shiftType).toLowerCase() === 'flexi') {
+    const flexi = raw.flexi || {};
+    if (!isClock(flexi.latestStart)) {
+      errors.push('flexi.latestStart is required for flexi shifts');
+    }
+  }
+  return errors;
+};
+
+/**
+ * Resolve the template for one calendar date, applying weekday overrides (used
+ * for compressed 4x10 weeks) and anchoring clock times to Manila wall time.
+ */
+const resolveShiftForDate = (rawTemplate, date) => {
+  const template = normalizeShiftTemplate(rawTemplate);
+  const day = parseDateKey(date);
+  const weekday = day ? day.getUTCDay() : null;
+  const override = weekday !== null ? template.days[weekday] || {} : {};
+  const startTime = override.startTime || template.startTime;
+  const endTime = override.endTime || template.endTime;
+  const breaks = override.breaks || template.breaks;
+  const breakMinutes = override.breakMinutes !== undefined ? override.breakMinutes : template.breakMinutes;
+
+  const dayStart = day ? day.getTime() : 0;
+  const scheduledStart = dayStart + clockToMinutes(startTime) * MS_PER_MINUTE;
+  const scheduledEnd = scheduledStart + windowLength(startTime, endTime) * MS_PER_MINUTE;
+
+  const breakWindows = breaks.map((entry) => {
+    // Break windows belong to the shift, so a 02:00 break on a 22:00 shift is the next morning.
+    let start = dayStart + clockToMinutes(entry.start) * MS_PER_MINUTE;
+    if (start < scheduledStart) {
+      start += MS_PER_DAY;
+    }
+    return { start, end: start + windowLength(entry.start, entry.end) * MS_PER_MINUTE, paid: entry.paid };
+  });
+  const unpaidWindowMinutes = breakWindows
+    .filter((entry) => !entry.paid)
+    .reduce((sum, entry) => sum + (entry.end - entry.start) / MS_PER_MINUTE, 0);
+
+  const spanMinutes = (scheduledEnd - scheduledStart) / MS_PER_MINUTE;
+  const overrideWorkMinutes = override.workMinutes !== undefined && override.workMinutes !== null
+    ? override.workMinutes
+    : null;
+  const workMinutes = overrideWorkMinutes
+    ?? template.workMinutes
+    ?? Math.max(0, spanMinutes - unpaidWindowMinutes - breakMinutes);
+
+  return {
+    template,
+    date,
+    weekday,
+    isRestDay: weekday !== null && template.restDays.includes(weekday),
+    startTime,
+    endTime,
+    scheduledStart,
+    scheduledEnd,
+    breakWindows,
+    breakMinutes,
+    workMinutes,
+  };
+};
+
+const overlapMinutes = (startA, endA, startB, endB) => Math.max(0, Math.min(endA, endB) - Math.max(startA, startB)) / MS_PER_MINUTE;
+
+const resolvePunches = (timeRecord, date) => {
+  const timeIn = toManilaWallTime(timeRecord.timeIn, date);
+  let timeOut = toManilaWallTime(timeRecord.timeOut, date);
+  if (timeIn !== null && timeOut !== null && timeOut <= timeIn) {
+    // Clock-only punches on overnight shifts: the time out belongs to the next day.
+    timeOut += MS_PER_DAY;
+  }
+  return { timeIn, timeOut };
+};
+
+const unpaidBreakMinutes = (shift, timeIn, timeOut) => {
+  const windowMinutes = shift.breakWindows
+    .filter((entry) => !entry.paid)
+    .reduce((sum, entry) => sum + overlapMinutes(timeIn, timeOut, entry.start, entry.end), 0);
+  const worked = (timeOut - timeIn) / MS_PER_MINUTE;
+  const floating = worked > shift.breakMinutes ? shift.breakMinutes : 0;
+  return Math.min(worked, windowMinutes + floating);
+};
+
+/**
+ * Evaluate a day's punches against the employee's shift template.
+ * @param {object} timeRecord - { date, timeIn, timeOut } (ISO, Date, or HH:MM in Manila time)
+ * @param {object} schedule - employeeSchedules document or normalized template
+ * @param {string} date - YYYY-MM-DD shift date (defaults to timeRecord.date)
+ * @returns {object} Status and minute breakdown
+ */
+const evaluateShift = (timeRecord = {}, schedule = {}, date = timeRecord.date) => {
+  const shiftDate = safeString(date) || (timeRecord.timeIn ? new Date(toManilaWallTime(timeRecord.timeIn)).toISOString().slice(0, 10) : '');
+  const shift = resolveShiftForDate(schedule, shiftDate);
+  const { timeIn, timeOut } = resolvePunches(timeRecord, shiftDate);
+
+  const base = {
+    timeStatus: 'No Record',
+    minutesLate: 0,
+    minutesEarly: 0,
+    minutesOvertime: 0,
+    minutesUndertime: 0,
+    actualWorkMinutes: 0,
+    workMinutesMinusLunch: 0,
+    regularMinutes: 0,
+    breakMinutes: 0,
+    isAbsent: false,
+    isHalfDay: false,
+    isRestDay: shift.isRestDay,
+    lateTimeIn: null,
+    earlyTimeOut: null,
+    shiftName: shift.template.name,
+    shiftType: shift.template.shiftType,
+    scheduledStartTime: shift.startTime,
+    scheduledEndTime: shift.endTime,
+    scheduledWorkMinutes: shift.workMinutes,
+  };
+
+  if (timeIn === null || timeOut === null) {
+    if (timeIn !== null) {
+      return { ...base, timeStatus: 'Ongoing' };
+    }
+    return shift.isRestDay
+      ? { ...base, timeStatus: 'Rest Day' }
+      : { ...base, timeStatus: 'Absent', isAbsent: true };
+  }
+
+  const actualWorkMinutes = Math.round((timeOut - timeIn) / MS_PER_MINUTE);
+  const breakMinutes = Math.round(unpaidBreakMinutes(shift, timeIn, timeOut));
+  const workedMinutes = Math.max(0, actualWorkMinutes - breakMinutes);
+  const { gracePeriodMinutes, overtimeThresholdMinutes } = shift.template;
+
+  if (shift.isRestDay) {
+    const overtime = Math.max(0, workedMinutes - shift.workMinutes);
+    return {
+      ...base,
+      timeStatus: 'Rest Day Work',
+      actualWorkMinutes,
+      workMinutesMinusLunch: workedMinutes,
+      regularMinutes: workedMinutes - overtime,
+      minutesOvertime: overtime >= overtimeThresholdMinutes ? overtime : 0,
+      breakMinutes,
+    };
+  }
+
+  let expectedStart = shift.scheduledStart;
+  let latestOnTime = shift.scheduledStart + gracePeriodMinutes * MS_PER_MINUTE;
+  let expectedEnd = shift.scheduledEnd;
+
+  if (shift.template.shiftType === 'flexi' && shift.template.flexi) {
+    const { earliestStart, latestStart, coreEnd } = shift.template.flexi;
+    const dayStart = parseDateKey(shiftDate).getTime();
+    const earliest = earliestStart ? dayStart + clockToMinutes(earliestStart) * MS_PER_MINUTE : timeIn;
+    const latest = dayStart + clockToMinutes(latestStart) * MS_PER_MINUTE;
+    expectedStart = Math.min(Math.max(timeIn, earliest), latest);
+    latestOnTime = latest + gracePeriodMinutes * MS_PER_MINUTE;
+    // The day ends once the required hours (plus unpaid breaks) have elapsed from the chosen start.
+    const span = shift.workMinutes + shift.breakMinutes + shift.breakWindows
+      .filter((entry) => !entry.paid)
+      .reduce((sum, entry) => sum + (entry.end - entry.start) / MS_PER_MINUTE, 0);
+    expectedEnd = expectedStart + span * MS_PER_MINUTE;
+    if (coreEnd) {
+      const coreEndTime = dayStart + clockToMinutes(coreEnd) * MS_PER_MINUTE;
+      expectedEnd = Math.max(expectedEnd, coreEndTime < expectedStart ? coreEndTime + MS_PER_DAY : coreEndTime);
+    }
+  }
+
+  const minutesLate = timeIn > latestOnTime ? Math.round((timeIn - expectedStart) / MS_PER_MINUTE) : 0;
+  const minutesEarly = timeOut < expectedEnd ? Math.round((expectedEnd - timeOut) / MS_PER_MINUTE) : 0;
+  const overtimeCandidate = timeOut > expectedEnd ? Math.round((timeOut - Math.max(expectedEnd, timeIn)) / MS_PER_MINUTE) : 0;
+  const minutesOvertime = overtimeCandidate > 0 && overtimeCandidate >= overtimeThresholdMinutes ? overtimeCandidate : 0;
+  const regularMinutes = Math.min(shift.workMinutes, Math.max(0, workedMinutes - overtimeCandidate));
+  // Minutes forgiven by the grace period are not undertime either.
+  const forgivenMinutes = minutesLate === 0 && timeIn > expectedStart
+    ? Math.round((timeIn - expectedStart) / MS_PER_MINUTE)
+    : 0;
+  // Lateness is charged separately, so it is not counted again as undertime.
+  const minutesUndertime = Math.max(0, shift.workMinutes - regularMinutes - minutesLate - forgivenMinutes);
+
+  let timeStatus = 'On-Time';
+  if (minutesLate > 0) {
+    timeStatus = 'Late';
+  } else if (minutesEarly > 0) {
+    timeStatus = 'Early Out';
+  }
+
+  return {
+    ...base,
+    timeStatus,
+    minutesLate,
+    minutesEarly,
+    minutesOvertime,
+    minutesUndertime,
+    actualWorkMinutes,
+    workMinutesMinusLunch: regularMinutes + minutesOvertime,
+    regularMinutes,
+    breakMinutes,
+    isHalfDay: minutesLate + minutesUndertime > shift.workMinutes / 2,
+    lateTimeIn: minutesLate > 0 ? minutesToClock((timeIn % MS_PER_DAY) / MS_PER_MINUTE) : null,
+    earlyTimeOut: minutesEarly > 0 ? minutesToClock((timeOut % MS_PER_DAY) / MS_PER_MINUTE) : null,
+  };
+};
+
+module.exports = {
+  SHIFT_TYPES,
+  DEFAULT_SHIFT_TEMPLATE,
+  normalizeShiftTemplate,
+  validateShiftTemplate,
+  resolveShiftForDate,
+  evaluateShift,
+};
@@ -1,4 +1,10 @@
 const admin = require('../utils/firebaseAdmin');
+const {
+  DEFAULT_CONTRIBUTION_SCHEDULE,
+  getContributionSchedule,
+  getContributionScheduleById,
+  normalizeContributionSchedule,
+} = require('./contributionScheduleService');
 
 const DEFAULT_TAX_CONFIGURATION = Object.freeze({
   personalExemption: 20833.33,
@@ -112,53 +118,92 @@ const normalizeTaxConfig = (rawConfig, sourceLabel = 'custom') => {
   };
 };
 
-const calculateSSSContribution = (monthlySalary) => {
+const resolveSssSalaryCredit = (salary, table) => {
+  const brackets = Array.isArray(table.brackets) ? table.brackets : [];
+  if (brackets.length > 0) {
+    const match = brackets.filter((entry) => salary >= entry.min).pop() || brackets[0];
+    return toPositiveNumber(match.credit, 0);
+  }
+
+  const step = toPositiveNumber(table.creditStep, 0);
+  const rounded = step > 0 ? Math.round(salary / step) * step : salary;
+  const ceiling = toPositiveNumber(table.mpf?.maximumCredit, 0) || toPositiveNumber(table.maximumCredit, 0);
+  const floor = toPositiveNumber(table.minimumCredit, 0);
+  return Math.max(floor, ceiling > 0 ? Math.min(rounded, ceiling) : rounded);
+};
+
+const calculateSSSContribution = (monthlySalary, schedule = DEFAULT_CONTRIBUTION_SCHEDULE) => {
   const salary = toPositiveNumber(monthlySalary, 0);
   if (salary <= 0) {
     return createZeroContribution();
   }
 
-  const salaryCredit = Math.min(salary, 20000);
+  const table = (schedule && schedule.sss) || DEFAULT_CONTRIBUTION_SCHEDULE.sss;
+  const salaryCredit = resolveSssSalaryCredit(salary, table);
+  const regularCeiling = toPositiveNumber(table.maximumCredit, 0);
+  const regularCredit = regularCeiling > 0 ? Math.min(salaryCredit, regularCeiling) : salaryCredit;
+  const mpfCredit = Math.max(0, salaryCredit - regularCredit);
+
+  const employeeRate = toPositiveNumber(table.employeeRate, 0);
+  const employerRate = toPositiveNumber(table.employerRate, 0);
+  const ecTable = table.ec || {};
+  const ec = salaryCredit < toPositiveNumber(ecTable.threshold, 0)
+    ? toPositiveNumber(ecTable.below, 0)
+    : toPositiveNumber(ecTable.atOrAbove, 0);
+
+  const regularEmployee = roundCurrency(regularCredit * employeeRate);
+  const regularEmployer = roundCurrency(regularCredit * employerRate);
+  const mpfEmployee = roundCurrency(mpfCredit * employeeRate);
+  const mpfEmployer = roundCurrency(mpfCredit * employerRate);
+
   return {
-    employee: roundCurrency(salaryCredit * 0.085),
-    employer: roundCurrency(salaryCredit * 0.115),
+    employee: roundCurrency(regularEmployee + mpfEmployee),
+    employer: roundCurrency(regularEmployer + mpfEmployer + ec),
+    salaryCredit: roundCurrency(salaryCredit),
+    regularEmployee,
+    regularEmployer,
+    mpfEmployee,
+    mpfEmployer,
+    ec: roundCurrency(ec),
   };
 };
 
-const calculatePagibigContribution = (monthlySalary) => {
+const calculatePagibigContribution = (monthlySalary, schedule = DEFAULT_CONTRIBUTION_SCHEDULE) => {
   const salary = toPositiveNumber(monthlySalary, 0);
   if (salary <= 0) {
     return createZeroContribution();
   }
 
-  let employeeContribution;
-  let employerContribution;
+  const table = (schedule && schedule.pagibig) || DEFAULT_CONTRIBUTION_SCHEDULE.pagibig;
+  const ceiling = toPositiveNumber(table.maximumCompensation, 0);
+  const compensation = ceiling > 0 ? Math.min(salary, ceiling) : salary;
+  const isLowIncome = salary <= toPositiveNumber(table.lowIncomeThreshold, 0);
 
-  if (salary <= 1500) {
-    employeeContribution = Math.min(salary * 0.01, 100);
-    employerContribution = Math.min(salary * 0.02, 100);
-  } else {
-    employeeContribution = Math.min(salary * 0.02, 100);
-    employerContribution = Math.min(salary * 0.02, 100);
-  }
+  const employeeRate = isLowIncome ? table.lowIncomeEmployeeRate : table.employeeRate;
+  const employerRate = isLowIncome ? table.lowIncomeEmployerRate : table.employerRate;
 
   return {
-    employee: roundCurrency(employeeContribution),
-    employer: roundCurrency(employerContribution),
+    employee: roundCurrency(compensation * toPositiveNumber(employeeRate, 0)),
+    employer: roundCurrency(compensation * toPositiveNumber(employerRate, 0)),
   };
 };
 
-const calculatePhilhealthContribution = (monthlySalary) => {
+const calculatePhilhealthContribution = (monthlySalary, schedule = DEFAULT_CONTRIBUTION_SCHEDULE) => {
   const salary = toPositiveNumber(monthlySalary, 0);
   if (salary <= 0) {
     return createZeroContribution();
   }
 
-  const individualShare = Math.max(100, Math.min(salary * 0.025, 800));
+  const table = (schedule && schedule.philhealth) || DEFAULT_CONTRIBUTION_SCHEDULE.philhealth;
+  const floor = toPositiveNumber(table.incomeFloor, 0);
+  const ceiling = toPositiveNumber(table.incomeCeiling, 0);
+  const premiumBase = Math.max(floor, ceiling > 0 ? Math.min(salary, ceiling) : salary);
+  const totalPremium = premiumBase * toPositiveNumber(table.rate, 0);
+  const employeeShare = Math.min(1, toPositiveNumber(table.employeeShare, 0.5));
 
   return {
-    employee: roundCurrency(individualShare),
-    employer: roundCurrency(individualShare),
+    employee: roundCurrency(totalPremium * employeeShare),
+    employer: roundCurrency(totalPremium * (1 - employeeShare)),
   };
 };
 
@@ -262,22 +307,34 @@ const computeStatutoryDeductions = async ({
   companyId,
   additionalEmployeeDeductions = 0,
   taxConfigOverride,
+  payDate,
+  contributionSchedule: scheduleOverride,
+  additionalTaxableCompensation = 0,
 } = {}) => {
   const salary = toPositiveNumber(monthlySalary, 0);
+  // Variable pay such as commissions is added to the tax base only; contributions stay on the salary
+  const taxableSalary = Math.max(0, salary + toNumber(additionalTaxableCompensation, 0));
   const include = Boolean(includeTaxes) && salary > 0;
 
   let taxConfig = cloneDefaultTaxConfiguration();
+  let schedule = DEFAULT_CONTRIBUTION_SCHEDULE;
   if (include) {
     if (taxConfigOverride) {
       taxConfig = normalizeTaxConfig(taxConfigOverride, 'override') || cloneDefaultTaxConfiguration();
     } else {
       taxConfig = await getTaxBrackets(companyId);
     }
+
+    if (scheduleOverride) {
+      schedule = normalizeContributionSchedule(scheduleOverride, scheduleOverride.source || 'override');
+    } else {
+      schedule = await getContributionSchedule(payDate);
+    }
   }
 
-  const sss = include ? calculateSSSContribution(salary) : createZeroContribution();
-  const pagibig = include ? calculatePagibigContribution(salary) : createZeroContribution();
-  const philhealth = include ? calculatePhilhealthContribution(salary) : createZeroContribution();
+  const sss = include ? calculateSSSContribution(salary, schedule) : createZeroContribution();
+  const pagibig = include ? calculatePagibigContribution(salary, schedule) : createZeroContribution();
+  const philhealth = include ? calculatePhilhealthContribution(salary, schedule) : createZeroContribution();
 
   const statutoryEmployee = include
     ? roundCurrency(sss.employee + pagibig.employee + philhealth.employee)
@@ -290,7 +347,7 @@ const computeStatutoryDeductions = async ({
 
   const withholdingTax = include
     ? calculateWithholdingTax({
-        monthlySalary: salary,
+        monthlySalary: taxableSalary,
         statutoryEmployeeDeductions: statutoryEmployee,
         additionalEmployeeDeductions: additionalEmployee,
         taxConfig,
@@ -307,6 +364,10 @@ const computeStatutoryDeductions = async ({
     monthlySalary: roundCurrency(salary),
     sssEmployee: roundCurrency(sss.employee),
     sssEmployer: roundCurrency(sss.employer),
+    sssSalaryCredit: roundCurrency(sss.salaryCredit || 0),
+    sssMpfEmployee: roundCurrency(sss.mpfEmployee || 0),
+    sssMpfEmployer: roundCurrency(sss.mpfEmployer || 0),
+    sssEc: roundCurrency(sss.ec || 0),
     pagibigEmployee: roundCurrency(pagibig.employee),
     pagibigEmployer: roundCurrency(pagibig.employer),
     philhealthEmployee: roundCurrency(philhealth.employee),
@@ -321,11 +382,201 @@ const computeStatutoryDeductions = async ({
       personalExemption: roundCurrency(taxConfig.personalExemption),
       source: taxConfig.source,
     },
+    contributionSchedule: {
+      id: schedule.id || null,
+      effectiveDate: schedule.effectiveDate || null,
+      source: schedule.source || null,
+    },
+  };
+};
+
+/**
+ * Convert a monthly statutory breakdown into the share owed for one pay period.
+ * Contributions follow the company's split (e.g. half per semi-monthly cutoff),
+ * while withholding tax is computed on the monthly equivalent and de-annualized
+ * back to the period by taxFactor (12 / periods per year).
+ */
+const scaleStatutoryDeductions = (monthlyBreakdown, {
+  contributionFactor = 1,
+  taxFactor = 1,
+  additionalEmployeeDeductions = 0,
+} = {}) => {
+  const contribution = (value) => roundCurrency(toNumber(value, 0) * contributionFactor);
+  const include = Boolean(monthlyBreakdown.includeTaxes);
+
+  const sssEmployee = contribution(monthlyBreakdown.sssEmployee);
+  const sssEmployer = contribution(monthlyBreakdown.sssEmployer);
+  const pagibigEmployee = contribution(monthlyBreakdown.pagibigEmployee);
+  const pagibigEmployer = contribution(monthlyBreakdown.pagibigEmployer);
+  const philhealthEmployee = contribution(monthlyBreakdown.philhealthEmployee);
+  const philhealthEmployer = contribution(monthlyBreakdown.philhealthEmployer);
+  const withholdingTax = roundCurrency(toNumber(monthlyBreakdown.withholdingTax, 0) * taxFactor);
+  const additionalEmployee = include ? roundCurrency(toPositiveNumber(additionalEmployeeDeductions, 0)) : 0;
+
+  const statutoryEmployee = roundCurrency(sssEmployee + pagibigEmployee + philhealthEmployee);
+  const statutoryEmployer = roundCurrency(sssEmployer + pagibigEmployer + philhealthEmployer);
+
+  return {
+    ...monthlyBreakdown,
+    sssEmployee,
+    sssEmployer,
+    sssMpfEmployee: contribution(monthlyBreakdown.sssMpfEmployee),
+    sssMpfEmployer: contribution(monthlyBreakdown.sssMpfEmployer),
+    sssEc: contribution(monthlyBreakdown.sssEc),
+    pagibigEmployee,
+    pagibigEmployer,
+    philhealthEmployee,
+    philhealthEmployer,
+    withholdingTax,
+    statutoryEmployeeTotal: statutoryEmployee,
+    statutoryEmployerTotal: statutoryEmployer,
+    additionalEmployeeDeductions: additionalEmployee,
+    totalEmployeeDeductions: include ? roundCurrency(statutoryEmployee + additionalEmployee + withholdingTax) : 0,
+    totalEmployerContributions: include ? statutoryEmployer : 0,
+    monthlyEquivalent: {
+      monthlySalary: monthlyBreakdown.monthlySalary,
+      statutoryEmployeeTotal: monthlyBreakdown.statutoryEmployeeTotal,
+      statutoryEmployerTotal: monthlyBreakdown.statutoryEmployerTotal,
+      withholdingTax: monthlyBreakdown.withholdingTax,
+    },
+    contributionFactor,
+    taxFactor,
+  };
+};
+
+const CONTRIBUTION_FIELDS = [
+  'sssEmployee',
+  'sssEmployer',
+  'pagibigEmployee',
+  'pagibigEmployer',
+  'philhealthEmployee',
+  'philhealthEmployer',
+  'withholdingTax',
+];
+
+/**
+ * Recompute the statutory deductions of an existing payroll period against a
+ * proposed schedule without writing anything, so admins can see the impact of
+ * a new circular before (or right after) publishing it.
+ */
+const previewContributionScheduleImpact = async ({
+  companyId,
+  payDate,
+  cutoffStartDate,
+  cutoffEndDate,
+  schedule,
+  scheduleId,
+} = {}) => {
+  if (!companyId || !payDate) {
+    const error = new Error('companyId and payDate are required.');
+    error.code = 'invalid-argument';
+    throw error;
+  }
+
+  let proposedSchedule;
+  if (scheduleId) {
+    proposedSchedule = await getContributionScheduleById(scheduleId);
+  } else {
+    proposedSchedule = normalizeContributionSchedule(schedule, 'preview');
+  }
+  if (!proposedSchedule) {
+    const error = new Error('schedule or scheduleId is required.');
+    error.code = 'invalid-argument';
+    throw error;
+  }
+
+  const db = getFirestore();
+  if (!db) {
+    const error = new Error('Firestore is not initialized.');
+    error.code = 'unavailable';
+    throw error;
+  }
+
+  let query = db.collection('payrolls')
+    .where('companyId', '==', companyId)
+    .where('payDate', '==', payDate);
+  if (cutoffStartDate) {
+    query = query.where('cutoffStartDate', '==', cutoffStartDate);
+  }
+  if (cutoffEndDate) {
+    query = query.where('cutoffEndDate', '==', cutoffEndDate);
+  }
+  const snapshot = await query.get();
+
+  const totals = { current: {}, proposed: {}, difference: {} };
+  CONTRIBUTION_FIELDS.forEach((field) => {
+    totals.current[field] = 0;
+    totals.proposed[field] = 0;
+    totals.difference[field] = 0;
+  });
+
+  const employees = [];
+  for (const doc of snapshot.docs) {
+    const data = doc.data() || {};
+    // Same monthly basis and per-period split the payroll engine used for this record
+    const periodsPerYear = toPositiveNumber(data.periodsPerYear, 12) || 12;
+    const taxFactor = 12 / periodsPerYear;
+    const isMonthly = periodsPerYear === 12;
+    const monthly = await computeStatutoryDeductions({
+      companyId,
+      monthlySalary: isMonthly
+        ? data.monthlySalary ?? data.basicPay
+        : roundCurrency(toNumber(data.basicPay, 0) / taxFactor),
+      includeTaxes: data.includeTaxes,
+      additionalEmployeeDeductions: roundCurrency(toNumber(data.additionalEmployeeDeductions, 0) / taxFactor),
+      contributionSchedule: proposedSchedule,
+    });
+    const proposed = isMonthly
+      ? monthly
+      : scaleStatutoryDeductions(monthly, {
+        contributionFactor: toNumber(data.contributionFactor, taxFactor),
+        taxFactor,
+        additionalEmployeeDeductions: data.additionalEmployeeDeductions,
+      });
+
+    const current = {};
+    const next = {};
+    const difference = {};
+    CONTRIBUTION_FIELDS.forEach((field) => {
+      const currentValue = roundCurrency(field === 'withholdingTax' ? (data.withholdingTax ?? data.birTax) : data[field]);
+      const proposedValue = roundCurrency(proposed[field]);
+      current[field] = currentValue;
+      next[field] = proposedValue;
+      difference[field] = roundCurrency(proposedValue - currentValue);
+      totals.current[field] = roundCurrency(totals.current[field] + currentValue);
+      totals.proposed[field] = roundCurrency(totals.proposed[field] + proposedValue);
+      totals.difference[field] = roundCurrency(totals.difference[field] + difference[field]);
+    });
+
+    employees.push({
+      payrollId: doc.id,
+      payrollKey: data.payrollKey || null,
+      employeeId: data.employeeId || null,
+      employeeName: data.employeeName || '',
+      monthlySalary: roundCurrency(data.monthlySalary ?? data.basicPay),
+      includeTaxes: Boolean(data.includeTaxes),
+      current,
+      proposed: next,
+      difference,
+    });
+  }
+
+  return {
+    companyId,
+    payDate,
+    cutoffStartDate: cutoffStartDate || null,
+    cutoffEndDate: cutoffEndDate || null,
+    schedule: proposedSchedule,
+    payrollCount: employees.length,
+    totals,
+    employees,
   };
 };
 
 module.exports = {
   computeStatutoryDeductions,
+  scaleStatutoryDeductions,
+  previewContributionScheduleImpact,
   getTaxBrackets,
   calculateSSSContribution,
   calculatePagibigContribution,
@@ -7,11 +7,49 @@ const firestore = () => {
   return admin.firestore();
 };
 
+const FieldValue = admin.firestore.FieldValue;
+
 const PAYROLL_COLLECTION = 'payrolls';
 const EMPLOYEES_COLLECTION = 'employees';
+const COMPANIES_COLLECTION = 'companies';
 const THIRTEENTH_MONTH_COLLECTION = 'thirteenthMonthPay';
 
 const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const DEFAULT_MONTHLY_WORKING_DAYS = 22;
+
+// PD 851 computes the 13th month on basic salary actually earned: basic pay
+// less unpaid absences, tardiness and undertime, without allowances or OT.
+// "basic" ignores attendance deductions for companies with a more generous
+// policy; "net-pay" is the computation used before this basis was introduced.
+const COMPUTATION_BASES = Object.freeze({
+  BASIC_EARNED: 'basic-earned',
+  BASIC: 'basic',
+  NET_PAY: 'net-pay',
+});
+
+const INSTALLMENT_STATUSES = Object.freeze({
+  COMPUTED: 'computed',
+  APPROVED: 'approved',
+  PAID: 'paid',
+});
+
+const DEFAULT_SCHEDULE = Object.freeze([
+  Object.freeze({ key: 'year-end', label: 'Year-end', payMonth: 12, percent: 100 }),
+]);
+
+const createServiceError = (code, message, details) => {
+  const error = new Error(message);
+  error.code = code;
+  if (details !== undefined) {
+    error.details = details;
+  }
+  return error;
+};
+
+const toNumber = (value, fallback = 0) => {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? numeric : fallback;
+};
 
 const roundCurrency = (value) => {
   const numeric = Number(value);
@@ -82,6 +120,8 @@ const buildMonthlySkeleton = (year) => {
       netPay: 0,
       grossPay: 0,
       basicPay: 0,
+      attendanceDeductions: 0,
+      basicEarned: 0,
       allowances: 0,
       otherEarnings: 0,
       totalDeductions: 0,
@@ -162,9 +202,13 @@ const aggregatePayrollDocs = (monthlySkeleton, payrollDocs, year) => {
       return;
     }
 
-    const netPay = roundCurrency(data.netPay ?? data.totalNetPay ?? 0);
+    // 13th month installments paid through payroll never count toward the next computation
+    const thirteenthMonthPaid = roundCurrency(data.thirteenthMonthPay ?? 0);
+    const netPay = roundCurrency((data.netPay ?? data.totalNetPay ?? 0) - thirteenthMonthPaid);
     const grossPay = roundCurrency(data.grossPay ?? data.totalEarnings ?? data.basicPay ?? 0);
     const basicPay = roundCurrency(data.basicPay ?? data.monthlySalary ?? 0);
+    const attendanceDeductions = roundCurrency((data.totalLate ?? 0) + (data.totalUndertime ?? 0) + (data.totalAbsent ?? 0));
+    const basicEarned = roundCurrency(Math.max(0, basicPay - attendanceDeductions));
     const allowances = roundCurrency((data.allowance ?? 0) + (data.transpoAllowance ?? 0));
     const otherEarnings = roundCurrency((data.otPay ?? 0) + (data.memoBonus ?? 0));
     const totalDeductions = roundCurrency(data.totalDeductions ?? data.totalTaxDeductions ?? 0);
@@ -172,6 +216,8 @@ const aggregatePayrollDocs = (monthlySkeleton, payrollDocs, year) => {
     entry.netPay = roundCurrency(entry.netPay + netPay);
     entry.grossPay = roundCurrency(entry.grossPay + grossPay);
     entry.basicPay = roundCurrency(entry.basicPay + basicPay);
+    entry.attendanceDeductions = roundCurrency(entry.attendanceDeductions + attendanceDeductions);
+    entry.basicEarned = roundCurrency(entry.basicEarned + basicEarned);
     entry.allowances = roundCurrency(entry.allowances + allowances);
     entry.otherEarnings = roundCurrency(entry.otherEarnings + otherEarnings);
     entry.totalDeductions = roundCurrency(entry.totalDeductions + totalDeductions);
@@ -185,6 +231,8 @@ const aggregatePayrollDocs = (monthlySkeleton, payrollDocs, year) => {
       grossPay,
       netPay,
       basicPay,
+      attendanceDeductions,
+      basicEarned,
       allowances,
       otherEarnings,
       totalDeductions,
@@ -224,12 +272,210 @@ const mergeWithSavedData = (calculatedBreakdown, savedData) => {
   });
 };
 
+const resolveDateKey = (value) => {
+  const date = toDate(value);
+  return date ? date.toISOString().slice(0, 10) : '';
+};
+
+/**
+ * Part of the year the employee was on the payroll: from the hire date (or
+ * January 1) to the separation date (or December 31), with the share of each
+ * calendar month it covers.
+ */
+const resolveCoverage = (profile = {}, year, endDateOverride) => {
+  const yearStart = `${year}-01-01`;
+  const yearEnd = `${year}-12-31`;
+  const hired = resolveDateKey(profile.dateHired || profile.startDate);
+  const separated = resolveDateKey(endDateOverride || profile.separationDate || profile.lastWorkingDay);
+  const startDate = hired && hired > yearStart ? hired : yearStart;
+  const endDate = separated && separated < yearEnd ? separated : yearEnd;
+
+  const monthShares = {};
+  let months = 0;
+  for (let month = 1; month <= 12; month += 1) {
+    const monthKey = `${year}-${month.toString().padStart(2, '0')}`;
+    const days = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    const from = startDate > `${monthKey}-01` ? startDate : `${monthKey}-01`;
+    const to = endDate < `${monthKey}-${days}` ? endDate : `${monthKey}-${days}`;
+    const covered = from <= to ? Number(to.slice(8, 10)) - Number(from.slice(8, 10)) + 1 : 0;
+    monthShares[monthKey] = Math.round((covered / days) * 10000) / 10000;
+    months += monthShares[monthKey];
+  }
+
+  return {
+    startDate: startDate <= endDate ? startDate : null,
+    endDate: startDate <= endDate ? endDate : null,
+    months: roundCurrency(months),
+    prorated: startDate !== yearStart || endDate !== yearEnd,
+    monthShares,
+  };
+};
+
+const resolveMonthlyBasic = (profile = {}) => {
+  if (safeString(profile.rateType).toLowerCase() === 'daily') {
+    const workingDays = toNumber(profile.workingDaysPerMonth, 0) || DEFAULT_MONTHLY_WORKING_DAYS;
+    return roundCurrency(toNumber(profile.dailyRate ?? profile.basicSalary ?? profile.basicPay, 0) * workingDays);
+  }
+  return roundCurrency(toNumber(profile.basicSalary ?? profile.basicPay ?? profile.monthlySalary, 0));
+};
+
+const BASIS_FIELDS = {
+  [COMPUTATION_BASES.BASIC_EARNED]: 'basicEarned',
+  [COMPUTATION_BASES.BASIC]: 'basicPay',
+  [COMPUTATION_BASES.NET_PAY]: 'netPay',
+};
+
+const normalizeBasis = (value) => {
+  const basis = safeString(value).toLowerCase();
+  if (!basis) {
+    return null;
+  }
+  if (!BASIS_FIELDS[basis]) {
+    throw createServiceError(
+      'invalid-argument',
+      `basis must be one of: ${Object.values(COMPUTATION_BASES).join(', ')}.`,
+    );
+  }
+  return basis;
+};
+
+/**
+ * Validate a payout schedule. Each installment pays a percent of the year's
+ * amount in its pay month; the percents must add up to 100, and the last
+ * installment always pays whatever balance is left.
+ */
+const normalizeSchedule = (schedule) => {
+  const entries = ensureArray(schedule);
+  if (entries.length === 0) {
+    return DEFAULT_SCHEDULE.map((entry) => ({ ...entry }));
+  }
+
+  const errors = [];
+  const normalized = entries.map((entry = {}, index) => {
+    const payMonth = Number(entry.payMonth ?? entry.month);
+    const percent = toNumber(entry.percent, NaN);
+    if (!Number.isInteger(payMonth) || payMonth < 1 || payMonth > 12) {
+      errors.push(`schedule[${index}]: payMonth must be 1-12`);
+    }
+    if (!Number.isFinite(percent) || percent <= 0 || percent > 100) {
+      errors.push(`schedule[${index}]: percent must be greater than 0 and at most 100`);
+    }
+    return {
+      key: safeString(entry.key) || `month-${payMonth}`,
+      label: safeString(entry.label) || MONTH_NAMES[payMonth - 1] || '',
+      payMonth,
+      percent: roundCurrency(percent),
+    };
+  }).sort((a, b) => a.payMonth - b.payMonth);
+
+  if (unique(normalized.map((entry) => entry.key)).length !== normalized.length
+    || unique(normalized.map((entry) => entry.payMonth)).length !== normalized.length) {
+    errors.push('schedule keys and pay months must be unique');
+  }
+  const totalPercent = roundCurrency(normalized.reduce((sum, entry) => sum + (entry.percent || 0), 0));
+  if (errors.length === 0 && totalPercent !== 100) {
+    errors.push(`schedule percents add up to ${totalPercent}, expected 100`);
+  }
+  if (errors.length) {
+    throw createServiceError('invalid-argument', errors.join('; '), errors);
+  }
+  return normalized;
+};
+
+const getThirteenthMonthSettings = async (companyId) => {
+  if (!safeString(companyId)) {
+    throw createServiceError('invalid-argument', 'companyId is required.');
+  }
+  const snapshot = await firestore().collection(COMPANIES_COLLECTION).doc(safeString(companyId)).get();
+  const stored = (snapshot.exists && snapshot.data().thirteenthMonthSettings) || {};
+  return {
+    basis: normalizeBasis(stored.basis) || COMPUTATION_BASES.BASIC_EARNED,
+    schedule: normalizeSchedule(stored.schedule),
+  };
+};
+
+const setThirteenthMonthSettings = async (companyId, settings = {}, options = {}) => {
+  if (!safeString(companyId)) {
+    throw createServiceError('invalid-argument', 'companyId is required.');
+  }
+  const normalized = {
+    basis: normalizeBasis(settings.basis) || COMPUTATION_BASES.BASIC_EARNED,
+    schedule: normalizeSchedule(settings.schedule),
+  };
+  await firestore().collection(COMPANIES_COLLECTION).doc(safeString(companyId)).set({
+    thirteenthMonthSettings: normalized,
+    updatedAt: FieldValue.serverTimestamp(),
+    updatedBy: options.userId || null,
+  }, { merge: true });
+  return normalized;
+};
+
+/**
+ * Spread the year's amount over the schedule. Installments already approved or
+ * paid keep their amount; the others are recomputed, and the last one takes
+ * the balance so the installments always add up to the year's amount.
+ */
+const buildInstallments = (schedule, total, savedInstallments = []) => {
+  const saved = ensureArray(savedInstallments);
+  const savedByKey = new Map(saved.map((entry) => [entry.key, entry]));
+  const isLocked = (entry) => entry && entry.status !== INSTALLMENT_STATUSES.COMPUTED;
+
+  // Installments dropped from the schedule after approval still count
+  const orphaned = saved.filter((entry) => isLocked(entry) && !schedule.some((item) => item.key === entry.key));
+  let allocated = roundCurrency(orphaned.reduce((sum, entry) => sum + toNumber(entry.amount, 0), 0));
+
+  const installments = schedule.map((entry, index) => {
+    const existing = savedByKey.get(entry.key);
+    if (isLocked(existing)) {
+      allocated = roundCurrency(allocated + toNumber(existing.amount, 0));
+      return { ...existing };
+    }
+    const share = index === schedule.length - 1
+      ? total - allocated
+      : Math.min(total - allocated, (total * entry.percent) / 100);
+    const amount = roundCurrency(Math.max(0, share));
+    allocated = roundCurrency(allocated + amount);
+    return { ...entry, amount, status: INSTALLMENT_STATUSES.COMPUTED };
+  });
+
+  return [...orphaned, ...installments].sort((a, b) => a.payMonth - b.payMonth);
+};
+
+const resolveRecordStatus = (installments = []) => {
+  const statuses = installments.map((entry) => entry.status);
+  if (statuses.length && statuses.every((status) => status === INSTALLMENT_STATUSES.PAID)) {
+    return 'paid';
+  }
+  if (statuses.includes(INSTALLMENT_STATUSES.PAID)) {
+    return 'partially-paid';
+  }
+  if (statuses.includes(INSTALLMENT_STATUSES.APPROVED)) {
+    return 'approved';
+  }
+  return 'computed';
+};
+
+const sumInstallments = (installments = [], status) => roundCurrency(installments
+  .filter((entry) => !status || entry.status === status)
+  .reduce((sum, entry) => sum + toNumber(entry.amount, 0), 0));
+
+/**
+ * 13th month pay of one employee for a year. Months already on a payroll use
+ * the configured basis; when projecting, the months after the last payroll
+ * are filled in at the current monthly basic rate, prorated by the days the
+ * employee is expected to be employed in each of them.
+ * @param {object} params - { companyId, employeeId, year, employeeProfile, includeSaved, basis, schedule, endDate, project }
+ */
 const computeEmployeeThirteenthMonth = async ({
   companyId,
   employeeId,
   year,
   employeeProfile,
   includeSaved = true,
+  basis,
+  schedule,
+  endDate,
+  project = true,
 }) => {
   const db = firestore();
 
@@ -251,24 +497,48 @@ const computeEmployeeThirteenthMonth = async ({
   const monthlySkeleton = buildMonthlySkeleton(year);
   const monthlyBreakdown = aggregatePayrollDocs(monthlySkeleton, payrollDocs.map((doc) => ({ id: doc.id, ...doc.data })), year);
 
-  let mergedBreakdown = monthlyBreakdown;
-  let savedDoc = null;
+  const settings = normalizeBasis(basis) && schedule ? null : await getThirteenthMonthSettings(companyId);
+  const computationBasis = normalizeBasis(basis) || settings.basis;
+  const installmentSchedule = schedule ? normalizeSchedule(schedule) : settings.schedule;
 
-  if (includeSaved) {
-    savedDoc = await loadSavedThirteenthMonthDoc(companyId, employeeId, year);
-    if (savedDoc) {
-      mergedBreakdown = mergeWithSavedData(monthlyBreakdown, savedDoc);
-    }
-  }
-
-  const totalNetPay = roundCurrency(mergedBreakdown.reduce((sum, entry) => sum + (entry.netPay || 0), 0));
-  const monthsWorked = mergedBreakdown.filter((entry) => roundCurrency(entry.netPay) > 0).length;
-  const thirteenthMonthPay = roundCurrency(totalNetPay / 12);
-  const averageMonthlyNetPay = monthsWorked > 0 ? roundCurrency(totalNetPay / monthsWorked) : 0;
+  const savedDoc = await loadSavedThirteenthMonthDoc(companyId, employeeId, year);
 
-  const totalGrossPay = roundCurrency(mergedBreakdown.reduce((sum, entry) => sum + (entry.grossPay || 0), 0));
+  // Month-by-month overrides only exist on documents saved before the basis was recorded
+  let mergedBreakdown = monthlyBreakdown;
+  if (includeSaved && savedDoc && !savedDoc.basis) {
+    mergedBreakdown = mergeWithSavedData(monthlyBreakdown, savedDoc);
+  }
 
   const profile = employeeProfile || await loadEmployeeProfile(companyId, employeeId);
+  const coverage = resolveCoverage(profile, year, endDate);
+  const monthlyBasic = resolveMonthlyBasic(profile);
+  const basisField = BASIS_FIELDS[computationBasis];
+  const lastRecordedIndex = mergedBreakdown.reduce(
+    (last, entry, index) => (entry.payrolls.length || entry.saved ? index : last),
+    -1,
+  );
+  const canProject = Boolean(project) && computationBasis !== COMPUTATION_BASES.NET_PAY;
+
+  const breakdown = mergedBreakdown.map((entry, index) => {
+    const coveredShare = coverage.monthShares[entry.monthKey] || 0;
+    return {
+      ...entry,
+      coveredShare,
+      basisAmount: roundCurrency(entry[basisField] || 0),
+      projectedBasis: canProject && index > lastRecordedIndex ? roundCurrency(monthlyBasic * coveredShare) : 0,
+    };
+  });
+
+  const sumBreakdown = (field) => roundCurrency(breakdown.reduce((sum, entry) => sum + (entry[field] || 0), 0));
+  const totalNetPay = sumBreakdown('netPay');
+  const totalGrossPay = sumBreakdown('grossPay');
+  const totalBasis = sumBreakdown('basisAmount');
+  const projectedBasis = sumBreakdown('projectedBasis');
+  const monthsWorked = breakdown.filter((entry) => entry.basisAmount > 0).length;
+  const thirteenthMonthPay = roundCurrency(totalBasis / 12);
+  const projectedThirteenthMonthPay = roundCurrency((totalBasis + projectedBasis) / 12);
+  const averageMonthlyNetPay = monthsWorked > 0 ? roundCurrency(totalNetPay / monthsWorked) : 0;
+  const installments = buildInstallments(installmentSchedule, projectedThirteenthMonthPay, savedDoc?.installments);
 
   return {
     employeeId,
@@ -277,14 +547,29 @@ const computeEmployeeThirteenthMonth = async ({
     department: safeString(profile?.department || ''),
     position: safeString(profile?.position || ''),
     photoURL: profile?.photoURL || null,
-    basicSalary: roundCurrency(profile?.basicSalary || profile?.basicPay || 0),
+    basicSalary: monthlyBasic,
     year,
+    basis: computationBasis,
+    totalBasis,
+    totalBasicPay: sumBreakdown('basicPay'),
+    totalAttendanceDeductions: sumBreakdown('attendanceDeductions'),
     totalNetPay,
     totalGrossPay,
     monthsWorked,
+    coverage: {
+      startDate: coverage.startDate,
+      endDate: coverage.endDate,
+      months: coverage.months,
+      prorated: coverage.prorated,
+    },
     thirteenthMonthPay,
+    projectedBasis,
+    projectedThirteenthMonthPay,
     averageMonthlyNetPay,
-    monthlyBreakdown: mergedBreakdown,
+    installments,
+    paidAmount: sumInstallments(installments, INSTALLMENT_STATUSES.PAID),
+    status: savedDoc?.installments ? resolveRecordStatus(savedDoc.installments) : null,
+    monthlyBreakdown: breakdown,
     payrollCount: payrollDocs.length,
     savedDocumentId: savedDoc?.id || null,
     source: {
@@ -309,26 +594,29 @@ const normalizeEmployeeInputs = (employees) => {
   }));
 };
 
+const resolveSelectedYear = (payload = {}) => {
+  const yearCandidate = payload.year || payload.taxYear || payload.periodYear;
+  return Number(yearCandidate) || new Date().getFullYear();
+};
+
 const computeThirteenthMonthPay = async (payload = {}) => {
   const companyId = safeString(payload.companyId || payload.companyID || payload.company);
   if (!companyId) {
-    const error = new Error('companyId is required.');
-    error.code = 'invalid-argument';
-    throw error;
+    throw createServiceError('invalid-argument', 'companyId is required.');
   }
 
-  const yearCandidate = payload.year || payload.taxYear || payload.periodYear;
-  const selectedYear = Number(yearCandidate) || new Date().getFullYear();
+  const selectedYear = resolveSelectedYear(payload);
 
   const employeeIds = normalizeEmployeeInputs(payload.employeeIds || payload.employees || payload.employeeId || payload.employee);
 
   if (employeeIds.length === 0) {
-    const error = new Error('At least one employeeId is required.');
-    error.code = 'invalid-argument';
-    throw error;
+    throw createServiceError('invalid-argument', 'At least one employeeId is required.');
   }
 
   const includeSaved = payload.includeSaved !== undefined ? Boolean(payload.includeSaved) : true;
+  const settings = await getThirteenthMonthSettings(companyId);
+  const basis = normalizeBasis(payload.basis) || settings.basis;
+  const schedule = payload.schedule ? normalizeSchedule(payload.schedule) : settings.schedule;
 
   const results = [];
 
@@ -343,20 +631,27 @@ const computeThirteenthMonthPay = async (payload = {}) => {
       year: selectedYear,
       employeeProfile,
       includeSaved,
+      basis,
+      schedule,
+      project: payload.project !== undefined ? Boolean(payload.project) : true,
     });
     results.push(result);
   }
 
   const totals = results.reduce((acc, entry) => {
     acc.totalNetPay = roundCurrency(acc.totalNetPay + entry.totalNetPay);
+    acc.totalBasis = roundCurrency(acc.totalBasis + entry.totalBasis);
     acc.totalThirteenthMonthPay = roundCurrency(acc.totalThirteenthMonthPay + entry.thirteenthMonthPay);
+    acc.totalProjectedThirteenthMonthPay = roundCurrency(acc.totalProjectedThirteenthMonthPay + entry.projectedThirteenthMonthPay);
     acc.totalGrossPay = roundCurrency(acc.totalGrossPay + entry.totalGrossPay);
     acc.totalEmployees += 1;
     acc.totalMonthsWorked += entry.monthsWorked;
     return acc;
   }, {
     totalNetPay: 0,
+    totalBasis: 0,
     totalThirteenthMonthPay: 0,
+    totalProjectedThirteenthMonthPay: 0,
     totalGrossPay: 0,
     totalEmployees: 0,
     totalMonthsWorked: 0,
@@ -365,12 +660,342 @@ const computeThirteenthMonthPay = async (payload = {}) => {
   return {
     companyId,
     year: selectedYear,
+    basis,
+    schedule,
     totals,
     employees: results,
   };
 };
 
+const recordRef = (employeeId, year) => firestore().collection(THIRTEENTH_MONTH_COLLECTION).doc(`${employeeId}_${year}`);
+
+const paidPayrollKeys = (installments = []) => unique(installments
+  .filter((entry) => entry.status === INSTALLMENT_STATUSES.PAID)
+  .map((entry) => entry.payout?.payrollKey));
+
+/**
+ * Compute and store the 13th month of each employee in thirteenthMonthPay.
+ * Installments that were approved or paid in the meantime are left as they are.
+ * @param {object} payload - { companyId, year, employeeIds, basis?, schedule? }
+ * @param {object} options - { userId, email }
+ */
+const saveThirteenthMonth = async (payload = {}, options = {}) => {
+  const computation = await computeThirteenthMonthPay(payload);
+  const db = firestore();
+  const saved = [];
+
+  for (const result of computation.employees) {
+    const ref = recordRef(result.employeeId, computation.year);
+    const record = await db.runTransaction(async (tx) => {
+      const snapshot = await tx.get(ref);
+      const existing = snapshot.exists ? snapshot.data() || {} : {};
+      if (existing.companyId && existing.companyId !== computation.companyId) {
+        throw createServiceError('permission-denied', `13th month record ${ref.id} belongs to another company.`);
+      }
+      const installments = buildInstallments(computation.schedule, result.projectedThirteenthMonthPay, existing.installments);
+      const data = {
+        companyId: computation.companyId,
+        employeeId: result.employeeId,
+        employeeName: result.employeeName,
+        year: computation.year,
+        basis: result.basis,
+        totalBasis: result.totalBasis,
+        projectedBasis: result.projectedBasis,
+        thirteenthMonthPay: result.thirteenthMonthPay,
+        projectedThirteenthMonthPay: result.projectedThirteenthMonthPay,
+        balance: roundCurrency(result.projectedThirteenthMonthPay - sumInstallments(installments)),
+        coverage: result.coverage,
+        monthlyBreakdown: result.monthlyBreakdown.map((entry) => ({
+          month: entry.month,
+          monthKey: entry.monthKey,
+          basicPay: entry.basicPay,
+          attendanceDeductions: entry.attendanceDeductions,
+          netPay: entry.netPay,
+          basisAmount: entry.basisAmount,
+          projectedBasis: entry.projectedBasis,
+          coveredShare: entry.coveredShare,
+        })),
+        installments,
+        paidPayrollKeys: paidPayrollKeys(installments),
+        status: resolveRecordStatus(installments),
+        computedAt: new Date().toISOString(),
+        computedBy: options.userId || null,
+      };
+      tx.set(ref, {
+        ...data,
+        updatedAt: FieldValue.serverTimestamp(),
+        ...(snapshot.exists ? {} : { createdAt: FieldValue.serverTimestamp() }),
+      }, { merge: true });
+      return data;
+    });
+    saved.push({ id: ref.id, ...record });
+  }
+
+  return {
+    success: true,
+    companyId: computation.companyId,
+    year: computation.year,
+    basis: computation.basis,
+    totals: computation.totals,
+    records: saved,
+  };
+};
+
+const listThirteenthMonth = async ({ companyId, year, status } = {}) => {
+  if (!safeString(companyId)) {
+    throw createServiceError('invalid-argument', 'companyId is required.');
+  }
+  let query = firestore().collection(THIRTEENTH_MONTH_COLLECTION)
+    .where('companyId', '==', safeString(companyId))
+    .where('year', '==', resolveSelectedYear({ year }));
+  if (safeString(status)) {
+    query = query.where('status', '==', safeString(status));
+  }
+  const snapshot = await query.get();
+  const records = snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .sort((a, b) => safeString(a.employeeName).localeCompare(safeString(b.employeeName)));
+  return { success: true, count: records.length, records };
+};
+
+const INSTALLMENT_TRANSITIONS = {
+  [INSTALLMENT_STATUSES.APPROVED]: INSTALLMENT_STATUSES.COMPUTED,
+  [INSTALLMENT_STATUSES.COMPUTED]: INSTALLMENT_STATUSES.APPROVED,
+};
+
+/**
+ * Approve one installment (or revoke its approval) for several employees.
+ * Employees whose installment is not in the expected state are skipped.
+ */
+const transitionInstallments = async ({ companyId, year, employeeIds, installmentKey, status }, options = {}) => {
+  if (!safeString(companyId) || !safeString(installmentKey)) {
+    throw createServiceError('invalid-argument', 'companyId and installmentKey are required.');
+  }
+  const selectedYear = resolveSelectedYear({ year });
+  let targets = normalizeEmployeeInputs(employeeIds);
+  if (targets.length === 0) {
+    const { records } = await listThirteenthMonth({ companyId, year: selectedYear });
+    targets = records.map((record) => record.employeeId);
+  }
+
+  const db = firestore();
+  const expected = INSTALLMENT_TRANSITIONS[status];
+  const now = new Date().toISOString();
+  const updated = [];
+  const skipped = [];
+
+  for (const employeeId of targets) {
+    const ref = recordRef(employeeId, selectedYear);
+    const outcome = await db.runTransaction(async (tx) => {
+      const snapshot = await tx.get(ref);
+      const data = snapshot.exists ? snapshot.data() || {} : null;
+      if (!data || data.companyId !== safeString(companyId)) {
+        return { reason: 'No saved 13th month record' };
+      }
+      const installments = ensureArray(data.installments).map((entry) => ({ ...entry }));
+      const installment = installments.find((entry) => entry.key === installmentKey);
+      if (!installment) {
+        return { reason: `No ${installmentKey} installment` };
+      }
+      if (installment.status !== expected) {
+        return { reason: `Installment is ${installment.status}` };
+      }
+      if (status === INSTALLMENT_STATUSES.APPROVED && toNumber(installment.amount, 0) <= 0) {
+        return { reason: 'Installment amount is zero' };
+      }
+      installment.status = status;
+      installment.approvedAt = status === INSTALLMENT_STATUSES.APPROVED ? now : null;
+      installment.approvedBy = status === INSTALLMENT_STATUSES.APPROVED ? options.userId || null : null;
+      installment.approvedByEmail = status === INSTALLMENT_STATUSES.APPROVED ? options.email || null : null;
+      tx.update(ref, {
+        installments,
+        status: resolveRecordStatus(installments),
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+      return { amount: roundCurrency(installment.amount) };
+    });
+
+    if (outcome.reason) {
+      skipped.push({ employeeId, reason: outcome.reason });
+    } else {
+      updated.push({ employeeId, amount: outcome.amount });
+    }
+  }
+
+  return {
+    success: true,
+    year: selectedYear,
+    installmentKey,
+    status,
+    count: updated.length,
+    totalAmount: roundCurrency(updated.reduce((sum, entry) => sum + entry.amount, 0)),
+    updated,
+    skipped,
+  };
+};
+
+const approveThirteenthMonth = (payload = {}, options = {}) => transitionInstallments({
+  ...payload,
+  status: INSTALLMENT_STATUSES.APPROVED,
+}, options);
+
+const revokeThirteenthMonthApproval = (payload = {}, options = {}) => transitionInstallments({
+  ...payload,
+  status: INSTALLMENT_STATUSES.COMPUTED,
+}, options);
+
+/**
+ * Approved installments due on or before the payroll's pay month, plus the
+ * ones this payroll already paid, for merging into the payroll as an earnings line.
+ * @param {object} params - { companyId, employeeId, payDate, payrollKey }
+ * @returns {object} { thirteenthMonthPay, lines, unpaidKeys, year }
+ */
+const loadPayrollThirteenthMonth = async ({ companyId, employeeId, payDate, payrollKey }) => {
+  const year = Number(safeString(payDate).slice(0, 4));
+  const payMonth = Number(safeString(payDate).slice(5, 7));
+  const empty = { thirteenthMonthPay: 0, lines: [], unpaidKeys: [], year };
+  if (!year || !payMonth) {
+    return empty;
+  }
+
+  const snapshot = await recordRef(employeeId, year).get();
+  const data = snapshot.exists ? snapshot.data() || {} : {};
+  if (data.companyId !== companyId) {
+    return empty;
+  }
+
+  const lines = [];
+  const unpaidKeys = [];
+  ensureArray(data.installments).forEach((entry) => {
+    const paidByThisPayroll = entry.status === INSTALLMENT_STATUSES.PAID && entry.payout?.payrollKey === payrollKey;
+    const due = entry.status === INSTALLMENT_STATUSES.APPROVED && entry.payMonth <= payMonth;
+    if (!due && !paidByThisPayroll) {
+      return;
+    }
+    if (due) {
+      unpaidKeys.push(entry.key);
+    }
+    lines.push({
+      key: entry.key,
+      label: entry.label || entry.key,
+      year,
+      amount: roundCurrency(entry.amount),
+    });
+  });
+
+  return {
+    thirteenthMonthPay: roundCurrency(lines.reduce((sum, line) => sum + line.amount, 0)),
+    lines,
+    unpaidKeys,
+    year,
+  };
+};
+
+/**
+ * Mark the installments merged into a payroll as paid by it. Runs in one
+ * transaction, so an installment another payroll already paid fails the call.
+ * @param {object} params - { companyId, employeeId, year, installmentKeys, payrollKey, payrollRunId, payrollId, payDate }
+ */
+const settlePayrollThirteenthMonth = async ({
+  companyId, employeeId, year, installmentKeys = [], payrollKey, payrollRunId, payrollId, payDate,
+}, options = {}) => {
+  if (installmentKeys.length === 0) {
+    return { success: true, count: 0 };
+  }
+  const ref = recordRef(employeeId, year);
+  const now = new Date().toISOString();
+
+  return firestore().runTransaction(async (tx) => {
+    const snapshot = await tx.get(ref);
+    const data = snapshot.exists ? snapshot.data() || {} : {};
+    const installments = ensureArray(data.installments).map((entry) => ({ ...entry }));
+    installmentKeys.forEach((key) => {
+      const installment = installments.find((entry) => entry.key === key);
+      if (!installment || installment.status !== INSTALLMENT_STATUSES.APPROVED) {
+        throw createServiceError(
+          'failed-precondition',
+          `13th month installment ${key} of ${employeeId} is ${installment?.status || 'missing'} and cannot be paid.`,
+        );
+      }
+      installment.status = INSTALLMENT_STATUSES.PAID;
+      installment.paidAt = now;
+      installment.paidBy = options.userId || null;
+      installment.payout = {
+        payrollRunId: payrollRunId || null,
+        payrollId: payrollId || null,
+        payrollKey,
+        payDate: payDate || null,
+      };
+    });
+    tx.update(ref, {
+      installments,
+      paidPayrollKeys: paidPayrollKeys(installments),
+      status: resolveRecordStatus(installments),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    return { success: true, count: installmentKeys.length, companyId };
+  });
+};
+
+/**
+ * Return installments paid by deleted payrolls to approved so the next payroll picks them up.
+ * Passing installmentKeys limits the release to those installments, for a payroll that failed to save.
+ * @param {object} params - { companyId, payrollKeys, installmentKeys }
+ * @returns {object} { released }
+ */
+const releasePayrollThirteenthMonth = async ({ companyId, payrollKeys = [], installmentKeys = null }) => {
+  const keys = unique(payrollKeys);
+  if (!safeString(companyId) || keys.length === 0) {
+    return { released: 0 };
+  }
+  const db = firestore();
+  let released = 0;
+
+  for (let index = 0; index < keys.length; index += 30) {
+    const chunk = keys.slice(index, index + 30);
+    const snapshot = await db.collection(THIRTEENTH_MONTH_COLLECTION)
+      .where('companyId', '==', safeString(companyId))
+      .where('paidPayrollKeys', 'array-contains-any', chunk)
+      .get();
+    if (snapshot.empty) {
+      continue;
+    }
+    const batch = db.batch();
+    snapshot.docs.forEach((doc) => {
+      const installments = ensureArray(doc.data().installments).map((entry) => {
+        if (entry.status !== INSTALLMENT_STATUSES.PAID || !chunk.includes(entry.payout?.payrollKey)
+          || (installmentKeys && !installmentKeys.includes(entry.key))) {
+          return entry;
+        }
+        released += 1;
+        const { payout, paidAt, paidBy, ...rest } = entry;
+        return { ...rest, status: INSTALLMENT_STATUSES.APPROVED };
+      });
+      batch.update(doc.ref, {
+        installments,
+        paidPayrollKeys: paidPayrollKeys(installments),
+        status: resolveRecordStatus(installments),
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+    });
+    await batch.commit();
+  }
+
+  return { released };
+};
+
 module.exports = {
+  COMPUTATION_BASES,
+  INSTALLMENT_STATUSES,
   computeThirteenthMonthPay,
   computeEmployeeThirteenthMonth,
+  getThirteenthMonthSettings,
+  setThirteenthMonthSettings,
+  saveThirteenthMonth,
+  listThirteenthMonth,
+  approveThirteenthMonth,
+  revokeThirteenthMonthApproval,
+  loadPayrollThirteenthMonth,
+  settlePayrollThirteenthMonth,
+  releasePayrollThirteenthMonth,
 };
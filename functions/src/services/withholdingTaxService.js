@@ -0,0 +1,436 @@
+const admin = require('../utils/firebaseAdmin');
+const { calculateWithholdingTax, getTaxBrackets } = require('./taxService');
+
+const firestore = () => {
+  if (typeof admin.firestore !== 'function') {
+    throw new Error('Firestore is not initialized');
+  }
+  return admin.firestore();
+};
+
+const PAYROLL_COLLECTION = 'payrolls';
+const EMPLOYEES_COLLECTION = 'employees';
+const THIRTEENTH_MONTH_COLLECTION = 'thirteenthMonthPay';
+
+// 13th month pay and other benefits are exempt up to this amount per year (TRAIN law).
+const NON_TAXABLE_BENEFITS_CEILING = 90000;
+
+const createServiceError = (code, message, details) => {
+  const error = new Error(message);
+  error.code = code;
+  if (details !== undefined) {
+    error.details = details;
+  }
+  return error;
+};
+
+const toNumber = (value, fallback = 0) => {
+  if (value === null || value === undefined || value === '') {
+    return fallback;
+  }
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? numeric : fallback;
+};
+
+const roundCurrency = (value) => {
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric)) {
+    return 0;
+  }
+  return Math.round(numeric * 100) / 100;
+};
+
+const safeString = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'string') {
+    return value.trim();
+  }
+  return String(value).trim();
+};
+
+const resolveYear = (value) => {
+  const year = Number(value);
+  return Number.isInteger(year) && year > 1900 ? year : new Date().getFullYear();
+};
+
+/**
+ * Scale a monthly bracket table to its annual equivalent so the same company
+ * configuration drives both per-period and year-end computations.
+ */
+const annualizeTaxConfig = (monthlyConfig = {}) => ({
+  ...monthlyConfig,
+  personalExemption: roundCurrency(toNumber(monthlyConfig.personalExemption, 0) * 12),
+  brackets: (monthlyConfig.brackets || []).map((entry) => ({
+    ...entry,
+    min: roundCurrency(toNumber(entry.min, 0) * 12),
+    max: entry.max === Infinity ? Infinity : roundCurrency(toNumber(entry.max, 0) * 12),
+    baseTax: roundCurrency(toNumber(entry.baseTax, 0) * 12),
+    baseAmount: roundCurrency(toNumber(entry.baseAmount, 0) * 12),
+  })),
+});
+
+const createYtdTotals = () => ({
+  basicPay: 0,
+  overtimePay: 0,
+  premiumPay: 0,
+  nightDifferentialPay: 0,
+  commissionPay: 0,
+  attendanceDeductions: 0,
+  thirteenthMonthPay: 0,
+  allowances: 0,
+  statutoryEmployee: 0,
+  additionalEmployeeDeductions: 0,
+  sssEmployee: 0,
+  pagibigEmployee: 0,
+  philhealthEmployee: 0,
+  withholdingTax: 0,
+  taxRefund: 0,
+  grossPay: 0,
+  payrollCount: 0,
+});
+
+/**
+ * Split a payroll record into the parts that matter for annual income tax.
+ * Allowances are left out of taxable pay each period, so they are kept apart
+ * from the 13th month and do not use up its non-taxable ceiling.
+ */
+const extractTaxComponents = (data = {}) => {
+  const includeTaxes = Boolean(data.includeTaxes);
+  const sssEmployee = includeTaxes ? toNumber(data.sssEmployee, 0) : 0;
+  const pagibigEmployee = includeTaxes ? toNumber(data.pagibigEmployee, 0) : 0;
+  const philhealthEmployee = includeTaxes ? toNumber(data.philhealthEmployee, 0) : 0;
+  return {
+    basicPay: toNumber(data.basicPay, 0),
+    overtimePay: toNumber(data.otPay, 0),
+    premiumPay: toNumber(data.premiumPay, 0),
+    nightDifferentialPay: toNumber(data.nightDifferentialPay, 0),
+    commissionPay: toNumber(data.commissionPay, 0),
+    attendanceDeductions: toNumber(data.totalLate, 0) + toNumber(data.totalUndertime, 0) + toNumber(data.totalAbsent, 0),
+    thirteenthMonthPay: toNumber(data.thirteenthMonthPay, 0),
+    allowances: toNumber(data.allowance, 0) + toNumber(data.transpoAllowance, 0),
+    statutoryEmployee: sssEmployee + pagibigEmployee + philhealthEmployee,
+    additionalEmployeeDeductions: includeTaxes ? toNumber(data.additionalEmployeeDeductions, 0) : 0,
+    sssEmployee,
+    pagibigEmployee,
+    philhealthEmployee,
+    withholdingTax: includeTaxes ? toNumber(data.birTax ?? data.withholdingTax, 0) : 0,
+    taxRefund: toNumber(data.taxRefund, 0),
+    grossPay: toNumber(data.grossPay ?? data.totalEarnings, 0),
+  };
+};
+
+const addComponents = (totals, components) => {
+  Object.keys(components).forEach((key) => {
+    totals[key] = roundCurrency(totals[key] + components[key]);
+  });
+  totals.payrollCount += 1;
+  return totals;
+};
+
+/**
+ * Sum every payroll of the employee paid in the given year.
+ * @param {object} params - { companyId, employeeId, year, excludePayrollKey, beforePayDate }
+ * @returns {object} { totals, payrolls }
+ */
+const loadYearToDate = async ({ companyId, employeeId, year, excludePayrollKey, beforePayDate } = {}) => {
+  if (!safeString(employeeId)) {
+    throw createServiceError('invalid-argument', 'employeeId is required.');
+  }
+  const taxYear = resolveYear(year);
+  const db = firestore();
+  const snapshot = await db.collection(PAYROLL_COLLECTION)
+    .where('employeeId', '==', safeString(employeeId))
+    .where('payDate', '>=', `${taxYear}-01-01`)
+    .where('payDate', '<=', `${taxYear}-12-31`)
+    .get();
+
+  const totals = createYtdTotals();
+  const payrolls = [];
+  snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .filter((data) => !companyId || !data.companyId || data.companyId === companyId)
+    .filter((data) => !excludePayrollKey || data.payrollKey !== excludePayrollKey)
+    .filter((data) => !beforePayDate || safeString(data.payDate) < beforePayDate)
+    .sort((a, b) => safeString(a.payDate).localeCompare(safeString(b.payDate)))
+    .forEach((data) => {
+      const components = extractTaxComponents(data);
+      addComponents(totals, components);
+      payrolls.push({
+        payrollId: data.id,
+        payrollKey: data.payrollKey || null,
+        payDate: safeString(data.payDate),
+        month: safeString(data.month) || safeString(data.payDate).slice(0, 7),
+        ...components,
+      });
+    });
+
+  return { year: taxYear, totals, payrolls };
+};
+
+/**
+ * 13th month pay for the year that is not already on a payroll. Installments
+ * paid through payroll are in the YTD totals; the one paid by excludePayrollKey
+ * is left in so the caller can treat it as part of the current pay.
+ */
+const loadThirteenthMonthAmount = async (companyId, employeeId, year, excludePayrollKey) => {
+  const db = firestore();
+  const snapshot = await db.collection(THIRTEENTH_MONTH_COLLECTION).doc(`${employeeId}_${year}`).get();
+  if (!snapshot.exists) {
+    return 0;
+  }
+  const data = snapshot.data() || {};
+  if (companyId && data.companyId && data.companyId !== companyId) {
+    return 0;
+  }
+  if (!Array.isArray(data.installments)) {
+    return roundCurrency(toNumber(data.thirteenthMonthPay ?? data.amount, 0));
+  }
+  return roundCurrency(data.installments
+    .filter((entry) => entry.status !== 'paid' || entry.payout?.payrollKey === excludePayrollKey)
+    .reduce((sum, entry) => sum + toNumber(entry.amount, 0), 0));
+};
+
+/**
+ * Part of a benefit paid in this payroll that no longer fits under the yearly
+ * non-taxable ceiling, given the 13th month already paid earlier in the year
+ * and any other benefits paid with it.
+ * @param {object} params - { companyId, employeeId, payDate, payrollKey, amount, currentBenefits }
+ * @returns {number} Taxable excess, never more than amount
+ */
+const computeTaxableBenefitExcess = async ({
+  companyId, employeeId, payDate, payrollKey, amount, currentBenefits = 0,
+}) => {
+  const benefit = roundCurrency(toNumber(amount, 0));
+  if (benefit <= 0) {
+    return 0;
+  }
+  const year = resolveYear(safeString(payDate).slice(0, 4));
+  const { totals } = await loadYearToDate({ companyId, employeeId, year, excludePayrollKey: payrollKey });
+  const remainingCeiling = Math.max(
+    0,
+    NON_TAXABLE_BENEFITS_CEILING - totals.thirteenthMonthPay - toNumber(currentBenefits, 0),
+  );
+  return roundCurrency(Math.max(0, benefit - remainingCeiling));
+};
+
+/**
+ * Recompute the tax due for the whole year and compare it with what was withheld.
+ * A positive adjustment is still owed by the employee; a negative one is a refund.
+ * @param {object} params
+ * @param {object} params.ytd - Totals from loadYearToDate (may already include the current pay)
+ * @param {number} params.thirteenthMonthPay - 13th month pay for the year not already in ytd
+ * @param {number} params.otherBenefits - Other benefits sharing the 90,000 ceiling
+ * @param {number} params.additionalEmployeeDeductions - Deductions for the year not already in ytd
+ * @param {object} params.taxConfig - Monthly company tax configuration
+ * @returns {object} Annual computation
+ */
+const computeAnnualTax = ({
+  ytd, thirteenthMonthPay = 0, otherBenefits = 0, additionalEmployeeDeductions = 0, taxConfig,
+}) => {
+  const totals = { ...createYtdTotals(), ...(ytd || {}) };
+  const thirteenth = roundCurrency(totals.thirteenthMonthPay + toNumber(thirteenthMonthPay, 0));
+  const benefits = roundCurrency(thirteenth + toNumber(otherBenefits, 0));
+  const additionalDeductions = roundCurrency(
+    totals.additionalEmployeeDeductions + toNumber(additionalEmployeeDeductions, 0),
+  );
+  const nonTaxableBenefits = roundCurrency(Math.min(NON_TAXABLE_BENEFITS_CEILING, benefits));
+  const taxableBenefits = roundCurrency(benefits - nonTaxableBenefits);
+
+  const regularCompensation = roundCurrency(Math.max(0, totals.basicPay - totals.attendanceDeductions));
+  const supplementaryCompensation = roundCurrency(
+    totals.overtimePay + totals.premiumPay + totals.nightDifferentialPay + totals.commissionPay + taxableBenefits,
+  );
+  const grossTaxableCompensation = roundCurrency(regularCompensation + supplementaryCompensation);
+
+  const annualTaxDue = calculateWithholdingTax({
+    monthlySalary: grossTaxableCompensation,
+    statutoryEmployeeDeductions: totals.statutoryEmployee,
+    additionalEmployeeDeductions: additionalDeductions,
+    taxConfig: annualizeTaxConfig(taxConfig),
+  });
+  const taxWithheld = roundCurrency(totals.withholdingTax - totals.taxRefund);
+  const personalExemption = roundCurrency(toNumber(taxConfig.personalExemption, 0) * 12);
+
+  return {
+    grossCompensation: roundCurrency(
+      regularCompensation + supplementaryCompensation + nonTaxableBenefits + totals.allowances,
+    ),
+    regularCompensation,
+    supplementaryCompensation,
+    thirteenthMonthPay: thirteenth,
+    otherBenefits: roundCurrency(toNumber(otherBenefits, 0)),
+    nonTaxableBenefits,
+    taxableBenefits,
+    nonTaxableAllowances: roundCurrency(totals.allowances),
+    statutoryEmployee: roundCurrency(totals.statutoryEmployee),
+    additionalEmployeeDeductions: additionalDeductions,
+    personalExemption,
+    netTaxableCompensation: roundCurrency(Math.max(
+      0,
+      grossTaxableCompensation - totals.statutoryEmployee - additionalDeductions - personalExemption,
+    )),
+    grossTaxableCompensation,
+    annualTaxDue,
+    taxWithheld,
+    adjustment: roundCurrency(annualTaxDue - taxWithheld),
+  };
+};
+
+/**
+ * Year-end (or last pay) adjustment for one payroll. The current period's own
+ * figures are added to the YTD totals of every earlier payroll in the year, and
+ * the withholding for this period becomes whatever balances the year.
+ * @param {object} params - { companyId, employeeId, payDate, payrollKey, current, thirteenthMonthPay, otherBenefits, taxConfig }
+ *   current.additionalEmployeeDeductions is the period's own amount, as on the payroll record
+ * @returns {object} { withholdingTax, taxRefund, annual, ytdBefore }
+ */
+const computeYearEndAdjustment = async ({
+  companyId,
+  employeeId,
+  payDate,
+  payrollKey,
+  current = {},
+  thirteenthMonthPay,
+  otherBenefits = 0,
+  taxConfig,
+}) => {
+  const year = resolveYear(safeString(payDate).slice(0, 4));
+  const ytdBefore = await loadYearToDate({ companyId, employeeId, year, excludePayrollKey: payrollKey });
+  const config = taxConfig || await getTaxBrackets(companyId);
+  // An installment paid by this payroll is already part of the current figures
+  const thirteenth = thirteenthMonthPay !== undefined
+    ? toNumber(thirteenthMonthPay, 0)
+    : Math.max(0, await loadThirteenthMonthAmount(companyId, employeeId, year, payrollKey)
+      - toNumber(current.thirteenthMonthPay, 0));
+
+  const withCurrent = addComponents({ ...ytdBefore.totals }, extractTaxComponents({
+    ...current,
+    includeTaxes: true,
+    birTax: 0,
+    taxRefund: 0,
+  }));
+
+  const annual = computeAnnualTax({
+    ytd: withCurrent,
+    thirteenthMonthPay: thirteenth,
+    otherBenefits,
+    taxConfig: config,
+  });
+
+  return {
+    year,
+    withholdingTax: roundCurrency(Math.max(0, annual.adjustment)),
+    taxRefund: roundCurrency(Math.max(0, -annual.adjustment)),
+    annual,
+    ytdBefore: ytdBefore.totals,
+  };
+};
+
+const formatEmployeeName = (employee = {}) => {
+  if (employee.employeeName) {
+    return safeString(employee.employeeName);
+  }
+  return [employee.firstName, employee.middleName, employee.lastName].map(safeString).filter(Boolean).join(' ');
+};
+
+/**
+ * Structured data for BIR Form 2316 (Certificate of Compensation Payment /
+ * Tax Withheld) built from the employee's payrolls for the year.
+ */
+const buildBir2316 = async ({ companyId, employeeId, year, thirteenthMonthPay, otherBenefits = 0 } = {}) => {
+  if (!safeString(companyId) || !safeString(employeeId)) {
+    throw createServiceError('invalid-argument', 'companyId and employeeId are required.');
+  }
+  const taxYear = resolveYear(year);
+  const db = firestore();
+
+  const [companySnapshot, employeeSnapshot] = await Promise.all([
+    db.collection('companies').doc(companyId).get(),
+    db.collection(EMPLOYEES_COLLECTION).doc(employeeId).get(),
+  ]);
+  if (!employeeSnapshot.exists) {
+    throw createServiceError('not-found', `Employee ${employeeId} not found.`);
+  }
+  const company = companySnapshot.exists ? companySnapshot.data() || {} : {};
+  const employee = employeeSnapshot.data() || {};
+
+  const ytd = await loadYearToDate({ companyId, employeeId, year: taxYear });
+  const taxConfig = await getTaxBrackets(companyId);
+  const thirteenth = thirteenthMonthPay !== undefined
+    ? toNumber(thirteenthMonthPay, 0)
+    : await loadThirteenthMonthAmount(companyId, employeeId, taxYear);
+  const annual = computeAnnualTax({ ytd: ytd.totals, thirteenthMonthPay: thirteenth, otherBenefits, taxConfig });
+
+  const firstPayDate = ytd.payrolls[0]?.payDate || null;
+  const lastPayDate = ytd.payrolls[ytd.payrolls.length - 1]?.payDate || null;
+
+  return {
+    form: 'BIR-2316',
+    year: taxYear,
+    period: {
+      from: firstPayDate ? `${taxYear}-${firstPayDate.slice(5, 7)}-01` : `${taxYear}-01-01`,
+      to: lastPayDate || `${taxYear}-12-31`,
+    },
+    employee: {
+      employeeId,
+      name: formatEmployeeName(employee),
+      tin: safeString(employee.tinNumber || employee.tin),
+      birthDate: safeString(employee.birthDate) || null,
+      address: safeString(employee.currentAddress || employee.permanentAddress),
+      dateHired: safeString(employee.dateHired || employee.startDate) || null,
+    },
+    employer: {
+      companyId,
+      name: safeString(company.name || company.companyName),
+      tin: safeString(company.tinNumber || company.tin),
+      address: safeString(company.address || company.companyAddress),
+    },
+    nonTaxableCompensation: {
+      thirteenthMonthAndOtherBenefits: annual.nonTaxableBenefits,
+      allowances: annual.nonTaxableAllowances,
+      statutoryContributions: annual.statutoryEmployee,
+      sssEmployee: ytd.totals.sssEmployee,
+      philhealthEmployee: ytd.totals.philhealthEmployee,
+      pagibigEmployee: ytd.totals.pagibigEmployee,
+      total: roundCurrency(annual.nonTaxableBenefits + annual.nonTaxableAllowances + annual.statutoryEmployee),
+    },
+    taxableCompensation: {
+      basicSalary: annual.regularCompensation,
+      overtimePay: ytd.totals.overtimePay,
+      holidayAndRestDayPay: ytd.totals.premiumPay,
+      nightDifferential: ytd.totals.nightDifferentialPay,
+      commission: ytd.totals.commissionPay,
+      taxableThirteenthMonthAndOtherBenefits: annual.taxableBenefits,
+      total: annual.grossTaxableCompensation,
+    },
+    summary: {
+      grossCompensation: annual.grossCompensation,
+      nonTaxableCompensation: roundCurrency(annual.nonTaxableBenefits + annual.nonTaxableAllowances + annual.statutoryEmployee),
+      taxableCompensation: annual.netTaxableCompensation,
+      taxDue: annual.annualTaxDue,
+      taxWithheld: annual.taxWithheld,
+      adjustment: annual.adjustment,
+    },
+    payrolls: ytd.payrolls.map((entry) => ({
+      payDate: entry.payDate,
+      payrollKey: entry.payrollKey,
+      grossPay: entry.grossPay,
+      withholdingTax: entry.withholdingTax,
+      taxRefund: entry.taxRefund,
+    })),
+    generatedAt: new Date().toISOString(),
+  };
+};
+
+module.exports = {
+  NON_TAXABLE_BENEFITS_CEILING,
+  annualizeTaxConfig,
+  extractTaxComponents,
+  loadYearToDate,
+  computeAnnualTax,
+  computeYearEndAdjustment,
+  computeTaxableBenefitExcess,
+  buildBir2316,
+};
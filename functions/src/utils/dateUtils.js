@@ -1,7 +1,128 @@
+const DEFAULT_REST_DAYS = Object.freeze([0, 6]);
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const MS_PER_MINUTE = 60 * 1000;
+// The Philippines observes no daylight saving time, so a fixed offset is exact.
+const MANILA_UTC_OFFSET_MINUTES = 8 * 60;
+const EXPLICIT_ZONE_PATTERN = /(?:[zZ]|[+-]\d{2}:?\d{2})$/;
+
+const parseDateKey = (value) => {
+  if (!value) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime())
+      ? null
+      : new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+  }
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value).trim());
+  if (!match) {
+    return null;
+  }
+  return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+};
+
+const formatDateKey = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * List every calendar date between two dates (inclusive) as YYYY-MM-DD strings.
+ */
+function listDatesInRange(startDate, endDate) {
+  const start = parseDateKey(startDate);
+  const end = parseDateKey(endDate);
+  if (!start || !end || end < start) {
+    return [];
+  }
+  const dates = [];
+  for (let time = start.getTime(); time <= end.getTime(); time += MS_PER_DAY) {
+    dates.push(formatDateKey(new Date(time)));
+  }
+  return dates;
+}
+
+/**
+ * Count working days between two dates (inclusive).
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @param {object} options - { restDays: weekday numbers (0 = Sunday), holidays: YYYY-MM-DD[] }
+ * @returns {number} Number of working days
+ */
 function calculateWorkingDays(startDate, endDate, options = {}) {
-  throw new Error('calculateWorkingDays not implemented');
+  const restDays = Array.isArray(options.restDays) ? options.restDays.map(Number) : DEFAULT_REST_DAYS;
+  const holidays = new Set(Array.isArray(options.holidays) ? options.holidays : []);
+
+  return listDatesInRange(startDate, endDate).filter((dateKey) => {
+    const weekday = parseDateKey(dateKey).getUTCDay();
+    return !restDays.includes(weekday) && !holidays.has(dateKey);
+  }).length;
+}
+
+/**
+ * Convert a punch value to Manila wall-clock milliseconds, i.e. a timestamp whose
+ * UTC fields read as the local time in Asia/Manila. Values carrying an explicit
+ * zone (Z or +hh:mm) are converted; zone-less ISO strings are taken as Manila
+ * wall time; bare HH:MM values are anchored on fallbackDate.
+ * @param {string|Date} value - ISO datetime, Date, or HH:MM
+ * @param {string} fallbackDate - YYYY-MM-DD used for HH:MM values
+ * @returns {number|null} Wall-clock milliseconds or null when unparseable
+ */
+function toManilaWallTime(value, fallbackDate) {
+  if (!value) {
+    return null;
+  }
+  if (value instanceof Date || (value && typeof value.toDate === 'function')) {
+    const date = value instanceof Date ? value : value.toDate();
+    const time = date.getTime();
+    return Number.isNaN(time) ? null : time + MANILA_UTC_OFFSET_MINUTES * MS_PER_MINUTE;
+  }
+
+  const text = String(value).trim();
+  const clockOnly = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(text);
+  if (clockOnly) {
+    const day = parseDateKey(fallbackDate);
+    if (!day) {
+      return null;
+    }
+    return day.getTime() + (Number(clockOnly[1]) * 60 + Number(clockOnly[2])) * MS_PER_MINUTE;
+  }
+
+  if (EXPLICIT_ZONE_PATTERN.test(text)) {
+    const time = Date.parse(text);
+    return Number.isNaN(time) ? null : time + MANILA_UTC_OFFSET_MINUTES * MS_PER_MINUTE;
+  }
+
+  const time = Date.parse(`${text.replace(' ', 'T')}Z`);
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Minutes since midnight (Manila wall clock) for a punch value.
+ */
+function toManilaMinutesOfDay(value, fallbackDate) {
+  const wallTime = toManilaWallTime(value, fallbackDate);
+  if (wallTime === null) {
+    return null;
+  }
+  const date = new Date(wallTime);
+  return date.getUTCHours() * 60 + date.getUTCMinutes();
+}
+
+function daysInMonth(dateValue) {
+  const date = parseDateKey(dateValue);
+  if (!date) {
+    return 0;
+  }
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
 }
 
 module.exports = {
+  MANILA_UTC_OFFSET_MINUTES,
+  MS_PER_MINUTE,
+  MS_PER_DAY,
   calculateWorkingDays,
+  toManilaWallTime,
+  toManilaMinutesOfDay,
+  listDatesInRange,
+  daysInMonth,
+  parseDateKey,
+  formatDateKey,
 };
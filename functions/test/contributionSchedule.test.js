@@ -0,0 +1,142 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeFirestore } = require('./helpers/fakeFirestore');
+
+const fake = installFakeFirestore();
+const {
+  DEFAULT_CONTRIBUTION_SCHEDULE,
+  validateContributionSchedule,
+  getContributionSchedule,
+  publishContributionSchedule,
+} = require('../src/services/contributionScheduleService');
+const {
+  computeStatutoryDeductions,
+  previewContributionScheduleImpact,
+  calculateSSSContribution,
+} = require('../src/services/taxService');
+
+const schedule = (overrides = {}) => ({
+  effectiveDate: '2025-01-01',
+  sss: { employeeRate: 0.05, employerRate: 0.1, minimumCredit: 5000, maximumCredit: 35000 },
+  pagibig: { employeeRate: 0.02, employerRate: 0.02, maximumCompensation: 10000 },
+  philhealth: { rate: 0.05, employeeShare: 0.5, incomeFloor: 10000, incomeCeiling: 100000 },
+  ...overrides,
+});
+
+describe('validateContributionSchedule', () => {
+  it('accepts rates written as fractions', () => {
+    assert.deepEqual(validateContributionSchedule(schedule()), []);
+  });
+
+  it('rejects rates written as percentages', () => {
+    const errors = validateContributionSchedule(schedule({
+      sss: { employeeRate: 4.5, employerRate: 0.1, maximumCredit: 35000 },
+    }));
+    assert.deepEqual(errors, ['sss.employeeRate must be a fraction below 1 (e.g. 0.045 for 4.5%)']);
+  });
+
+  it('lets the employee carry the whole PhilHealth premium but no more', () => {
+    const whole = schedule({ philhealth: { rate: 0.05, employeeShare: 1 } });
+    const over = schedule({ philhealth: { rate: 0.05, employeeShare: 1.5 } });
+    assert.deepEqual(validateContributionSchedule(whole), []);
+    assert.deepEqual(validateContributionSchedule(over), ['philhealth.employeeShare must be between 0 and 1']);
+  });
+
+  it('requires every table and an effective date', () => {
+    assert.deepEqual(validateContributionSchedule({ effectiveDate: '2025-1-1' }), [
+      'effectiveDate must be YYYY-MM-DD',
+      'sss table is required',
+      'pagibig table is required',
+      'philhealth table is required',
+    ]);
+  });
+});
+
+describe('getContributionSchedule', () => {
+  beforeEach(() => fake.clear());
+
+  it('uses the built-in default before any schedule takes effect', async () => {
+    fake.seed('contributionSchedules/s2025', schedule());
+    const resolved = await getContributionSchedule('2024-12-31');
+    assert.equal(resolved.source, 'default');
+    assert.equal(resolved.sss.employeeRate, DEFAULT_CONTRIBUTION_SCHEDULE.sss.employeeRate);
+  });
+
+  it('picks the latest schedule effective on the pay date', async () => {
+    fake.seed('contributionSchedules/s2025', schedule());
+    fake.seed('contributionSchedules/s2026', schedule({
+      effectiveDate: '2026-01-01',
+      sss: { employeeRate: 0.055, employerRate: 0.11, maximumCredit: 35000 },
+    }));
+
+    const before = await getContributionSchedule('2025-12-31');
+    const on = await getContributionSchedule('2026-01-01');
+    assert.equal(before.id, 's2025');
+    assert.equal(on.id, 's2026');
+    assert.equal(on.sss.employeeRate, 0.055);
+    assert.equal(on.source, 'firestore:contributionSchedules/s2026');
+  });
+
+  it('fails instead of falling back when the schedules cannot be read', async (t) => {
+    t.mock.method(fake.db, 'collection', () => {
+      throw new Error('deadline exceeded');
+    });
+    t.mock.method(console, 'error', () => {});
+    await assert.rejects(getContributionSchedule('2025-06-30'), { code: 'unavailable' });
+  });
+});
+
+describe('publishContributionSchedule', () => {
+  beforeEach(() => fake.clear());
+
+  it('refuses a second schedule for the same effective date', async () => {
+    const { scheduleId } = await publishContributionSchedule(schedule(), { userId: 'u1' });
+    assert.equal(fake.read(`contributionSchedules/${scheduleId}`).publishedBy, 'u1');
+    await assert.rejects(publishContributionSchedule(schedule()), { code: 'already-exists' });
+  });
+
+  it('refuses percentage rates', async () => {
+    await assert.rejects(
+      publishContributionSchedule(schedule({ pagibig: { employeeRate: 2 } })),
+      { code: 'invalid-argument' },
+    );
+    assert.equal(fake.list('contributionSchedules').length, 0);
+  });
+});
+
+describe('statutory deductions', () => {
+  beforeEach(() => fake.clear());
+
+  it('follow the schedule in force on the pay date', async () => {
+    fake.seed('contributionSchedules/s2025', schedule());
+    const result = await computeStatutoryDeductions({ monthlySalary: 30000, payDate: '2025-03-15' });
+    assert.equal(result.sssEmployee, 1500);
+    assert.equal(result.pagibigEmployee, 200);
+    assert.equal(result.philhealthEmployee, 750);
+    assert.deepEqual(result.contributionSchedule, {
+      id: 's2025',
+      effectiveDate: '2025-01-01',
+      source: 'firestore:contributionSchedules/s2025',
+    });
+  });
+
+  it('are previewed with the per-period split each payroll was computed with', async () => {
+    const payroll = {
+      companyId: 'c1',
+      payDate: '2025-03-15',
+      includeTaxes: true,
+      sssEmployee: 0,
+    };
+    fake.seed('payrolls/monthly', { ...payroll, periodsPerYear: 12, monthlySalary: 30000, basicPay: 30000 });
+    fake.seed('payrolls/semi', { ...payroll, periodsPerYear: 24, basicPay: 15000, contributionFactor: 0.5 });
+    fake.seed('payrolls/all-first-cutoff', { ...payroll, periodsPerYear: 24, basicPay: 15000, contributionFactor: 1 });
+
+    const preview = await previewContributionScheduleImpact({ companyId: 'c1', payDate: '2025-03-15', schedule: schedule() });
+    const sssOf = (payrollId) => preview.employees.find((entry) => entry.payrollId === payrollId).proposed.sssEmployee;
+    const monthlySss = calculateSSSContribution(30000, schedule()).employee;
+
+    assert.equal(sssOf('monthly'), monthlySss);
+    assert.equal(sssOf('semi'), monthlySss / 2);
+    assert.equal(sssOf('all-first-cutoff'), monthlySss);
+  });
+});
@@ -0,0 +1,288 @@
+const path = require('path');
+const Module = require('module');
+
+/**
+ * In-memory Firestore covering what the services use: documents, queries with
+ * where/orderBy/limit/startAfter, batches, transactions and the FieldValue
+ * sentinels. installFakeFirestore() puts it in place of src/utils/firebaseAdmin
+ * and src/config/firebase, so call it before requiring any service.
+ */
+
+const SERVER_TIMESTAMP = Symbol('serverTimestamp');
+const DELETE = Symbol('delete');
+
+const FieldValue = {
+  serverTimestamp: () => SERVER_TIMESTAMP,
+  delete: () => DELETE,
+  increment: (n) => ({ increment: n }),
+  arrayUnion: (...elements) => ({ arrayUnion: elements }),
+  arrayRemove: (...elements) => ({ arrayRemove: elements }),
+};
+
+const clone = (value) => (value === undefined ? undefined : structuredClone(value));
+
+const readField = (data, field) => field.split('.')
+  .reduce((value, key) => (value == null ? undefined : value[key]), data);
+
+const resolveValue = (current, value) => {
+  if (value === SERVER_TIMESTAMP) {
+    return new Date().toISOString();
+  }
+  if (value && typeof value === 'object' && 'increment' in value && Object.keys(value).length === 1) {
+    return (Number(current) || 0) + value.increment;
+  }
+  if (value && typeof value === 'object' && Array.isArray(value.arrayUnion)) {
+    const base = Array.isArray(current) ? [...current] : [];
+    value.arrayUnion.forEach((element) => {
+      if (!base.some((existing) => JSON.stringify(existing) === JSON.stringify(element))) {
+        base.push(element);
+      }
+    });
+    return base;
+  }
+  if (value && typeof value === 'object' && Array.isArray(value.arrayRemove)) {
+    const removed = value.arrayRemove.map((element) => JSON.stringify(element));
+    return (Array.isArray(current) ? current : []).filter((element) => !removed.includes(JSON.stringify(element)));
+  }
+  return clone(value);
+};
+
+const writeField = (data, field, value) => {
+  const keys = field.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    if (!node[key] || typeof node[key] !== 'object') {
+      node[key] = {};
+    }
+    return node[key];
+  }, data);
+  if (value === DELETE) {
+    delete parent[last];
+  } else {
+    parent[last] = resolveValue(parent[last], value);
+  }
+};
+
+const applyFields = (base, fields, { dotted }) => {
+  const next = clone(base) || {};
+  Object.entries(fields).forEach(([key, value]) => {
+    if (dotted) {
+      writeField(next, key, value);
+    } else if (value === DELETE) {
+      delete next[key];
+    } else if (value && typeof value === 'object' && !Array.isArray(value) && value.constructor === Object
+      && !('increment' in value) && !('arrayUnion' in value) && !('arrayRemove' in value)) {
+      next[key] = applyFields(next[key] && typeof next[key] === 'object' ? next[key] : {}, value, { dotted: false });
+    } else {
+      next[key] = resolveValue(next[key], value);
+    }
+  });
+  return next;
+};
+
+const matches = (data, [field, op, expected]) => {
+  const value = readField(data, field);
+  switch (op) {
+    case '==': return value === expected;
+    case '!=': return value !== undefined && value !== expected;
+    case '<': return value !== undefined && value < expected;
+    case '<=': return value !== undefined && value <= expected;
+    case '>': return value !== undefined && value > expected;
+    case '>=': return value !== undefined && value >= expected;
+    case 'in': return expected.includes(value);
+    case 'not-in': return value !== undefined && !expected.includes(value);
+    case 'array-contains': return Array.isArray(value) && value.includes(expected);
+    case 'array-contains-any': return Array.isArray(value) && value.some((entry) => expected.includes(entry));
+    default: throw new Error(`Unsupported operator ${op}`);
+  }
+};
+
+const compare = (a, b) => {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return -1;
+  if (b === undefined || b === null) return 1;
+  return a < b ? -1 : 1;
+};
+
+const createFakeFirestore = () => {
+  const store = new Map();
+  const reads = { count: 0 };
+
+  const documentSnapshot = (docPath) => {
+    const data = store.get(docPath);
+    return {
+      id: docPath.split('/').pop(),
+      exists: data !== undefined,
+      ref: docRef(docPath),
+      data: () => clone(data),
+      get: (field) => readField(data, field),
+    };
+  };
+
+  const querySnapshot = (docs) => ({
+    docs,
+    empty: docs.length === 0,
+    size: docs.length,
+    forEach: (fn) => docs.forEach(fn),
+  });
+
+  function docRef(docPath) {
+    return {
+      id: docPath.split('/').pop(),
+      path: docPath,
+      collection: (name) => collectionRef(`${docPath}/${name}`),
+      get: async () => {
+        reads.count += 1;
+        return documentSnapshot(docPath);
+      },
+      set: async (data, options = {}) => {
+        const merge = options.merge || Array.isArray(options.mergeFields);
+        store.set(docPath, applyFields(merge ? store.get(docPath) : {}, data, { dotted: false }));
+      },
+      create: async (data) => {
+        if (store.has(docPath)) {
+          throw Object.assign(new Error(`Document ${docPath} already exists`), { code: 6 });
+        }
+        store.set(docPath, applyFields({}, data, { dotted: false }));
+      },
+      update: async (data) => {
+        if (!store.has(docPath)) {
+          throw Object.assign(new Error(`No document to update: ${docPath}`), { code: 5 });
+        }
+        store.set(docPath, applyFields(store.get(docPath), data, { dotted: true }));
+      },
+      delete: async () => {
+        store.delete(docPath);
+      },
+    };
+  }
+
+  function query(collectionPath, { filters = [], orders = [], max = null, after = null } = {}) {
+    const chain = (changes) => query(collectionPath, { filters, orders, max, after, ...changes });
+    const run = () => {
+      const depth = collectionPath.split('/').length + 1;
+      let docs = [...store.keys()]
+        .filter((key) => key.startsWith(`${collectionPath}/`) && key.split('/').length === depth)
+        .map(documentSnapshot)
+        .filter((snapshot) => filters.every((filter) => matches(snapshot.data(), filter)));
+      const ordering = orders.length ? orders : [['__name__', 'asc']];
+      const sortKey = (snapshot, field) => (field === '__name__' ? snapshot.id : readField(snapshot.data(), field));
+      docs.sort((a, b) => {
+        for (const [field, direction] of ordering) {
+          const result = compare(sortKey(a, field), sortKey(b, field));
+          if (result !== 0) return direction === 'desc' ? -result : result;
+        }
+        return compare(a.id, b.id);
+      });
+      if (after) {
+        const index = docs.findIndex((snapshot) => snapshot.id === after.id);
+        docs = index === -1 ? docs : docs.slice(index + 1);
+      }
+      return max === null ? docs : docs.slice(0, max);
+    };
+    return {
+      where: (field, op, value) => chain({ filters: [...filters, [field, op, value]] }),
+      orderBy: (field, direction = 'asc') => chain({ orders: [...orders, [field, direction]] }),
+      limit: (n) => chain({ max: n }),
+      startAfter: (snapshot) => chain({ after: snapshot }),
+      get: async () => {
+        reads.count += 1;
+        return querySnapshot(run());
+      },
+      count: () => ({ get: async () => ({ data: () => ({ count: run().length }) }) }),
+    };
+  }
+
+  function collectionRef(collectionPath) {
+    return {
+      ...query(collectionPath),
+      id: collectionPath.split('/').pop(),
+      path: collectionPath,
+      doc: (id = Math.random().toString(36).slice(2, 12)) => docRef(`${collectionPath}/${id}`),
+      add: async (data) => {
+        const ref = collectionRef(collectionPath).doc();
+        await ref.set(data);
+        return ref;
+      },
+    };
+  }
+
+  const batch = () => {
+    const operations = [];
+    return {
+      set: (ref, data, options) => operations.push(() => ref.set(data, options)),
+      create: (ref, data) => operations.push(() => ref.create(data)),
+      update: (ref, data) => operations.push(() => ref.update(data)),
+      delete: (ref) => operations.push(() => ref.delete()),
+      commit: async () => {
+        for (const operation of operations) {
+          await operation();
+        }
+      },
+    };
+  };
+
+  // Writes are applied when the callback resolves, so a throwing callback changes nothing
+  const runTransaction = async (fn) => {
+    const transaction = batch();
+    const result = await fn({
+      get: (refOrQuery) => refOrQuery.get(),
+      set: (ref, data, options) => { transaction.set(ref, data, options); return transaction; },
+      create: (ref, data) => { transaction.create(ref, data); return transaction; },
+      update: (ref, data) => { transaction.update(ref, data); return transaction; },
+      delete: (ref) => { transaction.delete(ref); return transaction; },
+    });
+    await transaction.commit();
+    return result;
+  };
+
+  const db = {
+    collection: (name) => collectionRef(name),
+    doc: (docPath) => docRef(docPath),
+    batch,
+    runTransaction,
+  };
+
+  return {
+    db,
+    reads,
+    seed: (docPath, data) => store.set(docPath, clone(data)),
+    read: (docPath) => clone(store.get(docPath)),
+    list: (collectionPath) => [...store.keys()]
+      .filter((key) => key.startsWith(`${collectionPath}/`) && key.split('/').length === collectionPath.split('/').length + 1)
+      .map((key) => ({ id: key.split('/').pop(), ...clone(store.get(key)) })),
+    clear: () => store.clear(),
+  };
+};
+
+const SRC = path.join(__dirname, '..', '..', 'src');
+
+const stubModule = (file, exports) => {
+  const filename = require.resolve(file);
+  const stub = new Module(filename);
+  stub.filename = filename;
+  stub.loaded = true;
+  stub.exports = exports;
+  require.cache[filename] = stub;
+};
+
+const installFakeFirestore = () => {
+  const fake = createFakeFirestore();
+  const firestore = Object.assign(() => fake.db, { FieldValue });
+  const admin = {
+    apps: [{}],
+    firestore,
+    auth: () => {
+      throw new Error('Firebase Auth is not available in tests');
+    },
+  };
+  stubModule(path.join(SRC, 'utils', 'firebaseAdmin.js'), admin);
+  stubModule(path.join(SRC, 'config', 'firebase.js'), () => admin);
+  return { ...fake, admin };
+};
+
+module.exports = {
+  FieldValue,
+  createFakeFirestore,
+  installFakeFirestore,
+};
@@ -0,0 +1,85 @@
+const net = require('net');
+
+/**
+ * Minimal SMTP server on a random local port that keeps every message it
+ * accepts. rejectNext(n) answers the next n messages with a temporary failure,
+ * the way a mail server under load would.
+ */
+const startSmtpSink = () => new Promise((resolve) => {
+  const messages = [];
+  let rejections = 0;
+
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let message = null;
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    reply('220 sink.test ESMTP');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      while (buffer.length) {
+        if (message && message.receiving) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end === -1) {
+            return;
+          }
+          message.raw = buffer.slice(0, end).replace(/^\.\./gm, '.');
+          buffer = buffer.slice(end + 5);
+          delete message.receiving;
+          messages.push(message);
+          message = null;
+          reply('250 2.0.0 queued');
+          continue;
+        }
+        const newline = buffer.indexOf('\r\n');
+        if (newline === -1) {
+          return;
+        }
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 2);
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') {
+          reply('250 sink.test');
+        } else if (command === 'MAIL') {
+          if (rejections > 0) {
+            rejections -= 1;
+            reply('451 4.3.0 Try again later');
+          } else {
+            message = { from: line.replace(/^MAIL FROM:\s*/i, '').replace(/[<>]/g, '').split(' ')[0], to: [] };
+            reply('250 2.1.0 OK');
+          }
+        } else if (command === 'RCPT') {
+          message.to.push(line.replace(/^RCPT TO:\s*/i, '').replace(/[<>]/g, '').split(' ')[0]);
+          reply('250 2.1.5 OK');
+        } else if (command === 'DATA') {
+          message.receiving = true;
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (command === 'RSET') {
+          message = null;
+          reply('250 2.0.0 OK');
+        } else if (command === 'QUIT') {
+          reply('221 2.0.0 Bye');
+          socket.end();
+        } else {
+          reply('502 5.5.2 Command not implemented');
+        }
+      }
+    });
+    socket.on('error', () => {});
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    resolve({
+      port: server.address().port,
+      messages,
+      rejectNext: (count = 1) => {
+        rejections = count;
+      },
+      close: () => new Promise((done) => server.close(done)),
+    });
+  });
+});
+
+module.exports = {
+  startSmtpSink,
+};
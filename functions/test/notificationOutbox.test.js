@@ -0,0 +1,175 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeFirestore } = require('./helpers/fakeFirestore');
+const { startSmtpSink } = require('./helpers/smtpSink');
+
+process.env.JWT_SECRET = 'outbox-test-secret';
+process.env.NOTIFICATION_MAX_ATTEMPTS = '2';
+process.env.APP_BASE_URL = 'https://ers.example.test';
+process.env.API_BASE_URL = 'https://api.example.test/inspire-ers/us-central1/api';
+process.env.SMTP_FROM = 'Inspire ERS <no-reply@ers.example.test>';
+
+const fake = installFakeFirestore();
+const notificationService = require('../src/services/notificationService');
+
+// Undo quoted-printable soft breaks and escapes so the body reads as sent
+const decodeBody = (raw) => raw
+  .replace(/=\r\n/g, '')
+  .replace(/=([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+
+const header = (raw, name) => {
+  const match = raw.match(new RegExp(`^${name}:(.*(?:\\r\\n[ \\t].*)*)`, 'mi'));
+  return match ? match[1].replace(/\r\n[ \t]+/g, ' ').trim() : null;
+};
+
+const outbox = () => fake.list('notificationOutbox');
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000).toISOString();
+
+const queue = async (to, createdAt, fields = {}) => {
+  const { id } = await notificationService.enqueueNotification({
+    template: 'payslip-ready',
+    to,
+    data: { payDate: '2025-06-30', cutoffStartDate: '2025-06-16', cutoffEndDate: '2025-06-30' },
+    deliverNow: false,
+  });
+  fake.seed(`notificationOutbox/${id}`, { ...fake.read(`notificationOutbox/${id}`), createdAt, ...fields });
+  return id;
+};
+
+describe('notification outbox', () => {
+  let sink;
+  let warn;
+
+  before(async () => {
+    sink = await startSmtpSink();
+    process.env.SMTP_HOST = '127.0.0.1';
+    process.env.SMTP_PORT = String(sink.port);
+    warn = console.warn;
+    console.warn = () => {};
+  });
+
+  after(async () => {
+    console.warn = warn;
+    await sink.close();
+  });
+
+  beforeEach(() => {
+    fake.clear();
+    sink.messages.length = 0;
+    sink.rejectNext(0);
+  });
+
+  it('sends a password reset and drops its body once delivered', async () => {
+    const result = await notificationService.sendPasswordReset({
+      email: 'Ana@Example.test',
+      name: 'Ana',
+      resetLink: 'https://auth.example.test/reset?oobCode=abc123',
+    });
+
+    assert.equal(result.status, 'sent');
+    assert.equal(sink.messages.length, 1);
+    const [message] = sink.messages;
+    assert.deepEqual(message.to, ['ana@example.test']);
+    assert.equal(message.from, 'no-reply@ers.example.test');
+    assert.equal(header(message.raw, 'Subject'), 'Reset your Inspire ERS password');
+    assert.match(decodeBody(message.raw), /https:\/\/auth\.example\.test\/reset\?oobCode=abc123/);
+    // Security mail cannot be unsubscribed from
+    assert.equal(header(message.raw, 'List-Unsubscribe'), null);
+
+    const [entry] = outbox();
+    assert.equal(entry.status, 'sent');
+    assert.equal(entry.html, undefined);
+    assert.equal(entry.text, undefined);
+  });
+
+  it('adds an unsubscribe link to optional mail and honours it', async () => {
+    await notificationService.enqueueNotification({
+      template: 'payslip-ready',
+      to: 'ben@example.test',
+      data: { payDate: '2025-06-30', cutoffStartDate: '2025-06-16', cutoffEndDate: '2025-06-30' },
+    });
+    const link = header(sink.messages[0].raw, 'List-Unsubscribe').slice(1, -1);
+    const token = new URL(link).searchParams.get('token');
+
+    const unsubscribed = await notificationService.unsubscribeWithToken(token);
+    assert.deepEqual(unsubscribed, { email: 'ben@example.test', category: 'payslips', label: 'Payslip notices' });
+
+    const skipped = await notificationService.enqueueNotification({
+      template: 'payslip-ready',
+      to: 'ben@example.test',
+      data: { payDate: '2025-07-15', cutoffStartDate: '2025-07-01', cutoffEndDate: '2025-07-15' },
+    });
+    assert.equal(skipped.status, 'skipped');
+    assert.equal(sink.messages.length, 1);
+  });
+
+  it('retries a rejected send after a delay and fails it after the last attempt', async () => {
+    sink.rejectNext(2);
+    const first = await notificationService.enqueueNotification({
+      template: 'payslip-ready',
+      to: 'cy@example.test',
+      data: { payDate: '2025-06-30', cutoffStartDate: '2025-06-16', cutoffEndDate: '2025-06-30' },
+    });
+    assert.equal(first.status, 'pending');
+    let [entry] = outbox();
+    assert.equal(entry.attempts, 1);
+    assert.match(entry.lastError, /451/);
+    assert.ok(entry.nextAttemptAt > new Date().toISOString());
+
+    // Not due yet
+    assert.deepEqual(await notificationService.processOutbox(), { processed: 0, sent: 0, failed: 0, pending: 0 });
+
+    fake.seed(`notificationOutbox/${entry.id}`, { ...fake.read(`notificationOutbox/${entry.id}`), nextAttemptAt: minutesFromNow(-1) });
+    assert.deepEqual(await notificationService.processOutbox(), { processed: 1, sent: 0, failed: 1, pending: 0 });
+    [entry] = outbox();
+    assert.equal(entry.status, 'failed');
+    assert.equal(entry.attempts, 2);
+    assert.equal(sink.messages.length, 0);
+
+    const retried = await notificationService.retryNotification(entry.id);
+    assert.equal(retried.status, 'sent');
+    assert.deepEqual(sink.messages.map((message) => message.to[0]), ['cy@example.test']);
+  });
+
+  it('does not keep the body of a password reset that could not be sent', async () => {
+    sink.rejectNext(2);
+    await notificationService.sendPasswordReset({ email: 'di@example.test', resetLink: 'https://auth.example.test/reset?oobCode=xyz' });
+    const [pending] = outbox();
+    fake.seed(`notificationOutbox/${pending.id}`, { ...fake.read(`notificationOutbox/${pending.id}`), nextAttemptAt: minutesFromNow(-1) });
+    await notificationService.processOutbox();
+
+    const [entry] = outbox();
+    assert.equal(entry.status, 'failed');
+    assert.equal(entry.text, undefined);
+    await assert.rejects(notificationService.retryNotification(entry.id), { code: 'failed-precondition' });
+  });
+
+  it('sends due entries oldest first, past entries still backing off', async () => {
+    await queue('wait-1@example.test', '2025-06-30T00:00:01Z', { nextAttemptAt: minutesFromNow(30), attempts: 1 });
+    await queue('wait-2@example.test', '2025-06-30T00:00:02Z', { nextAttemptAt: minutesFromNow(30), attempts: 1 });
+    await queue('wait-3@example.test', '2025-06-30T00:00:03Z', { nextAttemptAt: minutesFromNow(30), attempts: 1 });
+    await queue('due-2@example.test', '2025-06-30T00:00:05Z');
+    await queue('due-1@example.test', '2025-06-30T00:00:04Z');
+    await queue('due-3@example.test', '2025-06-30T00:00:06Z');
+
+    const summary = await notificationService.processOutbox({ limit: 2 });
+
+    assert.deepEqual(summary, { processed: 2, sent: 2, failed: 0, pending: 0 });
+    assert.deepEqual(sink.messages.map((message) => message.to[0]), ['due-1@example.test', 'due-2@example.test']);
+    assert.deepEqual(
+      outbox().filter((entry) => entry.status === 'pending').map((entry) => entry.to).sort(),
+      ['due-3@example.test', 'wait-1@example.test', 'wait-2@example.test', 'wait-3@example.test'],
+    );
+  });
+
+  it('takes over a send that died mid-way but leaves a recent one alone', async () => {
+    await queue('stale@example.test', '2025-06-30T00:00:01Z', { status: 'sending', claimedAt: minutesFromNow(-11), attempts: 1 });
+    await queue('busy@example.test', '2025-06-30T00:00:02Z', { status: 'sending', claimedAt: minutesFromNow(-1), attempts: 1 });
+
+    const summary = await notificationService.processOutbox();
+
+    assert.deepEqual(summary, { processed: 1, sent: 1, failed: 0, pending: 0 });
+    assert.deepEqual(sink.messages.map((message) => message.to[0]), ['stale@example.test']);
+  });
+});
@@ -0,0 +1,146 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeFirestore } = require('./helpers/fakeFirestore');
+
+const fake = installFakeFirestore();
+const payrollService = require('../src/services/payrollService');
+
+const PERIOD = { cutoffStartDate: '2025-06-01', cutoffEndDate: '2025-06-30', payDate: '2025-06-30' };
+const PAYROLL_KEY = 'e1_2025-06-01_2025-06-30_2025-06-30';
+
+const installment = (status, payrollKey) => ({
+  key: 'mid-year',
+  payMonth: 6,
+  percent: 50,
+  amount: 10000,
+  status,
+  ...(payrollKey ? { payout: { payrollKey, payDate: PERIOD.payDate } } : {}),
+});
+
+const seedThirteenthMonth = (status, payrollKey) => fake.seed('thirteenthMonthPay/e1_2025', {
+  companyId: 'c1',
+  employeeId: 'e1',
+  year: 2025,
+  status,
+  installments: [installment(status, payrollKey), { ...installment('computed'), key: 'year-end', payMonth: 12 }],
+  paidPayrollKeys: payrollKey ? [payrollKey] : [],
+});
+
+const seedCommission = (status, payrollKey) => fake.seed('Commissions/c1/commissions/m1', {
+  companyId: 'c1',
+  employeeId: 'e1',
+  date: '2025-06-15',
+  amount: 3000,
+  status,
+  ...(payrollKey ? { payout: { payrollKey } } : {}),
+});
+
+const thirteenthMonth = () => fake.read('thirteenthMonthPay/e1_2025');
+const commission = () => fake.read('Commissions/c1/commissions/m1');
+
+const calculate = () => payrollService.calculatePayroll({
+  companyId: 'c1',
+  employeeId: 'e1',
+  company: { id: 'c1', name: 'Acme' },
+  employee: { id: 'e1', basicSalary: 20000 },
+  payrollPeriod: PERIOD,
+});
+
+describe('deleting payroll', () => {
+  beforeEach(() => {
+    fake.clear();
+    fake.seed('payrolls/p1', { companyId: 'c1', employeeId: 'e1', ...PERIOD, payrollKey: PAYROLL_KEY });
+    seedThirteenthMonth('paid', PAYROLL_KEY);
+    seedCommission('paid', PAYROLL_KEY);
+  });
+
+  it('hands a deleted period\'s 13th month installment and commissions back to approved', async () => {
+    const result = await payrollService.deletePayrollByPeriod({ companyId: 'c1', payDate: PERIOD.payDate });
+
+    assert.equal(result.deleted, 1);
+    assert.equal(result.commissionsReleased, 1);
+    assert.equal(result.thirteenthMonthInstallmentsReleased, 1);
+    assert.equal(fake.list('payrolls').length, 0);
+    const [midYear, yearEnd] = thirteenthMonth().installments;
+    assert.equal(midYear.status, 'approved');
+    assert.equal(midYear.payout, undefined);
+    assert.equal(yearEnd.status, 'computed');
+    assert.deepEqual(thirteenthMonth().paidPayrollKeys, []);
+    assert.equal(commission().status, 'approved');
+  });
+
+  it('releases only what the deleted employee\'s payroll paid', async () => {
+    const result = await payrollService.deletePayrollByEmployee({ companyId: 'c1', payDate: PERIOD.payDate, employeeId: 'e2' });
+
+    assert.equal(result.deleted, 0);
+    assert.equal(thirteenthMonth().installments[0].status, 'paid');
+    assert.equal(commission().status, 'paid');
+  });
+});
+
+describe('settling payroll items', () => {
+  beforeEach(() => {
+    fake.clear();
+    seedThirteenthMonth('approved');
+    seedCommission('approved');
+  });
+
+  it('marks the installment and commissions paid by the saved payroll', async () => {
+    const result = await calculate();
+
+    assert.equal(result.payroll.thirteenthMonthPay, 10000);
+    assert.equal(result.payroll.commissionPay, 3000);
+    assert.equal(thirteenthMonth().installments[0].payout.payrollKey, PAYROLL_KEY);
+    assert.equal(commission().status, 'paid');
+  });
+
+  it('releases them again when the payroll cannot be written', async (t) => {
+    const collection = fake.db.collection;
+    t.mock.method(fake.db, 'collection', (name) => {
+      const ref = collection(name);
+      if (name !== 'payrolls') {
+        return ref;
+      }
+      return {
+        ...ref,
+        doc: (id) => ({
+          ...ref.doc(id),
+          set: async () => {
+            throw Object.assign(new Error('deadline exceeded'), { code: 'unavailable' });
+          },
+        }),
+      };
+    });
+    t.mock.method(console, 'error', () => {});
+
+    await assert.rejects(calculate(), { code: 'unavailable' });
+
+    assert.equal(fake.list('payrolls').length, 0);
+    assert.equal(thirteenthMonth().installments[0].status, 'approved');
+    assert.deepEqual(thirteenthMonth().paidPayrollKeys, []);
+    assert.equal(commission().status, 'approved');
+    assert.equal(commission().statusReason, 'Payroll not saved');
+  });
+
+  it('releases a bulk chunk\'s items when its commit fails', async (t) => {
+    const batch = fake.db.batch;
+    // Only the payroll chunk fails; the release that follows writes normally
+    t.mock.method(fake.db, 'batch', () => ({
+      ...batch(),
+      commit: async () => {
+        throw Object.assign(new Error('deadline exceeded'), { code: 'unavailable' });
+      },
+    }), { times: 1 });
+    t.mock.method(console, 'error', () => {});
+
+    await assert.rejects(payrollService.bulkCalculatePayroll({
+      companyId: 'c1',
+      payrollPeriod: PERIOD,
+      employees: [{ employeeId: 'e1', company: { id: 'c1', name: 'Acme' }, employee: { id: 'e1', basicSalary: 20000 } }],
+    }), { code: 'unavailable' });
+
+    assert.equal(fake.list('payrolls').length, 0);
+    assert.equal(thirteenthMonth().installments[0].status, 'approved');
+    assert.equal(commission().status, 'approved');
+  });
+});
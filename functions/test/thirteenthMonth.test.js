@@ -0,0 +1,161 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeFirestore } = require('./helpers/fakeFirestore');
+
+const fake = installFakeFirestore();
+const { computeEmployeeThirteenthMonth } = require('../src/services/thirteenthMonthService');
+const {
+  NON_TAXABLE_BENEFITS_CEILING,
+  computeAnnualTax,
+  computeTaxableBenefitExcess,
+} = require('../src/services/withholdingTaxService');
+const { getTaxBrackets } = require('../src/services/taxService');
+
+const YEAR_END = [{ key: 'year-end', payMonth: 12, percent: 100 }];
+
+const payroll = (payDate, fields) => ({
+  companyId: 'c1',
+  employeeId: 'e1',
+  payDate,
+  includeTaxes: true,
+  ...fields,
+});
+
+const seedFirstQuarter = () => {
+  fake.seed('payrolls/jan', payroll('2025-01-31', {
+    basicPay: 20000, totalAbsent: 1000, totalLate: 200, allowance: 2000, otPay: 1500, netPay: 18000,
+  }));
+  fake.seed('payrolls/feb', payroll('2025-02-28', { basicPay: 20000, netPay: 20500 }));
+  fake.seed('payrolls/feb-other-company', payroll('2025-02-28', { companyId: 'c2', basicPay: 50000, netPay: 45000 }));
+  // Pays the first installment; that part of net pay must not feed the next computation
+  fake.seed('payrolls/mar', payroll('2025-03-31', { basicPay: 20000, netPay: 24000, thirteenthMonthPay: 5000 }));
+};
+
+const compute = (overrides = {}) => computeEmployeeThirteenthMonth({
+  companyId: 'c1',
+  employeeId: 'e1',
+  year: 2025,
+  employeeProfile: { basicSalary: 20000, dateHired: '2024-03-01' },
+  schedule: YEAR_END,
+  project: false,
+  ...overrides,
+});
+
+describe('13th month basis', () => {
+  beforeEach(() => {
+    fake.clear();
+    seedFirstQuarter();
+  });
+
+  it('defaults to basic salary earned, net of absences, tardiness and undertime', async () => {
+    const result = await compute();
+    assert.equal(result.basis, 'basic-earned');
+    assert.equal(result.totalBasis, 58800);
+    assert.equal(result.totalAttendanceDeductions, 1200);
+    assert.equal(result.thirteenthMonthPay, 4900);
+    assert.equal(result.payrollCount, 3);
+  });
+
+  it('leaves allowances and overtime out of every basis', async () => {
+    const earned = await compute({ basis: 'basic-earned' });
+    const basic = await compute({ basis: 'basic' });
+    assert.equal(earned.monthlyBreakdown[0].basisAmount, 18800);
+    assert.equal(basic.monthlyBreakdown[0].basisAmount, 20000);
+    assert.equal(basic.thirteenthMonthPay, 5000);
+  });
+
+  it('follows the company setting when no basis is given', async () => {
+    fake.seed('companies/c1', { thirteenthMonthSettings: { basis: 'basic' } });
+    const result = await compute({ schedule: undefined });
+    assert.equal(result.basis, 'basic');
+    assert.equal(result.thirteenthMonthPay, 5000);
+  });
+
+  it('keeps 13th month already paid out of the net pay basis', async () => {
+    const result = await compute({ basis: 'net-pay' });
+    assert.equal(result.totalNetPay, 57500);
+    assert.equal(result.thirteenthMonthPay, 4791.67);
+  });
+
+  it('projects the rest of the year at the monthly rate up to separation', async () => {
+    const result = await compute({
+      project: true,
+      employeeProfile: { basicSalary: 20000, dateHired: '2024-03-01', separationDate: '2025-06-15' },
+    });
+    // April and May in full, half of June
+    assert.equal(result.projectedBasis, 50000);
+    assert.equal(result.projectedThirteenthMonthPay, 9066.67);
+    assert.equal(result.coverage.prorated, true);
+
+    const netPay = await compute({ project: true, basis: 'net-pay' });
+    assert.equal(netPay.projectedBasis, 0);
+  });
+
+  it('splits the projected amount over the schedule with the balance on the last installment', async () => {
+    const result = await compute({
+      project: true,
+      schedule: [
+        { key: 'mid-year', payMonth: 5, percent: 33.33 },
+        { key: 'year-end', payMonth: 12, percent: 66.67 },
+      ],
+    });
+    const [midYear, yearEnd] = result.installments;
+    assert.equal(result.projectedThirteenthMonthPay, 19900);
+    assert.equal(midYear.amount, 6632.67);
+    assert.equal(yearEnd.amount, 13267.33);
+  });
+
+  it('rejects an unknown basis', async () => {
+    await assert.rejects(compute({ basis: 'gross' }), { code: 'invalid-argument' });
+  });
+
+  it('rejects a schedule that does not add up to 100 percent', async () => {
+    await assert.rejects(
+      compute({ schedule: [{ key: 'mid-year', payMonth: 5, percent: 50 }] }),
+      { code: 'invalid-argument', message: 'schedule percents add up to 50, expected 100' },
+    );
+  });
+});
+
+describe('13th month non-taxable ceiling', () => {
+  beforeEach(() => fake.clear());
+
+  it('taxes only the part of the year\'s benefits above the ceiling', async () => {
+    const annual = computeAnnualTax({
+      ytd: { basicPay: 600000, thirteenthMonthPay: 60000, allowances: 30000 },
+      thirteenthMonthPay: 45000,
+      taxConfig: await getTaxBrackets(),
+    });
+    assert.equal(annual.thirteenthMonthPay, 105000);
+    assert.equal(annual.nonTaxableBenefits, NON_TAXABLE_BENEFITS_CEILING);
+    assert.equal(annual.taxableBenefits, 15000);
+    assert.equal(annual.supplementaryCompensation, 15000);
+    // Allowances are exempt on their own and do not use up the ceiling
+    assert.equal(annual.nonTaxableAllowances, 30000);
+    assert.equal(annual.grossCompensation, 600000 + 105000 + 30000);
+  });
+
+  it('counts other benefits against the same ceiling', async () => {
+    const annual = computeAnnualTax({
+      ytd: { basicPay: 600000 },
+      thirteenthMonthPay: 50000,
+      otherBenefits: 50000,
+      taxConfig: await getTaxBrackets(),
+    });
+    assert.equal(annual.nonTaxableBenefits, 90000);
+    assert.equal(annual.taxableBenefits, 10000);
+  });
+
+  it('leaves a payroll\'s installment taxable only beyond what earlier installments used', async () => {
+    fake.seed('payrolls/jun', payroll('2025-06-15', { payrollKey: 'jun', basicPay: 20000, thirteenthMonthPay: 60000 }));
+    const excess = (fields) => computeTaxableBenefitExcess({
+      companyId: 'c1', employeeId: 'e1', payDate: '2025-12-15', payrollKey: 'dec', amount: 40000, ...fields,
+    });
+
+    assert.equal(await excess(), 10000);
+    assert.equal(await excess({ currentBenefits: 5000 }), 15000);
+    assert.equal(await excess({ amount: 20000 }), 0);
+    // Recomputing the June payroll does not count its own installment twice
+    assert.equal(await excess({ payDate: '2025-06-15', payrollKey: 'jun', amount: 60000 }), 0);
+  });
+});